@@ -29,7 +29,11 @@
 //
 // Nothing here is persisted. It is derived from live scene data and rebuilt
 // whenever that changes, so a wall the GM moves is simply correct next render.
+// The one exception is an artifact, which keeps a snapshot of the atlas it was
+// drawn from -- see atlasSnapshot.
 
+import { wallInBand } from './elevation-mapping.js';
+import { canonicalHexSide, gridTypeOf, hexAt, hexCentre, hexNeighbours, isHexGrid } from './hex-mapping.js';
 import { clipSegmentToCell } from './utils-mapping.js';
 
 /** How far off square a wall may sit and still be drawn on the grid. */
@@ -103,7 +107,7 @@ const CURVE_SMOOTHING = 0.4;
 /** Share of a square a doorway must cover to be drawn as occupying it. */
 const OPENING_COVERAGE = 0.6;
 /** Features drawn with the doorway glyph rather than as a boundary stroke. */
-const DOOR_FEATURES = ['door', 'locked-door'];
+const DOOR_FEATURES = ['door', 'locked-door', 'one-way-door'];
 
 const EMPTY_ATLAS = Object.freeze({
     sceneId: null,
@@ -145,13 +149,13 @@ function classifyWall(document) {
     const light = Number(source.light);
 
     if (door === doorTypes.DOOR) {
-        // One-way doors are deliberately not distinguished. Detecting them is
-        // trivial (source.dir), but the official glyph is a directional arrow
-        // and Foundry's dir is left/right relative to the wall's own vector
-        // rather than a compass bearing, so an arrow would point the wrong way
-        // half the time -- worse than drawing an ordinary door.
+        // A locked door is locked whichever way it would otherwise open. A
+        // one-way door's dir is left or right of the wall's own vector rather
+        // than a compass bearing; which square that makes passable is settled
+        // where the door is snapped to the grid, see oneWayEdge.
         const doorStates = CONST.WALL_DOOR_STATES ?? {};
-        return Number(source.ds) === Number(doorStates.LOCKED) ? 'locked-door' : 'door';
+        if (Number(source.ds) === Number(doorStates.LOCKED)) return 'locked-door';
+        return Number(source.dir) ? 'one-way-door' : 'door';
     }
     if (door === doorTypes.SECRET) return 'wall';
 
@@ -242,10 +246,26 @@ function wallSegment(document) {
         end: { x: x2, y: y2 },
         midpoint: { x: (x1 + x2) / 2, y: (y1 + y2) / 2 },
         length,
-        unit: { x: (x2 - x1) / length, y: (y2 - y1) / length }
+        unit: { x: (x2 - x1) / length, y: (y2 - y1) / length },
+        // Which side of start-to-end the wall lets things through from, as
+        // Foundry's WALL_DIRECTIONS; 0 for both.
+        dir: Number(wallSource(document)?.dir) || 0
     };
 }
 
+/**
+ * Which side of the line from start to end a point lies on, in Foundry's
+ * WALL_DIRECTIONS terms. The same test Foundry's own Wall#orientPoint makes,
+ * so a one-way wall is read here exactly the way the canvas enforces it:
+ * passable from the side its dir names, a wall from the other.
+ */
+function wallSideOf(start, end, point) {
+    const directions = CONST.WALL_DIRECTIONS ?? { BOTH: 0, LEFT: 1, RIGHT: 2 };
+    const orientation = ((start.y - point.y) * (end.x - point.x)) - ((start.x - point.x) * (end.y - point.y));
+    if (!orientation) return directions.BOTH;
+    return orientation < 0 ? directions.LEFT : directions.RIGHT;
+}
+
 function pointDistance(first, second) {
     return Math.hypot(first.x - second.x, first.y - second.y);
 }
@@ -797,6 +817,39 @@ function openingEdges(from, to) {
         : { key: `${across},${entry.index}`, direction: 'west' }));
 }
 
+/**
+ * A one-way door's boundary written against the square it may be walked out
+ * of, so the code's own direction is the way through: `one-way-door:south` on
+ * a square is a door in its south side that opens from it and not into it.
+ *
+ * openingEdges names every boundary from its south or east square. Each
+ * square's centre is tested against the door's wall, in grid terms, and the
+ * boundary moves to the square on the passable side when that is the other
+ * one. A door whose fragments disagree about which side that is, or that
+ * cannot tell, stays an ordinary door: an arrow the wrong way round is worse
+ * than none.
+ */
+function oneWayEdge(edge, members, grid) {
+    const [column, row] = edge.key.split(',').map(Number);
+    const beyond = edge.direction === 'north'
+        ? { key: `${column},${row - 1}`, direction: 'south', centre: { column: column + 0.5, row: row - 0.5 } }
+        : { key: `${column - 1},${row}`, direction: 'east', centre: { column: column - 0.5, row: row + 0.5 } };
+    const here = { key: edge.key, direction: edge.direction, centre: { column: column + 0.5, row: row + 0.5 } };
+    const passable = new Set();
+    for (const member of members) {
+        if (!member.dir) continue;
+        const [start, end] = [member.start, member.end].map(grid.toGrid);
+        if (!start || !end) continue;
+        const toPoint = ({ column: x, row: y }) => ({ x, y });
+        const side = wallSideOf(toPoint(start), toPoint(end), toPoint(here.centre));
+        if (!side) continue;
+        passable.add(side === member.dir ? 'here' : 'beyond');
+    }
+    if (passable.size !== 1) return { ...edge, feature: 'door' };
+    const from = passable.has('here') ? here : beyond;
+    return { key: from.key, direction: from.direction, feature: 'one-way-door' };
+}
+
 // ------------------------------------------------------------------
 // Clustering opening fragments
 // ------------------------------------------------------------------
@@ -868,13 +921,21 @@ function addFeature(features, key, code) {
 
 /**
  * Read every wall in the scene and settle the architecture in one pass.
+ *
+ * On a scene stacked into floors, only the walls standing on the one floor
+ * asked for: a tower's upper storey has nothing to say about the rooms below.
+ *
+ * @param {Scene} scene
+ * @param {{band?: {bottom: number, top: number}|null}} [options] - The floor, from sceneBands; none for every wall
  */
-function buildSceneAtlas(scene = canvas?.scene) {
+function buildSceneAtlas(scene = canvas?.scene, { band = null } = {}) {
     if (!scene || !canvas?.ready) return EMPTY_ATLAS;
+    const documents = [...(scene.walls ?? [])].filter(document => wallInBand(document, band));
+    const gridType = gridTypeOf(scene);
+    if (isHexGrid(gridType)) return buildHexAtlas(scene, gridType, documents);
     const grid = gridOf(scene);
     if (!grid.size) return EMPTY_ATLAS;
 
-    const documents = [...(scene.walls ?? [])];
     const features = {};
     const lines = [];
     const secrets = [];
@@ -913,8 +974,11 @@ function buildSceneAtlas(scene = canvas?.scene) {
         for (const cluster of openingClusters(group, grid)) {
             const [from, to] = cluster.extent.map(grid.toGrid);
             if (!from || !to) continue;
-            for (const edge of openingEdges(from, to)) {
-                addFeature(features, edge.key, `${feature}:${edge.direction}`);
+            for (const found of openingEdges(from, to)) {
+                const edge = feature === 'one-way-door'
+                    ? oneWayEdge(found, cluster.members, grid)
+                    : { ...found, feature };
+                addFeature(features, edge.key, `${edge.feature}:${edge.direction}`);
             }
         }
     }
@@ -946,6 +1010,303 @@ function buildSceneAtlas(scene = canvas?.scene) {
     };
 }
 
+// ------------------------------------------------------------------
+// Hex scenes
+// ------------------------------------------------------------------
+
+/** How often a wall is sampled for the hexes it passes, in hexes. */
+const HEX_SAMPLE_STEP = 0.25;
+
+/**
+ * Every hex side a wall stands across, each named the way the atlas writes it.
+ *
+ * A side is crossed when the wall cuts the line between the centres of its two
+ * hexes. Hex scenes are walled along the hexes' own sides, where that is
+ * exactly right; a wall cutting across hexes lands on the sides nearest it,
+ * which is the same call a hand-drawn hex map makes. There is no snapping to
+ * do, and so none of the run and curve work a square scene needs.
+ *
+ * @param {string} gridType
+ * @param {{x: number, y: number}} start - In grid units
+ * @param {{x: number, y: number}} end
+ * @returns {Array<{key: string, direction: string, from: Object, to: Object}>}
+ *   One per side: its canonical hex and side, and the centres of the hex it is
+ *   written on and the one beyond
+ */
+function hexSidesCrossed(gridType, start, end) {
+    const length = pointDistance(start, end);
+    const samples = Math.max(1, Math.ceil(length / HEX_SAMPLE_STEP));
+    const near = new Map();
+    for (let index = 0; index <= samples; index++) {
+        const t = index / samples;
+        const cell = hexAt(gridType, { x: start.x + ((end.x - start.x) * t), y: start.y + ((end.y - start.y) * t) });
+        near.set(`${cell.column},${cell.row}`, cell);
+    }
+    const crossed = new Map();
+    for (const cell of near.values()) {
+        const centre = hexCentre(gridType, cell);
+        for (const neighbour of hexNeighbours(gridType, cell)) {
+            const side = canonicalHexSide(gridType, cell, neighbour.direction);
+            const key = `${side.column},${side.row}`;
+            if (crossed.has(`${key}:${side.direction}`)) continue;
+            const beyond = hexCentre(gridType, neighbour);
+            if (!segmentsIntersect(start, end, centre, beyond)) continue;
+            const canonical = side.column === cell.column && side.row === cell.row;
+            crossed.set(`${key}:${side.direction}`, {
+                key,
+                direction: side.direction,
+                from: canonical ? centre : beyond,
+                to: canonical ? beyond : centre
+            });
+        }
+    }
+    return [...crossed.values()];
+}
+
+/**
+ * The atlas of a hex scene: the same features, keyed the same way, on six sides
+ * rather than four.
+ *
+ * Every side is written once, from the hex that has it among its first three
+ * sides (see canonicalHexSide), except a one-way door, which like a square's is
+ * written against the hex it opens from. There are no lines: a hex map's walls
+ * are always its hexes' sides, so nothing splits a hex and nothing runs free
+ * of the grid.
+ */
+function buildHexAtlas(scene, gridType, documents) {
+    const size = Number(scene.grid?.size) || Number(canvas?.grid?.size) || 0;
+    if (!size) return EMPTY_ATLAS;
+    const units = point => ({ x: point.x / size, y: point.y / size });
+    const features = {};
+    const secrets = [];
+    const secretDocuments = [];
+    // Which of its two hexes each one-way door side opens from, fragment by
+    // fragment; a side the fragments disagree about is an ordinary door.
+    const oneWay = new Map();
+
+    for (const document of documents) {
+        if (isSecretDoor(document)) {
+            secretDocuments.push(document);
+            continue;
+        }
+        const feature = classifyWall(document);
+        const segment = feature ? wallSegment(document) : null;
+        if (!segment) continue;
+        const [start, end] = [segment.start, segment.end].map(units);
+        for (const side of hexSidesCrossed(gridType, start, end)) {
+            if (feature !== 'one-way-door') {
+                addFeature(features, side.key, `${feature}:${side.direction}`);
+                continue;
+            }
+            const id = `${side.key}:${side.direction}`;
+            if (!oneWay.has(id)) oneWay.set(id, { side, passable: new Set() });
+            const from = wallSideOf(start, end, side.from);
+            if (from) oneWay.get(id).passable.add(from === segment.dir ? 'here' : 'beyond');
+        }
+    }
+
+    for (const { side, passable } of oneWay.values()) {
+        if (passable.size !== 1) {
+            addFeature(features, side.key, `door:${side.direction}`);
+            continue;
+        }
+        if (passable.has('here')) {
+            addFeature(features, side.key, `one-way-door:${side.direction}`);
+            continue;
+        }
+        const [column, row] = side.key.split(',').map(Number);
+        const beyond = hexNeighbours(gridType, { column, row }).find(neighbour => neighbour.direction === side.direction);
+        const back = hexNeighbours(gridType, beyond).find(neighbour => neighbour.column === column && neighbour.row === row);
+        addFeature(features, `${beyond.column},${beyond.row}`, `one-way-door:${back.direction}`);
+    }
+
+    for (const cluster of openingClusters(secretDocuments, { size })) {
+        const edges = new Map();
+        for (const member of cluster.members) {
+            for (const side of hexSidesCrossed(gridType, units(member.start), units(member.end))) {
+                edges.set(`${side.key}:${side.direction}`, { key: side.key, direction: side.direction });
+            }
+        }
+        if (!edges.size) continue;
+        for (const edge of edges.values()) addFeature(features, edge.key, `wall:${edge.direction}`);
+        secrets.push({
+            id: cluster.id,
+            edges: [...edges.values()],
+            segments: cluster.members.map(member => ({ start: member.start, end: member.end }))
+        });
+    }
+
+    return {
+        sceneId: scene.id,
+        gridType,
+        features,
+        lines: [],
+        secrets,
+        barriers: new Set(),
+        split: new Set()
+    };
+}
+
+// ------------------------------------------------------------------
+// Authored boundaries
+// ------------------------------------------------------------------
+
+/** The two ways the atlas may have written a lattice line down, canonical first. */
+function lineSides(orientation, column, row) {
+    return orientation === 'h'
+        ? [[`${column},${row}`, 'north'], [`${column},${row - 1}`, 'south']]
+        : [[`${column},${row}`, 'west'], [`${column - 1},${row}`, 'east']];
+}
+
+/**
+ * What the atlas has on a lattice line, or null where it has nothing. A secret
+ * door answers as the wall it is drawn as.
+ */
+function featureOnLine(atlas, line) {
+    const match = String(line ?? '').match(/^([hv]):(-?\d+):(-?\d+)$/);
+    if (!match) return null;
+    for (const [key, direction] of lineSides(match[1], Number(match[2]), Number(match[3]))) {
+        const code = (atlas?.features?.[key] ?? []).find(candidate => candidate.endsWith(`:${direction}`));
+        if (code) return code.split(':')[0];
+    }
+    return null;
+}
+
+/** Overlays already worked out, per atlas and per set of boundaries. */
+const authoredAtlases = new WeakMap();
+
+/**
+ * The atlas with a map's hand-drawn boundaries laid over it.
+ *
+ * An authored boundary replaces whatever the scene put on that line rather than
+ * joining it, so a doorway drawn into a scene wall is a doorway and not a
+ * doorway in a wall -- and "open" takes the line off the map entirely. Every
+ * reader of the atlas then sees them for free: the drawing, and the flood that
+ * stops a floor at a wall, which would otherwise pour straight through a wall
+ * that exists only on the map.
+ *
+ * Curved and angled walls are not on the lattice and are left alone; there is
+ * no line to replace.
+ *
+ * Worked out once per record version. A record is replaced rather than edited
+ * whenever it changes, so its boundaries object is a sound cache key.
+ */
+function withAuthoredBoundaries(atlas, boundaries) {
+    const base = atlas ?? EMPTY_ATLAS;
+    if (!boundaries || !Object.keys(boundaries).length) return base;
+    let byBoundaries = authoredAtlases.get(base);
+    if (!byBoundaries) {
+        byBoundaries = new WeakMap();
+        authoredAtlases.set(base, byBoundaries);
+    }
+    const cached = byBoundaries.get(boundaries);
+    if (cached) return cached;
+
+    const features = {};
+    for (const [key, codes] of Object.entries(base.features ?? {})) features[key] = [...codes];
+    for (const [edge, feature] of Object.entries(boundaries)) {
+        const [orientation, first, second] = edge.split(':');
+        const column = Number(first);
+        const row = Number(second);
+        if (!Number.isInteger(column) || !Number.isInteger(row)) continue;
+        const sides = lineSides(orientation, column, row);
+        for (const [key, direction] of sides) {
+            if (!features[key]) continue;
+            features[key] = features[key].filter(code => !code.endsWith(`:${direction}`));
+            if (!features[key].length) delete features[key];
+        }
+        if (feature !== 'open') addFeature(features, sides[0][0], `${feature}:${sides[0][1]}`);
+    }
+
+    const authored = { ...base, features };
+    byBoundaries.set(boundaries, authored);
+    return authored;
+}
+
+// ------------------------------------------------------------------
+// Architecture kept on a map
+// ------------------------------------------------------------------
+
+const FEATURE_CODE = /^[a-z-]+:[a-z]+$/;
+const CELL_KEY = /^-?\d+,-?\d+$/;
+
+function finitePoint(point) {
+    const x = Number(point?.x);
+    const y = Number(point?.y);
+    return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+/**
+ * A stored snapshot, checked: anything that is not the shape an atlas writes
+ * is dropped rather than trusted, as it would be on any other record field.
+ */
+function normalizeAtlasSnapshot(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const features = {};
+    for (const [key, codes] of Object.entries(raw.features ?? {})) {
+        if (!CELL_KEY.test(key) || !Array.isArray(codes)) continue;
+        const valid = [...new Set(codes.filter(code => typeof code === 'string' && FEATURE_CODE.test(code)))];
+        if (valid.length) features[key] = valid;
+    }
+    const lines = (Array.isArray(raw.lines) ? raw.lines : [])
+        .map(line => (Array.isArray(line) && line.length === 2 ? line.map(point => point?.map?.(Number)) : null))
+        .filter(line => line?.every(point => point?.length === 2 && point.every(Number.isFinite)));
+    const secrets = [];
+    for (const secret of Array.isArray(raw.secrets) ? raw.secrets : []) {
+        if (typeof secret?.id !== 'string') continue;
+        const edges = (Array.isArray(secret.edges) ? secret.edges : [])
+            .filter(edge => CELL_KEY.test(edge?.key ?? '') && typeof edge.direction === 'string')
+            .map(edge => ({ key: edge.key, direction: edge.direction }));
+        const segments = (Array.isArray(secret.segments) ? secret.segments : [])
+            .map(segment => ({ start: finitePoint(segment?.start), end: finitePoint(segment?.end) }))
+            .filter(segment => segment.start && segment.end);
+        if (edges.length) secrets.push({ id: secret.id, edges, segments });
+    }
+    return { features, lines, secrets };
+}
+
+/**
+ * What an atlas says, in a form a record can keep.
+ *
+ * An artifact is drawn from this rather than from its scene, so the old map the
+ * party found stays the map it was when it was drawn, and a GM moving walls
+ * afterwards does not quietly redraw it. Barriers and split squares are left
+ * out: both follow from the lines, and both are Sets, which a document would
+ * store as nothing at all.
+ */
+function atlasSnapshot(atlas) {
+    return normalizeAtlasSnapshot({
+        features: atlas?.features,
+        lines: atlas?.lines,
+        secrets: atlas?.secrets
+    });
+}
+
+/** Atlases already rebuilt from a snapshot, per snapshot. */
+const snapshotAtlases = new WeakMap();
+
+/**
+ * An atlas again, from a snapshot. Worked out once per snapshot, which a record
+ * carries over unchanged from one version to the next until it is retaken.
+ */
+function atlasFromSnapshot(snapshot, { sceneId = null, gridType = null } = {}) {
+    if (!snapshot) return EMPTY_ATLAS;
+    const cached = snapshotAtlases.get(snapshot);
+    if (cached) return cached;
+    const lines = snapshot.lines ?? [];
+    const atlas = {
+        sceneId,
+        ...(isHexGrid(gridType) ? { gridType } : {}),
+        features: snapshot.features ?? {},
+        lines,
+        secrets: snapshot.secrets ?? [],
+        barriers: barriersOf(lines),
+        split: splitSquares(lines)
+    };
+    snapshotAtlases.set(snapshot, atlas);
+    return atlas;
+}
+
 /**
  * The squares a wall runs through rather than around.
  *
@@ -1045,11 +1406,17 @@ function secretsCrossedBy(atlas, from, to) {
 }
 
 export {
+    atlasFromSnapshot,
+    atlasSnapshot,
     AXIS_TOLERANCE_DEGREES,
     buildSceneAtlas,
     classifyWall,
     DOOR_FEATURES,
     EMPTY_ATLAS,
+    featureOnLine,
+    normalizeAtlasSnapshot,
     secretsCrossedBy,
-    toGrid
+    toGrid,
+    wallSideOf,
+    withAuthoredBoundaries
 };
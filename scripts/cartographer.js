@@ -8,6 +8,7 @@ import { drawingTool } from './manager-drawing.js';
 import { cartographerToolbar } from './manager-toolbar.js';
 import { socketManager } from './manager-sockets.js';
 import { mappingManager } from './manager-mapping.js';
+import { registerMapSpotLinks } from './notes-mapping.js';
 
 // ================================================================== 
 // ===== BLACKSMITH API INTEGRATION =================================
@@ -30,6 +31,10 @@ Hooks.on('canvasTearDown', () => {
 });
 
 Hooks.once('init', () => {
+    // Journals can be opened before anything else here is ready, and a map
+    // link in one has to read as a link from the start.
+    registerMapSpotLinks(spot => void mappingManager.openMapAt(spot));
+
     game.keybindings.register(MODULE.ID, 'drawHotkey', {
         name: 'Cartographer: Draw Hotkey',
         hint: 'Activates the drawing tool. Configure key in Configure Controls.',
@@ -0,0 +1,172 @@
+// ==================================================================
+// ===== MAP ELEVATION ==============================================
+// ==================================================================
+//
+// Scenes that stack several floors in one scene, told apart by elevation: a
+// tower whose storeys are drawn over each other, a cellar under a tavern. Each
+// floor is a band of elevations, read the way the Levels module writes them on
+// the scene, and walls that carry an elevation range stand only in the bands
+// they reach.
+//
+// One record holds every floor. The one in the record's own fields is the
+// ground -- the band holding elevation 0, where every map drawn before bands
+// existed was drawn -- and the rest wait in `bands`, keyed by the elevation
+// each one starts at, with an underscore for its point. To work on another
+// floor a record is turned to it with atBand: that floor's squares, surfaces
+// and symbols change places with the ground's, and nothing else moves. It is a
+// rotation, so it loses nothing, and everything that reads a map's fields
+// reads whichever floor it has been turned to without knowing floors exist.
+//
+// A scene with no bands is all ground, so none of this is ever seen there.
+
+/** What belongs to one floor. Everything else about a map is the whole map's. */
+const BAND_FIELDS = ['explored', 'hidden', 'symbols', 'floors', 'boundaries', 'variants', 'secrets', 'sides'];
+
+/** A floor nothing has been drawn on yet. */
+function emptyBand() {
+    return { explored: [], hidden: [], symbols: [], floors: {}, boundaries: {}, variants: {}, secrets: [], sides: {} };
+}
+
+/** A floor's own fields, lifted off a record. */
+function bandFields(record) {
+    const empty = emptyBand();
+    return Object.fromEntries(BAND_FIELDS.map(field => [field, record?.[field] ?? empty[field]]));
+}
+
+function isEmptyBand(fields) {
+    return BAND_FIELDS.every(field => {
+        const value = fields[field];
+        return Array.isArray(value) ? !value.length : !value || !Object.keys(value).length;
+    });
+}
+
+/** Whether a string can name a floor: '' for the ground, or the elevation it starts at. */
+function isBandId(id) {
+    return id === '' || (typeof id === 'string' && /^-?\d+(_\d+)?$/.test(id));
+}
+
+/**
+ * The id of a floor starting at an elevation. A floor's id is a key of
+ * `bands`, and Foundry reads a dot in a key it is updating as a path -- a
+ * floor at 7.5 would be written as field 5 of the floor at 7 -- so the point
+ * is written as an underscore.
+ */
+function bandIdFor(bottom) {
+    return String(bottom).replace('.', '_');
+}
+
+/** The elevation a floor starts at, read back off its id. */
+function bandBottom(id) {
+    return Number(String(id ?? '').replace('_', '.')) || 0;
+}
+
+/** A floor's id as sent over a socket or stored, checked, or the ground. */
+function normalizeBandId(raw) {
+    // Written with a dot, as it was before ids gave it up.
+    const id = typeof raw === 'string' ? raw.replace('.', '_') : raw;
+    return isBandId(id) ? id : '';
+}
+
+/** Which of a sorted list of bands an elevation stands in: the highest starting at or below it. */
+function bandIndexAt(bands, elevation) {
+    let found = 0;
+    bands.forEach((band, index) => {
+        if (band.bottom <= elevation) found = index;
+    });
+    return found;
+}
+
+/**
+ * The floors a scene is stacked into, lowest first, each with its id, its
+ * range and whatever the GM called it. Empty for a scene that is one floor.
+ *
+ * Read from the flag the Levels module keeps, which is an array of
+ * [bottom, top, name] -- or of objects saying the same, as older versions
+ * wrote it -- and read straight off the document rather than through getFlag,
+ * which refuses to answer for a module that is not enabled. Tops are taken as
+ * Levels takes them, inclusive.
+ */
+function sceneBands(scene) {
+    const raw = scene?.flags?.levels?.sceneLevels;
+    if (!Array.isArray(raw)) return [];
+    const seen = new Set();
+    const bands = raw
+        .map(entry => (Array.isArray(entry) ? { bottom: entry[0], top: entry[1], name: entry[2] } : entry))
+        .map(entry => ({
+            bottom: Number(entry?.bottom),
+            top: Number(entry?.top),
+            name: typeof entry?.name === 'string' ? entry.name.trim() : ''
+        }))
+        .filter(band => Number.isFinite(band.bottom) && Number.isFinite(band.top) && band.top >= band.bottom)
+        // An elevation only written in exponents has no id to be kept under.
+        .filter(band => isBandId(bandIdFor(band.bottom)))
+        .sort((left, right) => left.bottom - right.bottom)
+        .filter(band => !seen.has(band.bottom) && seen.add(band.bottom));
+    const ground = bands.length ? bandIndexAt(bands, 0) : -1;
+    return bands.map((band, index) => ({ ...band, id: index === ground ? '' : bandIdFor(band.bottom) }));
+}
+
+/** The id of the floor an elevation stands on, among a scene's bands. */
+function bandAt(bands, elevation) {
+    if (!bands?.length) return '';
+    const value = Number(elevation);
+    return bands[bandIndexAt(bands, Number.isFinite(value) ? value : 0)].id;
+}
+
+/**
+ * Whether a wall stands on a floor. A wall with no range of its own -- the
+ * Wall Height module's flag, which Levels uses too -- stands on every floor,
+ * as it does in Foundry; no band at all means the whole scene.
+ */
+function wallInBand(document, band) {
+    if (!band) return true;
+    const range = document?.flags?.['wall-height'];
+    const edge = (value, fallback) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))
+        ? fallback
+        : Number(value));
+    const bottom = edge(range?.bottom, -Infinity);
+    const top = edge(range?.top, Infinity);
+    // Touching at one elevation is not reaching: a wall up to 10 is not on a
+    // floor that starts at 10.
+    return bottom <= band.top && top > band.bottom;
+}
+
+/**
+ * A record turned to one of its floors: that floor in the record's own
+ * fields, and the one that was there put away in `bands`. Turning it back to
+ * '' gives the record as stored. A floor left empty is not kept.
+ */
+function atBand(record, band = '') {
+    if (!record) return record;
+    const current = record.band ?? '';
+    if (current === band) return record;
+    const bands = { ...(record.bands ?? {}) };
+    const leaving = bandFields(record);
+    if (isEmptyBand(leaving)) delete bands[current];
+    else bands[current] = leaving;
+    const arriving = bandFields(bands[band]);
+    delete bands[band];
+    const turned = { ...record, ...arriving, bands };
+    if (band) turned.band = band;
+    else delete turned.band;
+    return turned;
+}
+
+/** Every floor a record has anything on, its own first. */
+function bandIds(record) {
+    return [record?.band ?? '', ...Object.keys(record?.bands ?? {})];
+}
+
+export {
+    atBand,
+    BAND_FIELDS,
+    bandAt,
+    bandBottom,
+    bandIdFor,
+    bandIds,
+    emptyBand,
+    isBandId,
+    normalizeBandId,
+    sceneBands,
+    wallInBand
+};
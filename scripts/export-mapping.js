@@ -0,0 +1,389 @@
+// ==================================================================
+// ===== MAP EXPORT =================================================
+// ==================================================================
+//
+// A recorded map as a file somebody can post somewhere else.
+//
+// The window already builds nearly all of this as SVG: linework, door, window
+// and secret-door glyphs, and the symbol catalogue are drawn in a 100-unit box
+// per square and only placed by CSS grid. What is *not* SVG is everything the
+// stylesheet paints -- the paper, the ruling, the floor surfaces (CSS masks) and
+// the rock hatching (repeating gradients). Each of those is restated here as an
+// SVG equivalent, and the floor tiles are the same tiles the stylesheet masks
+// with, which test-export holds them to.
+//
+// The export is always drawn on the parchment palette, whatever theme the
+// window is in. Dark and Glass are for reading a map over the canvas; a map
+// posted to a wiki is a page, and a translucent one would come out as whatever
+// the page behind it happened to be.
+//
+// Nothing here touches Foundry. `buildMapSvg` takes the model the window already
+// renders from and returns a string, so it can be tested without a browser;
+// only rasterising and the clipboard need one.
+
+import { MAPPING_FLOOR_TYPES } from './symbols-mapping.js';
+
+/**
+ * The longest edge a map is rasterised at, in pixels. Past this some browsers
+ * refuse the canvas outright, so anything larger is drawn smaller to fit.
+ */
+const EXPORT_MAX_EDGE = 8192;
+
+/**
+ * The parchment theme, as literal colours. Mirrors the default block of
+ * tool-mapping.css, since a standalone file has no custom properties to read.
+ */
+const EXPORT_PALETTE = Object.freeze({
+    paper: '#f7ecd8',
+    ink: '#171310',
+    floorGridInk: '112, 85, 49',
+    floorGridStrength: 0.22,
+    hatch: 'rgba(23, 19, 16, 0.92)',
+    floorFill: 'rgba(23, 19, 16, 0.18)',
+    floorTintLight: 'rgba(23, 19, 16, 0.09)',
+    floorTintMedium: 'rgba(23, 19, 16, 0.19)',
+    floorTintDark: 'rgba(23, 19, 16, 0.32)'
+});
+
+/**
+ * Every patterned surface, as the tile the stylesheet masks with. Drawn in
+ * `#000` exactly as the CSS has it; the ink is substituted when the pattern is
+ * written out. Tile is the one surface the CSS draws with gradients rather than
+ * an SVG, so it is restated as the two rules those gradients produce.
+ */
+const EXPORT_FLOOR_PATTERNS = Object.freeze({
+    dirt: {
+        width: 34, height: 34,
+        markup: "<g fill='#000'><circle cx='8' cy='7' r='1.3'/><circle cx='11.6' cy='9.2' r='0.7'/><circle cx='6.4' cy='10.4' r='0.55'/><circle cx='23' cy='22' r='1.35'/><circle cx='26.4' cy='24.2' r='0.7'/><circle cx='21' cy='25.2' r='0.5'/></g>"
+    },
+    grass: {
+        width: 34, height: 34,
+        markup: "<g fill='none' stroke='#000' stroke-width='1' stroke-linecap='round'><path d='M8 24 L7 17 M8 24 L9 17 M8 24 L12 20'/><path d='M24 31 L23 24 M24 31 L25 24 M24 31 L28 27'/><path d='M17 13 L16 6 M17 13 L18 6 M17 13 L22 9'/></g>"
+    },
+    rock: {
+        width: 44, height: 44,
+        markup: "<g fill='none' stroke='#000' stroke-width='1' stroke-linecap='round' stroke-linejoin='round'><path d='M6 13 L9 7 L15 5 L20 9 L19 16 L13 19 L7 17 Z'/><path d='M28 20 L33 17 L38 20 L39 26 L34 29 L29 26 Z'/><path d='M11 31 L16 29 L20 32 L19 37 L14 38 L10 35 Z'/></g>"
+    },
+    cobblestone: {
+        width: 32, height: 32,
+        markup: "<g fill='none' stroke='#000' stroke-width='1' stroke-linecap='round'><ellipse cx='7' cy='6' rx='4.2' ry='3.1' transform='rotate(-14 7 6)'/><ellipse cx='18' cy='9' rx='3.4' ry='2.6' transform='rotate(22 18 9)'/><ellipse cx='27.5' cy='5' rx='3' ry='2.3' transform='rotate(-8 27.5 5)'/><ellipse cx='11' cy='17' rx='3.6' ry='2.5' transform='rotate(34 11 17)'/><ellipse cx='23' cy='19' rx='4' ry='2.8' transform='rotate(-24 23 19)'/><ellipse cx='5.5' cy='27' rx='3.2' ry='2.4' transform='rotate(12 5.5 27)'/><ellipse cx='17' cy='28' rx='3.8' ry='2.6' transform='rotate(-30 17 28)'/><ellipse cx='28' cy='26' rx='2.8' ry='2.2' transform='rotate(18 28 26)'/></g>"
+    },
+    brick: {
+        width: 36, height: 18,
+        markup: "<g fill='none' stroke='#000' stroke-width='0.9' stroke-linecap='round'><path d='M0 0.5 H36 M0 9.5 H36'/><path d='M0.5 0.5 V9.5 M18.5 0.5 V9.5'/><path d='M9.5 9.5 V18 M27.5 9.5 V18'/></g>"
+    },
+    wood: {
+        width: 48, height: 16,
+        markup: "<g fill='none' stroke='#000' stroke-width='0.9' stroke-linecap='round'><path d='M0 0.5 H48 M0 8.5 H48'/><path d='M13.5 0.5 V8.5 M33.5 8.5 V16'/></g>"
+    },
+    tile: {
+        width: 18, height: 18,
+        markup: "<g fill='#000'><rect x='0' y='17.2' width='18' height='0.8'/><rect x='0' y='0' width='0.8' height='18'/></g>"
+    }
+});
+
+/** The flat washes, which have no pattern at all. */
+const EXPORT_FLOOR_TINTS = Object.freeze({
+    'shade-light': 'floorTintLight',
+    'shade-medium': 'floorTintMedium',
+    'shade-dark': 'floorTintDark'
+});
+
+/**
+ * The three hatch rings: stripe width, stripe period and opacity, as the
+ * stylesheet's repeating gradients have them. The gradient's tile is the period
+ * times root two only because a 45-degree stripe has to repeat along an axis;
+ * a pattern can be rotated instead, so here it is just the period.
+ */
+const EXPORT_HATCH_RINGS = Object.freeze({
+    1: { stroke: 1.2, period: 5, opacity: 0.95 },
+    2: { stroke: 1, period: 7, opacity: 0.7 },
+    3: { stroke: 1, period: 9, opacity: 0.42 }
+});
+
+const escapeXml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * The stylesheet rules the in-cell markup depends on, with the palette
+ * substituted. The glyphs and symbols carry the same class names in the file as
+ * they do in the window, so they need the same rules to draw the same way.
+ */
+function exportStyles(palette) {
+    const ink = palette.ink;
+    const paper = palette.paper;
+    const serif = "font-family: Georgia, 'Times New Roman', serif; font-weight: 700; text-anchor: middle; dominant-baseline: middle;";
+    return [
+        `.cartographer-mapping-segment, .cartographer-mapping-window-line, .cartographer-mapping-secret-door-line { fill: none; stroke: ${ink}; stroke-width: 12; stroke-linecap: round; stroke-linejoin: round; }`,
+        `.cartographer-mapping-segment.is-sketch-echo { opacity: 0.28; stroke-width: 7; }`,
+        `.cartographer-mapping-window-slot { fill: ${paper}; stroke: ${ink}; stroke-width: 7; stroke-linejoin: round; }`,
+        `.cartographer-mapping-window-line.is-sketch-echo, .cartographer-mapping-window-slot.is-sketch-echo { fill: none; opacity: 0.25; stroke-width: 4; }`,
+        `.cartographer-mapping-door-line, .cartographer-mapping-door-box { stroke: ${ink}; stroke-linecap: round; stroke-linejoin: round; }`,
+        `.cartographer-mapping-door-line { fill: none; stroke-width: 12; }`,
+        `.cartographer-mapping-door-box { fill: ${paper}; stroke-width: 9; }`,
+        `.cartographer-mapping-door-line.is-sketch-echo, .cartographer-mapping-door-box.is-sketch-echo { fill: none; opacity: 0.25; stroke-width: 5; }`,
+        `.cartographer-mapping-door-mark .cartographer-mapping-door-line { stroke-width: 4; }`,
+        `.cartographer-mapping-door-mark .cartographer-mapping-door-line.is-sketch-echo { stroke-width: 2; }`,
+        `.cartographer-mapping-secret-door-line.is-sketch-echo { opacity: 0.25; stroke-width: 5; }`,
+        `.cartographer-mapping-secret-door-letter { fill: ${ink}; font-size: 30px; ${serif} }`,
+        `.cartographer-mapping-placeable { fill: none; stroke: ${ink}; stroke-width: 4.5; stroke-linecap: round; stroke-linejoin: round; }`,
+        `.cartographer-mapping-placeable .symbol-backing { fill: ${paper}; stroke: none; }`,
+        `.cartographer-mapping-placeable .symbol-frame { stroke-width: 3.5; }`,
+        `.cartographer-mapping-placeable .symbol-thin { stroke-width: 2.5; }`,
+        `.cartographer-mapping-placeable .symbol-heavy { stroke-width: 6; }`,
+        `.cartographer-mapping-placeable .symbol-dash { stroke-dasharray: 7 5; }`,
+        `.cartographer-mapping-placeable .symbol-fill { fill: ${ink}; }`,
+        `.cartographer-mapping-placeable .symbol-fill-soft { fill: ${paper}; }`,
+        `.cartographer-mapping-placeable .symbol-cutout { stroke: ${paper}; }`,
+        `.cartographer-mapping-placeable .symbol-text { fill: ${ink}; stroke: none; font-size: 34px; ${serif} }`,
+        `.cartographer-mapping-placeable .symbol-text.symbol-small { font-size: 18px; }`,
+        `.cartographer-mapping-placeable .symbol-text.symbol-medium { font-size: 29px; }`,
+        `.cartographer-mapping-placeable .symbol-text.symbol-large { font-size: 55px; }`
+    ].join(' ');
+}
+
+/** A square's linework, the same markup the template draws, in its 100-unit box. */
+function cellLinework(cell) {
+    const lines = (list, className) => (list ?? []).map(line =>
+        `<polyline class="${className} is-sketch-echo" points="${escapeXml(line.echoPoints)}"/>`
+        + `<polyline class="${className}" points="${escapeXml(line.points)}"/>`).join('');
+    const parts = [];
+    for (const segment of cell.segments ?? []) {
+        const className = `cartographer-mapping-segment${segment.className ? ` ${escapeXml(segment.className)}` : ''}`;
+        parts.push(lines([segment], className));
+    }
+    for (const door of cell.doorSymbols ?? []) {
+        parts.push(`<g transform="${escapeXml(door.transform)}">${lines(door.lines, 'cartographer-mapping-door-line')}`
+            + `<polygon class="cartographer-mapping-door-box is-sketch-echo" points="${escapeXml(door.echoBoxPoints)}"/>`
+            + `<polygon class="cartographer-mapping-door-box" points="${escapeXml(door.boxPoints)}"/>`
+            + (door.mark ? `<g class="cartographer-mapping-door-mark">${lines(door.mark.lines, 'cartographer-mapping-door-line')}</g>` : '')
+            + '</g>');
+    }
+    for (const window of cell.windowSymbols ?? []) {
+        parts.push(`<g transform="${escapeXml(window.transform)}">${lines(window.lines, 'cartographer-mapping-window-line')}`
+            + `<polygon class="cartographer-mapping-window-slot is-sketch-echo" points="${escapeXml(window.echoSlotPoints)}"/>`
+            + `<polygon class="cartographer-mapping-window-slot" points="${escapeXml(window.slotPoints)}"/>`
+            + '</g>');
+    }
+    for (const secret of cell.secretDoorSymbols ?? []) {
+        parts.push(`<g transform="${escapeXml(secret.transform)}">${lines(secret.lines, 'cartographer-mapping-secret-door-line')}`
+            + '<text class="cartographer-mapping-secret-door-letter" x="50" y="26">S</text></g>');
+    }
+    for (const variant of cell.variantSymbols ?? []) {
+        parts.push(`<g transform="${escapeXml(variant.transform)}">${lines(variant.lines, 'cartographer-mapping-door-line')}`
+            + (variant.boxPoints
+                ? `<polygon class="cartographer-mapping-door-box is-sketch-echo" points="${escapeXml(variant.echoBoxPoints)}"/>`
+                    + `<polygon class="cartographer-mapping-door-box" points="${escapeXml(variant.boxPoints)}"/>`
+                : '')
+            + (variant.mark ? `<g class="cartographer-mapping-door-mark">${lines(variant.mark.lines, 'cartographer-mapping-door-line')}</g>` : '')
+            + (variant.letter ? `<text class="cartographer-mapping-secret-door-letter" x="50" y="26">${escapeXml(variant.letter)}</text>` : '')
+            + '</g>');
+    }
+    return parts.join('');
+}
+
+/**
+ * The map as a standalone SVG document.
+ *
+ * Drawn in world squares rather than relative to the grid's origin, so every
+ * pattern is phased to square zero exactly as the window phases it, and the
+ * viewBox does the cropping. Painted in the window's stacking order: rock,
+ * paper, surfaces, linework, symbols.
+ *
+ * @param {Object} model - What `MappingWindow._buildMapModel` returns for a map with squares or hexes
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=36] - Pixels per square
+ * @param {number} [options.gridWeight=1] - Strength of the ruling, as the window's grid weights have it
+ * @param {string} [options.title] - Document title
+ * @param {{column: number, row: number, columns: number, rows: number}} [options.frame] - Squares the
+ *   document covers, when it must be a fixed area -- a scene background -- rather than the map's own extent
+ * @returns {{ svg: string, width: number, height: number }|null} Null when there is nothing to draw
+ */
+function buildMapSvg(model, { cellSize = 36, gridWeight = 1, title = '', frame = null } = {}) {
+    if (!model || model.empty || !model.cells?.length) return null;
+    const palette = EXPORT_PALETTE;
+    const size = cellSize;
+    const { originColumn, originRow, columnCount, rowCount } = model;
+    // A hex map's origin falls between cells, so it is kept apart from the
+    // square one; for squares the two are the same.
+    const originX = model.originX ?? originColumn;
+    const originY = model.originY ?? originRow;
+    const left = originX * size;
+    const top = originY * size;
+    const width = columnCount * size;
+    const height = rowCount * size;
+    // The surfaces' clip paths are fractions of the map's own extent, so they
+    // keep it; only the document and its paper take the frame.
+    const view = frame
+        ? { left: frame.column * size, top: frame.row * size, width: frame.columns * size, height: frame.rows * size }
+        : { left, top, width, height };
+    const gridColour = `rgba(${palette.floorGridInk}, ${Math.round(palette.floorGridStrength * gridWeight * 1000) / 1000})`;
+    // The template's grid position is one-based and relative to the origin;
+    // a hex carries its own corner instead.
+    const cellX = cell => (cell.hex ? originX + cell.hex.x : originColumn + cell.gridColumn - 1) * size;
+    const cellY = cell => (cell.hex ? originY + cell.hex.y : originRow + cell.gridRow - 1) * size;
+    const cellWidth = model.isHex ? model.hexWidth * size : size;
+    const cellHeight = model.isHex ? model.hexHeight * size : size;
+    // Linework is drawn in the cell's own viewBox, which is 100 across for a
+    // square and whatever puts a hex's sides at 100 for a hex.
+    const scale = model.isHex ? cellWidth / Number(model.hexViewBox.split(' ')[2]) : size / 100;
+    // A CSS clip, in a cell's own percentages, as points placed at a corner.
+    const placeClip = (clip, x, y) => clip.split(',').map(pair => {
+        const [across, down] = pair.trim().split(/\s+/).map(value => parseFloat(value));
+        return `${x + (across * cellWidth / 100)},${y + (down * cellHeight / 100)}`;
+    }).join(' ');
+
+    const defs = [];
+    for (const [type, pattern] of Object.entries(EXPORT_FLOOR_PATTERNS)) {
+        if (!model.floorLayers?.some(layer => layer.type === type)) continue;
+        defs.push(`<pattern id="floor-${type}" patternUnits="userSpaceOnUse" width="${pattern.width}" height="${pattern.height}">`
+            + pattern.markup.replaceAll('#000', palette.floorFill)
+            + '</pattern>');
+    }
+    const rings = new Set((model.hatchCells ?? []).map(cell => cell.ring));
+    for (const ring of rings) {
+        const hatch = EXPORT_HATCH_RINGS[ring];
+        if (!hatch) continue;
+        defs.push(`<pattern id="hatch-${ring}" patternUnits="userSpaceOnUse" width="${hatch.period}" height="${hatch.period}" patternTransform="rotate(-45)">`
+            + `<rect x="0" y="0" width="${hatch.stroke}" height="${hatch.period}" fill="${palette.hatch}"/>`
+            + '</pattern>');
+    }
+    for (const layer of model.floorLayers ?? []) {
+        defs.push(`<clipPath id="clip-${escapeXml(layer.type)}" clipPathUnits="objectBoundingBox">`
+            + (layer.rects ?? []).map(rect => `<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}"/>`).join('')
+            + (layer.polygons ?? []).map(points => `<polygon points="${escapeXml(points)}"/>`).join('')
+            + '</clipPath>');
+    }
+    for (const cell of model.cells) {
+        if (!cell.floorClip) continue;
+        // The CSS clip is in the square's own percentages; as a clipPath in
+        // user space it has to be placed, so the square's corner is added here.
+        const points = placeClip(cell.floorClip, cellX(cell), cellY(cell));
+        defs.push(`<clipPath id="paper-${escapeXml(cell.key)}"><polygon points="${points}"/></clipPath>`);
+    }
+
+    const hatch = (model.hatchCells ?? [])
+        .filter(cell => EXPORT_HATCH_RINGS[cell.ring])
+        .map(cell => {
+            const paint = `fill="url(#hatch-${cell.ring})" opacity="${EXPORT_HATCH_RINGS[cell.ring].opacity}"`;
+            if (!model.isHex) return `<rect x="${cell.patternX * size}" y="${cell.patternY * size}" width="${size}" height="${size}" ${paint}/>`;
+            return `<polygon points="${placeClip(model.hexClip, cell.patternX * size, cell.patternY * size)}" ${paint}/>`;
+        })
+        .join('');
+
+    // The ruling is the right and bottom edge of each square, as the window's
+    // inset box-shadow draws it, and a hex's whole outline.
+    const paper = model.cells.map(cell => {
+        const x = cellX(cell);
+        const y = cellY(cell);
+        if (model.isHex) {
+            return `<polygon points="${placeClip(model.hexClip, x, y)}" fill="${palette.paper}" stroke="${gridColour}" stroke-width="1"/>`;
+        }
+        const clip = cell.floorClip ? ` clip-path="url(#paper-${escapeXml(cell.key)})"` : '';
+        return `<g${clip}><rect x="${x}" y="${y}" width="${size}" height="${size}" fill="${palette.paper}"/>`
+            + `<path d="M${x + size - 0.5} ${y} V${y + size} M${x} ${y + size - 0.5} H${x + size}" stroke="${gridColour}" stroke-width="1" fill="none"/></g>`;
+    }).join('');
+
+    const surfaces = (model.floorLayers ?? []).map(layer => {
+        const fill = EXPORT_FLOOR_TINTS[layer.type]
+            ? palette[EXPORT_FLOOR_TINTS[layer.type]]
+            : (EXPORT_FLOOR_PATTERNS[layer.type] ? `url(#floor-${layer.type})` : null);
+        if (!fill) return '';
+        return `<rect x="${left}" y="${top}" width="${width}" height="${height}" fill="${fill}" clip-path="url(#clip-${escapeXml(layer.type)})"/>`;
+    }).join('');
+
+    const linework = model.cells
+        .filter(cell => cell.hasLinework)
+        .map(cell => `<g transform="translate(${cellX(cell)} ${cellY(cell)}) scale(${scale})">${cellLinework(cell)}</g>`)
+        .join('');
+
+    // A placeable sits inset by a tenth of the square on every side, and
+    // centred in a hex at the size it has in the hex's narrower direction.
+    const symbolSize = Math.min(cellWidth, cellHeight) * 0.8;
+    const symbols = model.cells
+        .filter(cell => cell.symbol?.markup)
+        .map(cell => `<g class="cartographer-mapping-placeable ${escapeXml(cell.symbol.className)}" transform="translate(${cellX(cell) + ((cellWidth - symbolSize) / 2)} ${cellY(cell) + ((cellHeight - symbolSize) / 2)}) scale(${symbolSize / 100})">`
+            + `<title>${escapeXml(cell.symbol.label)}</title>${cell.symbol.markup}</g>`)
+        .join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${view.width}" height="${view.height}" viewBox="${view.left} ${view.top} ${view.width} ${view.height}">`
+        + (title ? `<title>${escapeXml(title)}</title>` : '')
+        + `<style>${exportStyles(palette)}</style>`
+        + `<defs>${defs.join('')}</defs>`
+        + `<rect x="${view.left}" y="${view.top}" width="${view.width}" height="${view.height}" fill="${palette.paper}"/>`
+        + `<g class="hatch">${hatch}</g>`
+        + `<g class="paper">${paper}</g>`
+        + `<g class="surfaces">${surfaces}</g>`
+        + `<g class="linework">${linework}</g>`
+        + `<g class="symbols">${symbols}</g>`
+        + '</svg>';
+    return { svg, width: view.width, height: view.height };
+}
+
+/**
+ * Rasterise an exported SVG to a PNG blob.
+ *
+ * Goes through an <img> rather than drawing the window: the map in the window
+ * is clipped to its viewport, and the export is the whole map. Scaled so a
+ * large map does not ask the browser for a canvas it will refuse to allocate.
+ *
+ * @param {{ svg: string, width: number, height: number }} exported - From buildMapSvg
+ * @param {Object} [options]
+ * @param {number} [options.scale=2] - Output pixels per SVG pixel
+ * @param {number} [options.maxEdge=EXPORT_MAX_EDGE] - Longest edge allowed, in output pixels
+ * @returns {Promise<Blob>}
+ */
+async function rasteriseMapSvg({ svg, width, height }, { scale = 2, maxEdge = EXPORT_MAX_EDGE } = {}) {
+    const factor = Math.min(scale, maxEdge / Math.max(width, height));
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.decoding = 'async';
+        image.src = url;
+        await image.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * factor));
+        canvas.height = Math.max(1, Math.round(height * factor));
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return await new Promise((resolve, reject) => canvas.toBlob(
+            blob => (blob ? resolve(blob) : reject(new Error('The map could not be rasterised'))),
+            'image/png'
+        ));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Whether this browser will let a PNG be written to the clipboard. Needs a
+ * secure context: a GM on localhost has one, a player on a LAN address over
+ * plain http does not, which is why downloading is always offered beside it.
+ */
+function canCopyImage() {
+    return Boolean(globalThis.isSecureContext
+        && globalThis.navigator?.clipboard?.write
+        && typeof globalThis.ClipboardItem === 'function');
+}
+
+/** Every floor type the catalogue offers that the export has no way to draw. */
+function unexportableFloorTypes() {
+    return MAPPING_FLOOR_TYPES
+        .map(floor => floor.type)
+        .filter(type => type !== 'default' && !EXPORT_FLOOR_PATTERNS[type] && !EXPORT_FLOOR_TINTS[type]);
+}
+
+export {
+    EXPORT_FLOOR_PATTERNS,
+    EXPORT_HATCH_RINGS,
+    EXPORT_MAX_EDGE,
+    EXPORT_PALETTE,
+    buildMapSvg,
+    canCopyImage,
+    rasteriseMapSvg,
+    unexportableFloorTypes
+};
@@ -0,0 +1,257 @@
+// ==================================================================
+// ===== MAP GENERATION =============================================
+// ==================================================================
+//
+// A dungeon written straight into a map: rooms, the corridors between them, the
+// doors where one meets the other, stairs in and out, and a scattering of what
+// rooms are furnished with.
+//
+// It writes the abstract record -- explored squares, floors, boundaries and
+// symbols -- and nothing else. That is the whole point of doing it here rather
+// than as scene geometry: the result is a map like any other the moment it
+// exists, to be annotated, stamped over, built into walls or into a scene.
+//
+// Everything is drawn from one generator seeded from the seed text, in one
+// fixed order, so the same seed and settings give the same dungeon on any
+// client. That is what lets a layout be regenerated after the GM has drawn
+// over it, or handed to another GM as a few words. Nothing here may ask
+// Math.random or iterate anything whose order is not fixed, or that stops
+// being true.
+
+import { MAPPING_SYMBOL_TYPES } from './symbols-mapping.js';
+
+/** What the generation dialog starts from, and what a partial request falls back to. */
+const GENERATION_DEFAULTS = Object.freeze({
+    rooms: 8,
+    density: 0.3,
+    minSize: 3,
+    maxSize: 7
+});
+
+/** Surfaces a room may be laid with. Corridors are left bare. */
+const ROOM_FLOORS = ['default', 'default', 'default', 'tile', 'cobblestone', 'wood', 'brick'];
+
+/** What a room may be furnished with, one piece at a time. */
+const ROOM_DRESSING = ['pillar-round', 'statue-small-medium', 'well-round', 'fire-pit', 'bookcase-cupboard', 'point-of-interest', 'trap'];
+
+/** How many placements to try per room asked for before settling for fewer. */
+const PLACEMENT_ATTEMPTS = 40;
+
+/**
+ * The seed text as a 32-bit number. A string hash rather than parseInt, so a
+ * seed can be a word someone remembers.
+ */
+function hashSeed(seed) {
+    let hash = 2166136261;
+    for (const character of String(seed ?? '')) {
+        hash ^= character.codePointAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/** Mulberry32: small, fast, and the same sequence in every browser. */
+function seededRandom(seed) {
+    let state = hashSeed(seed);
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+    next.between = (low, high) => low + Math.floor(next() * (high - low + 1));
+    next.pick = list => list[Math.floor(next() * list.length)];
+    return next;
+}
+
+/** Settings as they can be trusted: numbers in range, sizes in order. */
+function normalizeGeneration(raw = {}) {
+    const whole = (value, fallback, low, high) => {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) ? Math.min(high, Math.max(low, number)) : fallback;
+    };
+    const minSize = whole(raw.minSize, GENERATION_DEFAULTS.minSize, 2, 20);
+    const density = Number(raw.density);
+    return {
+        seed: String(raw.seed ?? '').trim().slice(0, 64),
+        rooms: whole(raw.rooms, GENERATION_DEFAULTS.rooms, 1, 50),
+        density: Number.isFinite(density) ? Math.min(1, Math.max(0, density)) : GENERATION_DEFAULTS.density,
+        minSize,
+        maxSize: Math.max(minSize, whole(raw.maxSize, GENERATION_DEFAULTS.maxSize, 2, 20))
+    };
+}
+
+function roomCentre(room) {
+    return {
+        column: room.left + Math.floor(room.width / 2),
+        row: room.top + Math.floor(room.height / 2)
+    };
+}
+
+/** The lattice line between two neighbouring squares. */
+function lineBetween(from, to) {
+    if (from.row === to.row) return `v:${Math.max(from.column, to.column)}:${from.row}`;
+    return `h:${from.column}:${Math.max(from.row, to.row)}`;
+}
+
+/** Squares from one point to another, along one axis and then the other. */
+function corridorPath(from, to, horizontalFirst) {
+    const path = [{ ...from }];
+    const at = { ...from };
+    const walk = axis => {
+        const target = to[axis];
+        while (at[axis] !== target) {
+            at[axis] += Math.sign(target - at[axis]);
+            path.push({ ...at });
+        }
+    };
+    if (horizontalFirst) {
+        walk('column');
+        walk('row');
+    } else {
+        walk('row');
+        walk('column');
+    }
+    return path;
+}
+
+/**
+ * A dungeon, as the record fields it sets.
+ *
+ * Rooms are placed at random, a square of rock apart, and any that will not
+ * fit are dropped rather than forced. Every room is joined to the nearest room
+ * already joined, so the whole is always connected; density then adds that
+ * share again as extra corridors, which is what turns a tree into something
+ * with loops, and is also how likely a room is to be furnished.
+ *
+ * Walls stand wherever floor meets rock. Where a corridor steps into a room
+ * there is a door -- now and then a locked or secret one -- and where a
+ * corridor only runs past a room there is wall between them. The first room
+ * has the way in, the room farthest from it the way down.
+ *
+ * @param {Object} settings - Seed, rooms, density, minSize and maxSize; see normalizeGeneration
+ * @param {{columns: number, rows: number}} area - The squares to build in, from 0,0
+ * @returns {{ explored: string[], floors: Object, boundaries: Object, symbols: Object[], rooms: number }}
+ */
+function generateDungeon(settings, { columns, rows }) {
+    const { seed, rooms: wanted, density, minSize, maxSize } = normalizeGeneration(settings);
+    const random = seededRandom(seed);
+
+    const rooms = [];
+    const clear = candidate => rooms.every(room => candidate.left > room.left + room.width
+        || room.left > candidate.left + candidate.width
+        || candidate.top > room.top + room.height
+        || room.top > candidate.top + candidate.height);
+    for (let attempt = 0; attempt < wanted * PLACEMENT_ATTEMPTS && rooms.length < wanted; attempt++) {
+        const width = random.between(minSize, maxSize);
+        const height = random.between(minSize, maxSize);
+        // A square of rock inside the area's own edge, so the outer walls stand
+        // on the map rather than off it.
+        if (width + 2 > columns || height + 2 > rows) continue;
+        const candidate = { left: random.between(1, columns - width - 1), top: random.between(1, rows - height - 1), width, height };
+        if (clear(candidate)) rooms.push(candidate);
+    }
+    if (!rooms.length) return { explored: [], floors: {}, boundaries: {}, symbols: [], rooms: 0 };
+
+    const roomAt = new Map();
+    const floors = {};
+    rooms.forEach((room, index) => {
+        const floor = random.pick(ROOM_FLOORS);
+        for (let row = room.top; row < room.top + room.height; row++) {
+            for (let column = room.left; column < room.left + room.width; column++) {
+                roomAt.set(`${column},${row}`, index);
+                if (floor !== 'default') floors[`${column},${row}`] = floor;
+            }
+        }
+    });
+
+    // Joined nearest-first from the first room, then the extra corridors.
+    const distance = (left, right) => {
+        const a = roomCentre(left);
+        const b = roomCentre(right);
+        return Math.abs(a.column - b.column) + Math.abs(a.row - b.row);
+    };
+    const links = [];
+    const joined = [0];
+    while (joined.length < rooms.length) {
+        let best = null;
+        for (let index = 0; index < rooms.length; index++) {
+            if (joined.includes(index)) continue;
+            for (const other of joined) {
+                const length = distance(rooms[index], rooms[other]);
+                if (!best || length < best.length) best = { from: other, to: index, length };
+            }
+        }
+        links.push([best.from, best.to]);
+        joined.push(best.to);
+    }
+    const extra = Math.round(rooms.length * density);
+    for (let count = 0; count < extra && rooms.length > 2; count++) {
+        const from = random.between(0, rooms.length - 1);
+        const to = random.between(0, rooms.length - 1);
+        if (from !== to) links.push([from, to]);
+    }
+
+    const corridor = new Set();
+    const doors = new Map();
+    for (const [from, to] of links) {
+        const path = corridorPath(roomCentre(rooms[from]), roomCentre(rooms[to]), random() < 0.5);
+        for (let step = 0; step < path.length; step++) {
+            const key = `${path[step].column},${path[step].row}`;
+            if (!roomAt.has(key)) corridor.add(key);
+            if (!step) continue;
+            const previous = path[step - 1];
+            const wasRoom = roomAt.has(`${previous.column},${previous.row}`);
+            if (wasRoom !== roomAt.has(key)) {
+                const line = lineBetween(previous, path[step]);
+                if (!doors.has(line)) {
+                    const roll = random();
+                    doors.set(line, roll < 0.08 ? 'secret-door' : (roll < 0.2 ? 'locked-door' : 'door'));
+                }
+            }
+        }
+    }
+
+    const explored = [...roomAt.keys(), ...corridor];
+    const isFloor = key => roomAt.has(key) || corridor.has(key);
+    const boundaries = {};
+    for (const key of explored) {
+        const [column, row] = key.split(',').map(Number);
+        for (const [dc, dr] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+            const neighbour = `${column + dc},${row + dr}`;
+            const line = lineBetween({ column, row }, { column: column + dc, row: row + dr });
+            if (!isFloor(neighbour)) boundaries[line] = 'wall';
+            else if (roomAt.has(key) !== roomAt.has(neighbour)) boundaries[line] = doors.get(line) ?? 'wall';
+        }
+    }
+
+    const symbols = [];
+    const place = (type, { column, row }) => {
+        if (!MAPPING_SYMBOL_TYPES.has(type)) return;
+        if (symbols.some(symbol => symbol.column === column && symbol.row === row)) return;
+        symbols.push({ type, column, row, text: '' });
+    };
+    const entrance = roomCentre(rooms[0]);
+    place('stairs-up', entrance);
+    if (rooms.length > 1) {
+        const deepest = rooms.slice(1).reduce((far, room) => (distance(room, rooms[0]) > distance(far, rooms[0]) ? room : far));
+        place('stairs-down', roomCentre(deepest));
+    }
+    for (const room of rooms) {
+        if (random() >= density) continue;
+        place(random.pick(ROOM_DRESSING), {
+            column: room.left + random.between(0, room.width - 1),
+            row: room.top + random.between(0, room.height - 1)
+        });
+    }
+
+    return { explored, floors, boundaries, symbols, rooms: rooms.length };
+}
+
+export {
+    GENERATION_DEFAULTS,
+    generateDungeon,
+    normalizeGeneration,
+    seededRandom
+};
@@ -0,0 +1,303 @@
+// ==================================================================
+// ===== HEX GRIDS ==================================================
+// ==================================================================
+//
+// The geometry of Foundry's four hex grids, for everything that used to assume
+// a square: which cells neighbour which, which lie within reach, the line a
+// token walks, and where a cell sits and what shape it is.
+//
+// A hex map keeps its record exactly as a square one does. Cells are keyed
+// "column,row" in Foundry's own offset coordinates -- what canvas.grid.getOffset
+// hands back -- so explored cells, floors, sides and symbols need nothing new.
+// What changes is what a neighbour is, and that a cell has six sides rather
+// than four. Sides are named by compass: a row grid's hexes point up and have
+// an east and a west side; a column grid's are flat on top and have a north and
+// a south.
+//
+// Distances are in grid units, one unit being the step between the centres of
+// two neighbouring hexes, which is Foundry's grid size. A row grid's hex is one
+// unit wide and 2/√3 tall, a column grid's the other way round. The arithmetic
+// is done in axial coordinates after Red Blob Games' "Hexagonal Grids", which is
+// also what Foundry's HexagonalGrid follows, so the two agree on which cell is
+// which without either asking the other.
+//
+// Pure: nothing here touches Foundry beyond reading CONST for the grid types.
+
+/** Foundry's four hex grids, as a record names them. */
+const HEX_LAYOUTS = Object.freeze({
+    hexoddr: Object.freeze({ columns: false, even: false }),
+    hexevenr: Object.freeze({ columns: false, even: true }),
+    hexoddq: Object.freeze({ columns: true, even: false }),
+    hexevenq: Object.freeze({ columns: true, even: true })
+});
+
+/** Every grid a map can be recorded on. */
+const MAP_GRID_TYPES = Object.freeze(['square', ...Object.keys(HEX_LAYOUTS)]);
+
+/** CONST.GRID_TYPES as v13 has it, for when CONST is not there to ask. */
+const FOUNDRY_GRID_TYPES = Object.freeze({ GRIDLESS: 0, SQUARE: 1, HEXODDR: 2, HEXEVENR: 3, HEXODDQ: 4, HEXEVENQ: 5 });
+
+/**
+ * The steps to a cell's six neighbours, in axial coordinates, in the order its
+ * sides run clockwise from its first corner. Both orientations share them;
+ * only what each side is called differs.
+ */
+const AXIAL_STEPS = [[1, 0], [0, 1], [-1, 1], [-1, 0], [0, -1], [1, -1]];
+const SIDE_NAMES = Object.freeze({
+    rows: Object.freeze(['east', 'southeast', 'southwest', 'west', 'northwest', 'northeast']),
+    columns: Object.freeze(['southeast', 'south', 'southwest', 'northwest', 'north', 'northeast'])
+});
+/** Every side a hex can have, whichever way up it is. */
+const HEX_DIRECTIONS = Object.freeze([...new Set([...SIDE_NAMES.rows, ...SIDE_NAMES.columns])]);
+
+const SQRT3 = Math.sqrt(3);
+/** Centre to corner, where centre to centre is one. */
+const CIRCUMRADIUS = 1 / SQRT3;
+
+/**
+ * The grid a scene would be mapped on: 'square', one of the hex layouts, or
+ * null for a gridless scene, which has no cells to map.
+ */
+function gridTypeOf(scene) {
+    const types = globalThis.CONST?.GRID_TYPES ?? FOUNDRY_GRID_TYPES;
+    const type = Number(scene?.grid?.type);
+    const squares = [types.SQUARE, types.SQUARE_DIAGONAL_1, types.SQUARE_DIAGONAL_2].filter(value => value !== undefined);
+    if (squares.includes(type)) return 'square';
+    return {
+        [types.HEXODDR]: 'hexoddr',
+        [types.HEXEVENR]: 'hexevenr',
+        [types.HEXODDQ]: 'hexoddq',
+        [types.HEXEVENQ]: 'hexevenq'
+    }[type] ?? null;
+}
+
+function isHexGrid(gridType) {
+    return Object.hasOwn(HEX_LAYOUTS, gridType ?? '');
+}
+
+/** A stored grid type as it can be trusted. Records written before hexes are square. */
+function normalizeGridType(gridType) {
+    return MAP_GRID_TYPES.includes(gridType) ? gridType : 'square';
+}
+
+function layoutOf(gridType) {
+    return HEX_LAYOUTS[gridType] ?? HEX_LAYOUTS.hexoddr;
+}
+
+/** The names of a hex's sides, in the order AXIAL_STEPS walks them. */
+function hexSideNames(gridType) {
+    return layoutOf(gridType).columns ? SIDE_NAMES.columns : SIDE_NAMES.rows;
+}
+
+/** A hex's width and height, in grid units. */
+function hexSize(gridType) {
+    return layoutOf(gridType).columns
+        ? { width: 2 * CIRCUMRADIUS, height: 1 }
+        : { width: 1, height: 2 * CIRCUMRADIUS };
+}
+
+function toAxial(gridType, { column, row }) {
+    const { columns, even } = layoutOf(gridType);
+    const parity = even ? 1 : -1;
+    if (columns) return { q: column, r: row - ((column + (parity * (column & 1))) / 2) };
+    return { q: column - ((row + (parity * (row & 1))) / 2), r: row };
+}
+
+function fromAxial(gridType, { q, r }) {
+    const { columns, even } = layoutOf(gridType);
+    const parity = even ? 1 : -1;
+    if (columns) return { column: q, row: r + ((q + (parity * (q & 1))) / 2) };
+    return { column: q + ((r + (parity * (r & 1))) / 2), row: r };
+}
+
+/** Where the hex at offset 0,0 has its centre; every layout puts axial 0,0 there. */
+function originCentre(gridType) {
+    const { columns, even } = layoutOf(gridType);
+    return columns
+        ? { x: CIRCUMRADIUS, y: even ? 1 : 0.5 }
+        : { x: even ? 1 : 0.5, y: CIRCUMRADIUS };
+}
+
+/** A cell's centre, in grid units from the grid's top-left corner. */
+function hexCentre(gridType, cell) {
+    const { q, r } = toAxial(gridType, cell);
+    const origin = originCentre(gridType);
+    return layoutOf(gridType).columns
+        ? { x: origin.x + (q * SQRT3 / 2), y: origin.y + r + (q / 2) }
+        : { x: origin.x + q + (r / 2), y: origin.y + (r * SQRT3 / 2) };
+}
+
+/** The box a cell's hex fills, in grid units. */
+function hexBox(gridType, cell) {
+    const centre = hexCentre(gridType, cell);
+    const { width, height } = hexSize(gridType);
+    return { left: centre.x - (width / 2), top: centre.y - (height / 2), width, height };
+}
+
+/**
+ * A cell's six corners, clockwise, in grid units. Side i runs from corner i to
+ * corner i + 1, and is named hexSideNames(gridType)[i].
+ */
+function hexCorners(gridType, cell) {
+    const centre = hexCentre(gridType, cell);
+    const start = layoutOf(gridType).columns ? 0 : -30;
+    return Array.from({ length: 6 }, (unused, index) => {
+        const angle = (start + (index * 60)) * (Math.PI / 180);
+        return { x: centre.x + (CIRCUMRADIUS * Math.cos(angle)), y: centre.y + (CIRCUMRADIUS * Math.sin(angle)) };
+    });
+}
+
+/** The two corners of one side of a cell, in the clockwise order they come round. */
+function hexSide(gridType, cell, direction) {
+    const index = hexSideNames(gridType).indexOf(direction);
+    if (index < 0) return null;
+    const corners = hexCorners(gridType, cell);
+    return [corners[index], corners[(index + 1) % 6]];
+}
+
+function roundAxial(q, r) {
+    const s = -q - r;
+    let roundQ = Math.round(q);
+    let roundR = Math.round(r);
+    const roundS = Math.round(s);
+    const offQ = Math.abs(roundQ - q);
+    const offR = Math.abs(roundR - r);
+    const offS = Math.abs(roundS - s);
+    if (offQ > offR && offQ > offS) roundQ = -roundR - roundS;
+    else if (offR > offS) roundR = -roundQ - roundS;
+    return { q: roundQ, r: roundR };
+}
+
+/** The cell a point in grid units falls in. */
+function hexAt(gridType, point) {
+    const origin = originCentre(gridType);
+    const x = point.x - origin.x;
+    const y = point.y - origin.y;
+    if (layoutOf(gridType).columns) {
+        const q = x / (SQRT3 / 2);
+        return fromAxial(gridType, roundAxial(q, y - (q / 2)));
+    }
+    const r = y / (SQRT3 / 2);
+    return fromAxial(gridType, roundAxial(x - (r / 2), r));
+}
+
+/** A cell's six neighbours, each with the side of the cell it lies across. */
+function hexNeighbours(gridType, cell) {
+    const { q, r } = toAxial(gridType, cell);
+    const names = hexSideNames(gridType);
+    return AXIAL_STEPS.map(([stepQ, stepR], index) => ({
+        ...fromAxial(gridType, { q: q + stepQ, r: r + stepR }),
+        direction: names[index]
+    }));
+}
+
+/** Which side of one cell another lies across, or null when they do not touch. */
+function hexDirectionBetween(gridType, from, to) {
+    return hexNeighbours(gridType, from)
+        .find(neighbour => neighbour.column === to.column && neighbour.row === to.row)?.direction ?? null;
+}
+
+/**
+ * One side, named the way the atlas writes it down: from whichever of its two
+ * cells has it among its first three sides. Like a square's north and west,
+ * this is what gives a side one name rather than two.
+ */
+function canonicalHexSide(gridType, cell, direction) {
+    const names = hexSideNames(gridType);
+    const index = names.indexOf(direction);
+    if (index < 0) return null;
+    if (index < 3) return { column: cell.column, row: cell.row, direction };
+    const neighbour = hexNeighbours(gridType, cell)[index];
+    return { column: neighbour.column, row: neighbour.row, direction: names[index - 3] };
+}
+
+function hexDistance(gridType, from, to) {
+    const a = toAxial(gridType, from);
+    const b = toAxial(gridType, to);
+    return (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs((a.q + a.r) - (b.q + b.r))) / 2;
+}
+
+/** Every cell within a number of steps of one, itself included. */
+function hexesWithin(gridType, cell, radius) {
+    const { q, r } = toAxial(gridType, cell);
+    const cells = [];
+    for (let stepQ = -radius; stepQ <= radius; stepQ++) {
+        const low = Math.max(-radius, -stepQ - radius);
+        const high = Math.min(radius, -stepQ + radius);
+        for (let stepR = low; stepR <= high; stepR++) {
+            cells.push(fromAxial(gridType, { q: q + stepQ, r: r + stepR }));
+        }
+    }
+    return cells;
+}
+
+/**
+ * Every cell crossed by a straight token move, as gridTravelPath gives for
+ * squares. Nudged off true a hair so a line running exactly along a side
+ * settles on one of its cells every time rather than flickering between them.
+ */
+function hexTravelPath(gridType, start, end) {
+    const from = toAxial(gridType, start);
+    const to = toAxial(gridType, end);
+    const steps = hexDistance(gridType, start, end);
+    if (!steps) return [{ column: start.column, row: start.row }];
+    const path = [];
+    for (let index = 0; index <= steps; index++) {
+        const t = index / steps;
+        const q = from.q + 1e-6 + ((to.q - from.q) * t);
+        const r = from.r + 1e-6 + ((to.r - from.r) * t);
+        const cell = fromAxial(gridType, roundAxial(q, r));
+        const previous = path.at(-1);
+        if (previous && previous.column === cell.column && previous.row === cell.row) continue;
+        path.push(cell);
+    }
+    return path;
+}
+
+/**
+ * How many columns and rows of hexes cover an area given in grid units. Rows
+ * of a row grid, and columns of a column grid, interlock, so they come three
+ * quarters of a hex apart rather than a whole one.
+ */
+function hexGridExtent(gridType, width, height) {
+    const interlocked = SQRT3 / 2;
+    return layoutOf(gridType).columns
+        ? { columns: Math.max(1, Math.ceil(width / interlocked)), rows: Math.max(1, Math.ceil(height)) }
+        : { columns: Math.max(1, Math.ceil(width)), rows: Math.max(1, Math.ceil(height / interlocked)) };
+}
+
+/**
+ * How much room a block of hexes from 0,0 takes up, in grid units:
+ * hexGridExtent the other way round. Alternate rows, or columns, stand out half
+ * a hex, and which alternate ones those are is not worth asking.
+ */
+function hexGridSize(gridType, columns, rows) {
+    const { width, height } = hexSize(gridType);
+    const interlocked = SQRT3 / 2;
+    return layoutOf(gridType).columns
+        ? { width: ((columns - 1) * interlocked) + width, height: rows + 0.5 }
+        : { width: columns + 0.5, height: ((rows - 1) * interlocked) + height };
+}
+
+export {
+    HEX_DIRECTIONS,
+    MAP_GRID_TYPES,
+    canonicalHexSide,
+    gridTypeOf,
+    hexAt,
+    hexBox,
+    hexCentre,
+    hexCorners,
+    hexDirectionBetween,
+    hexDistance,
+    hexGridExtent,
+    hexGridSize,
+    hexNeighbours,
+    hexSide,
+    hexSideNames,
+    hexSize,
+    hexTravelPath,
+    hexesWithin,
+    isHexGrid,
+    normalizeGridType
+};
@@ -0,0 +1,86 @@
+// ==================================================================
+// ===== MAP ITEMS ==================================================
+// ==================================================================
+//
+// An artifact carried on an Item: whoever holds the Item has the map.
+//
+// The Item says which map it carries in a flag of its own, and nothing on the
+// map says which Items carry it. That is deliberate. Moving an Item between
+// Actors makes a new Item and throws the old one away, and looting, trading and
+// handing one to an NPC are all that same move -- a flag travels with every
+// copy without anybody having to tell the map. So who holds a map is always
+// asked of the Items, never remembered.
+//
+// An Item lying in the sidebar is held by nobody, which is what keeps a map in
+// a GM-only folder unseen: only an Item in some Actor's inventory grants it.
+//
+// Asking the Items is a walk over every Item in the world, and it is asked for
+// every map each time anybody's list is drawn or a page's readers are worked
+// out. So the answers are indexed by map id, and the index is thrown away
+// whenever an Item or an Actor comes or goes or an Item changes, to be built
+// again the next time it is asked.
+
+import { MODULE } from './const.js';
+
+/** On an Item: the id of the map it carries. */
+const ITEM_FLAG = 'mapId';
+
+/** The id of the map an Item carries, or null. */
+function itemMapId(item) {
+    const id = item?.getFlag?.(MODULE.ID, ITEM_FLAG);
+    return typeof id === 'string' && id ? id : null;
+}
+
+/** Map id -> the Items carrying it, or null until next asked. */
+let itemIndex = null;
+
+/** Index every Item in the world carrying a map: loose in the sidebar and in every inventory. */
+function indexMapItems() {
+    const index = new Map();
+    const add = item => {
+        const mapId = itemMapId(item);
+        if (!mapId) return;
+        if (!index.has(mapId)) index.set(mapId, []);
+        index.get(mapId).push(item);
+    };
+    for (const item of game.items ?? []) add(item);
+    for (const actor of game.actors ?? []) {
+        for (const item of actor.items ?? []) add(item);
+    }
+    return index;
+}
+
+/** Forget which Items carry which maps, for the next question to work out again. */
+function resetMapItems() {
+    itemIndex = null;
+}
+
+/** Every Item in the world carrying one map. */
+function mapItems(mapId) {
+    if (!mapId) return [];
+    itemIndex ??= indexMapItems();
+    return itemIndex.get(mapId) ?? [];
+}
+
+/** The Actors with an Item carrying a map in their inventory, each once. */
+function mapHolders(mapId) {
+    const holders = new Map();
+    for (const item of mapItems(mapId)) {
+        const actor = item.parent;
+        if (actor?.documentName === 'Actor') holders.set(actor.id, actor);
+    }
+    return [...holders.values()];
+}
+
+/** The flags that make an Item carry a map, for creating one or updating it. */
+function mapItemFlags(mapId) {
+    return { [MODULE.ID]: { [ITEM_FLAG]: mapId } };
+}
+
+export {
+    itemMapId,
+    mapHolders,
+    mapItemFlags,
+    mapItems,
+    resetMapItems
+};
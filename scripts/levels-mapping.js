@@ -0,0 +1,135 @@
+// ==================================================================
+// ===== MAP LEVELS =================================================
+// ==================================================================
+//
+// Maps joined up into dungeons: a stair, ladder, trap door or teleport on one
+// map linked to a square on another map, or to another part of the same one.
+//
+// A link lives on the symbol it leaves from and names where it arrives -- a
+// map id and a square. Nothing is written on the map it arrives at, so linking
+// asks no more than marking up the map it leaves from, and a map that is
+// thrown away leaves links that lead nowhere rather than a second map to tidy.
+//
+// How high a map sits is never stored either. It is worked out from the
+// symbols, each of which says which way it goes -- see MAPPING_LINK_SYMBOLS --
+// so a stair redrawn as a ladder down moves the level with it.
+
+import { isBandId } from './elevation-mapping.js';
+import { MAPPING_LINK_SYMBOLS } from './symbols-mapping.js';
+
+/** Whether a kind of symbol can lead anywhere. */
+function isLinkSymbol(type) {
+    return Object.hasOwn(MAPPING_LINK_SYMBOLS, type);
+}
+
+/**
+ * A stored link, checked, or null. A link into a scene stacked into floors
+ * names the floor it arrives on as well; one that does not arrives on the
+ * ground.
+ */
+function normalizeLink(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const mapId = typeof raw.mapId === 'string' && raw.mapId ? raw.mapId : null;
+    const column = Number(raw.column);
+    const row = Number(raw.row);
+    if (!mapId || !Number.isInteger(column) || !Number.isInteger(row)) return null;
+    return raw.band && isBandId(raw.band) ? { mapId, column, row, band: raw.band } : { mapId, column, row };
+}
+
+/** Every link leaving one map, read off its symbols, with the levels each climbs. */
+function mapLinks(symbols) {
+    const links = [];
+    for (const symbol of Array.isArray(symbols) ? symbols : []) {
+        if (!isLinkSymbol(symbol?.type)) continue;
+        const to = normalizeLink(symbol.link);
+        if (!to) continue;
+        links.push({ type: symbol.type, column: symbol.column, row: symbol.row, to, step: MAPPING_LINK_SYMBOLS[symbol.type] });
+    }
+    return links;
+}
+
+/**
+ * The maps gathered into dungeons: each set of maps joined by links, with a
+ * level for every map in it, highest first.
+ *
+ * Links join maps whichever way they point, so a stair drawn only on the
+ * upper map still puts the lower one in the same dungeon, a level down.
+ * Levels count from the map with the most links, as nought -- the hub the
+ * party keeps coming back through, which is nearly always the way in. Where
+ * two routes disagree, a stair up and then a ladder down arriving two floors
+ * below, the shorter route wins: a dungeon drawn by hand is allowed to be
+ * impossible, and the atlas is not the place to argue with it.
+ *
+ * A map joined to nothing is not a dungeon of one. It is listed apart, so the
+ * atlas is about how places connect rather than a second copy of the list.
+ *
+ * @param {Array<{id: string, links: Array}>} maps - In the order ties go to
+ * @returns {{dungeons: Array<{root: string, maps: Array<{id: string, level: number, joins: Array<{id: string, step: number}>}>}>, unlinked: string[]}}
+ */
+function levelGroups(maps) {
+    const neighbours = new Map(maps.map(map => [map.id, []]));
+    const join = (from, to, step) => {
+        if (!neighbours.get(from).some(entry => entry.id === to)) neighbours.get(from).push({ id: to, step });
+    };
+    for (const map of maps) {
+        for (const link of map.links ?? []) {
+            // Within one map is a way between two parts of it, not between maps.
+            if (link.to.mapId === map.id || !neighbours.has(link.to.mapId)) continue;
+            join(map.id, link.to.mapId, link.step);
+            join(link.to.mapId, map.id, -link.step);
+        }
+    }
+
+    const order = new Map(maps.map((map, index) => [map.id, index]));
+    const seen = new Set();
+    const dungeons = [];
+    const unlinked = [];
+    for (const map of maps) {
+        if (seen.has(map.id)) continue;
+        const members = [];
+        const queue = [map.id];
+        seen.add(map.id);
+        while (queue.length) {
+            const id = queue.shift();
+            members.push(id);
+            for (const next of neighbours.get(id)) {
+                if (seen.has(next.id)) continue;
+                seen.add(next.id);
+                queue.push(next.id);
+            }
+        }
+        if (members.length === 1) {
+            unlinked.push(map.id);
+            continue;
+        }
+        const root = members.reduce((best, id) => {
+            const more = neighbours.get(id).length - neighbours.get(best).length;
+            return more > 0 || (more === 0 && order.get(id) < order.get(best)) ? id : best;
+        });
+        // Breadth first, so each map's level is taken along the fewest links.
+        const levels = new Map([[root, 0]]);
+        const pending = [root];
+        while (pending.length) {
+            const id = pending.shift();
+            for (const next of neighbours.get(id)) {
+                if (levels.has(next.id)) continue;
+                levels.set(next.id, levels.get(id) + next.step);
+                pending.push(next.id);
+            }
+        }
+        dungeons.push({
+            root,
+            maps: members
+                .map(id => ({ id, level: levels.get(id), joins: neighbours.get(id) }))
+                .sort((left, right) => right.level - left.level || order.get(left.id) - order.get(right.id))
+        });
+    }
+    return { dungeons, unlinked };
+}
+
+export {
+    isLinkSymbol,
+    levelGroups,
+    mapLinks,
+    normalizeLink
+};
@@ -28,6 +28,25 @@ class DrawingTool {
     static strMediumSymbolSize = 80;  // px square
     static strLargeSymbolSize = 140;    // px square
     
+    // Text label constants - font sizes to match the symbol sizes
+    static strSmallTextSize = 24;     // px font
+    static strMediumTextSize = 40;    // px font
+    static strLargeTextSize = 64;     // px font
+    static strTextMaxLength = 60;     // characters
+    
+    // Route constant - size of the distance labels along a route
+    static strRouteLabelSize = 22;    // px font
+    
+    // Live stroke constant - how often an in-progress stroke is sent to other clients
+    static strStrokeInterval = 50;    // ms between batches
+    
+    // Select mode constants - sizes on screen, whatever the zoom
+    static strHandleSize = 10;        // px square
+    static strHitTolerance = 8;       // px beyond a drawing's line that still picks it
+    
+    // What an edit may change on a drawing; anything else in an edit is ignored
+    static strEditableKeys = ['startX', 'startY', 'points', 'width', 'height', 'x', 'y', 'symbolScale', 'strokeWidth', 'strokeColor'];
+    
     constructor() {
         this.name = 'drawing';
         this.displayName = 'Drawing Tool';
@@ -38,9 +57,9 @@ class DrawingTool {
         // Drawing state
         this.state = {
             active: false,
-            drawingMode: 'sketch', // 'sketch' (freehand), 'line' (straight segment), 'box', 'ellipse', 'stamp'
+            drawingMode: 'sketch', // 'sketch' (freehand), 'line' (straight segment), 'box', 'ellipse', 'stamp', 'text', 'route' (measured path), 'select'
             stampStyle: 'plus', // 'plus', 'x', 'dot', 'arrow', 'arrow-up', 'arrow-down', 'arrow-left', 'square' - used when mode is stamp
-            symbolSize: 'medium', // 'small', 'medium', 'large' - controls square bounding box size
+            symbolSize: 'medium', // 'small', 'medium', 'large' - controls square bounding box size, and text size
             lineStyle: 'solid', // 'solid', 'dotted', 'dashed'
             brushSettings: {
                 size: 6, // Default to medium (6px)
@@ -55,6 +74,7 @@ class DrawingTool {
             boxStartPoint: null, // For box mode: upper left corner
             ellipseStartPoint: null, // For ellipse mode: upper left of bounding box
             lineStartPoint: null, // For line tool: start of straight segment
+            routePoints: [], // For route tool: waypoints placed so far, snapped to grid centres
             lastMousePosition: null // Last mouse position (for box/ellipse/line finishing)
         };
         
@@ -76,6 +96,18 @@ class DrawingTool {
         
         // Key-based activation
         this._keyDown = false;
+        
+        // Stroke being streamed to other clients while it is drawn
+        this._stroke = null;
+        
+        // Other users' strokes in progress, by user ID
+        this._remoteStrokes = new Map();
+        
+        // Drawing picked out in select mode: { id, graphics (its handles), drag }
+        this._selection = null;
+        
+        // Keeps asked of the GM and not yet answered: drawing ID -> pin label
+        this._pendingKeeps = new Map();
     }
     
     /**
@@ -100,7 +132,7 @@ class DrawingTool {
             // Legacy: 'line' was freehand – treat as sketch
             this.state.drawingMode = 'sketch';
             game.settings.set(MODULE.ID, 'toolbar.drawingMode', 'sketch');
-        } else if (['sketch', 'line', 'box', 'ellipse', 'stamp'].includes(savedDrawingMode)) {
+        } else if (['sketch', 'line', 'box', 'ellipse', 'stamp', 'text', 'route', 'select'].includes(savedDrawingMode)) {
             this.state.drawingMode = savedDrawingMode;
         } else if (symbolTypes.includes(savedDrawingMode)) {
             this.state.drawingMode = 'stamp';
@@ -174,7 +206,13 @@ class DrawingTool {
         // Socket manager will handle initialization timing - can register before or after init
         socketManager.registerToolHandlers('drawing', {
             'created': (data) => this.handleRemoteDrawingCreation(data),
-            'deleted': (data) => this.handleRemoteDrawingDeletion(data)
+            'deleted': (data) => this.handleRemoteDrawingDeletion(data),
+            'sync-request': (data) => this.handleSyncRequest(data),
+            'sync-state': (data) => this.handleSyncState(data),
+            'stroke': (data) => this.handleRemoteStroke(data),
+            'edited': (data) => this.handleRemoteDrawingEdit(data),
+            'keep-request': (data) => this.handleKeepRequest(data),
+            'keep-result': (data) => this.handleKeepResult(data)
         });
         
         // If timed erase was enabled, start cleanup interval
@@ -182,6 +220,12 @@ class DrawingTool {
             this.scheduleCleanup();
         }
         
+        // Drawings only exist in memory on each client, so a reload or a late
+        // join starts blank - ask whoever is already connected for the current set
+        void this.requestDrawingSync().catch(error => {
+            console.error(`${MODULE.NAME}: Failed to request drawing sync`, error);
+        });
+        
         console.log(`✅ ${MODULE.NAME}: ${this.displayName} initialized`);
     }
     
@@ -226,18 +270,31 @@ class DrawingTool {
             return;
         }
         
-        // Register scene change cleanup hook
-        const sceneChangeHookId = BlacksmithHookManager.registerHook({
-            name: 'updateScene',
-            description: 'Cartographer: Clear temporary drawings on scene change',
+        // Drawings belong to the scene they were drawn on. Leaving a scene puts
+        // its drawings away rather than wiping them, and coming back brings
+        // them out again - a GM flipping between the overland and the dungeon
+        // mid-plan keeps both plans
+        const sceneLeaveHookId = BlacksmithHookManager.registerHook({
+            name: 'canvasTearDown',
+            description: 'Cartographer: Put away temporary drawings when the scene is left',
+            context: `${MODULE.ID}.drawing`,
+            priority: 10,
+            callback: () => {
+                this.parkSceneDrawings();
+            }
+        });
+        this.hookIds.push(sceneLeaveHookId);
+        
+        const sceneReturnHookId = BlacksmithHookManager.registerHook({
+            name: 'canvasReady',
+            description: 'Cartographer: Restore temporary drawings when a scene is shown',
             context: `${MODULE.ID}.drawing`,
             priority: 10,
             callback: () => {
-                // Only clear and broadcast when we actually have drawings
-                if (this._pixiDrawings?.length) this.clearAllDrawings();
+                this.restoreSceneDrawings();
             }
         });
-        this.hookIds.push(sceneChangeHookId);
+        this.hookIds.push(sceneReturnHookId);
         
         // Register player disconnect cleanup hook
         const disconnectHookId = BlacksmithHookManager.registerHook({
@@ -251,6 +308,31 @@ class DrawingTool {
         });
         this.hookIds.push(disconnectHookId);
         
+        // A stroke in progress goes with the user who was drawing it
+        const connectionHookId = BlacksmithHookManager.registerHook({
+            name: 'userConnected',
+            description: 'Cartographer: Drop a live stroke when its author disconnects',
+            context: `${MODULE.ID}.drawing`,
+            priority: 10,
+            callback: (user, connected) => {
+                if (!connected) this._dropRemoteStroke(user.id);
+            }
+        });
+        this.hookIds.push(connectionHookId);
+        
+        // Kept drawings are ordinary Drawing documents; repaint them with our own
+        // shadow, line style and stamp shapes, which Foundry cannot draw itself
+        const keptDrawingHookId = BlacksmithHookManager.registerHook({
+            name: 'refreshDrawing',
+            description: 'Cartographer: Restyle drawings kept from temporary sketches',
+            context: `${MODULE.ID}.drawing`,
+            priority: 10,
+            callback: (drawing) => {
+                this.restyleKeptDrawing(drawing);
+            }
+        });
+        this.hookIds.push(keptDrawingHookId);
+        
         console.log(`${MODULE.NAME}: Hooks registered for drawing tool`);
     }
     
@@ -264,13 +346,16 @@ class DrawingTool {
             
             const self = this;
             
-            // Register Drawing Mode buttons (Sketch, Line, Box, Ellipse, Stamp)
+            // Register Drawing Mode buttons (Sketch, Line, Box, Ellipse, Stamp, Text, Route, Select)
             self._modeButtons = {
                 sketch: `${MODULE.ID}-mode-sketch`,
                 line: `${MODULE.ID}-mode-line`,
                 box: `${MODULE.ID}-mode-box`,
                 ellipse: `${MODULE.ID}-mode-ellipse`,
-                stamp: `${MODULE.ID}-mode-stamp`
+                stamp: `${MODULE.ID}-mode-stamp`,
+                text: `${MODULE.ID}-mode-text`,
+                route: `${MODULE.ID}-mode-route`,
+                select: `${MODULE.ID}-mode-select`
             };
             
             cartographerToolbar.registerTool(self._modeButtons.sketch, {
@@ -339,6 +424,45 @@ class DrawingTool {
                 }
             });
 
+            cartographerToolbar.registerTool(self._modeButtons.text, {
+                icon: "fa-solid fa-font",
+                tooltip: "Text Tool (size follows the stamp size)",
+                group: "Drawing Mode",
+                order: 6,
+                active: () => self.state.drawingMode === 'text',
+                onClick: () => {
+                    self.setDrawingMode('text');
+                    self.updateModeButtons();
+                    if (!self.state.active) self.activate();
+                }
+            });
+
+            cartographerToolbar.registerTool(self._modeButtons.route, {
+                icon: "fa-solid fa-route",
+                tooltip: "Route Tool (click each waypoint; click the last again to finish)",
+                group: "Drawing Mode",
+                order: 7,
+                active: () => self.state.drawingMode === 'route',
+                onClick: () => {
+                    self.setDrawingMode('route');
+                    self.updateModeButtons();
+                    if (!self.state.active) self.activate();
+                }
+            });
+
+            cartographerToolbar.registerTool(self._modeButtons.select, {
+                icon: "fa-solid fa-arrow-pointer",
+                tooltip: "Select Tool (move, resize, recolor or delete a drawing)",
+                group: "Drawing Mode",
+                order: 8,
+                active: () => self.state.drawingMode === 'select',
+                onClick: () => {
+                    self.setDrawingMode('select');
+                    self.updateModeButtons();
+                    if (!self.state.active) self.activate();
+                }
+            });
+
             // Register Stamp Style buttons (which shape to use when Stamp tool is selected)
             self._stampStyleButtons = {
                 plus: `${MODULE.ID}-stamp-style-plus`,
@@ -514,9 +638,8 @@ class DrawingTool {
                     order: 0, // Show before the regular clear button
                     buttonColor: "rgba(200, 40, 20, 0.3)", // Darker red for more destructive action
                     onClick: () => {
-                        // GM clears all drawings from all users
-                        const removed = self._pixiDrawings?.length ?? 0;
-                        self.clearAllDrawings();
+                        // GM clears all drawings from all users on this scene
+                        const removed = self.clearAllDrawings();
                         notify(
                             removed ? 'All drawings cleared' : 'Nothing to clear',
                             {
@@ -543,6 +666,35 @@ class DrawingTool {
                 }
             });
             
+            // Keep button - turns the last drawing into a persistent Drawing document
+            cartographerToolbar.registerTool(`${MODULE.ID}-keep`, {
+                icon: "fa-solid fa-thumbtack",
+                tooltip: "Keep last drawing (save it to the scene)",
+                group: "Utilities", // Utilities group
+                order: 4,
+                onClick: () => {
+                    self.keepLastDrawing();
+                }
+            });
+            
+            // Delete button - removes the drawing picked out with the Select tool
+            cartographerToolbar.registerTool(`${MODULE.ID}-delete-selected`, {
+                icon: "fa-solid fa-delete-left",
+                tooltip: "Delete selected drawing",
+                group: "Utilities", // Utilities group
+                order: 5,
+                onClick: () => {
+                    if (!self.deleteSelectedDrawing()) {
+                        notify('Nothing selected', {
+                            subtitle: 'Pick a drawing with the Select tool first',
+                            type: 'warn',
+                            icon: 'fa-solid fa-arrow-pointer',
+                            stackKey: `${MODULE.ID}-delete-selected`
+                        });
+                    }
+                }
+            });
+            
             // Timed erase toggle button - applies to own drawings for players, all for GM
             cartographerToolbar.registerTool(`${MODULE.ID}-timed-erase`, {
                 icon: "fa-solid fa-clock",
@@ -726,6 +878,10 @@ class DrawingTool {
                     onClick: () => {
                         self.setBrushSettings({ color: colorData.rgba });
                         self.updateColorButtons();
+                        // With a drawing selected, the color is its new color too
+                        if (self.state.drawingMode === 'select') {
+                            self.recolorSelectedDrawing(colorData.rgba);
+                        }
                         // Save to client-scope setting
                         game.settings.set(MODULE.ID, 'toolbar.color', colorData.rgba);
                     }
@@ -782,6 +938,8 @@ class DrawingTool {
                 this.finishEllipseDrawing(null);
             } else if (this.state.drawingMode === 'line') {
                 this.finishLineDrawing(null);
+            } else if (this.state.drawingMode === 'route') {
+                this.finishRouteDrawing();
             } else {
                 // Sketch: get current mouse position
                 const mouse = canvas?.app?.renderer?.plugins?.interaction?.mouse?.global;
@@ -820,6 +978,8 @@ class DrawingTool {
                     this.finishEllipseDrawing(null);
                 } else if (this.state.drawingMode === 'line') {
                     this.finishLineDrawing(null);
+                } else if (this.state.drawingMode === 'route') {
+                    this.finishRouteDrawing();
                 } else {
                     // Sketch: get current mouse position
                     const mouse = canvas?.app?.renderer?.plugins?.interaction?.mouse?.global;
@@ -854,8 +1014,9 @@ class DrawingTool {
         if (!canvas || !canvas.app || !canvas.app.view) return;
         
         if (this.state.active) {
-            // Change to crosshair when tool is active
-            canvas.app.view.style.cursor = 'crosshair';
+            // Change to crosshair when tool is active; selecting points, and text places a caret
+            const cursors = { select: 'default', text: 'text' };
+            canvas.app.view.style.cursor = cursors[this.state.drawingMode] ?? 'crosshair';
         } else {
             // Reset to default when tool is inactive
             canvas.app.view.style.cursor = '';
@@ -1224,6 +1385,9 @@ class DrawingTool {
             this.cancelDrawing();
         }
         
+        // A drag cut short by releasing the key still lands where it was let go
+        this.finishSelectionDrag();
+        
         // Re-enable Foundry's default drawing controls
         if (canvas.drawings && canvas.drawings.controls) {
             canvas.drawings.controls.visible = true;
@@ -1274,45 +1438,52 @@ class DrawingTool {
     }
     
     /**
-     * Clear all PIXI drawings
+     * Clear all PIXI drawings on a scene
      * @param {boolean} broadcast - Whether to broadcast deletion to other clients
+     * @param {string|null} sceneId - Scene to clear (defaults to the current scene, null for every scene)
+     * @returns {number} Number of drawings removed
      */
-    clearAllDrawings(broadcast = true) {
-        if (!this._pixiDrawings || !this.services?.canvasLayer) return;
-        if (this._pixiDrawings.length === 0) return; // nothing to clear, skip broadcast and log
+    clearAllDrawings(broadcast = true, sceneId = canvas?.scene?.id ?? null) {
+        if (!this._pixiDrawings || !this.services?.canvasLayer) return 0;
+        
+        const removed = this._pixiDrawings.filter(drawing => this._isOnScene(drawing, sceneId));
+        if (removed.length === 0) return 0; // nothing to clear, skip broadcast and log
         
         // Fade out all drawings
-        this._pixiDrawings.forEach(drawing => {
+        removed.forEach(drawing => {
             if (drawing.graphics && drawing.graphics.parent) {
                 this._fadeOutAndRemove(drawing.graphics, 300);
             }
         });
         
-        this._pixiDrawings = [];
-        this._cleanupScheduled = false;
+        this._pixiDrawings = this._pixiDrawings.filter(drawing => !removed.includes(drawing));
+        if (this._lastDrawing && removed.includes(this._lastDrawing)) {
+            this._lastDrawing = null;
+        }
         
         // Broadcast deletion to other clients
         if (broadcast) {
-            this.broadcastDrawingDeletion(true);
+            this.broadcastDrawingDeletion(true, null, null, sceneId);
         }
         
-        console.log(`${MODULE.NAME}: All temporary drawings cleared`);
+        console.log(`${MODULE.NAME}: All temporary drawings cleared${sceneId ? ` on scene ${sceneId}` : ''}`);
+        return removed.length;
     }
     
     /**
      * Clear drawings created by the current user
      * @param {string} userId - User ID to clear drawings for (defaults to current user)
      * @param {boolean} broadcast - Whether to broadcast the deletion
+     * @param {string|null} sceneId - Scene to clear (defaults to the current scene, null for every scene)
      */
-    clearUserDrawings(userId = game.user.id, broadcast = true) {
+    clearUserDrawings(userId = game.user.id, broadcast = true, sceneId = canvas?.scene?.id ?? null) {
         if (!this._pixiDrawings || !this.services?.canvasLayer) return 0;
         if (this._pixiDrawings.length === 0) return 0; // nothing to clear
         
-        const layer = this.services.canvasLayer;
         let removedCount = 0;
         
         this._pixiDrawings = this._pixiDrawings.filter(drawing => {
-            if (drawing.userId === userId) {
+            if (drawing.userId === userId && this._isOnScene(drawing, sceneId)) {
                 // Fade out and remove
                 if (drawing.graphics && drawing.graphics.parent) {
                     this._fadeOutAndRemove(drawing.graphics, 300);
@@ -1334,7 +1505,7 @@ class DrawingTool {
         
         // Broadcast and log only when we actually removed something
         if (removedCount > 0) {
-            if (broadcast) this.broadcastDrawingDeletion(false, userId);
+            if (broadcast) this.broadcastDrawingDeletion(false, userId, null, sceneId);
             console.log(`${MODULE.NAME}: Cleared ${removedCount} drawing(s) for user ${userId}`);
         }
         return removedCount;
@@ -1379,8 +1550,8 @@ class DrawingTool {
         // Clear last drawing reference
         this._lastDrawing = null;
         
-        // Find the most recent drawing by this user for next undo
-        const userDrawings = this._pixiDrawings.filter(d => d.userId === game.user.id);
+        // Find the most recent drawing by this user on this scene for next undo
+        const userDrawings = this._pixiDrawings.filter(d => d.userId === game.user.id && this._isOnScene(d, canvas?.scene?.id ?? null));
         if (userDrawings.length > 0) {
             // Sort by creation time (most recent first)
             userDrawings.sort((a, b) => b.createdAt - a.createdAt);
@@ -1402,6 +1573,8 @@ class DrawingTool {
      * @param {string} userId - User ID to clean up drawings for
      */
     cleanupPlayerDrawings(userId) {
+        this._dropRemoteStroke(userId);
+        
         if (!this._pixiDrawings || !this.services?.canvasLayer) return;
         if (this._pixiDrawings.length === 0) return; // nothing to clean up
         
@@ -1478,6 +1651,15 @@ class DrawingTool {
                 return false;
             }
             
+            // Select mode: pick a drawing, or the handle of the one picked, to drag
+            if (self.state.drawingMode === 'select') {
+                event.preventDefault();
+                event.stopPropagation();
+                event.stopImmediatePropagation();
+                self.startSelectionDrag(event);
+                return false;
+            }
+            
             // Box/ellipse mode: ignore mouse clicks (drawing starts on mouse move, not on click)
             if (self.state.drawingMode === 'box' || self.state.drawingMode === 'ellipse') {
                 event.preventDefault();
@@ -1494,6 +1676,24 @@ class DrawingTool {
                 return false;
             }
             
+            // If in route mode, each click places a waypoint
+            if (self.state.drawingMode === 'route' && self.canUserDraw() && !event.ctrlKey && !event.altKey) {
+                event.preventDefault();
+                event.stopPropagation();
+                event.stopImmediatePropagation();
+                self.addRouteWaypoint(event);
+                return false;
+            }
+            
+            // If in text mode, ask for the words and place them on click
+            if (self.state.drawingMode === 'text' && self.canUserDraw() && !event.ctrlKey && !event.altKey) {
+                event.preventDefault();
+                event.stopPropagation();
+                event.stopImmediatePropagation();
+                self.placeText(event);
+                return false;
+            }
+            
             // Sketch/line/box/ellipse: ignore mouse clicks (start on first move; line/box/ellipse finish on key release)
             if (['sketch', 'line', 'box', 'ellipse'].includes(self.state.drawingMode)) {
                 event.preventDefault();
@@ -1542,6 +1742,18 @@ class DrawingTool {
                 } else if (self.state.drawingMode === 'stamp') {
                     // Stamp mode: show preview symbol following mouse
                     self.updatePreviewSymbol(event);
+                } else if (self.state.drawingMode === 'route') {
+                    // Route mode: stretch the next leg to the pointer, once one is started
+                    if (self.state.isDrawing) {
+                        self.updateRoutePreview(event);
+                    }
+                } else if (self.state.drawingMode === 'select') {
+                    // Select mode: drag the picked drawing, or show what a press would pick
+                    if (self._selection?.drag) {
+                        self.updateSelectionDrag(event);
+                    } else {
+                        self.updateSelectCursor(event);
+                    }
                 }
             } else {
                 // Remove preview when key is not held (hold mode only)
@@ -1555,8 +1767,16 @@ class DrawingTool {
                 return false;
             }
             
-            // Line/box/ellipse: ignore mouse up (drawing finishes when key is released/toggled off)
-            if (self.state.drawingMode === 'line' || self.state.drawingMode === 'box' || self.state.drawingMode === 'ellipse') {
+            // Select mode: a drag ends, and is sent, when the button is let go
+            if (self.state.drawingMode === 'select') {
+                event.preventDefault();
+                event.stopPropagation();
+                self.finishSelectionDrag();
+                return false;
+            }
+            
+            // Line/box/ellipse/route: ignore mouse up (drawing finishes when key is released/toggled off)
+            if (['line', 'box', 'ellipse', 'route'].includes(self.state.drawingMode)) {
                 event.preventDefault();
                 event.stopPropagation();
                 return false;
@@ -1667,6 +1887,7 @@ class DrawingTool {
         
         // Add to layer for immediate display
         this.services.canvasLayer.addChild(this._previewGraphics);
+        this._beginStroke('sketch', worldCoords);
         
         console.log(`${MODULE.NAME}: Drawing started at`, worldCoords);
     }
@@ -1729,6 +1950,8 @@ class DrawingTool {
             previewAlpha,
             lineStyle
         );
+        
+        this._streamStroke();
     }
     
     /**
@@ -1792,6 +2015,7 @@ class DrawingTool {
         // Create preview graphics for real-time box drawing
         this._previewGraphics = new PIXI.Graphics();
         this.services.canvasLayer.addChild(this._previewGraphics);
+        this._beginStroke('box', worldCoords);
         
         console.log(`${MODULE.NAME}: Box drawing started at`, worldCoords);
     }
@@ -1808,6 +2032,7 @@ class DrawingTool {
         this.state.lineStartPoint = { x: worldCoords.x, y: worldCoords.y };
         this._previewGraphics = new PIXI.Graphics();
         this.services.canvasLayer.addChild(this._previewGraphics);
+        this._beginStroke('line', worldCoords);
         console.log(`${MODULE.NAME}: Line drawing started at`, worldCoords);
     }
     
@@ -1835,6 +2060,7 @@ class DrawingTool {
         this._drawLineWithStyle(this._previewGraphics, [[0, 0], [endX - startX, endY - startY]], startX + shadowOffset, startY + shadowOffset, strokeWidth, shadowColor, shadowAlpha, 'solid');
         this._previewGraphics.lineStyle(strokeWidth, previewColor, 1.0);
         this._drawLineWithStyle(this._previewGraphics, [[0, 0], [endX - startX, endY - startY]], startX, startY, strokeWidth, previewColor, 1.0, lineStyle);
+        this._streamStroke(worldCoords);
     }
     
     /**
@@ -1892,6 +2118,8 @@ class DrawingTool {
             height,
             lineStyle
         );
+        
+        this._streamStroke(worldCoords);
     }
     
     /**
@@ -1902,8 +2130,12 @@ class DrawingTool {
      * @param {number} width - Box width
      * @param {number} height - Box height
      * @param {string} style - Line style: 'solid', 'dotted', 'dashed'
+     * @param {Object} [opts] - Optional { strokeWidth, strokeColor, alpha } (default: current brush)
      */
-    _drawBoxWithStyle(graphics, x, y, width, height, style) {
+    _drawBoxWithStyle(graphics, x, y, width, height, style, opts = {}) {
+        const strokeWidth = opts.strokeWidth ?? this.state.brushSettings.size;
+        const color = opts.strokeColor != null ? this.cssToPixiColor(opts.strokeColor) : this.cssToPixiColor(this.state.brushSettings.color);
+        const alpha = opts.alpha ?? 1.0;
         if (style === 'solid') {
             // Solid box - draw rectangle normally
             graphics.drawRect(x, y, width, height);
@@ -1911,19 +2143,19 @@ class DrawingTool {
             // For dotted/dashed, draw each side as a line with style
             // Top edge (left to right)
             const topPoints = [[0, 0], [width, 0]];
-            this._drawLineWithStyle(graphics, topPoints, x, y, this.state.brushSettings.size, this.cssToPixiColor(this.state.brushSettings.color), 1.0, style);
+            this._drawLineWithStyle(graphics, topPoints, x, y, strokeWidth, color, alpha, style);
             
             // Right edge (top to bottom)
             const rightPoints = [[0, 0], [0, height]];
-            this._drawLineWithStyle(graphics, rightPoints, x + width, y, this.state.brushSettings.size, this.cssToPixiColor(this.state.brushSettings.color), 1.0, style);
+            this._drawLineWithStyle(graphics, rightPoints, x + width, y, strokeWidth, color, alpha, style);
             
             // Bottom edge (right to left)
             const bottomPoints = [[0, 0], [-width, 0]];
-            this._drawLineWithStyle(graphics, bottomPoints, x + width, y + height, this.state.brushSettings.size, this.cssToPixiColor(this.state.brushSettings.color), 1.0, style);
+            this._drawLineWithStyle(graphics, bottomPoints, x + width, y + height, strokeWidth, color, alpha, style);
             
             // Left edge (bottom to top)
             const leftPoints = [[0, 0], [0, -height]];
-            this._drawLineWithStyle(graphics, leftPoints, x, y + height, this.state.brushSettings.size, this.cssToPixiColor(this.state.brushSettings.color), 1.0, style);
+            this._drawLineWithStyle(graphics, leftPoints, x, y + height, strokeWidth, color, alpha, style);
         }
     }
     
@@ -2019,6 +2251,7 @@ class DrawingTool {
                 expiresAt: this.getExpirationTime(),
                 userId: game.user.id,
                 userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
                 startX: startX,
                 startY: startY,
                 width: width,
@@ -2038,6 +2271,7 @@ class DrawingTool {
                 drawingId: drawingId,
                 userId: game.user.id,
                 userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
                 startX: startX,
                 startY: startY,
                 width: width,
@@ -2116,6 +2350,7 @@ class DrawingTool {
                 expiresAt: this.getExpirationTime(),
                 userId: game.user.id,
                 userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
                 startX,
                 startY,
                 points,
@@ -2129,6 +2364,7 @@ class DrawingTool {
                 drawingId,
                 userId: game.user.id,
                 userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
                 startX,
                 startY,
                 points,
@@ -2162,6 +2398,7 @@ class DrawingTool {
         this.state.ellipseStartPoint = { x: worldCoords.x, y: worldCoords.y };
         this._previewGraphics = new PIXI.Graphics();
         this.services.canvasLayer.addChild(this._previewGraphics);
+        this._beginStroke('ellipse', worldCoords);
         console.log(`${MODULE.NAME}: Ellipse drawing started at`, worldCoords);
     }
     
@@ -2192,6 +2429,7 @@ class DrawingTool {
         this._drawEllipseWithStyle(this._previewGraphics, startX + shadowOffset, startY + shadowOffset, width, height, 'solid');
         this._previewGraphics.lineStyle(strokeWidth, previewColor, previewAlpha);
         this._drawEllipseWithStyle(this._previewGraphics, startX, startY, width, height, lineStyle);
+        this._streamStroke(worldCoords);
     }
     
     /**
@@ -2281,6 +2519,7 @@ class DrawingTool {
                 expiresAt: this.getExpirationTime(),
                 userId: game.user.id,
                 userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
                 startX,
                 startY,
                 width,
@@ -2296,6 +2535,7 @@ class DrawingTool {
                 drawingId,
                 userId: game.user.id,
                 userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
                 startX,
                 startY,
                 width,
@@ -2425,11 +2665,13 @@ class DrawingTool {
             expiresAt: this.getExpirationTime(),
             userId: game.user.id,
             userName: game.user.name,
+            sceneId: canvas.scene?.id ?? null,
             startX: startX,
             startY: startY,
             points: points,
             strokeWidth: strokeWidth,
-            strokeColor: strokeColor
+            strokeColor: strokeColor,
+            lineStyle: this.state.lineStyle || 'solid'
         };
         this._pixiDrawings.push(drawingData);
         
@@ -2441,6 +2683,7 @@ class DrawingTool {
             drawingId: drawingId,
             userId: game.user.id,
             userName: game.user.name,
+            sceneId: canvas.scene?.id ?? null,
             startX: startX,
             startY: startY,
             points: points,
@@ -2622,6 +2865,11 @@ class DrawingTool {
             return;
         }
         
+        // The finished drawing replaces the live preview of its stroke
+        if (data.strokeId) {
+            this._dropRemoteStroke(data.userId, data.strokeId);
+        }
+        
         // Check if drawing already exists (prevent duplicates)
         if (this._pixiDrawings && this._pixiDrawings.some(d => d.id === data.drawingId)) {
             return; // Silently skip duplicates
@@ -2631,6 +2879,291 @@ class DrawingTool {
         this.createRemoteDrawing(data);
     }
     
+    /**
+     * Start streaming the stroke just begun, so other clients watch it being
+     * drawn rather than seeing it appear only once it is finished
+     * @param {string} shape - 'sketch', 'line', 'box' or 'ellipse'
+     * @param {Object} start - Where the stroke starts, in world coordinates
+     */
+    _beginStroke(shape, start) {
+        this._endStroke({ cancelled: true });
+        this._stroke = {
+            strokeId: `stroke-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            shape: shape,
+            start: { x: start.x, y: start.y },
+            sent: 0, // Sketch points already sent
+            end: null, // Latest far corner or end, for the shapes
+            announced: false,
+            timer: null
+        };
+    }
+    
+    /**
+     * Queue the stroke's latest state to go out
+     * Sent at most once per strStrokeInterval, each batch carrying only the
+     * sketch points added since the last, or the shape's latest end point
+     * @param {Object} [end] - Latest end point, for line, box and ellipse
+     */
+    _streamStroke(end = null) {
+        const stroke = this._stroke;
+        if (!stroke) return;
+        if (end) stroke.end = [end.x, end.y];
+        if (stroke.timer) return;
+        stroke.timer = setTimeout(() => {
+            stroke.timer = null;
+            this._flushStroke(stroke);
+        }, DrawingTool.strStrokeInterval);
+    }
+    
+    /**
+     * Send what the stroke has gained since its last batch
+     * @param {Object} stroke - The stroke being streamed
+     */
+    _flushStroke(stroke) {
+        if (stroke !== this._stroke) return; // Finished or cancelled while queued
+        const from = stroke.sent;
+        const points = stroke.shape === 'sketch' ? this.state.drawingPoints.slice(from) : [];
+        if (stroke.shape === 'sketch' ? points.length === 0 : !stroke.end) return;
+        stroke.sent += points.length;
+        stroke.announced = true;
+        socketManager.broadcast('drawing', 'stroke', {
+            userId: game.user.id,
+            sceneId: canvas?.scene?.id ?? null,
+            strokeId: stroke.strokeId,
+            shape: stroke.shape,
+            startX: stroke.start.x,
+            startY: stroke.start.y,
+            strokeWidth: this.state.brushSettings.size,
+            strokeColor: this.state.brushSettings.color,
+            lineStyle: this.state.lineStyle || 'solid',
+            from: from,
+            points: points,
+            end: stroke.end
+        });
+    }
+    
+    /**
+     * Stop streaming the current stroke
+     * A finished stroke is replaced for everyone by its drawing, which names it;
+     * a cancelled one is withdrawn, if anybody has seen it
+     * @param {Object} [options]
+     * @param {boolean} [options.cancelled] - Whether the stroke was abandoned
+     * @returns {string|null} ID of the stroke that ended
+     */
+    _endStroke({ cancelled = false } = {}) {
+        const stroke = this._stroke;
+        if (!stroke) return null;
+        if (stroke.timer) clearTimeout(stroke.timer);
+        this._stroke = null;
+        if (cancelled && stroke.announced) {
+            socketManager.broadcast('drawing', 'stroke', {
+                userId: game.user.id,
+                strokeId: stroke.strokeId,
+                done: true
+            });
+        }
+        return stroke.strokeId;
+    }
+    
+    /**
+     * Handle a batch of another user's stroke in progress
+     * Each user has at most one stroke in progress, previewed until its
+     * drawing arrives or it is withdrawn
+     * @param {Object} data - Stroke batch from socket
+     */
+    handleRemoteStroke(data) {
+        if (!data?.userId || !data.strokeId || data.userId === game.user.id) return;
+        if (data.done) {
+            this._dropRemoteStroke(data.userId, data.strokeId);
+            return;
+        }
+        // Only strokes on the scene being looked at
+        if ((data.sceneId ?? null) !== (canvas?.scene?.id ?? null) || !this.services?.canvasLayer) return;
+        
+        let stroke = this._remoteStrokes.get(data.userId);
+        if (!stroke || stroke.strokeId !== data.strokeId) {
+            this._dropRemoteStroke(data.userId);
+            stroke = { strokeId: data.strokeId, graphics: new PIXI.Graphics(), points: [] };
+            this.services.canvasLayer.addChild(stroke.graphics);
+            this._remoteStrokes.set(data.userId, stroke);
+        }
+        
+        // A batch starting earlier than the points held resends some of them;
+        // one starting later means we joined mid-stroke, and draws on from here
+        const from = Number(data.from) || 0;
+        if (from < stroke.points.length) stroke.points.length = from;
+        if (Array.isArray(data.points)) stroke.points.push(...data.points);
+        Object.assign(stroke, {
+            shape: data.shape,
+            startX: data.startX,
+            startY: data.startY,
+            strokeWidth: data.strokeWidth || 6,
+            strokeColor: data.strokeColor,
+            lineStyle: data.lineStyle || 'solid',
+            end: Array.isArray(data.end) ? data.end : stroke.end ?? null
+        });
+        this._drawRemoteStroke(stroke);
+    }
+    
+    /**
+     * Redraw another user's stroke in progress, styled as its drawing will be
+     * @param {Object} stroke - Entry from _remoteStrokes
+     */
+    _drawRemoteStroke(stroke) {
+        const graphics = stroke.graphics;
+        const color = this.cssToPixiColor(stroke.strokeColor);
+        const strokeWidth = stroke.strokeWidth;
+        const shadowOffset = 2;
+        const shadowAlpha = 0.3;
+        const shadowColor = 0x000000;
+        const opts = { strokeWidth, strokeColor: stroke.strokeColor, alpha: 1.0 };
+        graphics.clear();
+        
+        if (stroke.shape === 'sketch') {
+            // Sketch points are relative to the start, as the finished drawing's are
+            const points = stroke.points;
+            if (points.length === 0) return;
+            graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+            graphics.moveTo(stroke.startX + points[0][0] + shadowOffset, stroke.startY + points[0][1] + shadowOffset);
+            for (let i = 1; i < points.length; i++) {
+                graphics.lineTo(stroke.startX + points[i][0] + shadowOffset, stroke.startY + points[i][1] + shadowOffset);
+            }
+            this._drawLineWithStyle(graphics, points, stroke.startX, stroke.startY, strokeWidth, color, 1.0, stroke.lineStyle);
+            return;
+        }
+        if (!stroke.end) return;
+        const width = stroke.end[0] - stroke.startX;
+        const height = stroke.end[1] - stroke.startY;
+        if (stroke.shape === 'line') {
+            graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+            this._drawLineWithStyle(graphics, [[0, 0], [width, height]], stroke.startX + shadowOffset, stroke.startY + shadowOffset, strokeWidth, shadowColor, shadowAlpha, 'solid');
+            graphics.lineStyle(strokeWidth, color, 1.0);
+            this._drawLineWithStyle(graphics, [[0, 0], [width, height]], stroke.startX, stroke.startY, strokeWidth, color, 1.0, stroke.lineStyle);
+        } else if (stroke.shape === 'box') {
+            graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+            this._drawBoxWithStyle(graphics, stroke.startX + shadowOffset, stroke.startY + shadowOffset, width, height, 'solid');
+            graphics.lineStyle(strokeWidth, color, 1.0);
+            this._drawBoxWithStyle(graphics, stroke.startX, stroke.startY, width, height, stroke.lineStyle, opts);
+        } else if (stroke.shape === 'ellipse') {
+            graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+            this._drawEllipseWithStyle(graphics, stroke.startX + shadowOffset, stroke.startY + shadowOffset, width, height, 'solid');
+            graphics.lineStyle(strokeWidth, color, 1.0);
+            this._drawEllipseWithStyle(graphics, stroke.startX, stroke.startY, width, height, stroke.lineStyle, opts);
+        }
+    }
+    
+    /**
+     * Remove another user's stroke preview
+     * @param {string} userId - User whose stroke to remove
+     * @param {string|null} strokeId - Only if it is this stroke (null for any)
+     */
+    _dropRemoteStroke(userId, strokeId = null) {
+        const stroke = this._remoteStrokes.get(userId);
+        if (!stroke || (strokeId && stroke.strokeId !== strokeId)) return;
+        this._remoteStrokes.delete(userId);
+        if (stroke.graphics.parent) {
+            stroke.graphics.parent.removeChild(stroke.graphics);
+        }
+        stroke.graphics.destroy();
+    }
+    
+    /**
+     * Ask connected clients for the drawings already on the canvas
+     * Sent once on initialize so a reload or late join does not start blank
+     */
+    async requestDrawingSync() {
+        await socketManager.broadcast('drawing', 'sync-request', {
+            userId: game.user.id
+        });
+    }
+    
+    /**
+     * Whether this client should answer a sync request
+     * The active GM answers; with no GM connected, or when the GM is the one
+     * asking (after a reload), the first other active user (by id) does, so one
+     * client replies rather than every client at once
+     * @param {string} requesterId - User ID of the client asking
+     * @returns {boolean} True if this client is the responder
+     */
+    isSyncResponder(requesterId) {
+        const activeGM = game.users.activeGM;
+        if (activeGM && activeGM.id !== requesterId) {
+            return activeGM.id === game.user.id;
+        }
+        const candidates = game.users
+            .filter(user => user.active && user.id !== requesterId)
+            .map(user => user.id)
+            .sort();
+        return candidates[0] === game.user.id;
+    }
+    
+    /**
+     * Serialize a stored drawing into the same shape broadcastDrawingCreation sends
+     * so it can be replayed through createRemoteDrawing
+     * @param {Object} drawing - Entry from _pixiDrawings
+     * @returns {Object} Drawing data without the PIXI graphics
+     */
+    serializeDrawing(drawing) {
+        const { id, graphics, ...data } = drawing;
+        return { ...data, drawingId: id };
+    }
+    
+    /**
+     * Handle a sync request from a joining or reloading client
+     * Replies with every unexpired drawing held locally
+     * @param {Object} data - Request data from socket
+     */
+    async handleSyncRequest(data) {
+        if (!data?.userId || !this.isSyncResponder(data.userId)) {
+            return;
+        }
+        
+        const now = Date.now();
+        const drawings = (this._pixiDrawings || [])
+            .filter(drawing => !drawing.expiresAt || drawing.expiresAt > now)
+            .map(drawing => this.serializeDrawing(drawing));
+        
+        // Nothing to send - the requester already has a blank canvas
+        if (drawings.length === 0) {
+            return;
+        }
+        
+        await socketManager.broadcast('drawing', 'sync-state', {
+            userId: game.user.id,
+            targetUserId: data.userId,
+            drawings: drawings
+        });
+    }
+    
+    /**
+     * Handle the drawing set sent in reply to our sync request
+     * Replays each drawing through createRemoteDrawing, skipping duplicates and
+     * anything that expired while the reply was in flight
+     * @param {Object} data - Sync data from socket
+     */
+    handleSyncState(data) {
+        if (!data || data.targetUserId !== game.user.id || !Array.isArray(data.drawings)) {
+            return;
+        }
+        
+        const now = Date.now();
+        let restoredCount = 0;
+        for (const drawing of data.drawings) {
+            if (!drawing?.drawingId) continue;
+            if (drawing.expiresAt && drawing.expiresAt <= now) continue;
+            if (this._pixiDrawings?.some(d => d.id === drawing.drawingId)) continue;
+            
+            // Our own drawings from before a reload come back too, so this goes
+            // straight to createRemoteDrawing rather than handleRemoteDrawingCreation
+            this.createRemoteDrawing(drawing);
+            restoredCount++;
+        }
+        
+        if (restoredCount > 0) {
+            console.log(`${MODULE.NAME}: Restored ${restoredCount} drawing(s) from ${game.users.get(data.userId)?.name ?? data.userId}`);
+        }
+    }
+    
     /**
      * Handle drawing deletion from remote client
      * @param {Object} data - Deletion data from socket
@@ -2649,15 +3182,21 @@ class DrawingTool {
         if (data.clearAll) {
             // Clear all drawings (only if from GM)
             if (game.users.get(data.userId)?.isGM) {
-                this.clearAllDrawings(false); // false = don't broadcast (already received via socket)
+                // No scene from an older client means every scene, as it always did
+                this.clearAllDrawings(false, data.sceneId ?? null); // false = don't broadcast (already received via socket)
                 console.log(`${MODULE.NAME}: All drawings cleared by GM ${data.userId}`);
             }
         } else if (data.drawingId) {
-            // Delete specific drawing by ID (for undo)
+            // Delete specific drawing by ID (for undo, or picked out and deleted) -
+            // only its author or a GM may
+            const drawing = this._pixiDrawings?.find(d => d.id === data.drawingId);
+            if (drawing && drawing.userId !== data.userId && !game.users.get(data.userId)?.isGM) {
+                return;
+            }
             this.deleteDrawingById(data.drawingId, false); // false = don't broadcast (already received via socket)
         } else {
             // Clear all drawings from specific user (legacy behavior)
-            this.clearUserDrawings(data.userId, false); // false = don't broadcast (already received via socket)
+            this.clearUserDrawings(data.userId, false, data.sceneId ?? null); // false = don't broadcast (already received via socket)
             console.log(`${MODULE.NAME}: Drawings cleared for user ${data.userId}`);
         }
     }
@@ -2690,8 +3229,8 @@ class DrawingTool {
         
         // Update _lastDrawing if it was the one removed
         if (this._lastDrawing && this._lastDrawing.id === drawingId) {
-            // Find the most recent drawing by this user for next undo
-            const userDrawings = this._pixiDrawings.filter(d => d.userId === game.user.id);
+            // Find the most recent drawing by this user on this scene for next undo
+            const userDrawings = this._pixiDrawings.filter(d => d.userId === game.user.id && this._isOnScene(d, canvas?.scene?.id ?? null));
             if (userDrawings.length > 0) {
                 userDrawings.sort((a, b) => b.createdAt - a.createdAt);
                 this._lastDrawing = userDrawings[0];
@@ -2707,57 +3246,637 @@ class DrawingTool {
     }
     
     /**
-     * Create a drawing from remote data
-     * NOTE: This method does NOT broadcast - it's only for rendering remote drawings
-     * @param {Object} data - Drawing data from socket
+     * Whether the current user may change or delete a drawing
+     * Its author may, and a GM may change anybody's
+     * @param {Object} drawing - Entry from _pixiDrawings
+     * @returns {boolean}
      */
-    createRemoteDrawing(data) {
-        if (!this.services || !this.services.canvasLayer) {
-            console.warn(`${MODULE.NAME}: Canvas layer not available for remote drawing`);
-            return;
+    canEditDrawing(drawing) {
+        return !!drawing && (game.user.isGM || drawing.userId === game.user.id);
+    }
+    
+    /**
+     * The box a drawing occupies, with width and height never negative
+     * Lines by their points, boxes and ellipses by the corners they were dragged
+     * between, stamps by their square, labels by their words as last measured
+     * @param {Object} drawing - Entry from _pixiDrawings, or its serialized data
+     * @returns {Object} {x, y, width, height} in world coordinates
+     */
+    _drawingBounds(drawing) {
+        if (drawing.type === 'text') {
+            const width = drawing.width || 0;
+            const height = drawing.height || 0;
+            return { x: drawing.x - width / 2, y: drawing.y - height / 2, width, height };
         }
-        
-        try {
-            // Determine if this is a box, ellipse, line, or symbol drawing
-            if (data.type === 'box' && data.startX !== undefined && data.width !== undefined && data.height !== undefined) {
-                this.createRemoteBox(data);
-            } else if (data.type === 'ellipse' && data.startX !== undefined && data.width !== undefined && data.height !== undefined) {
-                this.createRemoteEllipse(data);
-            } else if (data.symbolType) {
-                // Symbol drawing
-                this.createRemoteSymbol(data);
-            } else if (data.startX !== undefined && data.points) {
-                // Line drawing
-                this.createRemoteLine(data);
-            } else {
-                console.warn(`${MODULE.NAME}: Unknown drawing type in remote data:`, data);
-            }
-        } catch (error) {
-            console.error(`${MODULE.NAME}: Error creating remote drawing:`, error);
+        if (drawing.symbolType) {
+            const symbolSizeMap = {
+                small: DrawingTool.strSmallSymbolSize,
+                medium: DrawingTool.strMediumSymbolSize,
+                large: DrawingTool.strLargeSymbolSize
+            };
+            const size = (symbolSizeMap[drawing.symbolSize] || symbolSizeMap.medium) * (drawing.symbolScale || 1);
+            return { x: drawing.x - size / 2, y: drawing.y - size / 2, width: size, height: size };
+        }
+        if (drawing.type === 'box' || drawing.type === 'ellipse') {
+            return {
+                x: Math.min(drawing.startX, drawing.startX + drawing.width),
+                y: Math.min(drawing.startY, drawing.startY + drawing.height),
+                width: Math.abs(drawing.width),
+                height: Math.abs(drawing.height)
+            };
         }
+        const xs = (drawing.points || []).map(point => drawing.startX + point[0]);
+        const ys = (drawing.points || []).map(point => drawing.startY + point[1]);
+        if (xs.length === 0) return { x: drawing.startX, y: drawing.startY, width: 0, height: 0 };
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
     }
     
     /**
-     * Create a remote line drawing
-     * NOTE: This method does NOT broadcast - it's only for rendering remote drawings
-     * @param {Object} data - Line drawing data
+     * Whether a point is on a drawing
+     * Lines count by their distance to the path and boxes and ellipses by their
+     * distance to the outline, so a press inside an empty box reaches whatever
+     * lies under it; stamps and labels count anywhere in their box
+     * @param {Object} drawing - Entry from _pixiDrawings
+     * @param {Object} point - World coordinates {x, y}
+     * @param {number} tolerance - How far off the line still counts, in world units
+     * @returns {boolean}
      */
-    createRemoteLine(data) {
-        const layer = this.services.canvasLayer;
-        const graphics = new PIXI.Graphics();
+    _hitTestDrawing(drawing, point, tolerance) {
+        const reach = (drawing.strokeWidth || 6) / 2 + tolerance;
         
-        const drawingAlpha = 1.0;
-        const drawingColor = this.cssToPixiColor(data.strokeColor);
-        const strokeWidth = data.strokeWidth || 6;
-        const shadowOffset = 2;
-        const shadowAlpha = drawingAlpha * 0.3;
-        const shadowColor = 0x000000;
+        if (drawing.symbolType || drawing.type === 'text') {
+            const bounds = this._drawingBounds(drawing);
+            return point.x >= bounds.x - tolerance && point.x <= bounds.x + bounds.width + tolerance
+                && point.y >= bounds.y - tolerance && point.y <= bounds.y + bounds.height + tolerance;
+        }
         
-        // Draw shadow first
-        graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
-        if (data.points.length > 0) {
-            const firstPoint = data.points[0];
-            graphics.moveTo(data.startX + firstPoint[0] + shadowOffset, data.startY + firstPoint[1] + shadowOffset);
+        if (drawing.type === 'box') {
+            const { x, y, width, height } = this._drawingBounds(drawing);
+            const dx = Math.max(x - point.x, 0, point.x - (x + width));
+            const dy = Math.max(y - point.y, 0, point.y - (y + height));
+            // Outside, the distance to the box; inside, to its nearest side
+            const distance = dx || dy
+                ? Math.hypot(dx, dy)
+                : Math.min(point.x - x, x + width - point.x, point.y - y, y + height - point.y);
+            return distance <= reach;
+        }
+        
+        if (drawing.type === 'ellipse') {
+            const { x, y, width, height } = this._drawingBounds(drawing);
+            const radiusX = width / 2;
+            const radiusY = height / 2;
+            const dx = point.x - (x + radiusX);
+            const dy = point.y - (y + radiusY);
+            if (radiusX < 1 || radiusY < 1) {
+                // Flattened to a line
+                return Math.abs(radiusX < 1 ? dx : dy) <= reach && Math.abs(radiusX < 1 ? dy : dx) <= Math.max(radiusX, radiusY) + reach;
+            }
+            // Distance to the outline along the ray from the centre - close
+            // enough to the true distance at the widths drawings are drawn
+            const scaled = Math.hypot(dx / radiusX, dy / radiusY);
+            const distance = scaled === 0 ? Math.min(radiusX, radiusY) : Math.hypot(dx, dy) * Math.abs(1 - 1 / scaled);
+            return distance <= reach;
+        }
+        
+        const points = drawing.points || [];
+        for (let i = 0; i < points.length; i++) {
+            const ax = drawing.startX + points[i][0];
+            const ay = drawing.startY + points[i][1];
+            const [bx, by] = i + 1 < points.length
+                ? [drawing.startX + points[i + 1][0], drawing.startY + points[i + 1][1]]
+                : [ax, ay];
+            const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+            const t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - ax) * (bx - ax) + (point.y - ay) * (by - ay)) / lengthSquared)) : 0;
+            if (Math.hypot(point.x - (ax + t * (bx - ax)), point.y - (ay + t * (by - ay))) <= reach) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * The drawing on top at a point on the scene shown
+     * @param {Object} point - World coordinates {x, y}
+     * @returns {Object|null} Entry from _pixiDrawings
+     */
+    findDrawingAt(point) {
+        const sceneId = canvas?.scene?.id ?? null;
+        const tolerance = DrawingTool.strHitTolerance / (canvas?.stage?.scale?.x || 1);
+        const drawings = this._pixiDrawings || [];
+        for (let i = drawings.length - 1; i >= 0; i--) {
+            const drawing = drawings[i];
+            if (!drawing.graphics || !this._isOnScene(drawing, sceneId)) continue;
+            if (this._hitTestDrawing(drawing, point, tolerance)) return drawing;
+        }
+        return null;
+    }
+    
+    /**
+     * What a move or resize makes of a drawing
+     * Every point is scaled about the anchor and then moved; a stamp or label
+     * keeps its shape, so it is scaled by the larger of the two, and a stamp's
+     * pen with it
+     * @param {Object} drawing - The drawing as it was before the drag
+     * @param {Object} transform
+     * @param {number} [transform.dx] - Distance moved across
+     * @param {number} [transform.dy] - Distance moved down
+     * @param {number} [transform.sx] - Horizontal scale
+     * @param {number} [transform.sy] - Vertical scale
+     * @param {Object} [transform.anchor] - The point that stays put while scaling
+     * @returns {Object} The fields that change, as an edit sends them
+     */
+    _transformDrawing(drawing, { dx = 0, dy = 0, sx = 1, sy = 1, anchor = { x: 0, y: 0 } } = {}) {
+        const moveX = x => anchor.x + (x - anchor.x) * sx + dx;
+        const moveY = y => anchor.y + (y - anchor.y) * sy + dy;
+        
+        if (drawing.symbolType || drawing.type === 'text') {
+            const scale = Math.max(Math.abs(sx), Math.abs(sy));
+            const changes = {
+                x: anchor.x + (drawing.x - anchor.x) * scale + dx,
+                y: anchor.y + (drawing.y - anchor.y) * scale + dy,
+                symbolScale: (drawing.symbolScale || 1) * scale
+            };
+            if (drawing.symbolType) {
+                changes.strokeWidth = (drawing.strokeWidth || 6) * scale;
+            }
+            return changes;
+        }
+        if (drawing.type === 'box' || drawing.type === 'ellipse') {
+            return {
+                startX: moveX(drawing.startX),
+                startY: moveY(drawing.startY),
+                width: drawing.width * sx,
+                height: drawing.height * sy
+            };
+        }
+        // Points are relative to the start, so they only scale
+        return {
+            startX: moveX(drawing.startX),
+            startY: moveY(drawing.startY),
+            points: (drawing.points || []).map(point => [point[0] * sx, point[1] * sy])
+        };
+    }
+    
+    /**
+     * Redraw a drawing with some of its fields changed
+     * It keeps its id, its place among the drawings and on the canvas, and its
+     * expiry; a drawing held for another scene only has its data changed
+     * @param {Object} drawing - Entry from _pixiDrawings
+     * @param {Object} changes - Fields to change (see strEditableKeys)
+     * @returns {Object|null} The entry that now stands for the drawing
+     */
+    _redrawDrawing(drawing, changes) {
+        const index = this._pixiDrawings?.indexOf(drawing) ?? -1;
+        if (index === -1) return null;
+        if (!drawing.graphics) {
+            Object.assign(drawing, changes);
+            return drawing;
+        }
+        
+        // Replayed through createRemoteDrawing, which files it last
+        const count = this._pixiDrawings.length;
+        this._pixiDrawings.splice(index, 1);
+        this.createRemoteDrawing({ ...this.serializeDrawing(drawing), ...changes });
+        if (this._pixiDrawings.length < count) {
+            this._pixiDrawings.splice(index, 0, drawing); // Could not be drawn; leave it as it was
+            return drawing;
+        }
+        const redrawn = this._pixiDrawings.pop();
+        this._pixiDrawings.splice(index, 0, redrawn);
+        
+        const old = drawing.graphics;
+        if (old.parent && redrawn.graphics?.parent === old.parent) {
+            old.parent.setChildIndex(redrawn.graphics, old.parent.getChildIndex(old));
+        }
+        if (old.parent) {
+            old.parent.removeChild(old);
+        }
+        old.destroy();
+        
+        if (this._lastDrawing === drawing) {
+            this._lastDrawing = redrawn;
+        }
+        return redrawn;
+    }
+    
+    /**
+     * The drawing picked out in select mode, if it is still there to edit
+     * @returns {Object|null} Entry from _pixiDrawings
+     */
+    _selectedDrawing() {
+        if (!this._selection) return null;
+        const drawing = this._pixiDrawings?.find(d => d.id === this._selection.id);
+        if (drawing?.graphics && this._isOnScene(drawing, canvas?.scene?.id ?? null)) {
+            return drawing;
+        }
+        // Deleted, cleared, expired or left behind with its scene
+        this.clearSelection();
+        return null;
+    }
+    
+    /**
+     * Pick out a drawing, showing its outline and corner handles
+     * @param {Object} drawing - Entry from _pixiDrawings
+     */
+    selectDrawing(drawing) {
+        this.clearSelection();
+        this._selection = { id: drawing.id, graphics: null, drag: null };
+        this._drawSelectionHandles();
+    }
+    
+    /**
+     * Let go of the drawing picked out, if any
+     */
+    clearSelection() {
+        const graphics = this._selection?.graphics;
+        this._selection = null;
+        if (!graphics) return;
+        if (graphics.parent) {
+            graphics.parent.removeChild(graphics);
+        }
+        graphics.destroy();
+    }
+    
+    /**
+     * The corners of a box, clockwise from the top left
+     * @param {Object} bounds - {x, y, width, height}
+     * @returns {Array} [[x, y], ...]
+     */
+    _boundsCorners({ x, y, width, height }) {
+        return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+    }
+    
+    /**
+     * Draw the selection's outline and handles over its drawing
+     * They are a child of the drawing's graphics, so they go wherever it goes -
+     * faded out with it, or away with the canvas
+     */
+    _drawSelectionHandles() {
+        const selection = this._selection;
+        if (!selection) return;
+        if (selection.graphics) {
+            if (selection.graphics.parent) {
+                selection.graphics.parent.removeChild(selection.graphics);
+            }
+            selection.graphics.destroy();
+            selection.graphics = null;
+        }
+        const drawing = this._selectedDrawing();
+        if (!drawing) return;
+        
+        const zoom = canvas?.stage?.scale?.x || 1;
+        const size = DrawingTool.strHandleSize / zoom;
+        const bounds = this._drawingBounds(drawing);
+        const graphics = new PIXI.Graphics();
+        graphics.lineStyle(1.5 / zoom, 0x000000, 0.6);
+        graphics.drawRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        graphics.lineStyle(1.5 / zoom, 0x000000, 1.0);
+        for (const [x, y] of this._boundsCorners(bounds)) {
+            graphics.beginFill(0xffffff, 1.0);
+            graphics.drawRect(x - size / 2, y - size / 2, size, size);
+            graphics.endFill();
+        }
+        // Drawn in world coordinates; a label is placed at its centre, the rest at the origin
+        graphics.position.set(-(drawing.graphics.x || 0), -(drawing.graphics.y || 0));
+        drawing.graphics.addChild(graphics);
+        selection.graphics = graphics;
+    }
+    
+    /**
+     * Which of the selected drawing's corner handles is under a point
+     * @param {Object} drawing - The selected drawing
+     * @param {Object} point - World coordinates {x, y}
+     * @returns {number} Corner index (see _boundsCorners), or -1 for none
+     */
+    _handleAt(drawing, point) {
+        const zoom = canvas?.stage?.scale?.x || 1;
+        const reach = (DrawingTool.strHandleSize / 2 + DrawingTool.strHitTolerance / 2) / zoom;
+        return this._boundsCorners(this._drawingBounds(drawing))
+            .findIndex(([x, y]) => Math.abs(point.x - x) <= reach && Math.abs(point.y - y) <= reach);
+    }
+    
+    /**
+     * The scale a corner handle dragged to a point makes, about the opposite corner
+     * A side with no length does not scale, and no scale reaches zero, so a
+     * drawing squashed flat can still be pulled back out
+     * @param {Object} bounds - The drawing's bounds when the drag began
+     * @param {number} handle - Corner index being dragged
+     * @param {Object} point - World coordinates {x, y}
+     * @returns {Object} {anchor, sx, sy} for _transformDrawing
+     */
+    _scaleFromHandle(bounds, handle, point) {
+        const corners = this._boundsCorners(bounds);
+        const [cornerX, cornerY] = corners[handle];
+        const [anchorX, anchorY] = corners[(handle + 2) % 4];
+        const scale = (to, from, span) => {
+            if (span === 0) return 1;
+            const value = (to - from) / span;
+            return Math.abs(value) < 0.05 ? (value < 0 ? -0.05 : 0.05) : value;
+        };
+        return {
+            anchor: { x: anchorX, y: anchorY },
+            sx: scale(point.x, anchorX, cornerX - anchorX),
+            sy: scale(point.y, anchorY, cornerY - anchorY)
+        };
+    }
+    
+    /**
+     * Begin a drag in select mode
+     * A press on a handle of the picked drawing resizes it; a press on a drawing
+     * picks it and moves it; a press on nothing lets go
+     * @param {PointerEvent} event - Pointer event
+     */
+    startSelectionDrag(event) {
+        const point = this.getWorldCoordinates(event);
+        if (!point) return;
+        
+        const selected = this._selectedDrawing();
+        const handle = selected ? this._handleAt(selected, point) : -1;
+        if (handle !== -1) {
+            const original = this.serializeDrawing(selected);
+            this._selection.drag = { mode: 'scale', handle, start: point, original, bounds: this._drawingBounds(original), changes: null };
+            return;
+        }
+        
+        const drawing = this.findDrawingAt(point);
+        if (!drawing) {
+            this.clearSelection();
+            return;
+        }
+        if (!this.canEditDrawing(drawing)) {
+            this.clearSelection();
+            notify('Not your drawing', {
+                subtitle: `Only ${drawing.userName || 'its author'} or the GM can change it`,
+                type: 'warn',
+                icon: 'fa-solid fa-arrow-pointer',
+                stackKey: `${MODULE.ID}-select`
+            });
+            return;
+        }
+        if (drawing !== selected) {
+            this.selectDrawing(drawing);
+        }
+        this._selection.drag = { mode: 'move', start: point, original: this.serializeDrawing(drawing), changes: null };
+    }
+    
+    /**
+     * Follow the pointer with the drawing being dragged
+     * Only this client sees it move until the drag ends
+     * @param {PointerEvent} event - Pointer event
+     */
+    updateSelectionDrag(event) {
+        const drag = this._selection?.drag;
+        const drawing = this._selectedDrawing();
+        if (!drag || !drawing) return;
+        const point = this.getWorldCoordinates(event);
+        if (!point) return;
+        
+        const transform = drag.mode === 'scale'
+            ? this._scaleFromHandle(drag.bounds, drag.handle, point)
+            : { dx: point.x - drag.start.x, dy: point.y - drag.start.y };
+        drag.changes = this._transformDrawing(drag.original, transform);
+        this._redrawDrawing(drawing, drag.changes);
+        this._drawSelectionHandles();
+    }
+    
+    /**
+     * End a drag in select mode, sending where the drawing ended up
+     */
+    finishSelectionDrag() {
+        const drag = this._selection?.drag;
+        if (!drag) return;
+        this._selection.drag = null;
+        const drawing = this._selectedDrawing();
+        if (!drawing || !drag.changes) return; // A press that never moved
+        this.broadcastDrawingEdit(drawing, drag.changes);
+    }
+    
+    /**
+     * Show, as the pointer moves in select mode, what a press would take hold of
+     * @param {PointerEvent} event - Pointer event
+     */
+    updateSelectCursor(event) {
+        const view = canvas?.app?.view;
+        const point = view ? this.getWorldCoordinates(event) : null;
+        if (!point) return;
+        const selected = this._selectedDrawing();
+        const handle = selected ? this._handleAt(selected, point) : -1;
+        if (handle !== -1) {
+            view.style.cursor = handle % 2 === 0 ? 'nwse-resize' : 'nesw-resize';
+            return;
+        }
+        view.style.cursor = this.canEditDrawing(this.findDrawingAt(point)) ? 'move' : 'default';
+    }
+    
+    /**
+     * Give the selected drawing a new color, for everyone
+     * @param {string} color - CSS color, as the brush holds it
+     * @returns {boolean} Whether there was a drawing to recolor
+     */
+    recolorSelectedDrawing(color) {
+        const drawing = this._selectedDrawing();
+        if (!drawing || this._selection.drag) return false;
+        const changes = { strokeColor: color };
+        this._redrawDrawing(drawing, changes);
+        this._drawSelectionHandles();
+        this.broadcastDrawingEdit(drawing, changes);
+        return true;
+    }
+    
+    /**
+     * Delete the selected drawing, for everyone
+     * @returns {boolean} Whether there was a drawing to delete
+     */
+    deleteSelectedDrawing() {
+        const drawing = this._selectedDrawing();
+        if (!drawing) return false;
+        this.clearSelection();
+        // Sent as ourselves: a GM deleting a player's drawing must take it from
+        // the player too, and the socket skips events carrying the receiver's id
+        this.deleteDrawingById(drawing.id, false);
+        this.broadcastDrawingDeletion(false, game.user.id, drawing.id);
+        return true;
+    }
+    
+    /**
+     * Send an edit to one drawing to other clients
+     * @param {Object} drawing - The drawing edited
+     * @param {Object} changes - Fields changed (see strEditableKeys)
+     */
+    async broadcastDrawingEdit(drawing, changes) {
+        await socketManager.broadcast('drawing', 'edited', {
+            userId: game.user.id,
+            drawingId: drawing.id,
+            sceneId: drawing.sceneId ?? null,
+            changes: changes
+        });
+    }
+    
+    /**
+     * Handle an edit to one drawing from another client
+     * Applied only if it came from the drawing's author or a GM, and only to the
+     * fields an edit may change
+     * @param {Object} data - Edit data from socket
+     */
+    handleRemoteDrawingEdit(data) {
+        if (!data?.drawingId || !data.changes || data.userId === game.user.id) return;
+        const drawing = this._pixiDrawings?.find(d => d.id === data.drawingId);
+        if (!drawing) return;
+        if (drawing.userId !== data.userId && !game.users.get(data.userId)?.isGM) return;
+        
+        const changes = {};
+        for (const key of DrawingTool.strEditableKeys) {
+            if (key in data.changes) changes[key] = data.changes[key];
+        }
+        const redrawn = this._redrawDrawing(drawing, changes);
+        if (redrawn && this._selection?.id === redrawn.id) {
+            if (this._selection.drag) {
+                // Somebody else moved it from under us; their edit stands
+                this._selection.drag = null;
+            }
+            this._drawSelectionHandles();
+        }
+    }
+    
+    /**
+     * Whether a drawing belongs to a scene
+     * @param {Object} drawing - Entry from _pixiDrawings
+     * @param {string|null} sceneId - Scene ID, or null to match every scene
+     * @returns {boolean}
+     */
+    _isOnScene(drawing, sceneId) {
+        return sceneId === null || drawing.sceneId === sceneId;
+    }
+    
+    /**
+     * Hold a drawing from another scene without rendering it
+     * It keeps its place in the late-join sync and expires as usual, and is
+     * drawn when this client views its scene
+     * @param {Object} data - Drawing data, as broadcastDrawingCreation sends it
+     */
+    parkDrawing(data) {
+        if (!this._pixiDrawings) {
+            this._pixiDrawings = [];
+        }
+        const { drawingId, ...drawing } = data;
+        this._pixiDrawings.push({ ...drawing, id: drawingId, graphics: null });
+    }
+    
+    /**
+     * Put away the drawings on the scene being left
+     * Their graphics go with the canvas; the data stays so they can be redrawn
+     */
+    parkSceneDrawings() {
+        for (const drawing of this._pixiDrawings || []) {
+            if (!drawing.graphics) continue;
+            if (drawing.graphics.parent) {
+                drawing.graphics.parent.removeChild(drawing.graphics);
+            }
+            drawing.graphics.destroy();
+            drawing.graphics = null;
+        }
+        this._lastDrawing = null;
+        this.clearSelection();
+        
+        // Strokes in progress are only ever shown on the scene they are drawn on
+        for (const userId of [...this._remoteStrokes.keys()]) {
+            this._dropRemoteStroke(userId);
+        }
+    }
+    
+    /**
+     * Redraw the drawings held for the scene now shown
+     * Replayed through createRemoteDrawing, as a late join would be, and the
+     * user's newest one there becomes the one undo takes back
+     */
+    restoreSceneDrawings() {
+        const sceneId = canvas?.scene?.id ?? null;
+        const returning = (this._pixiDrawings || []).filter(drawing => !drawing.graphics && drawing.sceneId === sceneId);
+        if (returning.length === 0) return;
+        
+        this._pixiDrawings = this._pixiDrawings.filter(drawing => !returning.includes(drawing));
+        for (const drawing of returning) {
+            this.createRemoteDrawing(this.serializeDrawing(drawing));
+        }
+        
+        const own = this._pixiDrawings
+            .filter(drawing => drawing.sceneId === sceneId && drawing.userId === game.user.id)
+            .sort((a, b) => b.createdAt - a.createdAt);
+        this._lastDrawing = own[0] ?? null;
+        
+        // The interval went with the old canvas; anything that expired while
+        // away is cleared on its first pass
+        this.scheduleCleanup();
+        console.log(`${MODULE.NAME}: Restored ${returning.length} drawing(s) for this scene`);
+    }
+    
+    /**
+     * Create a drawing from remote data
+     * NOTE: This method does NOT broadcast - it's only for rendering remote drawings
+     * @param {Object} data - Drawing data from socket
+     */
+    createRemoteDrawing(data) {
+        // Drawings from before scenes were recorded belong wherever they land
+        const sceneId = data.sceneId ?? canvas?.scene?.id ?? null;
+        if (sceneId !== (canvas?.scene?.id ?? null)) {
+            // Drawn on another scene - held until this client goes there
+            this.parkDrawing({ ...data, sceneId });
+            return;
+        }
+        data = { ...data, sceneId };
+        
+        if (!this.services || !this.services.canvasLayer) {
+            console.warn(`${MODULE.NAME}: Canvas layer not available for remote drawing`);
+            return;
+        }
+        
+        try {
+            // Determine if this is a text label, route, box, ellipse, line, or symbol drawing
+            if (data.type === 'text' && typeof data.text === 'string') {
+                this.createRemoteText(data);
+            } else if (data.type === 'route' && data.startX !== undefined && Array.isArray(data.points)) {
+                this.createRemoteRoute(data);
+            } else if (data.type === 'box' && data.startX !== undefined && data.width !== undefined && data.height !== undefined) {
+                this.createRemoteBox(data);
+            } else if (data.type === 'ellipse' && data.startX !== undefined && data.width !== undefined && data.height !== undefined) {
+                this.createRemoteEllipse(data);
+            } else if (data.symbolType) {
+                // Symbol drawing
+                this.createRemoteSymbol(data);
+            } else if (data.startX !== undefined && data.points) {
+                // Line drawing
+                this.createRemoteLine(data);
+            } else {
+                console.warn(`${MODULE.NAME}: Unknown drawing type in remote data:`, data);
+            }
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Error creating remote drawing:`, error);
+        }
+    }
+    
+    /**
+     * Create a remote line drawing
+     * NOTE: This method does NOT broadcast - it's only for rendering remote drawings
+     * @param {Object} data - Line drawing data
+     */
+    createRemoteLine(data) {
+        const layer = this.services.canvasLayer;
+        const graphics = new PIXI.Graphics();
+        
+        const drawingAlpha = 1.0;
+        const drawingColor = this.cssToPixiColor(data.strokeColor);
+        const strokeWidth = data.strokeWidth || 6;
+        const shadowOffset = 2;
+        const shadowAlpha = drawingAlpha * 0.3;
+        const shadowColor = 0x000000;
+        
+        // Draw shadow first
+        graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+        if (data.points.length > 0) {
+            const firstPoint = data.points[0];
+            graphics.moveTo(data.startX + firstPoint[0] + shadowOffset, data.startY + firstPoint[1] + shadowOffset);
             for (let i = 1; i < data.points.length; i++) {
                 const point = data.points[i];
                 graphics.lineTo(data.startX + point[0] + shadowOffset, data.startY + point[1] + shadowOffset);
@@ -2792,11 +3911,13 @@ class DrawingTool {
             expiresAt: data.expiresAt || null,
             userId: data.userId,
             userName: data.userName || 'Unknown',
+            sceneId: data.sceneId ?? null,
             startX: data.startX,
             startY: data.startY,
             points: data.points,
             strokeWidth: strokeWidth,
-            strokeColor: data.strokeColor
+            strokeColor: data.strokeColor,
+            lineStyle: lineStyle
         });
         
         // Schedule cleanup if needed
@@ -2839,7 +3960,8 @@ class DrawingTool {
             data.startY,
             data.width,
             data.height,
-            lineStyle
+            lineStyle,
+            { strokeWidth, strokeColor: data.strokeColor, alpha: drawingAlpha }
         );
         
         // Add to layer
@@ -2857,6 +3979,7 @@ class DrawingTool {
             expiresAt: data.expiresAt || null,
             userId: data.userId,
             userName: data.userName || 'Unknown',
+            sceneId: data.sceneId ?? null,
             startX: data.startX,
             startY: data.startY,
             width: data.width,
@@ -2900,6 +4023,7 @@ class DrawingTool {
             expiresAt: data.expiresAt || null,
             userId: data.userId,
             userName: data.userName || 'Unknown',
+            sceneId: data.sceneId ?? null,
             startX: data.startX,
             startY: data.startY,
             width: data.width,
@@ -2932,7 +4056,9 @@ class DrawingTool {
             medium: DrawingTool.strMediumSymbolSize,
             large: DrawingTool.strLargeSymbolSize
         };
-        const squareSize = symbolSizeMap[symbolSize] || symbolSizeMap.medium;
+        // A stamp resized with the Select tool keeps its size name and a scale
+        const symbolScale = data.symbolScale || 1;
+        const squareSize = (symbolSizeMap[symbolSize] || symbolSizeMap.medium) * symbolScale;
         
         // Use remote color (convert from CSS to PIXI)
         const drawingColor = this.cssToPixiColor(strokeColor);
@@ -2966,18 +4092,91 @@ class DrawingTool {
             expiresAt: data.expiresAt || null,
             userId: data.userId,
             userName: data.userName || 'Unknown',
+            sceneId: data.sceneId ?? null,
             symbolType: data.symbolType,
             x: data.x,
             y: data.y,
             strokeWidth: strokeWidth,
             strokeColor: strokeColor,
-            symbolSize: symbolSize
+            symbolSize: symbolSize,
+            symbolScale: symbolScale
         });
         
         // Schedule cleanup if needed
         this.scheduleCleanup();
     }
     
+    /**
+     * Create a remote text label
+     * NOTE: This method does NOT broadcast - it's only for rendering remote drawings
+     * @param {Object} data - Text label data (text, x, y, symbolSize, symbolScale, strokeColor)
+     */
+    createRemoteText(data) {
+        const layer = this.services.canvasLayer;
+        const label = {
+            type: 'text',
+            text: String(data.text).slice(0, DrawingTool.strTextMaxLength),
+            x: data.x,
+            y: data.y,
+            symbolSize: data.symbolSize || 'medium',
+            symbolScale: data.symbolScale || 1,
+            strokeColor: data.strokeColor || DrawingTool.strColor1
+        };
+        const { graphics, width, height } = this._drawTextLabel(label);
+        layer.addChild(graphics);
+        if (!this._pixiDrawings) this._pixiDrawings = [];
+        this._pixiDrawings.push({
+            id: data.drawingId,
+            graphics,
+            createdAt: data.createdAt || Date.now(),
+            expiresAt: data.expiresAt || null,
+            userId: data.userId,
+            userName: data.userName || 'Unknown',
+            sceneId: data.sceneId ?? null,
+            ...label,
+            width,
+            height
+        });
+        this.scheduleCleanup();
+    }
+    
+    /**
+     * Create a remote route, measured on this client's grid
+     * NOTE: This method does NOT broadcast - it's only for rendering remote drawings
+     * @param {Object} data - Route data (startX, startY, points, strokeWidth, strokeColor, lineStyle, speed, speedName)
+     */
+    createRemoteRoute(data) {
+        const layer = this.services.canvasLayer;
+        const route = {
+            type: 'route',
+            startX: data.startX,
+            startY: data.startY,
+            points: data.points,
+            strokeWidth: data.strokeWidth || 6,
+            strokeColor: data.strokeColor,
+            lineStyle: data.lineStyle || 'solid'
+        };
+        if (data.speed > 0) {
+            route.speed = data.speed;
+            route.speedName = data.speedName;
+        }
+        const { graphics, measure } = this._drawRoute(route);
+        layer.addChild(graphics);
+        if (!this._pixiDrawings) this._pixiDrawings = [];
+        this._pixiDrawings.push({
+            id: data.drawingId,
+            graphics,
+            createdAt: data.createdAt || Date.now(),
+            expiresAt: data.expiresAt || null,
+            userId: data.userId,
+            userName: data.userName || 'Unknown',
+            sceneId: data.sceneId ?? null,
+            ...route,
+            measure
+        });
+        this.scheduleCleanup();
+    }
+    
     /**
      * Draw a symbol shape (extracted from _createSymbolAt for reuse)
      * @private
@@ -3147,12 +4346,354 @@ class DrawingTool {
         }
     }
     
+    /**
+     * Keep the current user's last drawing as a persistent Drawing document
+     * Offers an optional note pin, then relays the request to the GM
+     */
+    async keepLastDrawing() {
+        const drawing = this._lastDrawing;
+        if (!drawing || !this._pixiDrawings?.some(d => d.id === drawing.id)) {
+            notify('Nothing to keep', {
+                subtitle: 'You have no recent drawings on this scene',
+                type: 'warn',
+                icon: 'fa-solid fa-thumbtack',
+                stackKey: `${MODULE.ID}-keep`
+            });
+            return;
+        }
+        
+        const result = await foundry.applications.api.DialogV2.input({
+            window: { title: 'Keep Drawing' },
+            content: `<div class="form-group"><label>Pin label</label><div class="form-fields"><input type="text" name="noteText" placeholder="Leave blank for no pin"></div></div>`,
+            ok: { label: 'Keep' },
+            rejectClose: false,
+            modal: true
+        });
+        if (result === null || result === undefined) return;
+        
+        await this.keepDrawing(drawing.id, { noteText: String(result.noteText ?? '').trim().slice(0, 200) });
+    }
+    
+    /**
+     * Keep a temporary drawing as a persistent Drawing document on the scene
+     * Players go through the active GM, who creates the documents on their behalf;
+     * the sketch stays until the GM answers that the Drawing exists
+     * @param {string} drawingId - ID of the drawing in _pixiDrawings
+     * @param {Object} [options]
+     * @param {string} [options.noteText] - Label for an optional Note pin at the drawing's centre
+     * @returns {Promise<boolean>} True if kept (GM) or asked for (player)
+     */
+    async keepDrawing(drawingId, { noteText = '' } = {}) {
+        const drawing = this._pixiDrawings?.find(d => d.id === drawingId);
+        if (!drawing || !canvas?.scene || drawing.sceneId !== canvas.scene.id) return false;
+        
+        // Only keep own drawings (unless GM)
+        if (!game.user.isGM && drawing.userId !== game.user.id) {
+            notify('Cannot keep that drawing', {
+                subtitle: 'You can only keep your own drawings',
+                type: 'warn',
+                icon: 'fa-solid fa-thumbtack',
+                stackKey: `${MODULE.ID}-keep`
+            });
+            return false;
+        }
+        
+        // A player's request has nobody to carry it out without a GM
+        if (!game.user.isGM && !game.users.activeGM) {
+            notify('No GM connected', {
+                subtitle: 'A GM must be online to keep drawings',
+                type: 'warn',
+                icon: 'fa-solid fa-thumbtack',
+                stackKey: `${MODULE.ID}-keep`
+            });
+            return false;
+        }
+        
+        const data = {
+            userId: game.user.id,
+            sceneId: drawing.sceneId,
+            drawing: this.serializeDrawing(drawing),
+            noteText
+        };
+        if (game.user.isGM) {
+            const kept = await this.handleKeepRequest(data, { allowLocalGM: true });
+            this._finishKeep(drawing.id, kept, noteText);
+            return kept;
+        }
+        this._pendingKeeps.set(drawing.id, noteText);
+        await socketManager.broadcast('drawing', 'keep-request', data);
+        return true;
+    }
+    
+    /**
+     * Handle a keep request (GM only)
+     * Creates the Drawing document, and the Note pin if one was asked for, then
+     * tells a requesting player whether it was kept
+     * @param {Object} data - Request data from socket or local GM
+     * @param {Object} [options]
+     * @param {boolean} [options.allowLocalGM] - Process on this GM even if another GM is active
+     * @returns {Promise<boolean>} True if the Drawing was created
+     */
+    async handleKeepRequest(data, { allowLocalGM = false } = {}) {
+        if (!game.user.isGM || (!allowLocalGM && !game.users.activeGM?.isSelf) || !data?.drawing) return false;
+        const kept = await this._createKeptDocuments(data);
+        if (data.userId !== game.user.id) {
+            await socketManager.broadcast('drawing', 'keep-result', {
+                userId: game.user.id,
+                requesterId: data.userId,
+                drawingId: data.drawing.drawingId,
+                kept
+            });
+        }
+        return kept;
+    }
+    
+    /**
+     * Create the Drawing document for a keep request, and its Note pin
+     * The pin is extra: a Drawing created without it is still kept
+     * @param {Object} data - Request data (userId, sceneId, drawing, noteText)
+     * @returns {Promise<boolean>} True if the Drawing was created
+     */
+    async _createKeptDocuments(data) {
+        const user = game.users.get(data.userId);
+        if (!user?.active) return false;
+        
+        // Same rules as drawing in the first place: players only when allowed,
+        // and only their own drawings
+        if (!user.isGM) {
+            const enabled = BlacksmithUtils?.getSettingSafely(MODULE.ID, 'drawing.enablePlayerDrawing', true);
+            if (!enabled || data.drawing.userId !== user.id) return false;
+        }
+        
+        const scene = game.scenes.get(data.sceneId);
+        if (!scene) return false;
+        
+        const documentData = this.toDrawingDocumentData(data.drawing, user.id);
+        if (!documentData) return false;
+        
+        let created;
+        try {
+            [created] = await scene.createEmbeddedDocuments('Drawing', [documentData]);
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Error keeping drawing:`, error);
+            return false;
+        }
+        if (!created) return false;
+        
+        const noteText = String(data.noteText ?? '').trim().slice(0, 200);
+        if (noteText) {
+            try {
+                await scene.createEmbeddedDocuments('Note', [{
+                    x: Math.round(documentData.x + documentData.shape.width / 2),
+                    y: Math.round(documentData.y + documentData.shape.height / 2),
+                    text: noteText,
+                    texture: { src: 'icons/svg/book.svg' },
+                    iconSize: 40,
+                    flags: { [MODULE.ID]: { keptDrawingId: created.id } }
+                }]);
+            } catch (error) {
+                console.error(`${MODULE.NAME}: Error pinning kept drawing:`, error);
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Handle the GM's answer to one of our keep requests
+     * @param {Object} data - { userId (the GM), requesterId, drawingId, kept }
+     */
+    handleKeepResult(data) {
+        if (!data || data.requesterId !== game.user.id || !this._pendingKeeps.has(data.drawingId)) return;
+        if (!game.users.get(data.userId)?.isGM) return;
+        const noteText = this._pendingKeeps.get(data.drawingId);
+        this._pendingKeeps.delete(data.drawingId);
+        this._finishKeep(data.drawingId, Boolean(data.kept), noteText);
+    }
+    
+    /**
+     * Once the GM has answered: replace the sketch with the kept Drawing, or say it was not kept
+     * @param {string} drawingId - ID of the drawing in _pixiDrawings
+     * @param {boolean} kept - Whether the Drawing was created
+     * @param {string} noteText - The pin label asked for
+     */
+    _finishKeep(drawingId, kept, noteText) {
+        if (!kept) {
+            notify('Drawing not kept', {
+                subtitle: 'The GM could not save it to the scene; your sketch is still there',
+                type: 'error',
+                icon: 'fa-solid fa-thumbtack',
+                stackKey: `${MODULE.ID}-keep`
+            });
+            return;
+        }
+        
+        // The kept document replaces the temporary one for everybody - sent as
+        // ourselves, since the socket skips events carrying the receiver's own
+        // id and a GM keeping a player's drawing must take it from them too
+        this.deleteDrawingById(drawingId, false);
+        this.broadcastDrawingDeletion(false, game.user.id, drawingId);
+        
+        notify('Drawing kept', {
+            subtitle: noteText ? `Saved to the scene and pinned as "${noteText}"` : 'Saved to the scene',
+            icon: 'fa-solid fa-thumbtack',
+            stackKey: `${MODULE.ID}-keep`
+        });
+    }
+    
+    /**
+     * Convert serialized drawing data into DrawingDocument data
+     * Geometry is rebased so the document's x/y is the top-left of its bounds;
+     * line style and stamp details ride along in flags for restyleKeptDrawing
+     * @param {Object} data - Serialized drawing (see serializeDrawing)
+     * @param {string} authorId - User ID to record as the author
+     * @returns {Object|null} DrawingDocument creation data, or null if unsupported
+     */
+    toDrawingDocumentData(data, authorId) {
+        const strokeWidth = Math.max(1, Math.round(data.strokeWidth || 6));
+        const strokeColor = '#' + this.cssToPixiColor(data.strokeColor).toString(16).padStart(6, '0');
+        const common = {
+            author: authorId,
+            strokeWidth,
+            strokeColor,
+            strokeAlpha: this.extractAlphaFromRgba(data.strokeColor),
+            fillType: CONST.DRAWING_FILL_TYPES.NONE
+        };
+        
+        if (data.type === 'box' || data.type === 'ellipse') {
+            const x = Math.min(data.startX, data.startX + data.width);
+            const y = Math.min(data.startY, data.startY + data.height);
+            return {
+                ...common,
+                x,
+                y,
+                shape: {
+                    type: data.type === 'box' ? 'r' : 'e',
+                    width: Math.max(1, Math.abs(data.width)),
+                    height: Math.max(1, Math.abs(data.height))
+                },
+                flags: { [MODULE.ID]: { kept: { kind: data.type, lineStyle: data.lineStyle || 'solid' } } }
+            };
+        }
+        
+        if (data.type === 'text' && data.text) {
+            // Foundry draws a Drawing's text itself, in its own font and shadow
+            const fontSize = Math.max(8, Math.min(256, Math.round(this._textFontSize(data))));
+            const width = Math.max(1, Math.round(data.width || fontSize * data.text.length * 0.6));
+            const height = Math.max(1, Math.round(data.height || fontSize * 1.4));
+            return {
+                ...common,
+                strokeWidth: 0,
+                x: data.x - width / 2,
+                y: data.y - height / 2,
+                shape: { type: 'r', width, height },
+                text: data.text,
+                fontSize,
+                textColor: strokeColor,
+                textAlpha: common.strokeAlpha,
+                flags: { [MODULE.ID]: { kept: { kind: 'text' } } }
+            };
+        }
+        
+        if (data.symbolType) {
+            const symbolSizeMap = {
+                small: DrawingTool.strSmallSymbolSize,
+                medium: DrawingTool.strMediumSymbolSize,
+                large: DrawingTool.strLargeSymbolSize
+            };
+            const squareSize = (symbolSizeMap[data.symbolSize] || symbolSizeMap.medium) * (data.symbolScale || 1);
+            return {
+                ...common,
+                x: data.x - squareSize / 2,
+                y: data.y - squareSize / 2,
+                shape: { type: 'r', width: squareSize, height: squareSize },
+                flags: { [MODULE.ID]: { kept: { kind: 'stamp', symbolType: data.symbolType, symbolSize: data.symbolSize || 'medium' } } }
+            };
+        }
+        
+        if (Array.isArray(data.points) && data.points.length > 1) {
+            const xs = data.points.map(point => point[0]);
+            const ys = data.points.map(point => point[1]);
+            const minX = Math.min(...xs);
+            const minY = Math.min(...ys);
+            return {
+                ...common,
+                x: data.startX + minX,
+                y: data.startY + minY,
+                shape: {
+                    type: 'p',
+                    width: Math.max(1, Math.max(...xs) - minX),
+                    height: Math.max(1, Math.max(...ys) - minY),
+                    points: data.points.flatMap(point => [point[0] - minX, point[1] - minY])
+                },
+                bezierFactor: 0,
+                // A route keeps its total; Foundry draws a Drawing's text at its centre
+                ...(data.type === 'route' && data.measure ? {
+                    text: this._formatDistance(data.measure.total, data.measure.units),
+                    fontSize: DrawingTool.strRouteLabelSize,
+                    textColor: strokeColor,
+                    textAlpha: common.strokeAlpha
+                } : {}),
+                flags: { [MODULE.ID]: { kept: { kind: 'line', lineStyle: data.lineStyle || 'solid' } } }
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Repaint a kept Drawing the way the temporary drawing looked
+     * Called from the refreshDrawing hook; drawings without our flag are untouched
+     * @param {Drawing} drawing - Drawing placeable being refreshed
+     */
+    restyleKeptDrawing(drawing) {
+        const kept = drawing?.document?.flags?.[MODULE.ID]?.kept;
+        const graphics = drawing?.shape;
+        if (!kept || !graphics || typeof graphics.clear !== 'function') return;
+        
+        const { shape, strokeWidth, strokeColor, strokeAlpha } = drawing.document;
+        const color = this.cssToPixiColor(String(strokeColor));
+        const alpha = strokeAlpha ?? 1.0;
+        const lineStyle = kept.lineStyle || 'solid';
+        const shadowOffset = 2;
+        const shadowAlpha = alpha * 0.3;
+        const shadowColor = 0x000000;
+        const opts = { strokeWidth, strokeColor: color, alpha };
+        
+        // Shape coordinates are local to the document's own x/y
+        graphics.clear();
+        if (kept.kind === 'box') {
+            graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+            this._drawBoxWithStyle(graphics, shadowOffset, shadowOffset, shape.width, shape.height, 'solid', opts);
+            graphics.lineStyle(strokeWidth, color, alpha);
+            this._drawBoxWithStyle(graphics, 0, 0, shape.width, shape.height, lineStyle, opts);
+        } else if (kept.kind === 'ellipse') {
+            graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+            this._drawEllipseWithStyle(graphics, shadowOffset, shadowOffset, shape.width, shape.height, 'solid', opts);
+            graphics.lineStyle(strokeWidth, color, alpha);
+            this._drawEllipseWithStyle(graphics, 0, 0, shape.width, shape.height, lineStyle, opts);
+        } else if (kept.kind === 'stamp') {
+            const halfSize = shape.width / 2;
+            this._drawSymbolShape(graphics, kept.symbolType, halfSize, halfSize, halfSize, strokeWidth * 0.5, strokeWidth, color, alpha, shadowColor, shadowAlpha, shadowOffset);
+        } else if (kept.kind === 'line') {
+            const points = [];
+            for (let i = 0; i + 1 < (shape.points?.length ?? 0); i += 2) {
+                points.push([shape.points[i], shape.points[i + 1]]);
+            }
+            if (points.length < 2) return;
+            this._drawLineWithStyle(graphics, points, shadowOffset, shadowOffset, strokeWidth, shadowColor, shadowAlpha, 'solid');
+            this._drawLineWithStyle(graphics, points, 0, 0, strokeWidth, color, alpha, lineStyle);
+        }
+    }
+    
     /**
      * Broadcast drawing creation to other clients
      * @param {Object} drawingData - Drawing data to broadcast
      */
     async broadcastDrawingCreation(drawingData) {
-        await socketManager.broadcast('drawing', 'created', drawingData);
+        // A drawing that finishes a streamed stroke names it, so the preview
+        // others have been watching gives way to the finished drawing
+        const strokeId = this._endStroke();
+        await socketManager.broadcast('drawing', 'created', strokeId ? { ...drawingData, strokeId } : drawingData);
     }
     
     /**
@@ -3160,12 +4701,14 @@ class DrawingTool {
      * @param {boolean} clearAll - Whether all drawings were cleared
      * @param {string} userId - Optional user ID if clearing specific user's drawings
      * @param {string} drawingId - Optional specific drawing ID to delete (for undo)
+     * @param {string|null} sceneId - Scene a clear applies to (null for every scene)
      */
-    async broadcastDrawingDeletion(clearAll = false, userId = null, drawingId = null) {
+    async broadcastDrawingDeletion(clearAll = false, userId = null, drawingId = null, sceneId = null) {
         await socketManager.broadcast('drawing', 'deleted', {
             userId: userId || game.user.id,
             clearAll: clearAll,
-            drawingId: drawingId || null // Include specific drawing ID if provided
+            drawingId: drawingId || null, // Include specific drawing ID if provided
+            sceneId: sceneId
         });
     }
     
@@ -3259,6 +4802,9 @@ class DrawingTool {
      * Cancel the current drawing
      */
     cancelDrawing() {
+        // Others drop their preview of it too
+        this._endStroke({ cancelled: true });
+        
         // Remove preview graphics if exists
         if (this._previewGraphics && this._previewGraphics.parent && this.services?.canvasLayer) {
             this.services.canvasLayer.removeChild(this._previewGraphics);
@@ -3272,6 +4818,7 @@ class DrawingTool {
         this.state.boxStartPoint = null;
         this.state.ellipseStartPoint = null;
         this.state.lineStartPoint = null;
+        this.state.routePoints = [];
         this.state.lastMousePosition = null;
         this.state.currentDrawing = null;
     }
@@ -3332,12 +4879,16 @@ class DrawingTool {
     
     /**
      * Set the drawing mode
-     * @param {string} mode - Drawing mode: 'line', 'box', 'stamp'
+     * @param {string} mode - Drawing mode: 'sketch', 'line', 'box', 'ellipse', 'stamp', 'text', 'route', 'select'
      */
     setDrawingMode(mode) {
-        if (['sketch', 'line', 'box', 'ellipse', 'stamp'].includes(mode)) {
+        if (['sketch', 'line', 'box', 'ellipse', 'stamp', 'text', 'route', 'select'].includes(mode)) {
+            // A route is drawn over several clicks; leaving it part-placed drops it
+            if (this.state.drawingMode === 'route' && mode !== 'route' && this.state.isDrawing) this.cancelDrawing();
             this.state.drawingMode = mode;
             game.settings.set(MODULE.ID, 'toolbar.drawingMode', mode);
+            if (mode !== 'select') this.clearSelection();
+            this.updateCursor();
         }
     }
 
@@ -3374,7 +4925,7 @@ class DrawingTool {
             if (!blacksmithModule?.api?.updateSecondaryBarItemActive || !this._modeButtons) return;
             const barTypeId = MODULE.ID;
             const currentMode = this.state.drawingMode;
-            ['sketch', 'line', 'box', 'ellipse', 'stamp'].forEach(mode => {
+            ['sketch', 'line', 'box', 'ellipse', 'stamp', 'text', 'route', 'select'].forEach(mode => {
                 if (this._modeButtons[mode]) {
                     blacksmithModule.api.updateSecondaryBarItemActive(
                         barTypeId,
@@ -3832,9 +5383,13 @@ class DrawingTool {
             expiresAt: this.getExpirationTime(),
             userId: game.user.id,
             userName: game.user.name,
+            sceneId: canvas.scene?.id ?? null,
             symbolType: symbolType,
             x: x,
-            y: y
+            y: y,
+            strokeWidth: strokeWidth,
+            strokeColor: this.state.brushSettings.color,
+            symbolSize: this.state.symbolSize || 'medium'
         };
         this._pixiDrawings.push(symbolData);
         
@@ -3849,6 +5404,7 @@ class DrawingTool {
             drawingId: drawingId,
             userId: game.user.id,
             userName: game.user.name,
+            sceneId: canvas.scene?.id ?? null,
             symbolType: symbolType,
             x: x,
             y: y,
@@ -3860,6 +5416,392 @@ class DrawingTool {
         });
     }
     
+    /**
+     * Ask for a label's words and place them where the canvas was clicked
+     * @param {PointerEvent} event - Pointer event
+     */
+    async placeText(event) {
+        if (!this.services || !this.services.canvasLayer || !canvas || !canvas.scene) return;
+        const worldCoords = this.getWorldCoordinates(event);
+        if (!worldCoords) return;
+        const sceneId = canvas.scene.id;
+        
+        const result = await foundry.applications.api.DialogV2.input({
+            window: { title: 'Text Label' },
+            content: `<div class="form-group"><label>Label</label><div class="form-fields"><input type="text" name="text" maxlength="${DrawingTool.strTextMaxLength}" placeholder="Bard here" autofocus></div></div>`,
+            ok: { label: 'Place' },
+            rejectClose: false,
+            modal: true
+        });
+        const text = String(result?.text ?? '').trim().slice(0, DrawingTool.strTextMaxLength);
+        if (!text) return;
+        
+        // The canvas may have moved on to another scene while the dialog was open
+        if (canvas?.scene?.id !== sceneId) return;
+        this._createTextAt(text, worldCoords.x, worldCoords.y);
+    }
+    
+    /**
+     * Create a text label centred on a point, in the current color and size
+     * @param {string} text - The label's words
+     * @param {number} x - X coordinate of the label's centre
+     * @param {number} y - Y coordinate of the label's centre
+     */
+    _createTextAt(text, x, y) {
+        const layer = this.services.canvasLayer;
+        const label = {
+            type: 'text',
+            text: text,
+            x: x,
+            y: y,
+            symbolSize: this.state.symbolSize || 'medium',
+            strokeColor: this.state.brushSettings.color
+        };
+        const { graphics, width, height } = this._drawTextLabel(label);
+        
+        // Add to layer
+        layer.addChild(graphics);
+        
+        // Store in drawings array for cleanup
+        const drawingId = `text-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        if (!this._pixiDrawings) {
+            this._pixiDrawings = [];
+        }
+        const textData = {
+            id: drawingId,
+            graphics: graphics,
+            createdAt: Date.now(),
+            expiresAt: this.getExpirationTime(),
+            userId: game.user.id,
+            userName: game.user.name,
+            sceneId: canvas.scene?.id ?? null,
+            ...label,
+            width: width,
+            height: height
+        };
+        this._pixiDrawings.push(textData);
+        
+        // Store as last drawing for undo
+        this._lastDrawing = textData;
+        
+        // Schedule cleanup if needed
+        this.scheduleCleanup();
+        
+        // Broadcast text creation to other clients - each measures the words itself
+        this.broadcastDrawingCreation({
+            drawingId: drawingId,
+            userId: game.user.id,
+            userName: game.user.name,
+            sceneId: canvas.scene?.id ?? null,
+            ...label,
+            createdAt: textData.createdAt,
+            expiresAt: textData.expiresAt
+        });
+    }
+    
+    /**
+     * Font size of a text label: its size name's, times any resize
+     * @param {Object} data - Text label data
+     * @returns {number} Font size in px
+     */
+    _textFontSize(data) {
+        const textSizeMap = {
+            small: DrawingTool.strSmallTextSize,
+            medium: DrawingTool.strMediumTextSize,
+            large: DrawingTool.strLargeTextSize
+        };
+        return (textSizeMap[data.symbolSize] || textSizeMap.medium) * (data.symbolScale || 1);
+    }
+    
+    /**
+     * Build a text label's PIXI text, with the same offset shadow every drawing has
+     * @param {Object} data - Text label data (text, x, y, symbolSize, symbolScale, strokeColor)
+     * @returns {Object} {graphics, width, height} - the text and its measured size
+     */
+    _drawTextLabel(data) {
+        const graphics = new PIXI.Text(data.text, this._labelStyle(this._textFontSize(data), data.strokeColor));
+        graphics.anchor.set(0.5, 0.5);
+        graphics.position.set(data.x, data.y);
+        return { graphics, width: graphics.width, height: graphics.height };
+    }
+    
+    /**
+     * Style for words drawn on the canvas - text labels and route distances
+     * @param {number} fontSize - Font size in px
+     * @param {string} strokeColor - CSS color
+     * @returns {Object} PIXI text style
+     */
+    _labelStyle(fontSize, strokeColor) {
+        return {
+            fontFamily: CONFIG?.defaultFontFamily || 'Signika',
+            fontSize: fontSize,
+            fontWeight: 'bold',
+            fill: this.cssToPixiColor(strokeColor), // Always fully opaque (no transparency from color)
+            align: 'center',
+            dropShadow: true,
+            dropShadowColor: 0x000000,
+            dropShadowAlpha: 0.3,
+            dropShadowAngle: Math.PI / 4,
+            dropShadowDistance: 2 * Math.SQRT2, // 2px right and 2px down
+            dropShadowBlur: 0
+        };
+    }
+    
+    /**
+     * Place a route waypoint on the grid centre nearest the click. The first
+     * click starts the route; clicking the last waypoint again finishes it.
+     * @param {PointerEvent} event - Pointer event
+     */
+    addRouteWaypoint(event) {
+        if (!canvas || !canvas.scene || !this.services?.canvasLayer) return;
+        const worldCoords = this.getWorldCoordinates(event);
+        if (!worldCoords) return;
+        const waypoint = this._snapToGridCenter(worldCoords);
+        
+        if (!this.state.isDrawing) {
+            this.state.isDrawing = true;
+            this.state.routePoints = [waypoint];
+            this.state.lastMousePosition = null;
+            console.log(`${MODULE.NAME}: Route started at`, waypoint);
+            return;
+        }
+        
+        const last = this.state.routePoints[this.state.routePoints.length - 1];
+        if (last && last.x === waypoint.x && last.y === waypoint.y) {
+            this.finishRouteDrawing();
+            return;
+        }
+        this.state.routePoints.push(waypoint);
+        this.state.lastMousePosition = null;
+        this.updateRoutePreview(event);
+    }
+    
+    /**
+     * Redraw the route so far, with its next leg to the grid centre under the pointer
+     * Only redrawn when the pointer crosses into another square - the labels are text
+     * @param {PointerEvent} event - Pointer event
+     */
+    updateRoutePreview(event) {
+        if (!canvas || !this.state.isDrawing || !this.services?.canvasLayer || !this.state.routePoints.length) return;
+        const worldCoords = this.getWorldCoordinates(event);
+        if (!worldCoords) return;
+        const hover = this._snapToGridCenter(worldCoords);
+        const previous = this.state.lastMousePosition;
+        if (previous && previous.x === hover.x && previous.y === hover.y && this._previewGraphics) return;
+        this.state.lastMousePosition = hover;
+        
+        if (this._previewGraphics) {
+            if (this._previewGraphics.parent) this.services.canvasLayer.removeChild(this._previewGraphics);
+            this._previewGraphics.destroy();
+            this._previewGraphics = null;
+        }
+        const last = this.state.routePoints[this.state.routePoints.length - 1];
+        const waypoints = last.x === hover.x && last.y === hover.y
+            ? this.state.routePoints
+            : [...this.state.routePoints, hover];
+        const { graphics } = this._drawRoute(this._routeData(waypoints));
+        this._previewGraphics = graphics;
+        this.services.canvasLayer.addChild(graphics);
+    }
+    
+    /**
+     * Finish the route at its last waypoint - a route needs at least two
+     */
+    finishRouteDrawing() {
+        if (!canvas || !canvas.scene || !this.state.isDrawing) return;
+        const waypoints = this.state.routePoints;
+        if (!waypoints || waypoints.length < 2) {
+            this.cancelDrawing();
+            return;
+        }
+        try {
+            if (this._previewGraphics) {
+                if (this._previewGraphics.parent) this.services.canvasLayer.removeChild(this._previewGraphics);
+                this._previewGraphics.destroy();
+                this._previewGraphics = null;
+            }
+            const route = this._routeData(waypoints);
+            const { graphics, measure } = this._drawRoute(route);
+            this.services.canvasLayer.addChild(graphics);
+            if (!this._pixiDrawings) this._pixiDrawings = [];
+            const drawingId = `route-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const drawingData = {
+                id: drawingId,
+                graphics,
+                createdAt: Date.now(),
+                expiresAt: this.getExpirationTime(),
+                userId: game.user.id,
+                userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
+                ...route,
+                measure
+            };
+            this._pixiDrawings.push(drawingData);
+            this._lastDrawing = drawingData;
+            
+            // Each client measures the route on its own grid
+            this.broadcastDrawingCreation({
+                drawingId,
+                userId: game.user.id,
+                userName: game.user.name,
+                sceneId: canvas.scene?.id ?? null,
+                ...route,
+                createdAt: drawingData.createdAt,
+                expiresAt: drawingData.expiresAt
+            });
+            this.scheduleCleanup();
+            this.state.isDrawing = false;
+            this.state.routePoints = [];
+            this.state.lastMousePosition = null;
+            this.state.currentDrawing = null;
+            console.log(`${MODULE.NAME}: Route drawing created on canvas layer`);
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Error creating route drawing:`, error);
+            this.cancelDrawing();
+        }
+    }
+    
+    /**
+     * Route data for waypoints in the current brush, with the selected token's speed if it has one
+     * @param {Array} waypoints - Absolute {x, y} waypoints
+     * @returns {Object} Route data (type, startX, startY, points, strokeWidth, strokeColor, lineStyle, speed, speedName)
+     */
+    _routeData(waypoints) {
+        const [start] = waypoints;
+        const route = {
+            type: 'route',
+            startX: start.x,
+            startY: start.y,
+            points: waypoints.map(point => [point.x - start.x, point.y - start.y]),
+            strokeWidth: this.state.brushSettings.size,
+            strokeColor: this.state.brushSettings.color,
+            lineStyle: this.state.lineStyle || 'solid'
+        };
+        const speed = this._routeSpeed();
+        if (speed) {
+            route.speed = speed.speed;
+            route.speedName = speed.speedName;
+        }
+        return route;
+    }
+    
+    /**
+     * The centre of the grid space holding a point (the point itself on a gridless scene)
+     * @param {Object} point - {x, y}
+     * @returns {Object} {x, y}
+     */
+    _snapToGridCenter(point) {
+        const grid = canvas?.grid;
+        if (!grid || grid.isGridless || typeof grid.getCenterPoint !== 'function') {
+            return { x: point.x, y: point.y };
+        }
+        const center = grid.getCenterPoint({ x: point.x, y: point.y });
+        return { x: center.x, y: center.y };
+    }
+    
+    /**
+     * Walking speed of the first controlled token, for the rounds a route takes
+     * Reads dnd5e's walk speed, then the common attributes.speed.value
+     * @returns {Object|null} {speed, speedName} or null when no token with a speed is selected
+     */
+    _routeSpeed() {
+        const token = canvas?.tokens?.controlled?.[0];
+        const attributes = token?.actor?.system?.attributes;
+        const speed = Number(attributes?.movement?.walk ?? attributes?.speed?.value);
+        if (!Number.isFinite(speed) || speed <= 0) return null;
+        return { speed, speedName: token.name };
+    }
+    
+    /**
+     * Measure a route on this client's grid, which applies the scene's diagonal rule
+     * (5/10/5 alternating, equidistant, exact...) the same way the ruler does
+     * @param {Object} data - Route data (startX, startY, points)
+     * @returns {Object|null} {legs, total, units} or null when there is no grid to measure with
+     */
+    _measureRoute(data) {
+        const grid = canvas?.grid;
+        const points = data.points || [];
+        if (!grid || typeof grid.measurePath !== 'function' || points.length < 2) return null;
+        const waypoints = points.map(point => ({ x: data.startX + point[0], y: data.startY + point[1] }));
+        const { distance, segments } = grid.measurePath(waypoints);
+        return { legs: segments.map(segment => segment.distance), total: distance, units: grid.units || '' };
+    }
+    
+    /**
+     * A distance as the ruler shows it: to two places, in the scene's units
+     * @param {number} distance - Distance in grid units
+     * @param {string} units - The scene's grid units
+     * @returns {string} Label text
+     */
+    _formatDistance(distance, units) {
+        const rounded = Math.round(distance * 100) / 100;
+        return units ? `${rounded} ${units}` : `${rounded}`;
+    }
+    
+    /**
+     * Build a route's PIXI graphics: the path and its waypoints, a label on each
+     * leg and the total (and rounds, with a speed) beside its end
+     * @param {Object} data - Route data (startX, startY, points, strokeWidth, strokeColor, lineStyle, speed)
+     * @returns {Object} {graphics, measure} - the graphics and what was measured
+     */
+    _drawRoute(data) {
+        const graphics = new PIXI.Graphics();
+        const drawingAlpha = 1.0;
+        const drawingColor = this.cssToPixiColor(data.strokeColor);
+        const strokeWidth = data.strokeWidth || 6;
+        const shadowOffset = 2;
+        const shadowAlpha = drawingAlpha * 0.3;
+        const shadowColor = 0x000000;
+        const lineStyle = data.lineStyle || 'solid';
+        const points = data.points || [];
+        
+        graphics.lineStyle(strokeWidth, shadowColor, shadowAlpha);
+        this._drawLineWithStyle(graphics, points, data.startX + shadowOffset, data.startY + shadowOffset, strokeWidth, shadowColor, shadowAlpha, 'solid');
+        graphics.lineStyle(strokeWidth, drawingColor, drawingAlpha);
+        this._drawLineWithStyle(graphics, points, data.startX, data.startY, strokeWidth, drawingColor, drawingAlpha, lineStyle);
+        
+        // Waypoints
+        graphics.lineStyle(0);
+        for (const point of points) {
+            graphics.beginFill(shadowColor, shadowAlpha);
+            graphics.drawCircle(data.startX + point[0] + shadowOffset, data.startY + point[1] + shadowOffset, strokeWidth);
+            graphics.endFill();
+            graphics.beginFill(drawingColor, drawingAlpha);
+            graphics.drawCircle(data.startX + point[0], data.startY + point[1], strokeWidth);
+            graphics.endFill();
+        }
+        
+        const measure = this._measureRoute(data);
+        if (!measure) return { graphics, measure };
+        
+        // Labels are text children, so they go with the route when it is destroyed
+        const labels = [];
+        const addLabel = (text, x, y, anchorY) => {
+            const label = new PIXI.Text(text, this._labelStyle(DrawingTool.strRouteLabelSize, data.strokeColor));
+            label.anchor.set(0.5, anchorY);
+            label.position.set(x, y);
+            graphics.addChild(label);
+            labels.push(label);
+        };
+        if (measure.legs.length > 1) {
+            measure.legs.forEach((leg, i) => {
+                const [ax, ay] = points[i];
+                const [bx, by] = points[i + 1];
+                addLabel(this._formatDistance(leg, measure.units), data.startX + (ax + bx) / 2, data.startY + (ay + by) / 2, 0.5);
+            });
+        }
+        let total = this._formatDistance(measure.total, measure.units);
+        if (data.speed > 0) {
+            const rounds = Math.max(1, Math.ceil(measure.total / data.speed));
+            total += ` · ${rounds} ${rounds === 1 ? 'round' : 'rounds'}`;
+        }
+        const [endX, endY] = points[points.length - 1];
+        addLabel(total, data.startX + endX, data.startY + endY + strokeWidth + 4, 0);
+        graphics.once('destroyed', () => labels.forEach(label => label.destroy()));
+        
+        return { graphics, measure };
+    }
+    
     /**
      * Update active state of color buttons in secondary bar
      * Uses Blacksmith's updateSecondaryBarItemActive API
@@ -3975,6 +5917,7 @@ class DrawingTool {
             id: drawing.id,
             userId: drawing.userId,
             userName: drawing.userName,
+            sceneId: drawing.sceneId,
             createdAt: drawing.createdAt,
             expiresAt: drawing.expiresAt,
             strokeWidth: drawing.strokeWidth,
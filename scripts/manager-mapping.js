@@ -9,14 +9,40 @@ import {
     contiguousFloorRegion,
     gridTravelPath,
     mergeMapInto,
+    normalizeBoundaries,
+    normalizeVariants,
     propagateFloors,
     sameFloorRegion,
     sceneInteriorRegion,
     visibleRevealKeys,
     wallFringe
 } from './utils-mapping.js';
-import { buildSceneAtlas, EMPTY_ATLAS, secretsCrossedBy, toGrid } from './atlas-mapping.js';
+import {
+    atlasFromSnapshot,
+    atlasSnapshot,
+    buildSceneAtlas,
+    EMPTY_ATLAS,
+    featureOnLine,
+    normalizeAtlasSnapshot,
+    secretsCrossedBy,
+    toGrid,
+    withAuthoredBoundaries
+} from './atlas-mapping.js';
+import { atBand, bandAt, bandBottom, bandIds, normalizeBandId, sceneBands } from './elevation-mapping.js';
+import { gridTypeOf, hexGridExtent, hexTravelPath, hexesWithin, isHexGrid, normalizeGridType } from './hex-mapping.js';
+import { itemMapId, mapHolders, mapItemFlags, mapItems, resetMapItems } from './item-mapping.js';
+import { isLinkSymbol, mapLinks, normalizeLink } from './levels-mapping.js';
+import { makeRevision, REVISION_LIMIT, revertDiff } from './revisions-mapping.js';
+import { NOTE_LINK_TYPES, noteLinkMarkup } from './notes-mapping.js';
+import { mapNotes } from './search-mapping.js';
+import {
+    deleteMapPage, ensureMapStore, isMapPage, mapPage, pageMap, pageMapId, pageRevisions, storedMaps, writeMapPage
+} from './store-mapping.js';
 import { notify } from './utils-toast.js';
+import { EXPORT_MAX_EDGE, EXPORT_PALETTE } from './export-mapping.js';
+import { GENERATION_DEFAULTS, generateDungeon, normalizeGeneration } from './generate-mapping.js';
+import { TEMPLATE_ROTATIONS, captureTemplate, normalizeTemplate, placeTemplate } from './templates-mapping.js';
+import { buildMapWalls, mapRegion, wallInRegion } from './walls-mapping.js';
 import {
     MAPPING_ANNOTATED_SYMBOLS,
     MAPPING_FLOOR_TYPE_IDS,
@@ -24,6 +50,7 @@ import {
     MAPPING_SYMBOL_TYPES
 } from './symbols-mapping.js';
 
+/** The scene flag maps were kept in before the store, read now only to move them out. */
 const FLAG_KEY = 'mapping';
 const TOOL_ID = `${MODULE.ID}-mapping`;
 const WINDOW_ID = `${MODULE.ID}-mapper`;
@@ -46,7 +73,22 @@ const DELETE_TOMBSTONE_MS = 15000;
 /** The mutually exclusive states the mapper can be in. */
 const MAPPING_MODES = ['view', 'follow', 'record'];
 /** Mutations any party member may make, rather than only the Actor's owner. */
-const ANNOTATION_ACTIONS = ['place-symbol', 'remove-symbol'];
+const ANNOTATION_ACTIONS = ['place-symbol', 'remove-symbol', 'set-variant', 'link-symbol'];
+/** The parts of a map those write, and so all that taking one of them back may touch. */
+const ANNOTATION_FIELDS = ['symbols', 'variants'];
+/**
+ * The edits the window makes that its user can take back with Ctrl+Z. Each is
+ * logged under an id its sender chose, so the sender can name it again later.
+ */
+const UNDOABLE_ACTIONS = [
+    'place-symbol', 'remove-symbol', 'set-floor', 'mark-floor', 'mark-rock', 'rename',
+    'set-boundary', 'set-variant', 'stamp-template', 'link-symbol'
+];
+/**
+ * Mutations written in the square lattice's terms -- lines, rectangles, quarter
+ * turns -- which a hex map has no use for and would only be corrupted by.
+ */
+const SQUARE_ONLY_ACTIONS = ['set-boundary', 'set-variant', 'stamp-template', 'generate-layout'];
 const MENUBAR_TOOL_ID = `${MODULE.ID}-mapping-menubar`;
 /** Shared stand-in for "no squares". Only ever read, never added to. */
 const EMPTY_KEY_SET = Object.freeze(new Set());
@@ -138,6 +180,10 @@ class MappingManager {
         this.currentMapId = null;
         this.lastGridKey = null;
         this.contributeToParty = false;
+        // Which floor of a stacked scene the window is showing, and the current
+        // map turned to each floor it has been shown at. See `state`.
+        this.viewBand = '';
+        this._bandViews = new WeakMap();
         this.state = this._emptyRecord();
         // The explored squares of a record, as a set, worked out once per record.
         // Keyed on the record object rather than its id, so it cannot go stale:
@@ -166,11 +212,19 @@ class MappingManager {
         // once the record's lastPosition reaches it.
         this._pendingDestination = null;
         this._pendingTimer = null;
-        // Map id -> expiry timestamp. A tombstone only has to outlive a
-        // registry broadcast that was already in flight when the delete
-        // happened; it is cleared as soon as an authoritative container
-        // confirms the removal, and expires if the delete never took effect.
+        // Map id -> expiry timestamp. A tombstone only has to outlive a page
+        // update that was already in flight when the delete happened; it is
+        // cleared as soon as the page's deletion confirms the removal, and
+        // expires if the delete never took effect.
         this._deletedMapIds = new Map();
+        // Map id -> this user's own edits to it, as revision ids, for undo and
+        // redo. Kept on this client only and for this session only: they are
+        // somebody's recent work, not part of the map.
+        this._editStacks = new Map();
+        // Change id -> an edit of this user's the GM has not yet answered for.
+        // It joins the undo stack only once the GM says it was logged: one that
+        // was refused, or changed nothing, has nothing to take back.
+        this._pendingEdits = new Map();
         this._selectionFrame = null;
         this._closingWindow = false;
         this._settleTimer = null;
@@ -183,6 +237,31 @@ class MappingManager {
         this._followPosition = null;
     }
 
+    /**
+     * The map in the window, turned to the floor being looked at.
+     *
+     * Held as stored, with the ground in its own fields, and turned on the way
+     * out, so everything that draws or asks about the current map sees the
+     * floor on screen without knowing floors exist -- and anything handed back
+     * here, turned or not, is put away as stored.
+     */
+    get state() {
+        return this._atBand(this._state, this.viewBand);
+    }
+
+    set state(record) {
+        this._state = atBand(record, '');
+    }
+
+    /** A record turned to a floor, turned once per record and floor so it keeps its identity. */
+    _atBand(record, band) {
+        if (!record || (record.band ?? '') === band) return record;
+        let views = this._bandViews.get(record);
+        if (!views) this._bandViews.set(record, views = new Map());
+        if (!views.has(band)) views.set(band, atBand(record, band));
+        return views.get(band);
+    }
+
     /**
      * Settle the scene's architecture.
      *
@@ -205,19 +284,24 @@ class MappingManager {
      * Kept per scene and thrown away whenever any walls change, since which
      * scene was edited is not worth tracking for a pass this cheap.
      */
-    atlasFor(sceneId) {
+    atlasFor(sceneId, band = '') {
         if (!sceneId) return EMPTY_ATLAS;
-        if (this._atlases.has(sceneId)) return this._atlases.get(sceneId);
+        // One floor of a stacked scene at a time, each with the walls standing
+        // on it. A floor the scene no longer has is read with all of them.
+        const key = band ? `${sceneId}:${band}` : sceneId;
+        if (this._atlases.has(key)) return this._atlases.get(key);
         const scene = game.scenes?.get(sceneId);
         let atlas = EMPTY_ATLAS;
         try {
-            atlas = buildSceneAtlas(scene) ?? EMPTY_ATLAS;
+            const range = sceneBands(scene).find(entry => entry.id === band) ?? null;
+            atlas = buildSceneAtlas(scene, { band: range }) ?? EMPTY_ATLAS;
         } catch (error) {
             console.error(`${MODULE.NAME}: Failed to read the walls of ${scene?.name ?? sceneId}`, error);
         }
-        this._atlases.set(sceneId, atlas);
+        this._atlases.set(key, atlas);
         this._debug('Mapping | Atlas', [
             `scene=${scene?.name ?? sceneId}`,
+            `band=${band || 'ground'}`,
             `edges=${Object.keys(atlas.features).length}`,
             `lines=${atlas.lines.length}`,
             `secrets=${atlas.secrets.length}`
@@ -225,9 +309,21 @@ class MappingManager {
         return atlas;
     }
 
-    /** The architecture of the scene in play, which is what recording uses. */
-    get atlas() {
-        return this.atlasFor(canvas?.scene?.id);
+    /**
+     * The architecture a particular map is drawn with: its scene's walls, or an
+     * artifact's own, with whatever its author drew by hand laid over them.
+     * Anything that floods a map's floor asks this rather than atlasFor, or a
+     * wall that exists only on the map would not stop anything.
+     *
+     * An artifact made before it kept walls of its own has none, and follows
+     * its scene until the GM takes them from it -- unless it was generated,
+     * when the scene's walls would only cut through it.
+     */
+    atlasForRecord(record) {
+        const base = record?.architecture
+            ? atlasFromSnapshot(record.architecture, record)
+            : record?.generation ? EMPTY_ATLAS : this.atlasFor(record?.sceneId, record?.band ?? '');
+        return withAuthoredBoundaries(base, record?.boundaries);
     }
 
     /**
@@ -280,9 +376,11 @@ class MappingManager {
             version: STATE_VERSION,
             id: actorId && sceneId ? this._recordId(actorId, sceneId) : null,
             kind: 'player',
-            // Only a player map can be unshared: the other two kinds are shared
-            // by what they are. Default false, so a map someone starts recording
-            // is theirs until they say otherwise.
+            // Only a player map is shared or kept by this: the party's is
+            // everyone's, and an artifact goes to whoever holds its Item -- or,
+            // revealed this way before there were Items, to everybody until it
+            // is put on one. Default false, so a map someone starts recording is theirs until
+            // they say otherwise.
             shared: false,
             // Identifies an official map, which has no Actor to be known by.
             officialId: null,
@@ -293,13 +391,28 @@ class MappingManager {
             sceneId,
             sceneName: scene?.name ?? '',
             name: scene?.name ?? '',
-            gridType: 'square',
+            gridType: gridTypeOf(scene) ?? 'square',
             columns: 0,
             rows: 0,
             gridDistance: 5,
             explored: [],
             symbols: [],
             floors: {},
+            // Boundaries drawn by hand, keyed by lattice line. Laid over the
+            // scene's own walls wherever the map is drawn or flooded.
+            boundaries: {},
+            // False doors, portcullises and the rest of the key that a scene's
+            // walls cannot say, keyed by the lattice line they were written on.
+            // Kept apart from the boundaries because they annotate rather than
+            // build: anyone who may write on the map may place one.
+            variants: {},
+            // The settings a generated map was made from, seed and all, so it
+            // can be made again or handed to another GM. Null when drawn.
+            generation: null,
+            // An artifact's own walls, taken from its scene when it was made
+            // and drawn from thereafter. Null on every other kind of map,
+            // which is a record of the scene as it stands.
+            architecture: null,
             // Secret doors this party has walked through. The atlas draws every
             // secret as ordinary wall until its id appears here.
             secrets: [],
@@ -311,6 +424,10 @@ class MappingManager {
             // told, and remembers -- a square struck off stays struck off, and
             // exploring again does not put it back.
             hidden: [],
+            // The other floors of a scene stacked by elevation, each holding
+            // its own squares, surfaces and symbols. The ground is the map's
+            // own fields. See elevation-mapping.js.
+            bands: {},
             lastPosition: null,
             createdAt: 0,
             updatedAt: 0,
@@ -327,6 +444,9 @@ class MappingManager {
         this.rebuildAtlas();
         this.loadMapRecords();
         this.refreshMenubarTool();
+        void this._migrateSceneFlags().catch(error => {
+            console.error(`${MODULE.NAME}: Failed to move maps out of scene flags`, error);
+        });
         console.log(`${MODULE.NAME}: Mapping tool initialized`);
     }
 
@@ -340,6 +460,7 @@ class MappingManager {
         this.trackedTokenId = null;
         this._followPosition = null;
         this.currentMapId = null;
+        this.viewBand = '';
         this.lastGridKey = null;
         this._resetMovementPath();
         this._deletedMapIds.clear();
@@ -473,7 +594,8 @@ class MappingManager {
     _registerHooks() {
         const updateToken = Hooks.on('updateToken', (tokenDocument, changes, operation) => {
             if (tokenDocument.id !== this.trackedTokenId) return;
-            const moved = ('x' in changes) || ('y' in changes);
+            // Climbing a stair in a stacked scene is a move, to another floor.
+            const moved = ('x' in changes) || ('y' in changes) || ('elevation' in changes);
             const visionChanged = ('rotation' in changes) || ('sight' in changes);
             if (!moved && !visionChanged) return;
             // Read the move from the change set rather than the document, which
@@ -483,6 +605,7 @@ class MappingManager {
                     id: tokenDocument.id,
                     x: 'x' in changes ? Number(changes.x) : tokenDocument.x,
                     y: 'y' in changes ? Number(changes.y) : tokenDocument.y,
+                    elevation: 'elevation' in changes ? Number(changes.elevation) : tokenDocument.elevation,
                     width: tokenDocument.width,
                     height: tokenDocument.height,
                     actor: tokenDocument.actor,
@@ -490,6 +613,8 @@ class MappingManager {
                 }
                 : tokenDocument;
             const position = this._gridPosition(movementDocument);
+            // Whoever is following or recording sees the floor the token is on.
+            if (moved && (this.following || this.active)) this._followBand(movementDocument.elevation);
 
             // Following moves the view and nothing else. It deliberately runs
             // before the recording gate, so a user can follow along on a map
@@ -530,12 +655,53 @@ class MappingManager {
         });
         this._hooks.push({ name: 'updateToken', id: updateToken });
 
-        const updateScene = Hooks.on('updateScene', (scene, changes) => {
-            if (!changes?.flags?.[MODULE.ID]?.[FLAG_KEY]) return;
-            this._indexScene(scene, scene.getFlag(MODULE.ID, FLAG_KEY));
-            void this.renderWindow();
+        // Every write is one page, and Foundry delivers it only to the clients
+        // allowed to read it, so these are the whole of keeping in step.
+        for (const hookName of ['createJournalEntryPage', 'updateJournalEntryPage']) {
+            const hookId = Hooks.on(hookName, page => this._handleMapPage(page));
+            this._hooks.push({ name: hookName, id: hookId });
+        }
+        const deleteJournalEntryPage = Hooks.on('deleteJournalEntryPage', page => this._handleMapPage(page, { deleted: true }));
+        this._hooks.push({ name: 'deleteJournalEntryPage', id: deleteJournalEntryPage });
+
+        // A map used to go with its scene, being kept on it. Kept apart now, it
+        // has to be thrown away deliberately.
+        const deleteScene = Hooks.on('deleteScene', scene => {
+            if (!game.user.isGM || !game.users.activeGM?.isSelf) return;
+            for (const { raw } of this._sceneMaps(scene.id)) {
+                const entry = this._indexEntry(raw, null);
+                if (entry) void this._persistMapDeletion(entry.id);
+            }
         });
-        this._hooks.push({ name: 'updateScene', id: updateScene });
+        this._hooks.push({ name: 'deleteScene', id: deleteScene });
+
+        // Whoever holds an artifact's Item has the map, so an Item carrying one
+        // arriving in an inventory, leaving it, or an inventory changing hands
+        // is a change to who may read that map's page.
+        for (const hookName of ['createItem', 'updateItem', 'deleteItem']) {
+            const hookId = Hooks.on(hookName, item => {
+                resetMapItems();
+                this._handleMapItems([item]);
+            });
+            this._hooks.push({ name: hookName, id: hookId });
+        }
+        // An Actor made or thrown away brings its inventory with it, without a
+        // hook for each Item in it.
+        for (const hookName of ['createActor', 'deleteActor']) {
+            const hookId = Hooks.on(hookName, actor => {
+                resetMapItems();
+                this._handleMapItems(actor.items ?? []);
+            });
+            this._hooks.push({ name: hookName, id: hookId });
+        }
+        // A player map is read by whoever plays its Actor, so the Actor changing
+        // hands changes who may read its pages as well.
+        const updateActor = Hooks.on('updateActor', (actor, changes) => {
+            if (!changes?.ownership) return;
+            this._handleMapItems(actor.items ?? []);
+            this._handleActorMaps(actor);
+        });
+        this._hooks.push({ name: 'updateActor', id: updateActor });
 
         const controlToken = Hooks.on('controlToken', () => {
             if (this._selectionFrame) cancelAnimationFrame(this._selectionFrame);
@@ -576,20 +742,29 @@ class MappingManager {
             const hookId = Hooks.on(hookName, () => this._scheduleAtlasRebuild());
             this._hooks.push({ name: hookName, id: hookId });
         }
+        // So are the floors a scene is stacked into, which say which walls
+        // stand on which of them.
+        const updateScene = Hooks.on('updateScene', (_scene, changes) => {
+            const flags = Object.keys(changes.flags ?? {});
+            if (!flags.includes('levels') && !flags.includes('-=levels')) return;
+            this._scheduleAtlasRebuild();
+            void this.renderWindow();
+        });
+        this._hooks.push({ name: 'updateScene', id: updateScene });
     }
 
     _registerSocketHandlers() {
         socketManager.registerToolHandlers('mapping', {
             'reveal-request': data => this._handleRevealRequest(data),
             'mutation-request': data => this._handleMutationRequest(data),
-            'registry-updated': data => this._handleRegistryUpdated(data)
+            'mutation-result': data => this._handleMutationResult(data)
         });
     }
 
     /**
-     * Index every map in the world, without reading any of them.
+     * Index every map this client can see, without reading any of them.
      *
-     * Foundry already holds every scene's flags in memory, so walking them all
+     * Foundry already holds every page the user may observe in memory, so walking them all
      * and validating each map into a second copy bought nothing: it doubled the
      * storage and spent the time twice over, on load and again on every scene
      * change, for maps nobody had asked to see. At six players across sixty
@@ -602,7 +777,10 @@ class MappingManager {
         const selectedId = this.currentMapId;
         this.records.clear();
         this._index.clear();
-        for (const scene of game.scenes ?? []) this._indexScene(scene, scene.getFlag(MODULE.ID, FLAG_KEY));
+        for (const { raw } of storedMaps()) {
+            const entry = this._indexEntry(raw, game.scenes?.get(raw.sceneId));
+            if (entry && !this._isTombstoned(entry.id)) this._index.set(entry.id, entry);
+        }
 
         if (selectedId && this._index.has(selectedId)) this.selectMap(selectedId, { render: false });
         else {
@@ -656,6 +834,16 @@ class MappingManager {
                 kind === 'official' ? game.i18n.localize(`${MODULE.ID}.mapping.officialFallbackName`) : null
             ]),
             explored: Array.isArray(raw.explored) ? raw.explored : [],
+            // Where this map's stairs lead, for the atlas of levels, which is
+            // built from the index and would otherwise have to open every map.
+            // A stacked scene's stairs are on every floor of it.
+            links: mapLinks([
+                ...(Array.isArray(raw.symbols) ? raw.symbols : []),
+                ...Object.values(raw.bands ?? {}).flatMap(band => (Array.isArray(band?.symbols) ? band.symbols : []))
+            ]),
+            // What the list's search reads, for the same reason.
+            notes: mapNotes(raw),
+            contributors: Array.isArray(raw.contributors) ? raw.contributors : [],
             gridDistance: 5,
             createdAt: Number(raw.createdAt) || Number(raw.updatedAt) || 0,
             updatedAt: Number(raw.updatedAt) || 0,
@@ -668,9 +856,9 @@ class MappingManager {
      * A map validated in full, materialized on first use and kept thereafter.
      *
      * Nothing is evicted. A held record can carry changes that have not reached
-     * the scene flag yet, and dropping one would silently roll them back --
-     * they are dropped only when the scene is re-indexed, which is the point at
-     * which the flag has become the truth again. Entries appear only for maps
+     * its page yet, and dropping one would silently roll them back -- they are
+     * dropped only when the page is re-read, which is the point at which the
+     * page has become the truth again. Entries appear only for maps
      * somebody actually opened or recorded into.
      */
     getRecord(id) {
@@ -688,6 +876,8 @@ class MappingManager {
     /** Hold a changed map, and keep the index in step so the list agrees. */
     _cacheRecord(record) {
         if (!record?.id) return record;
+        // Held as stored, whichever floor it was changed on.
+        record = atBand(record, '');
         this.records.set(record.id, record);
         const entry = this._indexEntry(record, game.scenes?.get(record.sceneId));
         if (entry) this._index.set(record.id, entry);
@@ -714,24 +904,23 @@ class MappingManager {
         return entry;
     }
 
-    _indexScene(scene, raw) {
+    /** Re-read every map of one scene from the store, as the truth. */
+    _indexScene(scene) {
         for (const [id, entry] of this._index) {
             if (entry.sceneId !== scene.id) continue;
             this._index.delete(id);
-            // The flag is the truth again, so anything held for this scene is
+            // The store is the truth again, so anything held for this scene is
             // stale by definition.
             this.records.delete(id);
         }
         const incoming = new Map();
-        if (Number(raw?.version) >= STATE_VERSION && raw.maps && typeof raw.maps === 'object') {
-            for (const value of Object.values(raw.maps)) {
-                const entry = this._indexEntry(value, scene);
-                if (entry) incoming.set(entry.id, entry);
-            }
+        for (const { raw } of this._sceneMaps(scene.id)) {
+            const entry = this._indexEntry(raw, scene);
+            if (entry) incoming.set(entry.id, entry);
         }
 
-        // Reconcile pending deletions against this authoritative container.
-        // An id the container no longer carries is confirmed deleted, so the
+        // Reconcile pending deletions against what the store holds.
+        // An id the store no longer carries is confirmed deleted, so the
         // tombstone has done its job and must be dropped -- otherwise the map
         // could never be recorded again on this client. An id that is still
         // present after the tombstone expired means the delete did not take,
@@ -801,13 +990,17 @@ class MappingManager {
                 kind === 'party' ? this.partyName() : null,
                 kind === 'official' ? game.i18n.localize(`${MODULE.ID}.mapping.officialFallbackName`) : null
             ]),
-            gridType: 'square',
+            gridType: normalizeGridType(raw.gridType),
             columns: Math.max(0, Number(raw.columns) || 0),
             rows: Math.max(0, Number(raw.rows) || 0),
             gridDistance: 5,
             explored,
             symbols: this._normalizeSymbols(raw.symbols),
             floors: this._normalizeFloors(raw.floors),
+            boundaries: normalizeBoundaries(raw.boundaries),
+            variants: normalizeVariants(raw.variants),
+            generation: raw.generation && typeof raw.generation === 'object' ? normalizeGeneration(raw.generation) : null,
+            architecture: kind === 'official' ? normalizeAtlasSnapshot(raw.architecture) : null,
             secrets: Array.isArray(raw.secrets)
                 ? [...new Set(raw.secrets.filter(id => typeof id === 'string' && id))]
                 : [],
@@ -815,6 +1008,7 @@ class MappingManager {
             hidden: Array.isArray(raw.hidden)
                 ? [...new Set(raw.hidden.filter(key => /^-?\d+,-?\d+$/.test(key)))]
                 : [],
+            bands: this._normalizeBands(raw.bands),
             lastPosition: this._normalizePosition(raw.lastPosition),
             createdAt: Number(raw.createdAt) || Number(raw.updatedAt) || 0,
             updatedAt: Number(raw.updatedAt) || 0,
@@ -900,12 +1094,15 @@ class MappingManager {
         //
         // The party map is the opposite and stays empty: it is only ever what
         // its members have chosen to give it.
+        //
+        // It keeps the walls it was drawn from, too. The scene goes on being
+        // edited; the map the party will find was drawn once.
         if (kind === 'official') {
-            const seeded = sceneInteriorRegion(
-                this.atlasFor(record.sceneId), record.columns, record.rows
-            );
+            const atlas = this.atlasFor(record.sceneId);
+            const seeded = sceneInteriorRegion(atlas, record.columns, record.rows);
             record.explored = seeded.explored;
             record.sides = seeded.sides;
+            record.architecture = atlasSnapshot(atlas);
         }
         return record;
     }
@@ -988,21 +1185,16 @@ class MappingManager {
         const size = Number(scene?.grid?.size) || Number(canvas?.grid?.size) || 100;
         const width = scene?.id === canvas?.scene?.id ? canvas.dimensions?.width : scene?.width;
         const height = scene?.id === canvas?.scene?.id ? canvas.dimensions?.height : scene?.height;
+        const gridType = gridTypeOf(scene);
+        if (isHexGrid(gridType)) {
+            return hexGridExtent(gridType, (Number(width) || size) / size, (Number(height) || size) / size);
+        }
         return {
             columns: Math.max(1, Math.ceil((Number(width) || size) / size)),
             rows: Math.max(1, Math.ceil((Number(height) || size) / size))
         };
     }
 
-    /**
-     * Show a player map to the rest of the party, or take it back.
-     *
-     * Worth being plain about what this does: the record travels to every client
-     * in the scene flag either way, exactly as the walls themselves do. This
-     * decides whose list a map appears in, not who could reach it with a console
-     * open. For a table of people playing a game together that is the useful
-     * meaning of private, and the honest one to claim.
-     */
     /**
      * Give the party map what this map knows.
      *
@@ -1035,11 +1227,15 @@ class MappingManager {
         return true;
     }
 
+    /**
+     * Show a player map to the rest of the party, or take it back.
+     *
+     * Only a player map has this switch. The party's map has nobody to hide it
+     * from, and an artifact is shown by handing over the Item carrying it.
+     */
     async setMapShared(mapId, shared) {
         const record = this.getRecord(mapId);
-        if (!record || mapKind(record.kind) === 'party') return false;
-        // A player map is its owner's to share; an artifact is the GM's to
-        // reveal. canManageRecord already draws that line.
+        if (!record || mapKind(record.kind) !== 'player') return false;
         if (!this.canManageRecord(record)) return false;
         if (record.shared === Boolean(shared)) return true;
         await this._requestMutation({
@@ -1050,6 +1246,251 @@ class MappingManager {
         return true;
     }
 
+    /**
+     * Put an artifact on an Item, for the party to find.
+     *
+     * Either an Item already in the sidebar or a new one made for it. A loose
+     * Item is held by nobody, so the map stays unseen wherever the GM keeps it,
+     * and dropping the Item into somebody's inventory is the reveal.
+     */
+    async bindMapItem(mapId) {
+        const record = this.getRecord(mapId);
+        if (!record || !game.user.isGM || mapKind(record.kind) !== 'official') return false;
+        const localize = key => game.i18n.localize(`${MODULE.ID}.mapping.${key}`);
+        const escape = value => foundry.utils.escapeHTML(String(value ?? ''));
+        // An Item already carrying a map is left out rather than taken over:
+        // it would silently stop carrying the other one.
+        const loose = (game.items?.contents ?? [])
+            .filter(item => !itemMapId(item))
+            .sort((left, right) => left.name.localeCompare(right.name));
+        const options = [`<option value="">${escape(localize('mapItemNew'))}</option>`]
+            .concat(loose.map(item => `<option value="${escape(item.id)}">${escape(item.name)}</option>`))
+            .join('');
+        const result = await foundry.applications.api.DialogV2.input({
+            window: { title: game.i18n.format(`${MODULE.ID}.mapping.mapItemTitle`, { name: record.name }) },
+            content: `<div class="form-group"><label>${escape(localize('mapItemLabel'))}</label><div class="form-fields"><select name="itemId">${options}</select></div><p class="hint">${escape(localize('mapItemHint'))}</p></div>`,
+            ok: { label: localize('mapItemSave') },
+            rejectClose: false,
+            modal: true
+        });
+        if (result === null || result === undefined) return false;
+        let item = game.items?.get(result.itemId);
+        if (item) await item.update({ flags: mapItemFlags(record.id) });
+        else item = await Item.create({ name: record.name, type: this._mapItemType(), flags: mapItemFlags(record.id) });
+        item?.sheet?.render(true);
+        return Boolean(item);
+    }
+
+    /**
+     * Take an artifact's walls from its scene again, as the scene now stands.
+     *
+     * Never done without asking: the whole point of the artifact keeping its
+     * own walls is that the scene changing does not change it.
+     */
+    async refreshArchitecture(mapId) {
+        const record = this.getRecord(mapId);
+        if (!record || !game.user.isGM || mapKind(record.kind) !== 'official') return false;
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize(`${MODULE.ID}.mapping.refreshArchitecture`) },
+            content: `<p>${foundry.utils.escapeHTML(game.i18n.format(`${MODULE.ID}.mapping.refreshArchitectureConfirm`, { name: record.name }))}</p>`,
+            rejectClose: false,
+            modal: true
+        });
+        if (!confirmed) return false;
+        await this._requestMutation({ action: 'refresh-architecture', mapId: record.id });
+        return true;
+    }
+
+    /** What has been changed on a map, oldest first, as far as its log goes back. */
+    mapRevisions(mapId) {
+        return pageRevisions(mapPage(mapId));
+    }
+
+    /**
+     * Wind a map back to how it was before one of its changes.
+     *
+     * Everything changed since goes with it, though not anything a token
+     * revealed by walking, which was never a change anybody made.
+     */
+    async restoreRevision(mapId, revisionId) {
+        const record = this.getRecord(mapId);
+        if (!record || !this.canDeleteRecord(record)) return false;
+        const revisions = this.mapRevisions(mapId);
+        const index = revisions.findIndex(revision => revision.id === revisionId);
+        if (index < 0) return false;
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize(`${MODULE.ID}.mapping.historyRestore`) },
+            content: `<p>${foundry.utils.escapeHTML(game.i18n.format(`${MODULE.ID}.mapping.historyRestoreConfirm`, {
+                name: record.name,
+                count: revisions.length - index
+            }))}</p>`,
+            rejectClose: false,
+            modal: true
+        });
+        if (!confirmed) return false;
+        await this._requestMutation({ action: 'restore-revision', mapId: record.id, revisionId });
+        return true;
+    }
+
+    /** This user's undo and redo for one map, made on first use. */
+    _editStack(mapId) {
+        let stacks = this._editStacks.get(mapId);
+        if (!stacks) {
+            stacks = { undo: [], redo: [] };
+            this._editStacks.set(mapId, stacks);
+        }
+        return stacks;
+    }
+
+    /** Take back this user's last edit to a map. */
+    undoMapEdit(mapId = this.currentMapId) {
+        return this._takeBackEdit(mapId, 'undo', 'redo');
+    }
+
+    /** Put back the edit last taken back. */
+    redoMapEdit(mapId = this.currentMapId) {
+        return this._takeBackEdit(mapId, 'redo', 'undo');
+    }
+
+    /**
+     * Undo and redo are the same thing: a logged change taken back. Undoing an
+     * edit logs the undoing, and redo takes *that* back, so neither needs an
+     * inverse worked out here. Each goes to the GM as a mutation of its own and
+     * passes the same gates the edit did, asked again as the map now stands --
+     * a symbol another player has since written over is not this user's to
+     * clear just because they placed the one beneath it.
+     *
+     * The map's log holds only the last few changes, everybody's together, so
+     * an edit can fall out of it while still on this user's stack. Those are
+     * dropped here, with word of it, rather than sent to fail at the GM.
+     */
+    async _takeBackEdit(mapId, from, to) {
+        const stacks = mapId ? this._editStack(mapId) : null;
+        // An edit already on its way back is not asked for twice.
+        const taking = new Set([...this._pendingEdits.values()].map(pending => pending.revisionId));
+        const revisionId = stacks?.[from].filter(id => !taking.has(id)).at(-1);
+        if (!revisionId) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.${from === 'undo' ? 'undoNothing' : 'redoNothing'}`), {
+                type: 'info',
+                icon: from === 'undo' ? 'fa-solid fa-rotate-left' : 'fa-solid fa-rotate-right',
+                stackKey: `${MODULE.ID}-map-undo`
+            });
+            return false;
+        }
+        const logged = new Set(this.mapRevisions(mapId).map(revision => revision.id));
+        if (!logged.has(revisionId)) {
+            stacks.undo = stacks.undo.filter(id => logged.has(id));
+            stacks.redo = stacks.redo.filter(id => logged.has(id));
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.undoGone`), {
+                subtitle: game.i18n.localize(`${MODULE.ID}.mapping.undoGoneDetail`),
+                type: 'warn',
+                icon: 'fa-solid fa-clock-rotate-left',
+                stackKey: `${MODULE.ID}-map-undo`
+            });
+            return false;
+        }
+        const changeId = foundry.utils.randomID();
+        this._pendingEdits.set(changeId, { mapId, revisionId, from, to });
+        await this._requestMutation({ action: 'undo-revision', mapId, revisionId, changeId });
+        return true;
+    }
+
+    /**
+     * The GM's answer to one of this user's edits: whether it was logged. A new
+     * edit goes on the undo stack and clears the redo; a take-back moves the
+     * edit across to the other stack, under the id of its own revision.
+     */
+    _handleMutationResult(data) {
+        if (!data || data.requesterId !== game.user.id) return;
+        if (data.userId !== game.user.id && !game.users.get(data.userId)?.isGM) return;
+        const pending = this._pendingEdits.get(data.changeId);
+        if (!pending || pending.mapId !== data.mapId) return;
+        this._pendingEdits.delete(data.changeId);
+        const stacks = this._editStack(pending.mapId);
+        if (!pending.revisionId) {
+            if (!data.logged) return;
+            stacks.undo = [...stacks.undo, data.changeId].slice(-REVISION_LIMIT);
+            stacks.redo = [];
+            return;
+        }
+        if (!data.logged) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.${pending.from === 'undo' ? 'undoRefused' : 'redoRefused'}`), {
+                subtitle: game.i18n.localize(`${MODULE.ID}.mapping.undoRefusedDetail`),
+                type: 'warn',
+                icon: pending.from === 'undo' ? 'fa-solid fa-rotate-left' : 'fa-solid fa-rotate-right',
+                stackKey: `${MODULE.ID}-map-undo`
+            });
+            return;
+        }
+        stacks[pending.from] = stacks[pending.from].filter(id => id !== pending.revisionId);
+        stacks[pending.to] = [...stacks[pending.to], data.changeId].slice(-REVISION_LIMIT);
+    }
+
+    /**
+     * Whether a user may take back one logged change: only one of their own,
+     * and only if they could make what taking it back makes. Marking up asks
+     * what marking up asks, down to not clearing an entry on an official map
+     * that is somebody else's; anything more asks to manage the map.
+     */
+    _canTakeBack(record, revision, user) {
+        if (!revision || revision.userId !== user.id) return false;
+        // Asked of the floor it was made on.
+        record = atBand(record, revision.band ?? '');
+        const fields = Object.keys(revision.diff ?? {});
+        if (!fields.every(field => ANNOTATION_FIELDS.includes(field))) return this.canManageRecord(record, user);
+        if (!this.canAnnotateRecord(record, user)) return false;
+        const symbols = record.symbols ?? [];
+        const variants = normalizeVariants(record.variants);
+        // What goes: the symbols it placed, whatever sits now where one it took
+        // away goes back, and whatever is on each boundary it marked.
+        const going = [
+            ...(revision.diff.symbols?.added ?? []).map(placed => symbols.find(symbol => symbol.id === placed.id)),
+            ...(revision.diff.symbols?.removed ?? []).flatMap(taken => symbols
+                .filter(symbol => symbol.column === taken.column && symbol.row === taken.row)),
+            ...Object.keys(revision.diff.variants ?? {}).map(edge => variants[edge])
+        ].filter(Boolean);
+        return going.every(entry => this.canRemoveEntry(record, entry, user));
+    }
+
+    /**
+     * A map with logged changes taken back, newest first, and made whole again.
+     * Each is taken back on the floor it was made on, and the map handed back
+     * turned to the floor it came in on.
+     */
+    _takeBackRevisions(record, revisions, user) {
+        let reverted = record;
+        for (const revision of [...revisions].reverse()) {
+            reverted = atBand(reverted, revision.band ?? '');
+            reverted = { ...reverted, ...revertDiff(reverted, revision.diff) };
+        }
+        reverted = atBand(reverted, record.band ?? '');
+        return {
+            ...reverted,
+            explored: [...new Set(reverted.explored)],
+            symbols: this._normalizeSymbols(reverted.symbols),
+            floors: this._normalizeFloors(reverted.floors),
+            boundaries: normalizeBoundaries(reverted.boundaries),
+            variants: normalizeVariants(reverted.variants),
+            updatedAt: Date.now(),
+            updatedBy: user.id
+        };
+    }
+
+    /** What kind of Item a map is made on: loot, where the system has it, or else its first kind. */
+    _mapItemType() {
+        const types = (game.documentTypes?.Item ?? []).filter(type => type !== CONST.BASE_DOCUMENT_TYPE);
+        return types.includes('loot') ? 'loot' : (types[0] ?? CONST.BASE_DOCUMENT_TYPE);
+    }
+
+    /**
+     * The characters whose Items give this user a map: all of them for the GM,
+     * and for anyone else, only the ones they play.
+     */
+    mapCarriers(record, user = game.user) {
+        if (mapKind(record?.kind) !== 'official') return [];
+        return mapHolders(record.id).filter(actor => user?.isGM || this._canManageActor(actor, user));
+    }
+
     getMapList() {
         return [...this._index.values()]
             // A map its owner has not shared is not in anybody else's list.
@@ -1064,6 +1505,7 @@ class MappingManager {
         const record = this.getRecord(mapId);
         if (!record) return false;
         this.currentMapId = record.id;
+        this.viewBand = this._trackedBand(record);
         this.state = record;
         if (this.active && record.id !== this._mapIdForToken(this._getTrackedToken())) void this.stopMapping();
         if (render) void this.renderWindow();
@@ -1090,10 +1532,54 @@ class MappingManager {
         if (this.contributeToParty && this.currentMapId === this.partyMapId(canvas.scene.id)) return true;
         const id = this._recordId(actor.id, canvas.scene.id);
         this.currentMapId = id;
+        this.viewBand = this._bandOf(token.document?.elevation);
         this.state = this.getRecord(id) ?? this._newRecord(actor, canvas.scene);
         return true;
     }
 
+    /** The floor of the current scene an elevation stands on. */
+    _bandOf(elevation) {
+        return bandAt(sceneBands(canvas?.scene), elevation);
+    }
+
+    /**
+     * The floor to open a map on: the one the tracked token stands on, when the
+     * map is of the scene it is in, and otherwise the ground.
+     */
+    _trackedBand(record) {
+        const token = this._getTrackedToken();
+        if (!token || !record || record.sceneId !== canvas?.scene?.id) return '';
+        return this._bandOf(token.document.elevation);
+    }
+
+    /**
+     * Keep the window on the floor the token has just moved to. A stair climbed
+     * shows the floor at the top of it, as a page turned in a paper atlas.
+     */
+    _followBand(elevation) {
+        const record = this.getRecord(this.currentMapId);
+        if (!record || record.sceneId !== canvas?.scene?.id) return;
+        const band = this._bandOf(elevation);
+        if (band === this.viewBand) return;
+        this.viewBand = band;
+        this.window?.redrawMap();
+    }
+
+    /**
+     * The floors a map can be shown on, top first, each with its id and what to
+     * call it. Read from the scene, plus any floor the map has drawings on that
+     * the scene no longer has -- a band the GM has since taken out of the scene
+     * still has its squares, and they stay reachable.
+     */
+    mapBands(record) {
+        const scene = game.scenes?.get(record?.sceneId);
+        const bands = sceneBands(scene).map(band => ({ id: band.id, bottom: band.bottom, name: band.name }));
+        for (const id of bandIds(atBand(record, ''))) {
+            if (!bands.some(band => band.id === id)) bands.push({ id, bottom: bandBottom(id), name: '' });
+        }
+        return bands.length > 1 ? bands.sort((left, right) => right.bottom - left.bottom) : [];
+    }
+
     /**
      * Switch between the three mutually exclusive modes. Recording is the only
      * one that has to be entered through its own checks, so it delegates and
@@ -1149,7 +1635,7 @@ class MappingManager {
             });
             return false;
         }
-        if (!this._isSquareGrid()) {
+        if (!this._currentGridType()) {
             notify(game.i18n.localize(`${MODULE.ID}.mapping.unsupportedGridTitle`), {
                 subtitle: game.i18n.localize(`${MODULE.ID}.mapping.unsupportedGridHint`), type: 'warn'
             });
@@ -1342,12 +1828,10 @@ class MappingManager {
         return this._renderQueue;
     }
 
-    _isSquareGrid() {
-        if (!canvas?.ready || !canvas.grid) return false;
-        const type = canvas.grid.type ?? canvas.scene?.grid?.type;
-        const gridTypes = CONST.GRID_TYPES ?? {};
-        return [gridTypes.SQUARE, gridTypes.SQUARE_DIAGONAL_1, gridTypes.SQUARE_DIAGONAL_2]
-            .filter(value => value !== undefined).includes(type);
+    /** The grid the scene in play would be mapped on, or null for one it cannot be. */
+    _currentGridType() {
+        if (!canvas?.ready || !canvas.grid) return null;
+        return gridTypeOf({ grid: { type: canvas.grid.type ?? canvas.scene?.grid?.type } });
     }
 
     _getTrackedToken() {
@@ -1374,7 +1858,9 @@ class MappingManager {
      */
     getTrackedPositionForCurrentMap() {
         const token = this._getTrackedToken();
-        if (!token || !this._isSquareGrid()) return null;
+        if (!token || !this._currentGridType()) return null;
+        // Shown only on the floor the token stands on.
+        if (this._bandOf(token.document.elevation) !== this.viewBand) return null;
         if (this.active) {
             if (this._mapIdForToken(token) !== this.currentMapId) return null;
             return this._normalizePosition(this.state.lastPosition) ?? this._gridPosition(token.document);
@@ -1494,12 +1980,44 @@ class MappingManager {
                 // Additive: symbols written before notes existed simply have none.
                 text: String(symbol.text ?? '').trim().slice(0, MAPPING_SYMBOL_TEXT_LIMIT),
                 createdAt: Number(symbol.createdAt) || 0,
-                createdBy: typeof symbol.createdBy === 'string' ? symbol.createdBy : null
+                createdBy: typeof symbol.createdBy === 'string' ? symbol.createdBy : null,
+                // Only where there is one, and only on a symbol that leads
+                // anywhere: a stair redrawn as a chest takes its link with it.
+                ...(isLinkSymbol(type) && normalizeLink(symbol.link) ? { link: normalizeLink(symbol.link) } : {})
             });
         }
         return normalized;
     }
 
+    /**
+     * The other floors of a stacked scene, each checked as the ground is. A
+     * floor keyed by anything but the elevation it starts at is dropped.
+     */
+    _normalizeBands(bands) {
+        if (!bands || typeof bands !== 'object') return {};
+        const squares = keys => (Array.isArray(keys)
+            ? [...new Set(keys.filter(key => /^-?\d+,-?\d+$/.test(key)))]
+            : []);
+        const normalized = {};
+        for (const [raw, band] of Object.entries(bands)) {
+            const id = normalizeBandId(raw);
+            if (!id || !band || typeof band !== 'object') continue;
+            normalized[id] = {
+                explored: squares(band.explored),
+                hidden: squares(band.hidden),
+                symbols: this._normalizeSymbols(band.symbols),
+                floors: this._normalizeFloors(band.floors),
+                boundaries: normalizeBoundaries(band.boundaries),
+                variants: normalizeVariants(band.variants),
+                secrets: Array.isArray(band.secrets)
+                    ? [...new Set(band.secrets.filter(secret => typeof secret === 'string' && secret))]
+                    : [],
+                sides: this._normalizeSides(band.sides)
+            };
+        }
+        return normalized;
+    }
+
     /** Which way the floor lies in each square, as recorded when it was seen. */
     _normalizeSides(sides) {
         if (!sides || typeof sides !== 'object') return {};
@@ -1597,9 +2115,13 @@ class MappingManager {
      * *replaced* each time rather than appended, and only a change of movement
      * id commits them. Appending would read as the token doubling back over
      * ground it had already covered.
+     *
+     * Each square carries the elevation it was crossed at, so a route up a
+     * stair in a stacked scene is mapped onto the floor below and then the
+     * floor above, as it was walked.
      */
     _collectMovement(tokenDocument, movement) {
-        if (!this._isSquareGrid()) return;
+        if (!this._currentGridType()) return;
         const movementId = movement?.id ?? null;
         if (movementId !== this._movementId) {
             // A new movement starts where the last one ended, so everything
@@ -1612,21 +2134,31 @@ class MappingManager {
         const squares = [];
         const push = square => {
             const previous = squares.at(-1) ?? this._movementPath.at(-1);
-            if (previous && previous.column === square.column && previous.row === square.row) return;
+            if (previous && previous.column === square.column && previous.row === square.row
+                && previous.elevation === square.elevation) return;
             squares.push(square);
         };
+        const gridType = this._currentGridType();
+        const travel = isHexGrid(gridType)
+            ? (from, to) => hexTravelPath(gridType, from, to)
+            : gridTravelPath;
+        // A leg is walked at the elevation it arrives at.
         const bridge = (from, to) => {
-            if (from) for (const step of gridTravelPath(from, to)) push(step);
+            if (from) for (const step of travel(from, to)) push({ column: step.column, row: step.row, elevation: to.elevation });
             else push(to);
         };
 
-        const destination = this._gridPosition(tokenDocument);
+        const elevation = this._elevationOf(tokenDocument.elevation, 0);
+        const destination = { ...this._gridPosition(tokenDocument), elevation };
         const waypoints = Array.isArray(movement?.passed?.waypoints) ? movement.passed.waypoints : [];
         let previous = this._movementPath.at(-1) ?? null;
         for (const waypoint of waypoints) {
             const point = this._normalizeCoordinates(waypoint);
             if (!point) continue;
-            const square = this._gridPositionAt(point, tokenDocument);
+            const square = {
+                ...this._gridPositionAt(point, tokenDocument),
+                elevation: this._elevationOf(waypoint.elevation, elevation)
+            };
             // A waypoint's action describes how the token got there from the
             // one before it. A teleport crossed nothing, so nothing is filled
             // in behind it.
@@ -1640,6 +2172,12 @@ class MappingManager {
         this._movementPath.push(...squares);
     }
 
+    /** An elevation as reported, or the fallback where none usable was. */
+    _elevationOf(value, fallback) {
+        const number = Number(value);
+        return value === null || value === undefined || value === '' || !Number.isFinite(number) ? fallback : number;
+    }
+
     /** Grid square containing a point, for a token of this size. */
     _gridPositionAt(point, tokenDocument) {
         return this._gridPosition({
@@ -1704,7 +2242,7 @@ class MappingManager {
      */
     async _flushMovementPath({ force = true } = {}) {
         const token = this._getTrackedToken();
-        if (!token || !this._isSquareGrid()) return;
+        if (!token || !this._currentGridType()) return;
         const path = this._movementPath;
         this._resetMovementPath();
         if (!path.length) path.push(this._gridPosition(token.document));
@@ -1776,6 +2314,17 @@ class MappingManager {
         const keys = [];
         const radius = this._detectionRadius();
         const dimensions = this._sceneGridDimensions(canvas?.scene);
+        const gridType = this._currentGridType();
+        if (isHexGrid(gridType)) {
+            // The same reach counted in steps, which on hexes is a hexagon
+            // rather than a square.
+            for (const { column, row } of hexesWithin(gridType, position, radius)) {
+                if (column >= 0 && row >= 0 && column < dimensions.columns && row < dimensions.rows) {
+                    keys.push(`${column},${row}`);
+                }
+            }
+            return keys;
+        }
         for (let rowOffset = -radius; rowOffset <= radius; rowOffset++) {
             for (let columnOffset = -radius; columnOffset <= radius; columnOffset++) {
                 const column = position.column + columnOffset;
@@ -1801,9 +2350,11 @@ class MappingManager {
         for (const entry of Array.isArray(path) ? path : [path]) {
             const square = this._normalizePosition(entry);
             if (!square) continue;
+            const elevation = this._elevationOf(entry.elevation, this._elevationOf(tokenDocument.elevation, 0));
             const previous = steps.at(-1);
-            if (previous && previous.column === square.column && previous.row === square.row) continue;
-            steps.push({ ...square, ...this._squareCoordinates(square, tokenDocument) });
+            if (previous && previous.column === square.column && previous.row === square.row
+                && previous.elevation === elevation) continue;
+            steps.push({ ...square, ...this._squareCoordinates(square, tokenDocument), elevation });
         }
         if (!steps.length) return;
         const destination = steps.at(-1);
@@ -1848,18 +2399,21 @@ class MappingManager {
      */
     _normalizeRevealPath(path, tokenDocument) {
         const steps = [];
+        const standing = this._elevationOf(tokenDocument.elevation, 0);
         for (const entry of Array.isArray(path) ? path : []) {
             const square = this._normalizePosition(entry);
             if (!square) continue;
+            const elevation = this._elevationOf(entry.elevation, standing);
             const previous = steps.at(-1);
-            if (previous && previous.column === square.column && previous.row === square.row) continue;
+            if (previous && previous.column === square.column && previous.row === square.row
+                && previous.elevation === elevation) continue;
             const coordinates = this._normalizeCoordinates(entry)
                 ?? this._squareCoordinates(square, tokenDocument);
-            steps.push({ ...square, ...coordinates });
+            steps.push({ ...square, ...coordinates, elevation });
         }
         if (steps.length) return steps;
         const square = this._gridPosition(tokenDocument);
-        return [{ ...square, ...this._squareCoordinates(square, tokenDocument) }];
+        return [{ ...square, ...this._squareCoordinates(square, tokenDocument), elevation: standing }];
     }
 
     async _processRevealRequest(data, { allowLocalGM = false } = {}) {
@@ -1883,21 +2437,38 @@ class MappingManager {
         const id = this._recordId(actor.id, canvas.scene.id);
         if (this._isTombstoned(id)) return;
         const existing = this.getRecord(id) ?? this._newRecord(actor, canvas.scene);
-        const explored = new Set(existing.explored);
-        const hidden = new Set(existing.hidden ?? []);
-        const secrets = new Set(existing.secrets ?? []);
-        // Which way the floor lies in each square, settled when the square was
-        // first seen and never revisited. Worked out afresh at drawing time it
-        // depended on which neighbours happened to be explored, so it changed
-        // as the party walked -- and a square would quietly swap its floor for
-        // rock, or spill floor out past a wall.
-        const sides = { ...(existing.sides ?? {}) };
+        // In a scene stacked into floors each step is walked on the floor its
+        // elevation stands on, against that floor's walls, so a route up a stair
+        // draws the bottom of it on one floor and the top on the next.
+        const bands = sceneBands(canvas.scene);
+        const walked = new Map();
+        const floorAt = band => {
+            if (!walked.has(band)) {
+                const start = atBand(existing, band);
+                walked.set(band, {
+                    explored: new Set(start.explored),
+                    hidden: new Set(start.hidden ?? []),
+                    secrets: new Set(start.secrets ?? []),
+                    // Which way the floor lies in each square, settled when the
+                    // square was first seen and never revisited. Worked out
+                    // afresh at drawing time it depended on which neighbours
+                    // happened to be explored, so it changed as the party
+                    // walked -- and a square would quietly swap its floor for
+                    // rock, or spill floor out past a wall.
+                    sides: { ...(start.sides ?? {}) }
+                });
+            }
+            return walked.get(band);
+        };
         let candidateSquares = 0;
         let visibleSquares = 0;
         let enclosedSquares = 0;
 
         for (let index = 0; index < path.length; index++) {
             const step = path[index];
+            const band = bandAt(bands, step.elevation);
+            const { explored, hidden, secrets, sides } = floorAt(band);
+            const atlas = this.atlasFor(canvas.scene.id, band);
             const sampleToken = this._tokenAtCoordinates(tokenDocument, step);
             const candidates = this._revealKeys(step);
             const seen = visibleRevealKeys(sampleToken, candidates);
@@ -1911,7 +2482,7 @@ class MappingManager {
             // square a wall runs through: its middle may be inside the wall, so
             // the party can be looking straight at the floor in it and the
             // square still answers no.
-            const fringe = wallFringe(this.atlas, seen, candidates);
+            const fringe = wallFringe(atlas, seen, candidates);
             const revealKeys = new Set(seen);
             for (const [key, at] of fringe) {
                 revealKeys.add(key);
@@ -1940,9 +2511,10 @@ class MappingManager {
 
 
             // Walking a secret door is how it is found. Tested per leg against
-            // the atlas, which already knows where every secret is.
-            if (index > 0) {
-                for (const secretId of secretsCrossedBy(this.atlas, path[index - 1], path[index])) {
+            // the atlas, which already knows where every secret is. A leg that
+            // changes floor went by stair, not through a door on either.
+            if (index > 0 && bandAt(bands, path[index - 1].elevation) === band) {
+                for (const secretId of secretsCrossedBy(atlas, path[index - 1], path[index])) {
                     secrets.add(secretId);
                 }
             }
@@ -1979,46 +2551,53 @@ class MappingManager {
 
         // An annotation can be placed while a long route is still catching up,
         // so rebase onto the latest record rather than the one read at the top.
-        const latest = this.getRecord(id) ?? existing;
-        const struckOff = new Set([...(latest.hidden ?? []), ...hidden]);
-        const combinedExplored = new Set(
-            [...(latest.explored ?? []), ...explored].filter(key => !struckOff.has(key))
-        );
-        for (const secretId of latest.secrets ?? []) secrets.add(secretId);
-        // Whatever was settled first stands, so this can only ever grow.
-        const combinedSides = { ...sides, ...(latest.sides ?? {}) };
-        // Squares that have just joined an area adopt the surface already chosen
-        // for it, so revealing the rest of a room does not leave it half
-        // surfaced. New areas stay default until they are named.
-        const previouslyExplored = new Set(latest.explored ?? []);
-        const floors = propagateFloors(
-            combinedExplored,
-            this.atlas,
-            latest.floors,
-            [...combinedExplored].filter(key => !previouslyExplored.has(key)),
-            combinedSides
-        );
+        let next = this.getRecord(id) ?? existing;
+        for (const [band, { explored, hidden, secrets, sides }] of walked) {
+            const latest = atBand(next, band);
+            const struckOff = new Set([...(latest.hidden ?? []), ...hidden]);
+            const combinedExplored = new Set(
+                [...(latest.explored ?? []), ...explored].filter(key => !struckOff.has(key))
+            );
+            for (const secretId of latest.secrets ?? []) secrets.add(secretId);
+            // Whatever was settled first stands, so this can only ever grow.
+            const combinedSides = { ...sides, ...(latest.sides ?? {}) };
+            // Squares that have just joined an area adopt the surface already
+            // chosen for it, so revealing the rest of a room does not leave it
+            // half surfaced. New areas stay default until they are named.
+            const previouslyExplored = new Set(latest.explored ?? []);
+            const floors = propagateFloors(
+                combinedExplored,
+                this.atlasForRecord(latest),
+                latest.floors,
+                [...combinedExplored].filter(key => !previouslyExplored.has(key)),
+                combinedSides
+            );
+            next = {
+                ...latest,
+                explored: [...combinedExplored],
+                floors,
+                secrets: [...secrets],
+                sides: combinedSides,
+                hidden: [...struckOff]
+            };
+        }
         const dimensions = this._sceneGridDimensions(canvas.scene);
-        const next = {
-            ...latest,
+        next = atBand({
+            ...next,
             columns: dimensions.columns,
             rows: dimensions.rows,
-            explored: [...combinedExplored],
-            floors,
-            secrets: [...secrets],
-            sides: combinedSides,
-            hidden: [...struckOff],
             lastPosition: position,
-            createdAt: latest.createdAt || Date.now(),
+            createdAt: next.createdAt || Date.now(),
             updatedAt: Date.now(),
             updatedBy: data.userId
-        };
+        }, '');
         this._cacheRecord(next);
         // Only follow the reveal onto the party map when the window is not
         // already showing it: somebody mapping *for* the party is looking at the
         // party's map, and yanking the view onto their own would undo the thing
         // they asked for.
         if (!data.contribute) {
+            if (this.currentMapId !== id) this.viewBand = bandAt(bands, path.at(-1).elevation);
             this.currentMapId = id;
             this.state = next;
         }
@@ -2140,10 +2719,10 @@ class MappingManager {
     /**
      * Whether a map is this user's to see at all.
      *
-     * Only a player map can be hidden, and only from people who are not its
-     * Actor's owner. Note what this is and is not: the record still travels to
-     * every client in the scene flag, exactly as the walls themselves do, so
-     * this keeps a map out of someone's list rather than out of their reach.
+     * A player map is hidden from everyone but its Actor's owner until they
+     * share it, and an artifact from everyone but whoever holds an Item
+     * carrying it. This is also what decides who may read a map's page, so a
+     * map hidden here is not on that user's machine at all.
      */
     canViewRecord(record = this.state, user = game.user) {
         if (!user) return false;
@@ -2151,12 +2730,17 @@ class MappingManager {
         const kind = mapKind(record?.kind);
         // The party's map is the party's. There is nobody to hide it from.
         if (kind === 'party') return true;
+        // An artifact is the GM's until the party turns up the Item carrying
+        // it -- a plan of the dungeon is the sort of thing a party is meant to
+        // *find*. Held by a character, it is that character's owner's to read;
+        // lying in the sidebar, it is nobody's.
+        if (kind === 'official') {
+            // One the GM revealed before artifacts were carried on Items stays
+            // revealed until the GM puts it on one.
+            if (!mapItems(record?.id).length) return record?.shared === true;
+            return mapHolders(record?.id).some(actor => this._canManageActor(actor, user));
+        }
         if (record?.shared === true) return true;
-        // An artifact is the GM's until they reveal it -- a plan of the dungeon
-        // is the sort of thing a party is meant to *find*, so it starts unseen
-        // and stays that way until the GM says otherwise or the party turns up
-        // the item carrying it.
-        if (kind === 'official') return false;
         return this._canManageActor(game.actors?.get(record?.actorId), user);
     }
 
@@ -2245,7 +2829,7 @@ class MappingManager {
 
     canRecordCurrentMap() {
         const token = this._getSingleControlledToken();
-        return Boolean(token && this._isSquareGrid() && this._canManageActor(token.actor));
+        return Boolean(token && this._currentGridType() && this._canManageActor(token.actor));
     }
 
     /**
@@ -2305,8 +2889,265 @@ class MappingManager {
         return true;
     }
 
+    /**
+     * Build a map's walls into a scene, as real Wall documents.
+     *
+     * GM only, and only for the two maps that describe a place rather than a
+     * visit: the party's, and an artifact. Asks where and how first, and can
+     * show what it would do before doing it -- a scene that already has walls
+     * is the usual case, and walls laid twice are worse than none. "Replace"
+     * clears the walls lying wholly inside the map's own area first; "add"
+     * touches nothing that is there. Either way, a line a wall left standing
+     * already covers is not built again.
+     *
+     * Done on this client rather than relayed: only a GM may ask, and a GM can
+     * create the documents directly.
+     */
+    async generateWalls(mapId) {
+        const record = this.getRecord(mapId);
+        if (!this.canBuildScene(record)) return false;
+        const localize = key => game.i18n.localize(`${MODULE.ID}.mapping.${key}`);
+        const escape = value => foundry.utils.escapeHTML(String(value ?? ''));
+
+        const scenes = [...(game.scenes ?? [])];
+        const options = scenes.map(scene => `<option value="${escape(scene.id)}"${scene.id === record.sceneId ? ' selected' : ''}>${escape(scene.name)}</option>`).join('');
+        const readChoice = action => (_event, button) => ({
+            action,
+            sceneId: button.form.elements.sceneId.value,
+            mode: button.form.elements.mode.value
+        });
+        const choice = await foundry.applications.api.DialogV2.wait({
+            window: { title: game.i18n.format(`${MODULE.ID}.mapping.wallsTitle`, { name: record.name }) },
+            content: `<div class="form-group"><label>${escape(localize('wallsScene'))}</label><div class="form-fields"><select name="sceneId">${options}</select></div></div>`
+                + `<div class="form-group"><label>${escape(localize('wallsMode'))}</label><div class="form-fields"><select name="mode">`
+                + `<option value="add" selected>${escape(localize('wallsModeAdd'))}</option>`
+                + `<option value="replace">${escape(localize('wallsModeReplace'))}</option>`
+                + '</select></div></div>'
+                + `<p class="hint">${escape(localize('wallsHint'))}</p>`,
+            buttons: [
+                { action: 'preview', label: localize('wallsPreview'), icon: 'fa-solid fa-eye', default: true, callback: readChoice('preview') },
+                { action: 'generate', label: localize('wallsGenerate'), icon: 'fa-solid fa-block-brick', callback: readChoice('generate') }
+            ],
+            rejectClose: false,
+            modal: true
+        });
+        if (!choice?.action) return false;
+
+        const scene = game.scenes?.get(choice.sceneId);
+        if (!scene) return false;
+        if (Number(scene.grid?.type) !== Number(CONST.GRID_TYPES?.SQUARE)) {
+            notify(localize('unsupportedGridTitle'), { subtitle: localize('wallsSquareOnlyHint'), type: 'warn' });
+            return false;
+        }
+        const size = Number(scene.grid.size) || 100;
+        const dimensions = scene.id === canvas?.scene?.id ? canvas.dimensions : scene.dimensions;
+        const region = mapRegion(record, size);
+        const replace = choice.mode === 'replace';
+        const existing = scene.walls.filter(wall => wallInRegion(wall, region));
+        // The map's own scene holds every wall the map shows; building into it
+        // must not lay them a second time.
+        const standing = scene.walls.filter(wall => !replace || !existing.includes(wall));
+        const plan = buildMapWalls(record, this.atlasForRecord(record), {
+            size,
+            distance: Number(scene.grid.distance) || 5,
+            bounds: dimensions ? { width: dimensions.width, height: dimensions.height } : null,
+            standing: standing.map(wall => wall.c)
+        });
+        if (!plan.walls.length) {
+            notify(localize(plan.covered ? 'wallsAllStanding' : 'wallsEmpty'), { type: 'warn' });
+            return false;
+        }
+
+        // The dry run: everything that would happen, and nothing done.
+        if (choice.action === 'preview') {
+            const line = (key, count) => (count ? `<li>${escape(game.i18n.format(`${MODULE.ID}.mapping.${key}`, { count }))}</li>` : '');
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: game.i18n.format(`${MODULE.ID}.mapping.wallsTitle`, { name: record.name }) },
+                content: `<p>${escape(game.i18n.format(`${MODULE.ID}.mapping.wallsPreviewIntro`, { scene: scene.name }))}</p><ul>`
+                    + line('wallsCountWall', plan.counts.wall)
+                    + line('wallsCountCurve', plan.counts.curve)
+                    + line('wallsCountDoor', plan.counts.door)
+                    + line('wallsCountLockedDoor', plan.counts['locked-door'])
+                    + line('wallsCountOneWayDoor', plan.counts['one-way-door'])
+                    + line('wallsCountSecretDoor', plan.counts['secret-door'])
+                    + line('wallsCountWindow', plan.counts.window)
+                    + line('wallsCountSkipped', plan.skipped)
+                    + line('wallsCountCovered', plan.covered)
+                    + line(replace ? 'wallsCountRemoved' : 'wallsCountKept', existing.length)
+                    + '</ul>',
+                yes: { label: localize('wallsGenerate') },
+                rejectClose: false,
+                modal: true
+            });
+            if (!confirmed) return false;
+        }
+
+        try {
+            if (replace && existing.length) {
+                await scene.deleteEmbeddedDocuments('Wall', existing.map(wall => wall.id));
+            }
+            await scene.createEmbeddedDocuments('Wall', plan.walls);
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Failed to generate walls for ${scene.name}`, error);
+            notify(localize('wallsFailed'), { type: 'error' });
+            return false;
+        }
+        notify(game.i18n.format(`${MODULE.ID}.mapping.wallsDone`, { count: plan.walls.length, scene: scene.name }), {
+            subtitle: replace && existing.length
+                ? game.i18n.format(`${MODULE.ID}.mapping.wallsReplaced`, { count: existing.length })
+                : undefined,
+            type: 'info'
+        });
+        return true;
+    }
+
+    /**
+     * Whether a map can be built into a scene: by the GM, from a map of the
+     * place itself -- a player's is one person's account of it -- and once it
+     * has something on it. Walls and scenes are built in the square lattice's
+     * terms, so a hex map is not built from yet.
+     */
+    canBuildScene(record) {
+        return Boolean(record && game.user?.isGM && mapKind(record.kind) !== 'player' && record.explored?.length
+            && !isHexGrid(record.gridType));
+    }
+
+    /**
+     * The grid a scene built from a map is given. The map's squares are the
+     * scene's squares from the canvas origin, so the scene is sized to the map's
+     * own columns and rows -- widened if anything was drawn past them -- with no
+     * padding, which would shift the grid. The square size is the original
+     * scene's where it still exists, so tokens and art keep their scale.
+     */
+    sceneDimensionsFor(record) {
+        const source = game.scenes?.get(record?.sceneId);
+        let columns = Number(record?.columns) || 0;
+        let rows = Number(record?.rows) || 0;
+        for (const key of record?.explored ?? []) {
+            const [column, row] = key.split(',').map(Number);
+            // One beyond, for the walls closing the last square.
+            columns = Math.max(columns, column + 1);
+            rows = Math.max(rows, row + 1);
+        }
+        return {
+            size: Number(source?.grid?.size) || 100,
+            distance: Number(record?.gridDistance) || 5,
+            units: source?.grid?.units ?? game.system?.grid?.units ?? '',
+            columns: Math.max(1, columns),
+            rows: Math.max(1, rows)
+        };
+    }
+
+    /**
+     * The grid a scene is built from a map on, or null when the map is too
+     * big to be one. The background is a single image, drawn one pixel to the
+     * scene's pixel, and no larger than an image can be rasterised -- drawn
+     * smaller, it would no longer line up with the walls and grid built beside
+     * it. So a map too big at the original scene's square size is built with
+     * smaller squares, and one that would need squares smaller than Foundry
+     * allows is not built at all.
+     */
+    sceneBuildDimensions(record) {
+        const dimensions = this.sceneDimensionsFor(record);
+        const longest = Math.max(dimensions.columns, dimensions.rows);
+        if (longest * dimensions.size <= EXPORT_MAX_EDGE) return dimensions;
+        const size = Math.floor(EXPORT_MAX_EDGE / longest);
+        return size >= CONST.GRID_MIN_SIZE ? { ...dimensions, size, shrunk: true } : null;
+    }
+
+    /**
+     * Make a new, playable scene from a map: sized to it, walled from it, and
+     * with the map itself as the background.
+     *
+     * The background is drawn by the window, which is the only thing that knows
+     * how to paint a map, and is handed in as `renderBackground`. It is written
+     * to this module's folder in the world's data, under a name of its own, so
+     * building the same map twice never repaints the first scene.
+     *
+     * @param {string} mapId
+     * @param {function({size: number, columns: number, rows: number}): Promise<Blob|null>} renderBackground
+     * @returns {Promise<Scene|null>}
+     */
+    async createSceneFromMap(mapId, renderBackground) {
+        const record = this.getRecord(mapId);
+        if (!this.canBuildScene(record)) return null;
+        const dimensions = this.sceneBuildDimensions(record);
+        if (!dimensions) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.sceneTooLarge`), {
+                subtitle: game.i18n.format(`${MODULE.ID}.mapping.sceneTooLargeHint`, { pixels: EXPORT_MAX_EDGE }),
+                type: 'warn'
+            });
+            return null;
+        }
+        const name = await foundry.applications.api.DialogV2.input({
+            window: { title: game.i18n.localize(`${MODULE.ID}.mapping.createScene`) },
+            content: `<div class="form-group"><label>${foundry.utils.escapeHTML(game.i18n.localize(`${MODULE.ID}.mapping.sceneName`))}</label><div class="form-fields"><input type="text" name="name" value="${foundry.utils.escapeHTML(record.name)}" required></div></div>`,
+            ok: { label: game.i18n.localize(`${MODULE.ID}.mapping.createScene`), callback: (_event, button) => button.form.elements.name.value.trim() },
+            rejectClose: false,
+            modal: true
+        });
+        if (!name) return null;
+
+        const width = dimensions.columns * dimensions.size;
+        const height = dimensions.rows * dimensions.size;
+        const { walls, skipped } = buildMapWalls(record, this.atlasForRecord(record), {
+            size: dimensions.size,
+            distance: dimensions.distance,
+            bounds: { width, height }
+        });
+        try {
+            const background = await renderBackground?.(dimensions);
+            const src = background ? await this._uploadSceneBackground(background, name) : null;
+            const scene = await Scene.implementation.create({
+                name,
+                width,
+                height,
+                padding: 0,
+                backgroundColor: EXPORT_PALETTE.paper,
+                background: { src },
+                grid: {
+                    type: CONST.GRID_TYPES.SQUARE,
+                    size: dimensions.size,
+                    distance: dimensions.distance,
+                    units: dimensions.units
+                },
+                walls,
+                flags: { [MODULE.ID]: { mapId: record.id } }
+            });
+            notify(game.i18n.format(`${MODULE.ID}.mapping.sceneCreated`, { name: scene.name }), {
+                subtitle: game.i18n.format(`${MODULE.ID}.mapping.${dimensions.shrunk ? 'sceneCreatedShrunk' : 'sceneCreatedHint'}`, {
+                    count: walls.length,
+                    size: dimensions.size
+                }),
+                type: 'info'
+            });
+            if (skipped) console.warn(`${MODULE.NAME}: ${skipped} wall(s) fell outside ${scene.name} and were left out`);
+            return scene;
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Failed to create a scene from ${record.name}`, error);
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.sceneFailed`), { type: 'error' });
+            return null;
+        }
+    }
+
+    /** Save a scene background into the world's data, and return its path. */
+    async _uploadSceneBackground(blob, name) {
+        const picker = foundry.applications.apps.FilePicker.implementation;
+        const directory = `worlds/${game.world.id}/${MODULE.ID}`;
+        try {
+            await picker.createDirectory('data', directory);
+        } catch {
+            // Already there, which is every time but the first.
+        }
+        const slug = name.slugify({ strict: true }) || 'map';
+        const file = new File([blob], `${slug}-${Date.now().toString(36)}.png`, { type: 'image/png' });
+        const result = await picker.upload('data', directory, file, {}, { notify: false });
+        if (!result?.path) throw new Error(`Upload of ${file.name} was refused`);
+        return result.path;
+    }
+
     async resetMap() {
-        const record = this.getRecord(this.currentMapId);
+        const record = this._viewedRecord();
         if (!record || !this.canManageRecord(record)) return false;
         const confirmed = await foundry.applications.api.DialogV2.confirm({
             window: { title: game.i18n.localize(`${MODULE.ID}.mapping.resetTitle`) },
@@ -2321,7 +3162,7 @@ class MappingManager {
 
     async placeMapSymbol(type, column, row) {
         if (!MAPPING_SYMBOL_TYPES.has(type)) return false;
-        const record = this.getRecord(this.currentMapId);
+        const record = this._viewedRecord();
         const cellKey = `${Number(column)},${Number(row)}`;
         if (!record || !this.exploredSet(record).has(cellKey) || !this.canAnnotateRecord(record)) return false;
 
@@ -2344,8 +3185,13 @@ class MappingManager {
             const label = foundry.utils.escapeHTML(game.i18n.localize(`${MODULE.ID}.mapping.noteText`));
             const result = await foundry.applications.api.DialogV2.input({
                 window: { title: game.i18n.localize(`${MODULE.ID}.mapping.noteTitle`) },
-                content: `<div class="cartographer-mapping-note-field"><textarea name="text" rows="8" maxlength="${MAPPING_SYMBOL_TEXT_LIMIT}" spellcheck="true" aria-label="${label}">${foundry.utils.escapeHTML(existing?.text ?? '')}</textarea></div>`,
+                content: `<div class="cartographer-mapping-note-field"><textarea name="text" rows="8" maxlength="${MAPPING_SYMBOL_TEXT_LIMIT}" spellcheck="true" aria-label="${label}">${foundry.utils.escapeHTML(existing?.text ?? '')}</textarea><p class="hint">${game.i18n.localize(`${MODULE.ID}.mapping.noteDropHint`)}</p></div>`,
                 ok: { label: game.i18n.localize(`${MODULE.ID}.mapping.noteSave`) },
+                render: (_event, dialog) => {
+                    const field = dialog.element.querySelector('textarea[name="text"]');
+                    field?.addEventListener('dragover', event => event.preventDefault());
+                    field?.addEventListener('drop', event => void this._dropNoteLink(event, field));
+                },
                 rejectClose: false,
                 modal: true
             });
@@ -2366,6 +3212,91 @@ class MappingManager {
         return true;
     }
 
+    /**
+     * Write a link to whatever was dropped on the note being edited, where the
+     * caret is, so long as it is something a note may link to and the note has
+     * room left for it. Anything else is left to the browser, which drops text
+     * as text.
+     */
+    async _dropNoteLink(event, field) {
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+        if (!NOTE_LINK_TYPES.includes(data?.type) || typeof data.uuid !== 'string') return;
+        event.preventDefault();
+        event.stopPropagation();
+        const linked = await fromUuid(data.uuid);
+        if (!linked) return;
+        const markup = noteLinkMarkup(linked.uuid, linked.name);
+        const start = field.selectionStart ?? field.value.length;
+        const end = field.selectionEnd ?? start;
+        const before = field.value.slice(0, start);
+        const after = field.value.slice(end);
+        // Spaced from the words either side, so the label does not run into them.
+        const inserted = `${before && !/\s$/.test(before) ? ' ' : ''}${markup}${after && !/^\s/.test(after) ? ' ' : ''}`;
+        if (before.length + inserted.length + after.length > MAPPING_SYMBOL_TEXT_LIMIT) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.noteTooLong`), { type: 'warn' });
+            return;
+        }
+        field.value = `${before}${inserted}${after}`;
+        field.selectionStart = field.selectionEnd = start + inserted.length;
+        field.focus();
+    }
+
+    /**
+     * Open the map window at a spot on a map -- a link pasted into a journal
+     * lands here -- or say why not, for a map this user cannot see.
+     */
+    async openMapAt(spot) {
+        if (!this.linkTarget(spot)) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.linkMissing`), { type: 'warn' });
+            return false;
+        }
+        const mapWindow = await this.openWindow();
+        if (!mapWindow) return false;
+        await mapWindow.openMapAt(spot);
+        return true;
+    }
+
+    /** Where the symbol on a square of the current map leads, or null. */
+    getSymbolLink(column, row) {
+        const symbol = this.currentRecord.symbols
+            ?.find(entry => entry.column === Number(column) && entry.row === Number(row));
+        return symbol && isLinkSymbol(symbol.type) ? normalizeLink(symbol.link) : null;
+    }
+
+    /**
+     * The map a link arrives at, as the list knows it, or null where there is
+     * none this user may see -- thrown away, or never shown to them.
+     */
+    linkTarget(link) {
+        const entry = link?.mapId ? this._index.get(link.mapId) : null;
+        return entry && this.canViewRecord(entry) ? entry : null;
+    }
+
+    /**
+     * Point the symbol on a square of the current map at a square of some map,
+     * this one included, or at nothing.
+     *
+     * Open to anybody who may mark the map up, since saying where the stairs
+     * went is marking it up -- but on an official map only on a symbol of their
+     * own, as with anything else already drawn there.
+     */
+    async linkMapSymbol(column, row, link) {
+        const record = this._viewedRecord();
+        if (!record || !this.canAnnotateRecord(record)) return false;
+        const symbol = record.symbols?.find(entry => entry.column === Number(column) && entry.row === Number(row));
+        if (!symbol || !isLinkSymbol(symbol.type) || !this.canRemoveEntry(record, symbol)) return false;
+        const checked = link === null ? null : normalizeLink(link);
+        if (link !== null && !checked) return false;
+        await this._requestMutation({
+            action: 'link-symbol',
+            mapId: record.id,
+            column: Number(column),
+            row: Number(row),
+            link: checked
+        });
+        return true;
+    }
+
     getMapNote(column, row) {
         return this.currentRecord.symbols
             ?.find(symbol => symbol.column === Number(column)
@@ -2374,7 +3305,7 @@ class MappingManager {
     }
 
     async removeMapSymbol(column, row) {
-        const record = this.getRecord(this.currentMapId);
+        const record = this._viewedRecord();
         if (!record || !this.canAnnotateRecord(record)) return false;
         // Checked here as well as GM-side so the menu does not offer to do
         // something the map will refuse. See canRemoveEntry.
@@ -2405,7 +3336,7 @@ class MappingManager {
      * a square that nothing else can establish.
      */
     async markFloor(column, row, at) {
-        const record = this.getRecord(this.currentMapId);
+        const record = this._viewedRecord();
         // Redrawing the shape of the map stays with the Actor's owner.
         if (!record || !this.canManageRecord(record)) return false;
         const point = Array.isArray(at) && at.length === 2 && at.every(Number.isFinite)
@@ -2437,7 +3368,7 @@ class MappingManager {
      * map already knows about and cannot run away across the level.
      */
     async markRock(column, row, { area = false } = {}) {
-        const record = this.getRecord(this.currentMapId);
+        const record = this._viewedRecord();
         if (!record || !this.canManageRecord(record)) return false;
         await this._requestMutation({
             action: 'mark-rock',
@@ -2459,7 +3390,12 @@ class MappingManager {
      * offer a tick that the mutation behind it then disagrees with.
      */
     get currentRecord() {
-        return this.getRecord(this.currentMapId) ?? this.state;
+        return this._viewedRecord() ?? this.state;
+    }
+
+    /** The current map as the cache holds it, turned to the floor on screen, or null. */
+    _viewedRecord() {
+        return this._atBand(this.getRecord(this.currentMapId), this.viewBand);
     }
 
     /**
@@ -2487,7 +3423,7 @@ class MappingManager {
 
     async setFloorType(type, column, row) {
         if (!MAPPING_FLOOR_TYPE_IDS.has(type)) return false;
-        const record = this.getRecord(this.currentMapId);
+        const record = this._viewedRecord();
         const cellKey = `${Number(column)},${Number(row)}`;
         // A surface restyles a whole area, so it stays with the Actor's owner.
         if (!record || !this.exploredSet(record).has(cellKey) || !this.canManageRecord(record)) return false;
@@ -2501,6 +3437,217 @@ class MappingManager {
         return true;
     }
 
+    /**
+     * Draw a boundary by hand, or rub one out so the scene's own shows again.
+     *
+     * Kept with the map's owner, as Fix Things is: a boundary changes what the
+     * map says was built, which is not the same as writing on it.
+     *
+     * @param {string} edge - The lattice line, as `h:column:row` or `v:column:row`
+     * @param {string|null} feature - One of BOUNDARY_FEATURES, or null to defer to the scene
+     */
+    async setBoundary(edge, feature) {
+        const record = this._viewedRecord();
+        if (!record || !this.canManageRecord(record)) return false;
+        await this._requestMutation({
+            action: 'set-boundary',
+            mapId: record.id,
+            edge: String(edge ?? ''),
+            feature: feature ?? null
+        });
+        return true;
+    }
+
+    /**
+     * Write one of the key's boundary variants onto a line the map already
+     * shows, or take it off again with a null type.
+     *
+     * An annotation, not a change to what was built, so it is open to anyone
+     * who may write on the map -- and replacing or removing one answers to
+     * canRemoveEntry, as a symbol does.
+     *
+     * @param {string} edge - The lattice line, as `h:column:row` or `v:column:row`
+     * @param {string|null} type - One of BOUNDARY_VARIANTS, or null to remove
+     */
+    async setBoundaryVariant(edge, type) {
+        const record = this._viewedRecord();
+        if (!record || !this.canAnnotateRecord(record)) return false;
+        // Checked here as well as GM-side so the menu does not offer what the
+        // map will refuse.
+        const existing = record.variants?.[edge];
+        if (existing && !this.canRemoveEntry(record, existing)) return false;
+        await this._requestMutation({
+            action: 'set-variant',
+            mapId: record.id,
+            edge: String(edge ?? ''),
+            type: type ?? null
+        });
+        return true;
+    }
+
+    /**
+     * Fill an artifact with a generated dungeon. Asks for the seed and the
+     * shape of the thing first, starting from what the map was last generated
+     * with -- so regenerating is pressing the button and accepting -- and warns
+     * before replacing anything already drawn.
+     *
+     * Only the settings travel: the GM's client generates from them, and the
+     * same settings always give the same dungeon.
+     */
+    async generateLayout(mapId) {
+        const record = this.getRecord(mapId);
+        if (!record || !game.user.isGM || mapKind(record.kind) !== 'official') return false;
+        const localize = key => game.i18n.localize(`${MODULE.ID}.mapping.${key}`);
+        const escape = value => foundry.utils.escapeHTML(String(value ?? ''));
+        const field = (label, control, hint = '') => `<div class="form-group"><label>${escape(label)}</label><div class="form-fields">${control}</div>${hint ? `<p class="hint">${escape(hint)}</p>` : ''}</div>`;
+        const last = record.generation ?? { ...GENERATION_DEFAULTS, seed: foundry.utils.randomID(8) };
+        const number = (name, value, min, max) => `<input type="number" name="${name}" value="${value}" min="${min}" max="${max}" step="1">`;
+        const settings = await foundry.applications.api.DialogV2.input({
+            window: { title: game.i18n.format(`${MODULE.ID}.mapping.generateTitle`, { name: record.name }) },
+            content: field(localize('generateSeed'), `<input type="text" name="seed" value="${escape(last.seed)}" required>`, localize('generateSeedHint'))
+                + field(localize('generateRooms'), number('rooms', last.rooms, 1, 50))
+                + field(localize('generateDensity'), `<input type="range" name="density" value="${last.density}" min="0" max="1" step="0.1">`, localize('generateDensityHint'))
+                + field(localize('generateMinSize'), number('minSize', last.minSize, 2, 20))
+                + field(localize('generateMaxSize'), number('maxSize', last.maxSize, 2, 20)),
+            ok: { label: localize('generateLayout') },
+            rejectClose: false,
+            modal: true
+        });
+        if (!settings?.seed) return false;
+        if (record.explored?.length) {
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: localize('generateLayout') },
+                content: `<p>${escape(game.i18n.format(`${MODULE.ID}.mapping.generateReplace`, { name: record.name }))}</p>`,
+                rejectClose: false,
+                modal: true
+            });
+            if (!confirmed) return false;
+        }
+        await this._requestMutation({ action: 'generate-layout', mapId: record.id, settings: normalizeGeneration(settings) });
+        if (!this.getRecord(mapId)?.explored?.length) {
+            notify(localize('generateEmpty'), { type: 'warn' });
+            return false;
+        }
+        return true;
+    }
+
+    /** The template library, by name. */
+    get templates() {
+        const stored = game.settings.get(MODULE.ID, 'mapping.templates');
+        return (Array.isArray(stored) ? stored : [])
+            .map(normalizeTemplate)
+            .filter(Boolean)
+            .sort((left, right) => left.name.localeCompare(right.name));
+    }
+
+    getTemplate(templateId) {
+        return this.templates.find(template => template.id === templateId) ?? null;
+    }
+
+    /**
+     * Keep a rectangle of the map on screen as a template. GM only: the library
+     * is a world setting, and one only a GM can write.
+     *
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Squares, inclusive
+     */
+    async saveTemplate(rect) {
+        const record = this.currentRecord;
+        if (!record || !game.user.isGM) return false;
+        const captured = captureTemplate(record, this.atlasForRecord(record), rect);
+        if (!captured) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.templateEmpty`), { type: 'warn' });
+            return false;
+        }
+        const name = await foundry.applications.api.DialogV2.input({
+            window: { title: game.i18n.localize(`${MODULE.ID}.mapping.saveTemplate`) },
+            content: `<div class="form-group"><label>${foundry.utils.escapeHTML(game.i18n.localize(`${MODULE.ID}.mapping.templateName`))}</label><div class="form-fields"><input type="text" name="name" value="${foundry.utils.escapeHTML(game.i18n.format(`${MODULE.ID}.mapping.templateDefaultName`, { columns: captured.columns, rows: captured.rows }))}" required></div></div>`,
+            ok: { label: game.i18n.localize(`${MODULE.ID}.mapping.saveTemplate`), callback: (_event, button) => button.form.elements.name.value.trim() },
+            rejectClose: false,
+            modal: true
+        });
+        if (!name) return false;
+        const template = { id: foundry.utils.randomID(), name, ...captured, createdAt: Date.now() };
+        try {
+            await game.settings.set(MODULE.ID, 'mapping.templates', [...this.templates, template]);
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Failed to save template ${name}`, error);
+            return false;
+        }
+        notify(game.i18n.format(`${MODULE.ID}.mapping.templateSaved`, { name }), { type: 'info' });
+        void this.renderWindow();
+        return true;
+    }
+
+    async deleteTemplate(templateId) {
+        const template = this.getTemplate(templateId);
+        if (!template || !game.user.isGM) return false;
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize(`${MODULE.ID}.mapping.deleteTemplate`) },
+            content: `<p>${foundry.utils.escapeHTML(game.i18n.format(`${MODULE.ID}.mapping.deleteTemplateConfirm`, { name: template.name }))}</p>`,
+            rejectClose: false,
+            modal: true
+        });
+        if (!confirmed) return false;
+        await game.settings.set(MODULE.ID, 'mapping.templates', this.templates.filter(entry => entry.id !== templateId));
+        void this.renderWindow();
+        return true;
+    }
+
+    /**
+     * Stamp a template onto the map on screen, its top-left corner on a square.
+     * Asks which, and which way round, then goes through the mutation path so
+     * it is saved like any other edit.
+     */
+    async stampTemplate(column, row) {
+        const record = this._viewedRecord();
+        const templates = this.templates;
+        if (!record || !game.user.isGM || !this.canManageRecord(record) || !templates.length) return false;
+        const localize = key => game.i18n.localize(`${MODULE.ID}.mapping.${key}`);
+        const escape = value => foundry.utils.escapeHTML(String(value ?? ''));
+        const field = (label, control) => `<div class="form-group"><label>${escape(label)}</label><div class="form-fields">${control}</div></div>`;
+        const choice = await foundry.applications.api.DialogV2.input({
+            window: { title: localize('stampTemplate') },
+            content: field(localize('templateName'), `<select name="templateId">${templates
+                .map(template => `<option value="${escape(template.id)}">${escape(template.name)} (${template.columns}×${template.rows})</option>`)
+                .join('')}</select>`)
+                + field(localize('templateRotation'), `<select name="rotation">${TEMPLATE_ROTATIONS
+                    .map(degrees => `<option value="${degrees}">${degrees}°</option>`)
+                    .join('')}</select>`)
+                + field(localize('templateMirrorX'), '<input type="checkbox" name="mirrorX">')
+                + field(localize('templateMirrorY'), '<input type="checkbox" name="mirrorY">'),
+            ok: { label: localize('stampTemplate') },
+            rejectClose: false,
+            modal: true
+        });
+        if (!choice?.templateId) return false;
+        await this._requestMutation({
+            action: 'stamp-template',
+            mapId: record.id,
+            templateId: choice.templateId,
+            column: Number(column),
+            row: Number(row),
+            rotation: Number(choice.rotation) || 0,
+            mirrorX: choice.mirrorX === true,
+            mirrorY: choice.mirrorY === true
+        });
+        return true;
+    }
+
+    /** What the map's author drew on a boundary, or null where the scene decides. */
+    getBoundary(edge) {
+        return this.currentRecord.boundaries?.[edge] ?? null;
+    }
+
+    /** The variant written on a boundary, as `{type, createdAt, createdBy}`, or null. */
+    getVariant(edge) {
+        return this.currentRecord.variants?.[edge] ?? null;
+    }
+
+    /** Whether the map shows anything on a lattice line for a variant to be written on. */
+    hasBoundaryOn(edge) {
+        return Boolean(featureOnLine(this.atlasForRecord(this.currentRecord), edge));
+    }
+
     getFloorType(column, row) {
         return this.currentRecord.floors?.[`${Number(column)},${Number(row)}`] ?? 'default';
     }
@@ -2512,6 +3659,14 @@ class MappingManager {
 
     async _requestMutation(mutation) {
         const data = { ...mutation, userId: game.user.id };
+        // An edit to the map on screen is made on the floor on screen.
+        if (data.mapId && data.mapId === this.currentMapId && !('band' in data)) data.band = this.viewBand;
+        // A new edit is one more to undo, and whatever had been undone is gone
+        // for good, as in any editor -- once the GM has logged it.
+        if (UNDOABLE_ACTIONS.includes(data.action) && data.mapId) {
+            data.changeId = foundry.utils.randomID();
+            this._pendingEdits.set(data.changeId, { mapId: data.mapId });
+        }
         if (data.action === 'create' && data.actorId && data.sceneId) {
             this._deletedMapIds.delete(this._recordId(data.actorId, data.sceneId));
         }
@@ -2522,10 +3677,31 @@ class MappingManager {
     _handleMutationRequest(data, { allowLocalGM = false } = {}) {
         this._revealProcessingQueue = this._revealProcessingQueue
             .catch(error => console.error(`${MODULE.NAME}: Failed to process an earlier map operation`, error))
-            .then(() => this._processMutationRequest(data, { allowLocalGM }));
+            .then(() => this._processMutationRequest(data, { allowLocalGM }))
+            .finally(() => this._answerMutation(data, { allowLocalGM }));
         return this._revealProcessingQueue;
     }
 
+    /**
+     * Tell whoever made an undoable edit whether it was logged -- refused, or
+     * changing nothing, it was not -- so their undo stack holds only what can be
+     * taken back. Answered by the GM that processed it, and only for an edit
+     * that asked under an id of its own.
+     */
+    async _answerMutation(data, { allowLocalGM = false } = {}) {
+        if (!game.user.isGM || (!allowLocalGM && !game.users.activeGM?.isSelf)) return;
+        if (typeof data?.changeId !== 'string' || !data.mapId) return;
+        const revision = this.mapRevisions(data.mapId).find(entry => entry.id === data.changeId);
+        const result = {
+            requesterId: data.userId,
+            mapId: data.mapId,
+            changeId: data.changeId,
+            logged: revision?.userId === data.userId
+        };
+        if (data.userId === game.user.id) this._handleMutationResult({ ...result, userId: game.user.id });
+        else await socketManager.broadcast('mapping', 'mutation-result', { ...result, userId: game.user.id });
+    }
+
     async _processMutationRequest(data, { allowLocalGM = false } = {}) {
         if (!game.user.isGM || (!allowLocalGM && !game.users.activeGM?.isSelf) || !data) return;
         const user = game.users.get(data.userId);
@@ -2542,17 +3718,14 @@ class MappingManager {
             const ownerKey = ownerKeyFor(owned);
             if (!ownerKey || !sceneId || data.mapId !== this._recordId(ownerKey, sceneId)) return;
             if (!this.canDeleteRecord(owned, user)) return;
-            record ??= this._normalizeRecord(
-                game.scenes?.get(sceneId)?.getFlag(MODULE.ID, FLAG_KEY)?.maps?.[ownerKey],
-                game.scenes?.get(sceneId)
-            );
+            record ??= this._normalizeRecord(pageMap(mapPage(data.mapId)), game.scenes?.get(sceneId));
             this._removeMapRecordLocally(record.id ? record : {
                 id: data.mapId,
                 actorId,
                 sceneId
             });
             void this.renderWindow();
-            await this._persistMapDeletion(sceneId, ownerKey);
+            await this._persistMapDeletion(data.mapId);
             return;
         }
 
@@ -2627,15 +3800,29 @@ class MappingManager {
         // canManageRecord rather than of the Actor directly, because for a party
         // or official map the Actor is not who owns it -- for a player map the
         // two questions are the same one.
-        if (!ANNOTATION_ACTIONS.includes(data.action) && !this.canManageRecord(record, user)) return;
+        // Taking back an edit is asked of the edit, further down.
+        if (!ANNOTATION_ACTIONS.includes(data.action) && data.action !== 'undo-revision'
+            && !this.canManageRecord(record, user)) return;
         // Marking up is open to the party, but "open to the party" was until now
         // enforced only by the client that asked. A map somebody cannot see is
         // not a map they may write on, and with an artifact staying hidden until
-        // the GM reveals it, that is no longer a theoretical distinction.
+        // the party holds its Item, that is no longer a theoretical distinction.
         if (ANNOTATION_ACTIONS.includes(data.action) && !this.canAnnotateRecord(record, user)) return;
         // Emptying or discarding a shared map is the GM's call even where editing
-        // it is not.
-        if (data.action === 'reset' && !this.canDeleteRecord(record, user)) return;
+        // it is not -- and so is winding one back, which can empty it as surely.
+        if ((data.action === 'reset' || data.action === 'restore-revision')
+            && !this.canDeleteRecord(record, user)) return;
+        if (SQUARE_ONLY_ACTIONS.includes(data.action) && isHexGrid(record.gridType)) return;
+        // Turned to the floor the edit was made on, so every branch below works
+        // on that floor's squares and walls as if it were the only one. Undoing
+        // an edit is made on the floor of the edit, whichever one is showing.
+        const band = normalizeBandId(data.action === 'undo-revision'
+            ? this.mapRevisions(record.id).find(entry => entry.id === data.revisionId)?.band
+            : data.band);
+        record = atBand(record, band);
+        // Held for the log: whatever the branch below makes of the map, the
+        // revision is the difference between this and that.
+        const before = record;
         if (data.action === 'rename') {
             const name = String(data.name ?? '').trim().slice(0, 100);
             if (!name) return;
@@ -2652,7 +3839,8 @@ class MappingManager {
                 || donation.sceneId !== record.sceneId
                 || !this.canManageRecord(donation, user)
                 || !this._isPartyMember(user)) return;
-            const merged = mergeMapInto(record, donation);
+            // Turned alike, so each floor is given to the same floor.
+            const merged = mergeMapInto(record, atBand(donation, band));
             const contributors = new Set(record.contributors ?? []);
             if (donation.actorId) contributors.add(donation.actorId);
             record = {
@@ -2664,10 +3852,10 @@ class MappingManager {
             };
             this._cacheRecord(record);
         } else if (data.action === 'set-shared') {
-            // A player map is private until its owner shares it; an artifact is
-            // unseen until the GM reveals it. The party's map is the one kind
-            // with nobody to hide it from, so toggling it would mean nothing.
-            if (mapKind(record.kind) === 'party') return;
+            // A player map is private until its owner shares it. The party's
+            // map has nobody to hide it from, and an artifact is seen by
+            // whoever holds its Item, so for either a switch would mean nothing.
+            if (mapKind(record.kind) !== 'player') return;
             record = { ...record, shared: data.shared === true, updatedAt: Date.now(), updatedBy: user.id };
             this._cacheRecord(record);
         } else if (data.action === 'place-symbol') {
@@ -2721,6 +3909,25 @@ class MappingManager {
                 updatedBy: user.id
             };
             this._cacheRecord(record);
+        } else if (data.action === 'link-symbol') {
+            const column = Number(data.column);
+            const row = Number(data.row);
+            const symbols = this._normalizeSymbols(record.symbols);
+            const index = symbols.findIndex(symbol => symbol.column === column && symbol.row === row);
+            const symbol = symbols[index];
+            if (!symbol || !isLinkSymbol(symbol.type) || !this.canRemoveEntry(record, symbol, user)) return;
+            const link = data.link === null ? null : normalizeLink(data.link);
+            if (data.link !== null && !link) return;
+            // A way down to a map its user may not see would tell them the map
+            // is there, which is the one thing keeping it from them is for.
+            if (link) {
+                const target = this.getRecord(link.mapId);
+                if (!target || !this.canViewRecord(target, user)) return;
+            }
+            const { link: _previous, ...unlinked } = symbol;
+            symbols[index] = link ? { ...unlinked, link } : unlinked;
+            record = { ...record, symbols, updatedAt: Date.now(), updatedBy: user.id };
+            this._cacheRecord(record);
         } else if (data.action === 'set-floor') {
             const type = String(data.type ?? '');
             const column = Number(data.column);
@@ -2747,10 +3954,10 @@ class MappingManager {
             // material do clear together -- they read as one expanse of stone,
             // so clearing them as one is the honest reading of the click.
             const region = type === 'default'
-                ? sameFloorRegion(this.exploredSet(record), floors, { column, row })
+                ? sameFloorRegion(this.exploredSet(record), floors, { column, row }, record.gridType)
                 : contiguousFloorRegion(
                     this.exploredSet(record),
-                    this.atlasFor(record.sceneId),
+                    this.atlasForRecord(record),
                     { column, row },
                     this._normalizeSides(record.sides)
                 );
@@ -2784,7 +3991,7 @@ class MappingManager {
                 // this a square added by hand stayed bare while everything
                 // around it was surfaced, which reads as the correction not
                 // having worked.
-                floors = propagateFloors(explored, this.atlasFor(record.sceneId), floors, [key], sides);
+                floors = propagateFloors(explored, this.atlasForRecord(record), floors, [key], sides);
             } else {
                 // One square, or everything walled in with it. The region is
                 // read before anything is struck off, since it is worked out
@@ -2792,7 +3999,7 @@ class MappingManager {
                 const struck = data.area === true
                     ? contiguousFloorRegion(
                         this.exploredSet(record),
-                        this.atlasFor(record.sceneId),
+                        this.atlasForRecord(record),
                         { column, row },
                         sides
                     )
@@ -2813,15 +4020,172 @@ class MappingManager {
                 updatedBy: user.id
             };
             this._cacheRecord(record);
+        } else if (data.action === 'set-boundary') {
+            const edge = String(data.edge ?? '');
+            const match = edge.match(/^([hv]):(-?\d+):(-?\d+)$/);
+            if (!match) return;
+            const column = Number(match[2]);
+            const row = Number(match[3]);
+            // One of the two squares the line separates has to be on the map,
+            // which is the same rule that decides whether it is drawn at all --
+            // a boundary out in the rock would be stored and never seen.
+            const beside = match[1] === 'h' ? `${column},${row - 1}` : `${column - 1},${row}`;
+            const explored = this.exploredSet(record);
+            if (!explored.has(`${column},${row}`) && !explored.has(beside)) return;
+            const boundaries = { ...normalizeBoundaries(record.boundaries) };
+            if (data.feature === null || data.feature === undefined) delete boundaries[edge];
+            else {
+                const checked = normalizeBoundaries({ [edge]: data.feature });
+                if (!checked[edge]) return;
+                boundaries[edge] = checked[edge];
+            }
+            record = { ...record, boundaries, updatedAt: Date.now(), updatedBy: user.id };
+            this._cacheRecord(record);
+        } else if (data.action === 'set-variant') {
+            const edge = String(data.edge ?? '');
+            const match = edge.match(/^([hv]):(-?\d+):(-?\d+)$/);
+            if (!match) return;
+            const column = Number(match[2]);
+            const row = Number(match[3]);
+            const beside = match[1] === 'h' ? `${column},${row - 1}` : `${column - 1},${row}`;
+            const explored = this.exploredSet(record);
+            if (!explored.has(`${column},${row}`) && !explored.has(beside)) return;
+            const variants = { ...normalizeVariants(record.variants) };
+            if (variants[edge] && !this.canRemoveEntry(record, variants[edge], user)) return;
+            if (data.type === null || data.type === undefined) delete variants[edge];
+            else {
+                // Written on a boundary, not into the rock: a portcullis with no
+                // wall either side of it is not a portcullis. Once written it
+                // stays, whatever the scene's walls later become.
+                if (!featureOnLine(this.atlasForRecord(record), edge)) return;
+                const checked = normalizeVariants({ [edge]: { type: data.type, createdAt: Date.now(), createdBy: user.id } });
+                if (!checked[edge]) return;
+                variants[edge] = checked[edge];
+            }
+            record = { ...record, variants, updatedAt: Date.now(), updatedBy: user.id };
+            this._cacheRecord(record);
+        } else if (data.action === 'stamp-template') {
+            const column = Number(data.column);
+            const row = Number(data.row);
+            const template = this.getTemplate(String(data.templateId ?? ''));
+            if (!template || !Number.isInteger(column) || !Number.isInteger(row)) return;
+            if (!this.canManageRecord(record, user)) return;
+            const placed = placeTemplate(template, { column, row }, {
+                rotation: TEMPLATE_ROTATIONS.includes(Number(data.rotation)) ? Number(data.rotation) : 0,
+                mirrorX: data.mirrorX === true,
+                mirrorY: data.mirrorY === true
+            });
+            // The template wins wherever it lands, as drawing over a map does:
+            // its squares are floor, with its surfaces, symbols and walls.
+            const explored = new Set(record.explored);
+            const hidden = new Set(record.hidden ?? []);
+            for (const key of placed.explored) {
+                explored.add(key);
+                hidden.delete(key);
+            }
+            const landed = new Set(placed.explored);
+            const symbols = this._normalizeSymbols(record.symbols);
+            const stamped = placed.symbols.map(symbol => ({
+                ...symbol,
+                id: foundry.utils.randomID(),
+                createdAt: Date.now(),
+                createdBy: user.id
+            }));
+            const floors = { ...this._normalizeFloors(record.floors) };
+            const sides = { ...this._normalizeSides(record.sides) };
+            for (const key of landed) {
+                delete floors[key];
+                delete sides[key];
+            }
+            record = {
+                ...record,
+                explored: [...explored],
+                hidden: [...hidden],
+                floors: { ...floors, ...this._normalizeFloors(placed.floors) },
+                sides: { ...sides, ...this._normalizeSides(placed.sides) },
+                boundaries: { ...normalizeBoundaries(record.boundaries), ...normalizeBoundaries(placed.boundaries) },
+                symbols: this._normalizeSymbols([
+                    ...symbols.filter(symbol => !landed.has(`${symbol.column},${symbol.row}`)),
+                    ...stamped
+                ]),
+                updatedAt: Date.now(),
+                updatedBy: user.id
+            };
+            this._cacheRecord(record);
+        } else if (data.action === 'restore-revision') {
+            // Back to before a change: that one and every one since taken back,
+            // newest first. The winding back is a change like any other, so it
+            // is logged in turn and can itself be taken back.
+            const revisions = this.mapRevisions(record.id);
+            const index = revisions.findIndex(revision => revision.id === data.revisionId);
+            if (index < 0) return;
+            record = this._takeBackRevisions(record, revisions.slice(index), user);
+            this._cacheRecord(record);
+        } else if (data.action === 'undo-revision') {
+            // One of this user's own edits taken back, and nothing else: what
+            // anybody has done since, to the same squares or any others, stays.
+            const revision = this.mapRevisions(record.id).find(entry => entry.id === data.revisionId);
+            if (!this._canTakeBack(record, revision, user)) return;
+            record = this._takeBackRevisions(record, [revision], user);
+            this._cacheRecord(record);
+        } else if (data.action === 'refresh-architecture') {
+            // Taking the scene's walls again is the GM deciding the artifact
+            // should match the place after all. What they drew by hand stays
+            // drawn: it was drawn on purpose.
+            if (mapKind(record.kind) !== 'official' || !user.isGM) return;
+            record = {
+                ...record,
+                architecture: atlasSnapshot(this.atlasFor(record.sceneId)),
+                updatedAt: Date.now(),
+                updatedBy: user.id
+            };
+            this._cacheRecord(record);
+        } else if (data.action === 'generate-layout') {
+            // An artifact only, and the GM's: it replaces the whole map, which
+            // on anybody's record of where they have been would be a lie.
+            if (mapKind(record.kind) !== 'official' || !user.isGM) return;
+            const settings = normalizeGeneration(data.settings);
+            if (!settings.seed) return;
+            const area = this.sceneDimensionsFor({ ...record, explored: [] });
+            const layout = generateDungeon(settings, area);
+            if (!layout.explored.length) return;
+            record = {
+                ...record,
+                explored: layout.explored,
+                floors: this._normalizeFloors(layout.floors),
+                boundaries: normalizeBoundaries(layout.boundaries),
+                variants: {},
+                symbols: this._normalizeSymbols(layout.symbols.map(symbol => ({
+                    ...symbol,
+                    createdAt: Date.now(),
+                    createdBy: user.id
+                }))),
+                generation: settings,
+                // A generated dungeon is of nowhere in particular, so it keeps
+                // no walls but the ones it was generated with.
+                architecture: atlasSnapshot(EMPTY_ATLAS),
+                secrets: [],
+                sides: {},
+                hidden: [],
+                bands: {},
+                updatedAt: Date.now(),
+                updatedBy: user.id
+            };
+            this._cacheRecord(record);
         } else if (data.action === 'reset') {
             record = {
                 ...record,
                 explored: [],
                 symbols: [],
                 floors: {},
+                boundaries: {},
+                variants: {},
+                generation: null,
                 secrets: [],
                 sides: {},
                 hidden: [],
+                // Every floor of it, not just the one on screen.
+                bands: {},
                 lastPosition: null,
                 updatedAt: Date.now(),
                 updatedBy: user.id
@@ -2833,7 +4197,21 @@ class MappingManager {
             this.state = record;
         }
         void this.renderWindow();
-        await this._persistMapRecord(record);
+        // Logged under the id its sender chose, where it chose a usable one, so
+        // that it can ask for this change to be undone by name.
+        const changeId = typeof data.changeId === 'string' && /^[A-Za-z0-9]{1,32}$/.test(data.changeId)
+            && !this.mapRevisions(record.id).some(revision => revision.id === data.changeId)
+            ? data.changeId
+            : foundry.utils.randomID();
+        await this._persistMapRecord(record, {
+            revision: makeRevision(before, record, {
+                id: changeId,
+                action: data.action,
+                userId: user.id,
+                at: record.updatedAt,
+                band
+            })
+        });
         if (data.action === 'reset') notify(game.i18n.localize(`${MODULE.ID}.mapping.resetDone`), { type: 'info' });
     }
 
@@ -2855,138 +4233,173 @@ class MappingManager {
         this.state = this._emptyRecord();
     }
 
+    /** Every map the store holds for one scene, each with the page holding it. */
+    _sceneMaps(sceneId) {
+        return storedMaps().filter(({ raw }) => (raw.sceneId ?? null) === sceneId);
+    }
+
     /**
-     * Every map on a scene, as it would be stored.
+     * Who may read a map's page: observer for every user who may see the map,
+     * and nobody else. Each user is named either way rather than left out, so
+     * a page update that takes somebody's access away merges as a change
+     * instead of leaving what they had.
      *
-     * Untouched maps go back exactly as they came: reading one only to write it
-     * straight out again is the work the index exists to avoid.
+     * A map everybody may see is observer by default too, so a player who joins
+     * the world after it was last written can read it without waiting for the
+     * next write. Everybody is whoever a player with no characters at all would
+     * be, since nothing that map asks of a user can take seeing it away.
      */
-    _sceneMaps(sceneId, overrides = {}) {
-        const maps = {};
-        for (const entry of this._index.values()) {
-            if (entry.sceneId !== sceneId) continue;
-            // Filed under what owns it, which is an Actor only for a player map.
-            const ownerKey = ownerKeyFor(entry);
-            if (!ownerKey) continue;
-            maps[ownerKey] = foundry.utils.deepClone(this.records.get(entry.id) ?? entry.raw);
+    _pageOwnership(record) {
+        const { NONE, OBSERVER } = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+        const ownership = { default: this.canViewRecord(record, { id: null, isGM: false }) ? OBSERVER : NONE };
+        for (const user of game.users ?? []) {
+            if (user.isGM) continue;
+            ownership[user.id] = this.canViewRecord(record, user) ? OBSERVER : NONE;
         }
-        return { ...maps, ...overrides };
+        return ownership;
     }
 
-    /**
-     * Write the whole map container to a Scene flag.
-     *
-     * Document#setFlag is update({flags: {scope: {key: value}}}), and document
-     * updates merge recursively. A container whose `maps` object is simply
-     * missing an Actor key therefore reads as "no change to that key", not as
-     * a deletion, so a removed map survives in the database and returns on
-     * reload. The "==" prefix forces replacement of the whole flag instead of
-     * merging into it, which is the only way a removal actually persists.
-     *
-     * Only deletions and the first write on a scene need this. Everything else
-     * goes through _persistMapRecord, which writes one map.
-     */
-    async _writeSceneContainer(scene, container) {
-        await scene.update({
-            [`flags.${MODULE.ID}.==${FLAG_KEY}`]: container
-        });
+    /** What a map's page holds: the map, what the journal calls it, and who may read it. */
+    _mapPageData(record) {
+        const scene = game.scenes?.get(record.sceneId);
+        return {
+            id: record.id,
+            name: this._indexEntry(record, scene)?.name || record.id,
+            record,
+            ownership: this._pageOwnership(record)
+        };
     }
 
-    async _persistMapDeletion(sceneId, ownerKey) {
-        const scene = game.scenes?.get(sceneId);
-        if (!scene || !game.user.isGM) return;
+    async _persistMapDeletion(mapId) {
+        if (!mapId || !game.user.isGM) return;
         this._saveQueue = this._saveQueue
-            .then(async () => {
-                const stored = scene.getFlag(MODULE.ID, FLAG_KEY);
-                const maps = Number(stored?.version) >= STATE_VERSION && stored?.maps
-                    ? foundry.utils.deepClone(stored.maps)
-                    : {};
-                delete maps[ownerKey];
-                const container = { version: STATE_VERSION, maps };
-                // Unlike a write, this says what the scene now holds rather
-                // than what one map now says -- an absence cannot be sent as a
-                // record.
-                await this._writeSceneContainer(scene, container);
-                await socketManager.broadcast('mapping', 'registry-updated', {
-                    userId: game.user.id,
-                    sceneId,
-                    container
-                });
-            })
+            .then(() => deleteMapPage(mapId))
             .catch(error => console.error(`${MODULE.NAME}: Failed to delete the stored map`, error));
         return this._saveQueue;
     }
 
     /**
-     * Write one map, and tell everyone about that one map.
+     * Write one map to its own page.
      *
-     * A scene flag has no partial update of its own, so the whole container was
-     * written back on every change -- every character's map on the scene,
-     * serialized to the database and broadcast to every client, for one party's
-     * single step. On a well-explored scene with a full party that is megabytes
-     * a move, and it grows all session as the maps fill in.
-     *
-     * A document update addresses a path, and the path can reach inside the
-     * container to one Actor's key, so only that map crosses the wire. The "=="
-     * on the Actor's own key replaces that map rather than merging into it,
-     * which matters because a merge cannot take anything away: a floor set back
-     * to default, or a square struck off, would quietly come back.
+     * One map is one document, so a step writes that map and nothing else, and
+     * it goes only to the clients allowed to read it -- which is also what
+     * keeps an artifact nobody has been shown off every player's machine. Who
+     * may read it is worked out afresh on each write, so sharing a map or
+     * handing over the Item carrying one is simply the next write. A change
+     * somebody made arrives with its revision, which goes onto the page's log
+     * in the same write.
      */
-    async _persistMapRecord(record) {
-        const scene = game.scenes?.get(record?.sceneId);
+    async _persistMapRecord(record, { revision = null } = {}) {
         // What this map is filed under. Asking for an Actor here is what kept
         // the party map and every artifact out of the database entirely: they
         // have none, so the write returned before doing anything and the map
         // lived only until the page was reloaded.
         const ownerKey = ownerKeyFor(record);
-        if (!scene || !ownerKey || !game.user.isGM) return;
-        const payload = foundry.utils.deepClone(record);
+        if (!record?.sceneId || !ownerKey || !game.user.isGM) return;
+        const payload = foundry.utils.deepClone(atBand(record, ''));
         this._saveQueue = this._saveQueue
             .then(async () => {
-                // Read inside the queue, not before it: two maps written at
-                // once would otherwise both find no container and the second
-                // would lay one down over the first.
-                const stored = scene.getFlag(MODULE.ID, FLAG_KEY);
-                const seeded = Number(stored?.version) >= STATE_VERSION
-                    && stored?.maps && typeof stored.maps === 'object';
-                if (seeded) {
-                    // "==" only where there is something to replace. Foundry
-                    // drops a forced-replacement key whose target does not
-                    // exist yet, which would lose a character's first map on a
-                    // scene that already holds someone else's -- and a plain
-                    // key is equally correct there, since an insert has nothing
-                    // to merge into.
-                    const key = ownerKey in stored.maps ? `==${ownerKey}` : ownerKey;
-                    await scene.update({
-                        [`flags.${MODULE.ID}.${FLAG_KEY}.maps.${key}`]: payload
-                    });
-                } else {
-                    // Nothing to reach into yet, or a container this version
-                    // cannot read. Lay a whole one down for later writes.
-                    await this._writeSceneContainer(scene, {
-                        version: STATE_VERSION,
-                        maps: this._sceneMaps(scene.id, { [ownerKey]: payload })
-                    });
-                }
-                await socketManager.broadcast('mapping', 'registry-updated', {
-                    userId: game.user.id,
-                    sceneId: record.sceneId,
-                    actorId: record.actorId,
-                    record: payload
-                });
+                // Inside the queue, not before it: two maps written at once
+                // would otherwise both find no journal and make one each.
+                const store = await ensureMapStore();
+                await writeMapPage(store, { ...this._mapPageData(payload), revision });
             })
             .catch(error => console.error(`${MODULE.NAME}: Failed to persist the map`, error));
         return this._saveQueue;
     }
 
-    _handleRegistryUpdated(data) {
-        const scene = game.scenes?.get(data?.sceneId);
-        if (!scene) return;
-        // One map, which is what every write sends. A container arrives only
-        // for a deletion, where the point is what the scene no longer holds.
-        if (data.record) this._indexMap(scene, data.record);
-        else if (data.container) this._indexScene(scene, data.container);
-        else return;
+    /**
+     * Move maps kept in scene flags, as every map was before the store, onto
+     * pages of their own, and clear the flags once they are across.
+     *
+     * Run by the active GM at start-up, and safe to run again: a map already on
+     * a page is left as it is, and a scene is cleared only after all of its
+     * maps are written. A container too old to read is left alone, as it was
+     * being ignored already.
+     */
+    async _migrateSceneFlags() {
+        if (!game.user.isGM || !game.users.activeGM?.isSelf) return 0;
+        const scenes = (game.scenes?.contents ?? []).filter(scene => {
+            const stored = scene.getFlag(MODULE.ID, FLAG_KEY);
+            return Number(stored?.version) >= STATE_VERSION && stored.maps && typeof stored.maps === 'object';
+        });
+        if (!scenes.length) return 0;
+        const store = await ensureMapStore();
+        if (!store) return 0;
+        let moved = 0;
+        for (const scene of scenes) {
+            for (const raw of Object.values(scene.getFlag(MODULE.ID, FLAG_KEY).maps)) {
+                // A map in a flag took its scene from where it was kept; on a
+                // page it has to say so itself.
+                const record = { ...foundry.utils.deepClone(raw), sceneId: scene.id };
+                const entry = this._indexEntry(record, scene);
+                if (!entry || mapPage(entry.id, store)) continue;
+                await writeMapPage(store, this._mapPageData({ ...record, id: entry.id }));
+                moved++;
+            }
+            await scene.unsetFlag(MODULE.ID, FLAG_KEY);
+            this._indexScene(scene);
+        }
+        console.log(`${MODULE.NAME}: Moved ${moved} map(s) from ${scenes.length} scene(s) into the map journal`);
+        void this.renderWindow();
+        return moved;
+    }
+
+    /**
+     * Items were made, changed or thrown away. Any that carry a map change who
+     * may read it, so the active GM writes those maps again -- the write is
+     * what works out a page's readers -- and every client redraws its list.
+     */
+    _handleMapItems(items) {
+        const mapIds = new Set();
+        for (const item of items) {
+            const mapId = itemMapId(item);
+            if (mapId) mapIds.add(mapId);
+        }
+        if (!mapIds.size) return;
+        if (game.user.isGM && game.users.activeGM?.isSelf) {
+            for (const mapId of mapIds) {
+                const record = this.getRecord(mapId);
+                if (record) void this._persistMapRecord(record);
+            }
+        }
+        void this.renderWindow();
+    }
+
+    /**
+     * An Actor changed hands. Its player maps are written again by the active
+     * GM, which is what works out their pages' readers afresh: a map its new
+     * player could not read is theirs now, and one its old player could is no
+     * longer.
+     */
+    _handleActorMaps(actor) {
+        if (!game.user.isGM || !game.users.activeGM?.isSelf || !actor?.id) return;
+        for (const entry of this._index.values()) {
+            if (entry.actorId !== actor.id) continue;
+            const record = this.getRecord(entry.id);
+            if (record) void this._persistMapRecord(record);
+        }
+    }
+
+    /** A page of the store was written or thrown away, here or by the GM. */
+    _handleMapPage(page, { deleted = false } = {}) {
+        if (!isMapPage(page)) return;
+        if (deleted) {
+            const id = pageMapId(page);
+            if (!id) return;
+            // The removal has reached the store, so the tombstone is done.
+            this._deletedMapIds.delete(id);
+            this.records.delete(id);
+            this._index.delete(id);
+            if (this.currentMapId === id) {
+                this.currentMapId = null;
+                this.state = this._emptyRecord();
+            }
+        } else {
+            const raw = pageMap(page);
+            if (!raw) return;
+            this._indexMap(game.scenes?.get(raw.sceneId), raw);
+        }
         if (!this.currentMapId) {
             const latest = this.getMapList()[0];
             if (latest) this.selectMap(latest.id, { render: false });
@@ -0,0 +1,117 @@
+// ==================================================================
+// ===== MAP NOTES ==================================================
+// ==================================================================
+//
+// What a note can point at beyond its own words, and how a journal points
+// back at a note.
+//
+// A note stays plain text. What it links to -- a journal entry or one of its
+// pages, a character, an item -- is written into that text the way Foundry
+// writes such links everywhere else, @UUID[...]{label}, so the note needs no
+// second field, reads sensibly anywhere it is shown as text, and is searched
+// by what its links are called. Only the note opened on the map turns them
+// into links that can be clicked.
+//
+// The other way round is a link of this module's own, @CartographerMap, that
+// names a map, a floor and a square. Pasted into a journal -- the party's
+// session notes, say -- it opens the map there.
+
+import { normalizeBandId } from './elevation-mapping.js';
+
+/** The documents a note may link to, by the type Foundry drags them as. */
+const NOTE_LINK_TYPES = ['JournalEntry', 'JournalEntryPage', 'Actor', 'Item'];
+
+/** A document link as Foundry writes one: the uuid, then an optional label. */
+const NOTE_LINK_PATTERN = /@UUID\[([^\]]+)\](?:\{([^}]*)\})?/g;
+
+/**
+ * A link to a spot on a map: the map's id, the square, and the floor where it
+ * is not the ground, then an optional label. A floor part way up is written
+ * with an underscore for its point, as its id is; one pasted while ids still
+ * had a dot is read too.
+ * `@CartographerMap[<mapId>#<column>,<row>@<band>]{<label>}`
+ */
+const MAP_SPOT_PATTERN = /@CartographerMap\[([^\]#]+)#(-?\d+),(-?\d+)(?:@(-?\d+(?:[._]\d+)?))?\](?:\{([^}]*)\})?/g;
+
+/** What a label may not contain without ending the link early. */
+const labelText = label => String(label ?? '').replace(/[[\]{}]/g, '').replace(/\s+/g, ' ').trim();
+
+/** A link to a document, to write into a note. */
+function noteLinkMarkup(uuid, name) {
+    const label = labelText(name);
+    return `@UUID[${uuid}]${label ? `{${label}}` : ''}`;
+}
+
+/** The documents a note links to, in the order it names them. */
+function noteLinks(text) {
+    return [...String(text ?? '').matchAll(NOTE_LINK_PATTERN)].map(([, uuid, label]) => ({ uuid, label: label ?? '' }));
+}
+
+/**
+ * A note as words: each link read as its label, or as its uuid where it was
+ * given none. What a tooltip shows and what a search reads.
+ */
+function plainNoteText(text) {
+    return String(text ?? '').replace(NOTE_LINK_PATTERN, (_match, uuid, label) => label || uuid);
+}
+
+/** A link to a square of a map, to paste into a journal. */
+function mapSpotMarkup({ mapId, band = '', column, row }, label) {
+    const text = labelText(label);
+    return `@CartographerMap[${mapId}#${Number(column)},${Number(row)}${band ? `@${band}` : ''}]${text ? `{${text}}` : ''}`;
+}
+
+/** The spot a map link names, from a match of MAP_SPOT_PATTERN. */
+function parseMapSpot(match) {
+    const [, mapId, column, row, band, label] = match;
+    return { mapId, band: normalizeBandId(band ?? ''), column: Number(column), row: Number(row), label: label ?? '' };
+}
+
+/**
+ * Teach Foundry to draw map links wherever it enriches text, and answer a
+ * click on one. Done once, at init, so a journal opened before the map window
+ * ever has been still shows them as links.
+ *
+ * Not Foundry's own content-link class: that one is clicked through to a
+ * document by its uuid, and a spot on a map has none.
+ *
+ * @param {function(object): void} open - Opens a map at a spot
+ */
+function registerMapSpotLinks(open) {
+    CONFIG.TextEditor.enrichers.push({
+        id: 'cartographer-map',
+        pattern: MAP_SPOT_PATTERN,
+        enricher: async match => {
+            const spot = parseMapSpot(match);
+            const anchor = document.createElement('a');
+            anchor.classList.add('cartographer-map-link');
+            anchor.dataset.mapId = spot.mapId;
+            anchor.dataset.band = spot.band;
+            anchor.dataset.column = String(spot.column);
+            anchor.dataset.row = String(spot.row);
+            const icon = document.createElement('i');
+            icon.className = 'fa-solid fa-map-location-dot';
+            icon.setAttribute('inert', '');
+            anchor.append(icon, spot.label || spot.mapId);
+            return anchor;
+        }
+    });
+    document.addEventListener('click', event => {
+        const anchor = event.target?.closest?.('a.cartographer-map-link');
+        if (!anchor) return;
+        event.preventDefault();
+        const { mapId, band, column, row } = anchor.dataset;
+        open({ mapId, band: band ?? '', column: Number(column), row: Number(row) });
+    });
+}
+
+export {
+    MAP_SPOT_PATTERN,
+    mapSpotMarkup,
+    NOTE_LINK_TYPES,
+    noteLinkMarkup,
+    noteLinks,
+    parseMapSpot,
+    plainNoteText,
+    registerMapSpotLinks
+};
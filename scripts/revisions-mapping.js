@@ -0,0 +1,201 @@
+// ==================================================================
+// ===== MAP REVISIONS ==============================================
+// ==================================================================
+//
+// What each change to a map did, kept so that it can be looked back over and
+// taken back.
+//
+// A revision is a difference, not a copy. Storing whole maps would make the
+// log many times the size of the map it describes, and the map is written on
+// every step; a difference is as big as the change, which is usually one
+// square. It also says what is worth showing: the squares a change touched are
+// exactly the ones in it.
+//
+// Only what a person did is logged -- every mutation the GM applies -- and not
+// what a token revealed by walking. Taking a revision back therefore undoes
+// that change and nothing else: a room walked into since stays walked into.
+
+/** How many revisions a map keeps. The oldest go first. */
+const REVISION_LIMIT = 30;
+
+/** The keyed parts of a map, each a plain object of key to value. */
+const KEYED_FIELDS = ['floors', 'boundaries', 'variants', 'sides'];
+/** The parts that are sets of squares. */
+const SET_FIELDS = ['explored', 'hidden'];
+/**
+ * Whole values, changed rarely and replaced outright when they are. The other
+ * floors of a stacked scene are among them: an edit is made on one floor, so
+ * they change only when a whole map is cleared or made afresh.
+ */
+const VALUE_FIELDS = ['name', 'shared', 'generation', 'architecture', 'bands'];
+
+const same = (left, right) => JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+
+/**
+ * How one version of a map differs from the next, or null where it does not.
+ *
+ * Squares are added and removed; symbols likewise, matched by id, so a symbol
+ * written over is one removed and one added; and everything keyed is recorded
+ * as the value before and the value after, null meaning nothing was there.
+ */
+function mapDiff(before, after) {
+    const diff = {};
+    for (const field of SET_FIELDS) {
+        const was = new Set(before?.[field] ?? []);
+        const now = new Set(after?.[field] ?? []);
+        const added = [...now].filter(key => !was.has(key));
+        const removed = [...was].filter(key => !now.has(key));
+        if (added.length || removed.length) diff[field] = { added, removed };
+    }
+
+    const wasSymbols = new Map((before?.symbols ?? []).map(symbol => [symbol.id, symbol]));
+    const nowSymbols = new Map((after?.symbols ?? []).map(symbol => [symbol.id, symbol]));
+    const addedSymbols = [...nowSymbols.values()].filter(symbol => !same(wasSymbols.get(symbol.id), symbol));
+    const removedSymbols = [...wasSymbols.values()].filter(symbol => !same(nowSymbols.get(symbol.id), symbol));
+    if (addedSymbols.length || removedSymbols.length) {
+        diff.symbols = { added: addedSymbols, removed: removedSymbols };
+    }
+
+    for (const field of KEYED_FIELDS) {
+        const was = before?.[field] ?? {};
+        const now = after?.[field] ?? {};
+        const changes = {};
+        for (const key of new Set([...Object.keys(was), ...Object.keys(now)])) {
+            if (!same(was[key], now[key])) changes[key] = [was[key] ?? null, now[key] ?? null];
+        }
+        if (Object.keys(changes).length) diff[field] = changes;
+    }
+
+    const values = {};
+    for (const field of VALUE_FIELDS) {
+        if (!same(before?.[field], after?.[field])) values[field] = [before?.[field] ?? null, after?.[field] ?? null];
+    }
+    if (Object.keys(values).length) diff.values = values;
+
+    return Object.keys(diff).length ? diff : null;
+}
+
+/**
+ * A map with one change taken back: the parts the change touched, put back as
+ * they were, and everything else left as it now is. Spread over the map to
+ * apply it.
+ *
+ * Taken back against the map as it stands rather than as it was, so a later
+ * change to some other square survives. Several revisions are taken back
+ * newest first, each against the result of the last.
+ */
+function revertDiff(record, diff) {
+    const reverted = {};
+    if (!diff) return reverted;
+    for (const field of SET_FIELDS) {
+        if (!diff[field]) continue;
+        const keys = new Set(record?.[field] ?? []);
+        for (const key of diff[field].added ?? []) keys.delete(key);
+        for (const key of diff[field].removed ?? []) keys.add(key);
+        reverted[field] = [...keys];
+    }
+    if (diff.symbols) {
+        const added = new Set((diff.symbols.added ?? []).map(symbol => symbol.id));
+        const restored = diff.symbols.removed ?? [];
+        const ids = new Set(restored.map(symbol => symbol.id));
+        // Put back first: a square holds one symbol, and the one put back is
+        // the one it held.
+        reverted.symbols = [
+            ...restored,
+            ...(record?.symbols ?? []).filter(symbol => !added.has(symbol.id) && !ids.has(symbol.id))
+        ];
+    }
+    for (const field of KEYED_FIELDS) {
+        if (!diff[field]) continue;
+        const values = { ...(record?.[field] ?? {}) };
+        for (const [key, [was]] of Object.entries(diff[field])) {
+            if (was === null) delete values[key];
+            else values[key] = was;
+        }
+        reverted[field] = values;
+    }
+    for (const [field, [was]] of Object.entries(diff.values ?? {})) {
+        if (VALUE_FIELDS.includes(field)) reverted[field] = was;
+    }
+    return reverted;
+}
+
+/** The square a lattice line is written against, as the atlas writes it. */
+function lineCell(line) {
+    const match = String(line).match(/^[hv]:(-?\d+):(-?\d+)$/);
+    return match ? `${match[1]},${match[2]}` : null;
+}
+
+/**
+ * The squares one change touched, for showing it: the ones it added, the ones
+ * it took away, and the ones it changed something on.
+ */
+function diffCells(diff) {
+    const added = new Set(diff?.explored?.added ?? []);
+    const removed = new Set(diff?.explored?.removed ?? []);
+    const changed = new Set();
+    const touch = key => {
+        if (key && !added.has(key) && !removed.has(key)) changed.add(key);
+    };
+    for (const key of [...(diff?.hidden?.added ?? []), ...(diff?.hidden?.removed ?? [])]) touch(key);
+    for (const symbol of [...(diff?.symbols?.added ?? []), ...(diff?.symbols?.removed ?? [])]) {
+        touch(`${symbol.column},${symbol.row}`);
+    }
+    for (const key of Object.keys(diff?.floors ?? {})) touch(key);
+    for (const key of Object.keys(diff?.sides ?? {})) touch(key);
+    for (const line of [...Object.keys(diff?.boundaries ?? {}), ...Object.keys(diff?.variants ?? {})]) {
+        touch(lineCell(line));
+    }
+    return { added, removed, changed };
+}
+
+/** How much one change did, in counts a list can show. */
+function diffSummary(diff) {
+    return {
+        added: diff?.explored?.added?.length ?? 0,
+        removed: diff?.explored?.removed?.length ?? 0,
+        symbols: (diff?.symbols?.added?.length ?? 0) + (diff?.symbols?.removed?.length ?? 0),
+        floors: Object.keys(diff?.floors ?? {}).length,
+        walls: Object.keys(diff?.boundaries ?? {}).length + Object.keys(diff?.variants ?? {}).length
+    };
+}
+
+/**
+ * One entry for the log, or null for a change that changed nothing -- a
+ * floor set to the floor it already was is not worth a line.
+ *
+ * Both versions are of the map turned to the level the change was made on,
+ * which the entry names, so it can be taken back on that level.
+ */
+function makeRevision(before, after, { id, action, userId, at, band = '' }) {
+    const diff = mapDiff(before, after);
+    if (!diff) return null;
+    return { id, action: String(action ?? ''), userId: userId ?? null, at: Number(at) || 0, band: String(band ?? ''), diff };
+}
+
+/** A stored log, checked, oldest first and no longer than it may be. */
+function normalizeRevisions(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(revision => typeof revision?.id === 'string' && revision.id
+            && revision.diff && typeof revision.diff === 'object')
+        .map(revision => ({
+            id: revision.id,
+            action: String(revision.action ?? ''),
+            userId: typeof revision.userId === 'string' ? revision.userId : null,
+            at: Number(revision.at) || 0,
+            band: typeof revision.band === 'string' ? revision.band : '',
+            diff: revision.diff
+        }))
+        .slice(-REVISION_LIMIT);
+}
+
+export {
+    diffCells,
+    diffSummary,
+    makeRevision,
+    mapDiff,
+    normalizeRevisions,
+    REVISION_LIMIT,
+    revertDiff
+};
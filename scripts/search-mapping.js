@@ -0,0 +1,135 @@
+// ==================================================================
+// ===== MAP SEARCH =================================================
+// ==================================================================
+//
+// Finding a map in the Recorded Maps list by what it is called, where it is,
+// whose it is and what its notes say, and narrowing the list by what sort of
+// map it is and when it was last written to.
+//
+// Notes are searched as well as names because a note is where the one thing
+// anybody remembers about a map gets written: the room with the cold altar is
+// found by typing "altar", not by recalling which of forty maps it was on. So a
+// map found by a note says which notes, and each one can be opened at.
+
+import { plainNoteText } from './notes-mapping.js';
+
+/** The kinds of map the list can be narrowed to. */
+const LIST_FILTER_KINDS = ['all', 'player', 'party', 'official'];
+/** Whether a map is seen by anybody but its owner. */
+const LIST_FILTER_SHARING = ['all', 'shared', 'private'];
+/** How recently a map was written to, as the longest ago each choice allows. */
+const LIST_FILTER_SPANS = {
+    any: Infinity,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+/** How much of a note is shown around what matched in it. */
+const EXCERPT_LENGTH = 80;
+
+/** A filter as the window holds it, checked, with anything missing left open. */
+function normalizeListFilter(raw = {}) {
+    return {
+        text: typeof raw?.text === 'string' ? raw.text.slice(0, 200) : '',
+        kind: LIST_FILTER_KINDS.includes(raw?.kind) ? raw.kind : 'all',
+        sharing: LIST_FILTER_SHARING.includes(raw?.sharing) ? raw.sharing : 'all',
+        contributor: typeof raw?.contributor === 'string' ? raw.contributor : '',
+        updated: Object.hasOwn(LIST_FILTER_SPANS, raw?.updated) ? raw.updated : 'any'
+    };
+}
+
+/** Whether a filter leaves anything out at all. */
+function isFiltering(filter) {
+    return Boolean(searchTerms(filter.text).length) || filter.kind !== 'all' || filter.sharing !== 'all'
+        || Boolean(filter.contributor) || filter.updated !== 'any';
+}
+
+/** The words searched for. Every one has to be found, each anywhere. */
+function searchTerms(text) {
+    return String(text ?? '').toLocaleLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * The notes on a stored map with something written in them, from every floor
+ * of it, each with the square and floor it is on. Read as words, so a note is
+ * found by what its links are called and never by their uuids.
+ */
+function mapNotes(raw) {
+    const floors = [['', raw?.symbols], ...Object.entries(raw?.bands ?? {}).map(([band, fields]) => [band, fields?.symbols])];
+    return floors.flatMap(([band, symbols]) => (Array.isArray(symbols) ? symbols : [])
+        .filter(symbol => symbol?.type === 'note' && typeof symbol.text === 'string' && symbol.text.trim())
+        .map(symbol => ({ column: symbol.column, row: symbol.row, band, text: plainNoteText(symbol.text) })));
+}
+
+/**
+ * The characters whose walking is on a map: its own character's, for a
+ * player map, and everyone who has given the party map anything. Nobody walks
+ * an artifact.
+ */
+function mapContributors(map) {
+    if (map.kind === 'party') return map.contributors ?? [];
+    return map.kind === 'player' && map.actorId ? [map.actorId] : [];
+}
+
+/** A note cut down to what matched and a little either side. */
+function noteExcerpt(text, terms) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    if (flat.length <= EXCERPT_LENGTH) return flat;
+    const lower = flat.toLocaleLowerCase();
+    const at = Math.max(0, Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0)));
+    const start = Math.max(0, Math.min(at - Math.floor(EXCERPT_LENGTH / 3), flat.length - EXCERPT_LENGTH));
+    return `${start > 0 ? '…' : ''}${flat.slice(start, start + EXCERPT_LENGTH).trim()}${start + EXCERPT_LENGTH < flat.length ? '…' : ''}`;
+}
+
+/**
+ * The rows of the list a filter keeps, each with the notes the search found
+ * in it.
+ *
+ * A map is kept when every word searched for is in its name, its scene's, its
+ * owner's or one of its notes -- not all in one place, so "crypt altar" finds
+ * the altar noted in the crypt. The party map and an artifact count as shared,
+ * since both are seen by more than the one person a private map is.
+ *
+ * @param {Array<object>} maps - Rows as the list builds them, with their notes
+ * @param {object} filter - As normalizeListFilter makes it
+ * @param {number} [now] - What "recently" is measured from
+ */
+function searchMaps(maps, filter, now = Date.now()) {
+    const terms = searchTerms(filter.text);
+    const span = LIST_FILTER_SPANS[filter.updated] ?? Infinity;
+    const found = [];
+    for (const map of maps) {
+        if (filter.kind !== 'all' && map.kind !== filter.kind) continue;
+        if (filter.sharing !== 'all' && (map.kind !== 'player' || map.isShared === true) !== (filter.sharing === 'shared')) continue;
+        if (filter.contributor && !mapContributors(map).includes(filter.contributor)) continue;
+        if (now - (Number(map.updatedAt) || 0) > span) continue;
+        const notes = map.notes ?? [];
+        if (!terms.length) {
+            found.push({ ...map, noteMatches: [] });
+            continue;
+        }
+        const fields = [map.name, map.sceneName, map.ownerLabel].map(field => String(field ?? '').toLocaleLowerCase());
+        const texts = notes.map(note => note.text.toLocaleLowerCase());
+        const everywhere = [...fields, ...texts];
+        if (!terms.every(term => everywhere.some(field => field.includes(term)))) continue;
+        found.push({
+            ...map,
+            noteMatches: notes
+                .filter((_note, index) => terms.some(term => texts[index].includes(term)))
+                .map(note => ({ ...note, excerpt: noteExcerpt(note.text, terms) }))
+        });
+    }
+    return found;
+}
+
+export {
+    isFiltering,
+    LIST_FILTER_KINDS,
+    LIST_FILTER_SHARING,
+    LIST_FILTER_SPANS,
+    mapContributors,
+    mapNotes,
+    normalizeListFilter,
+    searchMaps,
+    searchTerms
+};
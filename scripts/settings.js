@@ -250,8 +250,8 @@ export const registerSettings = () => {
 		type: String
 	});
 	
-	// Which of the Recorded Maps list's three tabs is in effect: by scene, by
-	// character, or the reader's own. Chosen from the list itself, so it is not
+	// Which of the Recorded Maps list's tabs is in effect: by scene, by
+	// character, the reader's own, or the atlas of levels. Chosen from the list itself, so it is not
 	// offered in the settings form.
 	game.settings.register(MODULE.ID, 'mapping.listGrouping', {
 		name: '',
@@ -276,6 +276,18 @@ export const registerSettings = () => {
 		type: String
 	});
 
+	// The map template library: pieces of maps kept to be stamped again. World
+	// scope, because a template is the GM's and is for every map in the world;
+	// written from the map window rather than the settings form.
+	game.settings.register(MODULE.ID, 'mapping.templates', {
+		name: '',
+		hint: '',
+		scope: 'world',
+		config: false,
+		default: [],
+		type: Array
+	});
+
 	// Symbol size selection (symbols group)
 	game.settings.register(MODULE.ID, 'toolbar.symbolSize', {
 		name: '', // Hidden setting
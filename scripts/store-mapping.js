@@ -0,0 +1,150 @@
+// ==================================================================
+// ===== MAP STORE ==================================================
+// ==================================================================
+//
+// Where maps are kept: one JournalEntryPage per map, in a single journal the
+// module keeps for the purpose.
+//
+// Maps used to live in a flag on the Scene they describe. Foundry sends every
+// scene to every client, so a hidden artifact was hidden only from the list --
+// its contents were a console away -- and every write to any map went out to
+// everybody inside a scene update. A page has ownership of its own, and Foundry
+// does not send a page to a user who may not observe it, so here a map nobody
+// has been shown is genuinely not on their machine, and a write reaches only the
+// clients allowed to read it.
+//
+// The journal itself is limited to everyone, which is what lets the pages
+// through; each page is observed by exactly the users who may see that map and
+// nobody else. The manager decides who those are and does every write, as the
+// GM it always did them as.
+
+import { MODULE } from './const.js';
+import { normalizeRevisions, REVISION_LIMIT } from './revisions-mapping.js';
+
+/** Marks the journal the maps are kept in. */
+const STORE_FLAG = 'mapStore';
+/** On each page: the map itself, and its id, so a page can be found without reading the map. */
+const MAP_FLAG = 'map';
+const MAP_ID_FLAG = 'mapId';
+/** On each page: what was changed on the map, kept beside it rather than in it. */
+const REVISIONS_FLAG = 'revisions';
+
+/** The journal the maps are kept in, or null before the first map is written. */
+function mapStore() {
+    return game.journal?.find(entry => entry.getFlag(MODULE.ID, STORE_FLAG)) ?? null;
+}
+
+/**
+ * The journal the maps are kept in, made on first use. Only a GM can make it;
+ * anybody else gets whatever is there.
+ */
+async function ensureMapStore() {
+    const existing = mapStore();
+    if (existing || !game.user?.isGM) return existing;
+    return JournalEntry.create({
+        name: game.i18n.localize(`${MODULE.ID}.mapping.storeName`),
+        ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.LIMITED },
+        flags: { [MODULE.ID]: { [STORE_FLAG]: true } }
+    });
+}
+
+/** Whether a page is one of the store's. */
+function isMapPage(page) {
+    return Boolean(page?.parent?.getFlag?.(MODULE.ID, STORE_FLAG));
+}
+
+/** The map a page holds, or null for any page that is not a map. */
+function pageMap(page) {
+    if (!isMapPage(page)) return null;
+    const raw = page.getFlag(MODULE.ID, MAP_FLAG);
+    return raw && typeof raw === 'object' ? raw : null;
+}
+
+/** The id of the map a page holds, read without reading the map. */
+function pageMapId(page) {
+    return isMapPage(page) ? page.getFlag(MODULE.ID, MAP_ID_FLAG) ?? null : null;
+}
+
+/**
+ * What has been changed on the map a page holds, oldest first.
+ *
+ * Kept in a flag of its own rather than on the map, so the map that is written
+ * on every step does not carry its own history with it each time, and the log
+ * is written only when something is added to it.
+ */
+function pageRevisions(page) {
+    return isMapPage(page) ? normalizeRevisions(page.getFlag(MODULE.ID, REVISIONS_FLAG)) : [];
+}
+
+/** Every map in the store this client can see, each with the page holding it. */
+function storedMaps(store = mapStore()) {
+    const maps = [];
+    for (const page of store?.pages ?? []) {
+        const raw = pageMap(page);
+        if (raw) maps.push({ page, raw });
+    }
+    return maps;
+}
+
+/** The page holding one map, or null. */
+function mapPage(mapId, store = mapStore()) {
+    if (!mapId) return null;
+    return store?.pages?.find(page => page.getFlag(MODULE.ID, MAP_ID_FLAG) === mapId) ?? null;
+}
+
+/**
+ * Write one map onto its page, making the page if there is none.
+ *
+ * The map replaces what the page held rather than merging into it, for the
+ * reason the scene flag needed "==": a merge cannot take anything away, so a
+ * floor set back to default or a square struck off would quietly come back.
+ * Ownership is sent only when it has changed, which is almost never, and the
+ * log only when there is a revision to add to it.
+ *
+ * @param {JournalEntry} store - The journal, from ensureMapStore
+ * @param {{id: string, name: string, record: Object, ownership: Object, revision?: Object}} data - What the page holds
+ * @returns {Promise<JournalEntryPage|null>}
+ */
+async function writeMapPage(store, { id, name, record, ownership, revision = null }) {
+    if (!store || !id) return null;
+    const page = mapPage(id, store);
+    if (page) {
+        const update = { [`flags.${MODULE.ID}.==${MAP_FLAG}`]: record };
+        if (revision) {
+            update[`flags.${MODULE.ID}.==${REVISIONS_FLAG}`] = [...pageRevisions(page), revision].slice(-REVISION_LIMIT);
+        }
+        if (page.name !== name) update.name = name;
+        if (!foundry.utils.objectsEqual(
+            foundry.utils.mergeObject(page.ownership ?? {}, ownership, { inplace: false }),
+            page.ownership ?? {}
+        )) update.ownership = ownership;
+        await page.update(update);
+        return page;
+    }
+    const [created] = await store.createEmbeddedDocuments('JournalEntryPage', [{
+        name,
+        type: 'text',
+        ownership,
+        flags: { [MODULE.ID]: { [MAP_ID_FLAG]: id, [MAP_FLAG]: record, [REVISIONS_FLAG]: revision ? [revision] : [] } }
+    }]);
+    return created ?? null;
+}
+
+/** Throw one map's page away. */
+async function deleteMapPage(mapId, store = mapStore()) {
+    const page = mapPage(mapId, store);
+    if (page) await page.delete();
+}
+
+export {
+    deleteMapPage,
+    ensureMapStore,
+    isMapPage,
+    mapPage,
+    mapStore,
+    pageMap,
+    pageMapId,
+    pageRevisions,
+    storedMaps,
+    writeMapPage
+};
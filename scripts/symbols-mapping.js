@@ -178,6 +178,30 @@ export function getMappingSymbol(type) {
  */
 export const MAPPING_ANNOTATED_SYMBOLS = new Set(['note']);
 
+/**
+ * Symbols that lead somewhere, and so can be linked to a square on another map
+ * or elsewhere on the same one: each with the number of levels it climbs. A
+ * stair down is a level below, a teleport is neither up nor down.
+ */
+export const MAPPING_LINK_SYMBOLS = Object.freeze({
+    'stairs-up': 1,
+    'stairs-down': -1,
+    'spiral-stairs-up': 1,
+    'spiral-stairs-down': -1,
+    'ladder-up': 1,
+    'ladder-down': -1,
+    stairs: 1,
+    slide: -1,
+    'tunnel-subterranean': -1,
+    'trap-door-floor': -1,
+    'trap-door-ceiling': 1,
+    'secret-trap-door': -1,
+    'hole-floor': -1,
+    'hole-ceiling': 1,
+    teleport: 0,
+    'magic-circle': 0
+});
+
 /**
  * Markers annotate the map rather than describing anything built, so they sit
  * at the top level of the context menu instead of among the placeables.
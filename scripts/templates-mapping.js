@@ -0,0 +1,223 @@
+// ==================================================================
+// ===== MAP TEMPLATES ==============================================
+// ==================================================================
+//
+// A piece of a map kept to be drawn again: the 20-foot chamber, the T-junction,
+// the spiral stair well every dungeon has one of.
+//
+// A template is a record fragment -- explored squares, floors, the side each
+// square's floor lies on, symbols and boundaries -- cut out of a map by a
+// rectangle and stored relative to that rectangle's corner. Stamping it is the
+// same fragment moved to a square, turned and mirrored on the way.
+//
+// Its boundaries are every boundary the map showed inside the rectangle, not
+// only the hand-drawn ones: a chamber captured from a recorded map would
+// otherwise arrive as a floor without walls, since the walls it had were the
+// scene's. Stamped, they become the target map's own authored boundaries.
+//
+// Turning and mirroring are done on points, not on keys. A square is where its
+// centre lands, a line is where its two ends land, and a floor side is where
+// its point lands inside the square it ended up in -- so there is one piece of
+// arithmetic to get right rather than a table per kind of thing.
+//
+// Everything here is pure. The manager stores templates and stamps them through
+// the mutation path like any other edit.
+
+import { normalizeBoundaries } from './utils-mapping.js';
+import { mappedBoundaries } from './walls-mapping.js';
+
+/** The quarter turns a template may be stamped at, in degrees clockwise. */
+const TEMPLATE_ROTATIONS = [0, 90, 180, 270];
+
+const KEY_PATTERN = /^-?\d+,-?\d+$/;
+const LINE_PATTERN = /^([hv]):(-?\d+):(-?\d+)$/;
+
+function parseKey(key) {
+    const [column, row] = key.split(',').map(Number);
+    return { column, row };
+}
+
+/**
+ * Cut a template out of a map.
+ *
+ * @param {Object} record - The map
+ * @param {Object} atlas - Its atlas, authored boundaries already laid over it
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - Squares, inclusive
+ * @returns {Object|null} The fragment, relative to the rectangle's corner; null when it holds no floor
+ */
+function captureTemplate(record, atlas, rect) {
+    const left = Math.min(rect.left, rect.right);
+    const right = Math.max(rect.left, rect.right);
+    const top = Math.min(rect.top, rect.bottom);
+    const bottom = Math.max(rect.top, rect.bottom);
+    const inside = ({ column, row }) => column >= left && column <= right && row >= top && row <= bottom;
+    const relative = ({ column, row }) => `${column - left},${row - top}`;
+
+    const explored = (record?.explored ?? []).filter(key => inside(parseKey(key)));
+    if (!explored.length) return null;
+    const kept = new Set(explored);
+    const floors = {};
+    const sides = {};
+    for (const key of explored) {
+        if (record.floors?.[key]) floors[relative(parseKey(key))] = record.floors[key];
+        if (record.sides?.[key]) sides[relative(parseKey(key))] = [...record.sides[key]];
+    }
+    const symbols = (record.symbols ?? [])
+        .filter(symbol => kept.has(`${symbol.column},${symbol.row}`))
+        .map(symbol => ({ type: symbol.type, column: symbol.column - left, row: symbol.row - top, text: symbol.text ?? '' }));
+    // Lines on the rectangle's own edge belong to it: they are the walls that
+    // close the room it was drawn around.
+    const boundaries = {};
+    for (const [line, feature] of mappedBoundaries(atlas, kept)) {
+        const [, orientation, first, second] = line.match(LINE_PATTERN);
+        const column = Number(first);
+        const row = Number(second);
+        const within = orientation === 'h'
+            ? column >= left && column <= right && row >= top && row <= bottom + 1
+            : column >= left && column <= right + 1 && row >= top && row <= bottom;
+        // A boundary has no side to remember a one-way door by; it goes in as a door.
+        if (within) boundaries[`${orientation}:${column - left}:${row - top}`] = feature.startsWith('one-way-door') ? 'door' : feature;
+    }
+    return {
+        columns: right - left + 1,
+        rows: bottom - top + 1,
+        explored: explored.map(key => relative(parseKey(key))),
+        floors,
+        sides,
+        symbols,
+        boundaries
+    };
+}
+
+/**
+ * Where a point of a template lands once turned and mirrored, and the size of
+ * what it lands in. Mirrors apply first, then the turn: "mirrored and turned a
+ * quarter" is read in the order it is said.
+ */
+function orientation(columns, rows, { rotation = 0, mirrorX = false, mirrorY = false } = {}) {
+    const turns = ((Math.round(Number(rotation) / 90) % 4) + 4) % 4;
+    const size = turns % 2 ? { columns: rows, rows: columns } : { columns, rows };
+    const point = (x, y) => {
+        let px = mirrorX ? columns - x : x;
+        let py = mirrorY ? rows - y : y;
+        let width = columns;
+        let height = rows;
+        // A quarter turn clockwise: the left edge becomes the top.
+        for (let turn = 0; turn < turns; turn++) {
+            [px, py] = [height - py, px];
+            [width, height] = [height, width];
+        }
+        return [px, py];
+    };
+    return { ...size, point };
+}
+
+/**
+ * A template turned and mirrored, still relative to its own corner.
+ *
+ * @param {Object} template
+ * @param {{rotation?: number, mirrorX?: boolean, mirrorY?: boolean}} [options]
+ * @returns {Object} The same fragment, reoriented
+ */
+function orientTemplate(template, options = {}) {
+    const { columns, rows, point } = orientation(template.columns, template.rows, options);
+    const square = key => {
+        const { column, row } = parseKey(key);
+        const [x, y] = point(column + 0.5, row + 0.5);
+        return { column: Math.floor(x), row: Math.floor(y) };
+    };
+    const keyOf = ({ column, row }) => `${column},${row}`;
+
+    const floors = {};
+    for (const [key, type] of Object.entries(template.floors ?? {})) floors[keyOf(square(key))] = type;
+    const sides = {};
+    for (const [key, at] of Object.entries(template.sides ?? {})) {
+        const { column, row } = parseKey(key);
+        const [x, y] = point(column + (at[0] / 100), row + (at[1] / 100));
+        const landed = square(key);
+        sides[keyOf(landed)] = [Math.round((x - landed.column) * 100), Math.round((y - landed.row) * 100)];
+    }
+    const boundaries = {};
+    for (const [line, feature] of Object.entries(template.boundaries ?? {})) {
+        const [, orientationKey, first, second] = line.match(LINE_PATTERN);
+        const column = Number(first);
+        const row = Number(second);
+        const [x0, y0] = point(column, row);
+        const [x1, y1] = orientationKey === 'h' ? point(column + 1, row) : point(column, row + 1);
+        const turned = y0 === y1 ? `h:${Math.min(x0, x1)}:${y0}` : `v:${x0}:${Math.min(y0, y1)}`;
+        boundaries[turned] = feature;
+    }
+    return {
+        ...template,
+        columns,
+        rows,
+        explored: (template.explored ?? []).map(key => keyOf(square(key))),
+        floors,
+        sides,
+        symbols: (template.symbols ?? []).map(symbol => {
+            const landed = square(`${symbol.column},${symbol.row}`);
+            return { ...symbol, column: landed.column, row: landed.row };
+        }),
+        boundaries
+    };
+}
+
+/**
+ * A template as the squares, lines and symbols it puts on a map: reoriented,
+ * then moved so its top-left corner sits on the square it was stamped at.
+ */
+function placeTemplate(template, { column, row }, options = {}) {
+    const oriented = orientTemplate(template, options);
+    const move = key => {
+        const at = parseKey(key);
+        return `${at.column + column},${at.row + row}`;
+    };
+    const moveAll = entries => Object.fromEntries(Object.entries(entries).map(([key, value]) => [move(key), value]));
+    const boundaries = {};
+    for (const [line, feature] of Object.entries(oriented.boundaries)) {
+        const [, orientationKey, first, second] = line.match(LINE_PATTERN);
+        boundaries[`${orientationKey}:${Number(first) + column}:${Number(second) + row}`] = feature;
+    }
+    return {
+        explored: oriented.explored.map(move),
+        floors: moveAll(oriented.floors),
+        sides: moveAll(oriented.sides),
+        symbols: oriented.symbols.map(symbol => ({ ...symbol, column: symbol.column + column, row: symbol.row + row })),
+        boundaries
+    };
+}
+
+/** A stored template as it can be trusted: anything malformed is dropped rather than stamped. */
+function normalizeTemplate(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !raw.id) return null;
+    const columns = Number(raw.columns);
+    const rows = Number(raw.rows);
+    if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 1 || rows < 1) return null;
+    const keys = object => Object.fromEntries(Object.entries(object && typeof object === 'object' ? object : {})
+        .filter(([key]) => KEY_PATTERN.test(key)));
+    return {
+        id: raw.id,
+        name: String(raw.name ?? '').trim() || raw.id,
+        columns,
+        rows,
+        explored: Array.isArray(raw.explored) ? raw.explored.filter(key => typeof key === 'string' && KEY_PATTERN.test(key)) : [],
+        floors: keys(raw.floors),
+        sides: Object.fromEntries(Object.entries(keys(raw.sides))
+            .filter(([, at]) => Array.isArray(at) && at.length === 2 && at.every(Number.isFinite))),
+        symbols: Array.isArray(raw.symbols)
+            ? raw.symbols.filter(symbol => Number.isInteger(symbol?.column) && Number.isInteger(symbol?.row) && typeof symbol.type === 'string')
+            : [],
+        // Open is a hand-drawn absence and is never captured, so it is not kept.
+        boundaries: Object.fromEntries(Object.entries(normalizeBoundaries(raw.boundaries))
+            .filter(([, feature]) => feature !== 'open')),
+        createdAt: Number(raw.createdAt) || 0
+    };
+}
+
+export {
+    TEMPLATE_ROTATIONS,
+    captureTemplate,
+    normalizeTemplate,
+    orientTemplate,
+    placeTemplate
+};
@@ -13,11 +13,30 @@
 // are gone with the incremental snapping that needed them. Exploration is a
 // mask now, so there is nothing left to reconcile.
 
+import { HEX_DIRECTIONS, hexDirectionBetween, hexNeighbours, isHexGrid } from './hex-mapping.js';
+
 const DIRECTIONS = ['north', 'east', 'south', 'west'];
+/** A square's neighbours across its north, east, south and west sides. */
+const SQUARE_STEPS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
 /** Every feature the atlas may put on a cell boundary. */
-const EDGE_FEATURES = ['wall', 'door', 'locked-door', 'secret-door', 'window'];
+const EDGE_FEATURES = ['wall', 'door', 'locked-door', 'one-way-door', 'secret-door', 'window'];
+/**
+ * What an author may put on a boundary: anything the atlas can, or nothing at
+ * all -- "open" is how a wall the scene has is taken off the map. A one-way
+ * door is the exception: a boundary is keyed by its line, which has no side to
+ * say which way the door opens.
+ */
+const BOUNDARY_FEATURES = [...EDGE_FEATURES.filter(feature => feature !== 'one-way-door'), 'open'];
+/**
+ * The old key's boundary symbols that nothing in a scene's walls can say: a
+ * door that is painted on, a portcullis, a slit to shoot through. Written onto
+ * a boundary the map already shows, and drawn in its place.
+ */
+const BOUNDARY_VARIANTS = ['false-door', 'trapped-door', 'revolving-door', 'portcullis', 'gate', 'arrow-slit', 'illusory-wall'];
 
-function directionBetween(from, to) {
+/** Which side of one cell another lies across, on the grid given; square when none is. */
+function directionBetween(from, to, gridType = 'square') {
+    if (isHexGrid(gridType)) return hexDirectionBetween(gridType, from, to);
     if (to.column === from.column + 1 && to.row === from.row) return 'east';
     if (to.column === from.column - 1 && to.row === from.row) return 'west';
     if (to.row === from.row + 1 && to.column === from.column) return 'south';
@@ -26,7 +45,22 @@ function directionBetween(from, to) {
 }
 
 function oppositeDirection(direction) {
-    return { north: 'south', east: 'west', south: 'north', west: 'east' }[direction] ?? null;
+    return {
+        north: 'south',
+        east: 'west',
+        south: 'north',
+        west: 'east',
+        northeast: 'southwest',
+        southeast: 'northwest',
+        southwest: 'northeast',
+        northwest: 'southeast'
+    }[direction] ?? null;
+}
+
+/** The cells across a cell's sides: four for a square, six for a hex. */
+function neighbouringCells(gridType, cell) {
+    if (isHexGrid(gridType)) return hexNeighbours(gridType, cell);
+    return SQUARE_STEPS.map(([columnOffset, rowOffset]) => ({ column: cell.column + columnOffset, row: cell.row + rowOffset }));
 }
 
 /**
@@ -182,13 +216,48 @@ function normalizeFeatures(raw) {
         const valid = [...new Set(codes.filter(code => {
             if (typeof code !== 'string') return false;
             const [feature, direction] = code.split(':');
-            return EDGE_FEATURES.includes(feature) && DIRECTIONS.includes(direction);
+            return EDGE_FEATURES.includes(feature) && (DIRECTIONS.includes(direction) || HEX_DIRECTIONS.includes(direction));
         }))];
         if (valid.length) normalized[key] = valid;
     }
     return normalized;
 }
 
+/**
+ * Authored boundaries, keyed by the lattice line they sit on rather than by a
+ * square and a side: `h:column:row` is the top edge of that square, `v:column:row`
+ * its left edge. One line has one key, so a wall cannot be written twice from
+ * the squares on either side of it and disagree with itself.
+ */
+function normalizeBoundaries(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    const normalized = {};
+    for (const [key, feature] of Object.entries(raw)) {
+        if (!/^[hv]:-?\d+:-?\d+$/.test(key) || !BOUNDARY_FEATURES.includes(feature)) continue;
+        normalized[key] = feature;
+    }
+    return normalized;
+}
+
+/**
+ * Boundary variants, keyed by lattice line like authored boundaries. Each
+ * keeps who wrote it, because anyone who can annotate a map may place one and
+ * an artifact only lets a player take back their own -- see canRemoveEntry.
+ */
+function normalizeVariants(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    const normalized = {};
+    for (const [key, variant] of Object.entries(raw)) {
+        if (!/^[hv]:-?\d+:-?\d+$/.test(key) || !BOUNDARY_VARIANTS.includes(variant?.type)) continue;
+        normalized[key] = {
+            type: variant.type,
+            createdAt: Number(variant.createdAt) || 0,
+            createdBy: typeof variant.createdBy === 'string' ? variant.createdBy : null
+        };
+    }
+    return normalized;
+}
+
 /**
  * The half-squares at the walls of what the party can see.
  *
@@ -268,8 +337,7 @@ function contiguousFloorRegion(exploredKeys, atlas, start, sides, limit = 4000)
     while (queue.length && region.length < limit) {
         const current = queue.shift();
         const currentKey = `${current.column},${current.row}`;
-        for (const [columnOffset, rowOffset] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
-            const next = { column: current.column + columnOffset, row: current.row + rowOffset };
+        for (const next of neighbouringCells(atlas?.gridType, current)) {
             const nextKey = `${next.column},${next.row}`;
             if (seen.has(nextKey) || !explored.has(nextKey)) continue;
             if (boundaryBlocks(atlas, currentKey, current, next)) continue;
@@ -308,7 +376,7 @@ function contiguousFloorRegion(exploredKeys, atlas, start, sides, limit = 4000)
  * asked only half of the question. See propagateFloors.
  */
 function featureBlocks(atlas, fromKey, from, to) {
-    const direction = directionBetween(from, to);
+    const direction = directionBetween(from, to, atlas?.gridType);
     if (!direction) return true;
     const features = atlas?.features;
     const opposite = oppositeDirection(direction);
@@ -325,6 +393,8 @@ function featureBlocks(atlas, fromKey, from, to) {
  * Without this a room's flooring ran out through every curved wall it had.
  */
 function barrierBlocks(atlas, from, to) {
+    // A hex map's walls are all on its hexes' sides; nothing runs between them.
+    if (isHexGrid(atlas?.gridType)) return false;
     const direction = directionBetween(from, to);
     if (!direction) return true;
     const step = {
@@ -349,7 +419,7 @@ function boundaryBlocks(atlas, fromKey, from, to) {
  * away. Walls are deliberately not consulted, because a wall that has been
  * edited since the surface was laid is exactly what strands part of it.
  */
-function sameFloorRegion(exploredKeys, floors, start, limit = 20000) {
+function sameFloorRegion(exploredKeys, floors, start, gridType = 'square', limit = 20000) {
     const explored = exploredKeys instanceof Set ? exploredKeys : new Set(exploredKeys ?? []);
     const startKey = `${start.column},${start.row}`;
     const surface = floors?.[startKey];
@@ -362,8 +432,7 @@ function sameFloorRegion(exploredKeys, floors, start, limit = 20000) {
     const queue = [start];
     while (queue.length && region.length < limit) {
         const current = queue.shift();
-        for (const [columnOffset, rowOffset] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
-            const next = { column: current.column + columnOffset, row: current.row + rowOffset };
+        for (const next of neighbouringCells(gridType, current)) {
             const nextKey = `${next.column},${next.row}`;
             if (seen.has(nextKey) || !explored.has(nextKey)) continue;
             if (floors?.[nextKey] !== surface) continue;
@@ -399,8 +468,9 @@ function propagateFloors(exploredKeys, atlas, floors, addedKeys, sides) {
             if (next[key]) continue;
             const [column, row] = key.split(',').map(Number);
             const cell = { column, row };
-            for (const [columnOffset, rowOffset] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
-                const neighbour = { column: column + columnOffset, row: row + rowOffset };
+            for (const neighbour of neighbouringCells(atlas?.gridType, cell)) {
+                const columnOffset = neighbour.column - column;
+                const rowOffset = neighbour.row - row;
                 const neighbourKey = `${neighbour.column},${neighbour.row}`;
                 if (!next[neighbourKey] || !explored.has(neighbourKey)) continue;
                 // A half-square takes the surface of the room it edges even
@@ -479,8 +549,7 @@ function sceneInteriorRegion(atlas, columns, rows) {
     while (queue.length) {
         const current = queue.shift();
         const currentKey = `${current.column},${current.row}`;
-        for (const [columnOffset, rowOffset] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
-            const next = { column: current.column + columnOffset, row: current.row + rowOffset };
+        for (const next of neighbouringCells(atlas?.gridType, current)) {
             if (!inBounds(next.column, next.row)) continue;
             const nextKey = `${next.column},${next.row}`;
             if (outside.has(nextKey)) continue;
@@ -541,6 +610,11 @@ function mergeMapInto(target, donation) {
 
     const sides = { ...(donation.sides ?? {}), ...(target.sides ?? {}) };
     const floors = { ...(donation.floors ?? {}), ...(target.floors ?? {}) };
+    // Boundaries somebody drew by hand, and the variants written on them, on
+    // the same terms as floors: the donor fills in what the party's map does
+    // not say, and never overrules it.
+    const boundaries = { ...(donation.boundaries ?? {}), ...(target.boundaries ?? {}) };
+    const variants = { ...(donation.variants ?? {}), ...(target.variants ?? {}) };
     const secrets = new Set([...(target.secrets ?? []), ...(donation.secrets ?? [])]);
 
     // The party's own struck-off squares still stand -- it is only the donor's
@@ -557,23 +631,37 @@ function mergeMapInto(target, donation) {
         symbols.push(symbol);
     }
 
+    // The other floors of a stacked scene, each on the same terms as this one.
+    // Both maps must be turned to the same floor for the keys to agree.
+    const bands = {};
+    for (const id of new Set([...Object.keys(target.bands ?? {}), ...Object.keys(donation.bands ?? {})])) {
+        bands[id] = mergeMapInto(target.bands?.[id] ?? {}, donation.bands?.[id] ?? {});
+    }
+
     return {
         explored: [...explored],
         sides,
         floors,
+        boundaries,
+        variants,
         secrets: [...secrets],
         hidden: [...hidden],
-        symbols
+        symbols,
+        ...(Object.keys(bands).length ? { bands } : {})
     };
 }
 
 export {
+    BOUNDARY_FEATURES,
+    BOUNDARY_VARIANTS,
     clipSegmentToCell,
     contiguousFloorRegion,
     mergeMapInto,
     directionBetween,
     gridTravelPath,
+    normalizeBoundaries,
     normalizeFeatures,
+    normalizeVariants,
     oppositeDirection,
     propagateFloors,
     sameFloorRegion,
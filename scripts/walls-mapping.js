@@ -0,0 +1,333 @@
+// ==================================================================
+// ===== MAP TO WALLS ===============================================
+// ==================================================================
+//
+// The atlas run backwards: a map's architecture as Foundry walls.
+//
+// buildSceneAtlas turns Wall documents into lattice edges and true lines. Every
+// one of those names exact grid coordinates, so going the other way is close
+// to mechanical -- a lattice edge is a wall from one grid intersection to the
+// next, a true line is a wall between its own two points, and each kind of
+// opening is the wall configuration classifyWall reads back as that kind. The
+// test for this file is exactly that: walls generated from a map, read back
+// through the atlas, give the map.
+//
+// What is emitted is what the map shows, not everything its scene holds: a
+// boundary appears on a map once either square beside it has been explored, and
+// the same rule picks what becomes a wall. Hand-drawn boundaries are included,
+// having already replaced the scene's on their line. Secret doors are emitted
+// as secret doors whether or not this party found them -- the walls are for the
+// GM's scene, where a secret door is hidden from the players by Foundry itself.
+//
+// A scene that already has walls -- usually the very scene the map was drawn
+// from, whose walls the map shows -- is built into without doubling them: a
+// line a standing wall already covers is left out, whatever kind of wall it is.
+//
+// Nothing here writes to the world. buildMapWalls is pure and only reads
+// CONST; the manager asks first, previews, and then creates the documents.
+
+import { wallSideOf } from './atlas-mapping.js';
+import { clipSegmentToCell } from './utils-mapping.js';
+
+/** How close, in squares, sight and light pass through a generated window. */
+const WINDOW_THRESHOLD_SQUARES = 2;
+
+/** Which feature wins a line two features were written to. Same order the window draws by. */
+const FEATURE_PRIORITY = Object.freeze({
+    wall: 1,
+    window: 2,
+    door: 3,
+    'one-way-door': 4,
+    'locked-door': 5,
+    'secret-door': 6
+});
+
+/** The unit step each way through a door, in grid terms. */
+const TRAVEL = Object.freeze({
+    north: [0, -1],
+    east: [1, 0],
+    south: [0, 1],
+    west: [-1, 0]
+});
+
+/** The lattice line a stored "feature:direction" code sits on. */
+function latticeLine(key, direction) {
+    const [column, row] = key.split(',').map(Number);
+    if (!Number.isInteger(column) || !Number.isInteger(row)) return null;
+    return {
+        north: `h:${column}:${row}`,
+        south: `h:${column}:${row + 1}`,
+        west: `v:${column}:${row}`,
+        east: `v:${column + 1}:${row}`
+    }[direction] ?? null;
+}
+
+/** Whether either square a lattice line separates is on the map. */
+function lineIsMapped(line, explored) {
+    const [orientation, first, second] = line.split(':');
+    const column = Number(first);
+    const row = Number(second);
+    const beside = orientation === 'h' ? `${column},${row - 1}` : `${column - 1},${row}`;
+    return explored.has(`${column},${row}`) || explored.has(beside);
+}
+
+/**
+ * Every lattice line the map shows, with the one feature it shows there.
+ *
+ * A one-way door keeps the way through it, as `one-way-door:south` -- a line
+ * alone cannot say which side it opens from, and a door turned round is a
+ * different door.
+ *
+ * @param {Object} atlas - The map's atlas, authored boundaries already laid over it
+ * @param {Set<string>} explored - The map's explored squares
+ * @returns {Map<string, string>} Lattice line to feature
+ */
+function mappedBoundaries(atlas, explored) {
+    const lines = new Map();
+    const priority = feature => FEATURE_PRIORITY[feature.split(':')[0]];
+    const write = (line, feature) => {
+        if (!line || !priority(feature) || !lineIsMapped(line, explored)) return;
+        const existing = lines.get(line);
+        if (!existing || priority(feature) > priority(existing)) lines.set(line, feature);
+    };
+    for (const [key, codes] of Object.entries(atlas?.features ?? {})) {
+        for (const code of codes) {
+            const [feature, direction] = code.split(':');
+            write(latticeLine(key, direction), feature === 'one-way-door' ? code : feature);
+        }
+    }
+    // The atlas draws a secret as wall until it is found, and says which walls
+    // those were. Found or not, they are secret doors in the scene.
+    for (const secret of atlas?.secrets ?? []) {
+        for (const edge of secret.edges ?? []) write(latticeLine(edge.key, edge.direction), 'secret-door');
+    }
+    return lines;
+}
+
+/** How far, in squares, a standing wall may stray from a line and still cover it. */
+const COVER_TOLERANCE = 0.01;
+
+/** Distance from a point to a segment, all in squares. */
+function distanceToSegment(px, py, [x1, y1, x2, y2]) {
+    const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+    const t = lengthSquared
+        ? Math.max(0, Math.min(1, ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSquared))
+        : 0;
+    return Math.hypot(px - (x1 + t * (x2 - x1)), py - (y1 + t * (y2 - y1)));
+}
+
+/**
+ * Whether a standing wall already runs the whole of a line: both its ends lie
+ * on the wall. Everything in squares.
+ */
+function lineCovered([x1, y1, x2, y2], standing) {
+    return standing.some(wall => distanceToSegment(x1, y1, wall) <= COVER_TOLERANCE
+        && distanceToSegment(x2, y2, wall) <= COVER_TOLERANCE);
+}
+
+/** The ends of a lattice line, in squares. */
+function latticeEnds(line) {
+    const [orientation, first, second] = line.split(':');
+    const column = Number(first);
+    const row = Number(second);
+    return orientation === 'h' ? [column, row, column + 1, row] : [column, row, column, row + 1];
+}
+
+/**
+ * Join neighbouring lines of the same feature into one run, so a corridor wall
+ * is one wall rather than one per square, and a double door is one door -- which
+ * is also how the atlas reads a wide opening back.
+ */
+function joinRuns(lines) {
+    const byTrack = new Map();
+    for (const [line, feature] of lines) {
+        const [orientation, first, second] = line.split(':');
+        // A horizontal line runs along its row, a vertical one down its column.
+        const track = orientation === 'h' ? `h:${second}:${feature}` : `v:${first}:${feature}`;
+        const along = Number(orientation === 'h' ? first : second);
+        if (!byTrack.has(track)) byTrack.set(track, { orientation, fixed: Number(orientation === 'h' ? second : first), feature, steps: [] });
+        byTrack.get(track).steps.push(along);
+    }
+    const runs = [];
+    for (const { orientation, fixed, feature, steps } of byTrack.values()) {
+        steps.sort((left, right) => left - right);
+        let start = steps[0];
+        let end = start + 1;
+        for (const step of steps.slice(1)) {
+            if (step === end) {
+                end++;
+                continue;
+            }
+            runs.push({ orientation, fixed, start, end, feature });
+            start = step;
+            end = step + 1;
+        }
+        runs.push({ orientation, fixed, start, end, feature });
+    }
+    return runs;
+}
+
+/**
+ * The true lines -- curves and angled walls -- somebody on this map could see.
+ * The same rule as a lattice line, widened by a square: a curve is seen from
+ * the floor beside it as often as from the square it crosses.
+ */
+function mappedTrueLines(lines, explored) {
+    const near = (column, row) => [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]]
+        .some(([dc, dr]) => explored.has(`${column + dc},${row + dr}`));
+    return (lines ?? []).filter(([[x0, y0], [x1, y1]]) => {
+        if (![x0, y0, x1, y1].every(Number.isFinite)) return false;
+        for (let row = Math.floor(Math.min(y0, y1)) - 1; row <= Math.floor(Math.max(y0, y1)); row++) {
+            for (let column = Math.floor(Math.min(x0, x1)) - 1; column <= Math.floor(Math.max(x0, x1)); column++) {
+                if (clipSegmentToCell(x0, y0, x1, y1, column, row) && near(column, row)) return true;
+            }
+        }
+        return false;
+    });
+}
+
+/**
+ * The Wall document configuration for a kind of boundary -- the inverse of
+ * classifyWall, which is what reads it back.
+ */
+function wallConfiguration(feature, { distance = 5, dir = 0 } = {}) {
+    const doorTypes = CONST.WALL_DOOR_TYPES ?? {};
+    const doorStates = CONST.WALL_DOOR_STATES ?? {};
+    const senseTypes = CONST.WALL_SENSE_TYPES ?? {};
+    const movementTypes = CONST.WALL_MOVEMENT_TYPES ?? {};
+    const solid = {
+        move: movementTypes.NORMAL,
+        sight: senseTypes.NORMAL,
+        light: senseTypes.NORMAL,
+        sound: senseTypes.NORMAL,
+        door: doorTypes.NONE,
+        ds: doorStates.CLOSED
+    };
+    if (feature === 'door') return { ...solid, door: doorTypes.DOOR };
+    if (feature === 'locked-door') return { ...solid, door: doorTypes.DOOR, ds: doorStates.LOCKED };
+    if (feature === 'one-way-door') return { ...solid, door: doorTypes.DOOR, dir };
+    if (feature === 'secret-door') return { ...solid, door: doorTypes.SECRET };
+    if (feature === 'window') {
+        const reach = WINDOW_THRESHOLD_SQUARES * distance;
+        return {
+            ...solid,
+            sight: senseTypes.PROXIMITY,
+            light: senseTypes.PROXIMITY,
+            threshold: { sight: reach, light: reach, attenuation: false }
+        };
+    }
+    return solid;
+}
+
+/**
+ * The walls a map describes, as WallDocument creation data for a scene.
+ *
+ * Grid coordinates are scaled by the target scene's square size. A square grid
+ * starts at the canvas origin and scene padding is a whole number of squares,
+ * so column 10 of the map is column 10 of any square-gridded scene -- which is
+ * what lets a map be built into a scene other than its own.
+ *
+ * @param {Object} record - The map
+ * @param {Object} atlas - Its atlas, with its authored boundaries laid over it
+ * @param {Object} options
+ * @param {number} options.size - The target scene's grid size in pixels
+ * @param {number} [options.distance=5] - The target scene's grid distance, for window thresholds
+ * @param {{width: number, height: number}} [options.bounds] - Canvas extent; walls outside it are skipped
+ * @param {number[][]} [options.standing] - Walls already in the scene, as Wall `c` pixels; lines they cover are left out
+ * @returns {{ walls: Object[], counts: Object, skipped: number, covered: number }}
+ */
+function buildMapWalls(record, atlas, { size, distance = 5, bounds = null, standing = [] } = {}) {
+    const explored = new Set(record?.explored ?? []);
+    const counts = { wall: 0, door: 0, 'locked-door': 0, 'one-way-door': 0, 'secret-door': 0, window: 0, curve: 0 };
+    const walls = [];
+    let skipped = 0;
+    let covered = 0;
+    const inSquares = (standing ?? [])
+        .map(c => (Array.isArray(c) ? c.map(Number) : []))
+        .filter(c => c.length === 4 && c.every(Number.isFinite))
+        .map(c => c.map(value => value / size));
+    const round = value => Math.round(value * size);
+    const inside = ([x1, y1, x2, y2]) => !bounds
+        || ([x1, x2].every(x => x >= 0 && x <= bounds.width) && [y1, y2].every(y => y >= 0 && y <= bounds.height));
+    const emit = (c, feature, kind = feature, dir = 0) => {
+        if (!inside(c)) {
+            skipped++;
+            return;
+        }
+        walls.push({ c, ...wallConfiguration(feature, { distance, dir }) });
+        counts[kind]++;
+    };
+
+    const lines = mappedBoundaries(atlas, explored);
+    for (const line of [...lines.keys()]) {
+        if (!lineCovered(latticeEnds(line), inSquares)) continue;
+        lines.delete(line);
+        covered++;
+    }
+    for (const run of joinRuns(lines)) {
+        const c = run.orientation === 'h'
+            ? [round(run.start), round(run.fixed), round(run.end), round(run.fixed)]
+            : [round(run.fixed), round(run.start), round(run.fixed), round(run.end)];
+        const [feature, travel] = run.feature.split(':');
+        if (!travel) {
+            emit(c, feature);
+            continue;
+        }
+        // Passable from the side the door is walked out of: half a square
+        // back from its middle, against the way through.
+        const [dx, dy] = TRAVEL[travel];
+        const from = { x: ((c[0] + c[2]) / 2) - (dx * size / 2), y: ((c[1] + c[3]) / 2) - (dy * size / 2) };
+        emit(c, feature, feature, wallSideOf({ x: c[0], y: c[1] }, { x: c[2], y: c[3] }, from));
+    }
+    for (const [[x0, y0], [x1, y1]] of mappedTrueLines(atlas?.lines, explored)) {
+        if (lineCovered([x0, y0, x1, y1], inSquares)) {
+            covered++;
+            continue;
+        }
+        emit([round(x0), round(y0), round(x1), round(y1)], 'wall', 'curve');
+    }
+    return { walls, counts, skipped, covered };
+}
+
+/**
+ * The part of a scene a map covers, in canvas pixels: its explored squares'
+ * bounds and one square beyond, which is where the walls enclosing them stand.
+ */
+function mapRegion(record, size) {
+    const keys = record?.explored ?? [];
+    if (!keys.length) return null;
+    let minColumn = Infinity;
+    let minRow = Infinity;
+    let maxColumn = -Infinity;
+    let maxRow = -Infinity;
+    for (const key of keys) {
+        const [column, row] = key.split(',').map(Number);
+        minColumn = Math.min(minColumn, column);
+        minRow = Math.min(minRow, row);
+        maxColumn = Math.max(maxColumn, column);
+        maxRow = Math.max(maxRow, row);
+    }
+    return {
+        left: (minColumn - 1) * size,
+        top: (minRow - 1) * size,
+        right: (maxColumn + 2) * size,
+        bottom: (maxRow + 2) * size
+    };
+}
+
+/** Whether a wall lies wholly inside a region. */
+function wallInRegion(wall, region) {
+    if (!region) return false;
+    const [x1, y1, x2, y2] = (wall?.c ?? []).map(Number);
+    return [x1, x2].every(x => x >= region.left && x <= region.right)
+        && [y1, y2].every(y => y >= region.top && y <= region.bottom);
+}
+
+export {
+    buildMapWalls,
+    mapRegion,
+    mappedBoundaries,
+    wallConfiguration,
+    wallInRegion,
+    WINDOW_THRESHOLD_SQUARES
+};
@@ -4,6 +4,25 @@
 
 import { MODULE } from './const.js';
 import { clipSegmentToCell } from './utils-mapping.js';
+import { buildMapSvg, canCopyImage, rasteriseMapSvg } from './export-mapping.js';
+import {
+    canonicalHexSide,
+    hexAt,
+    hexBox,
+    hexCorners,
+    hexGridSize,
+    hexNeighbours,
+    hexSide,
+    isHexGrid
+} from './hex-mapping.js';
+import { mapItems } from './item-mapping.js';
+import { isLinkSymbol, levelGroups, normalizeLink } from './levels-mapping.js';
+import { mapSpotMarkup, noteLinks, plainNoteText } from './notes-mapping.js';
+import { diffCells, diffSummary } from './revisions-mapping.js';
+import {
+    isFiltering, LIST_FILTER_KINDS, LIST_FILTER_SHARING, LIST_FILTER_SPANS, mapContributors, normalizeListFilter, searchMaps
+} from './search-mapping.js';
+import { notify } from './utils-toast.js';
 import {
     getMappingSymbol,
     MAPPING_FLOOR_TYPES,
@@ -22,8 +41,27 @@ const MAP_CELL_SIZE = 36;
 const CAMERA_EASING = 0.28;
 /** Blank cells drawn beyond the explored bounds on the endless canvas. */
 const MAP_MARGIN_CELLS = 3;
+/**
+ * Which feature is drawn when one boundary carries several. A doorway outranks
+ * the wall it sits in, and a discovered secret outranks every ordinary opening
+ * on the same edge.
+ */
+const FEATURE_PRIORITIES = {
+    wall: 1,
+    window: 2,
+    door: 3,
+    'one-way-door': 4,
+    'locked-door': 5,
+    'secret-door': 6
+};
+/**
+ * A hex cell's drawing units per grid unit: enough that each of its sides is a
+ * hundred long, as a square's are, so every glyph authored for a square side
+ * sits on a hex side unscaled and the pen stays one weight across the map.
+ */
+const HEX_DRAWING_SCALE = 100 * Math.sqrt(3);
 /** Features drawn with the doorway glyph rather than as a boundary stroke. */
-const DOOR_GLYPH_FEATURES = ['door', 'locked-door'];
+const DOOR_GLYPH_FEATURES = ['door', 'locked-door', 'one-way-door'];
 /** Openings drawn as wide as the run of squares they occupy. */
 const SPANNING_GLYPH_FEATURES = [...DOOR_GLYPH_FEATURES, 'window'];
 /** Wall stub left at each end of an opening, in local glyph units. */
@@ -46,6 +84,26 @@ const GLYPH_TRANSFORMS = {
     west: 'translate(0 100) rotate(-90)',
     east: 'translate(100 0) rotate(90)'
 };
+/** What each change is called in the history. Anything else is just a change. */
+const HISTORY_ACTION_LABELS = {
+    donate: 'historyDonate',
+    'generate-layout': 'historyGenerateLayout',
+    'link-symbol': 'historyLinkSymbol',
+    'mark-floor': 'historyMarkFloor',
+    'mark-rock': 'historyMarkRock',
+    'place-symbol': 'historyPlaceSymbol',
+    'refresh-architecture': 'historyRefreshArchitecture',
+    'remove-symbol': 'historyRemoveSymbol',
+    rename: 'historyRename',
+    reset: 'historyReset',
+    'restore-revision': 'historyRestored',
+    'set-boundary': 'historySetBoundary',
+    'set-floor': 'historySetFloor',
+    'set-shared': 'historySetShared',
+    'set-variant': 'historySetVariant',
+    'stamp-template': 'historyStampTemplate',
+    'undo-revision': 'historyUndone'
+};
 /** Edge of the square map silhouette drawn for the list view, in pixels. */
 const THUMBNAIL_SIZE = 96;
 /**
@@ -69,17 +127,19 @@ const THUMBNAIL_INK = {
 const PRESS_SLOP = 4;
 /** Window width below which chrome buttons drop their captions. */
 /**
- * The three ways to read the Recorded Maps list, one in effect at a time.
+ * The ways to read the Recorded Maps list, one in effect at a time.
  *
  * The first two decide what the headings are keyed on. The third is not a
  * filter laid over them -- it narrows to the reader's own maps and keys those
  * on the scene, because a list of one character's maps has nothing to say by
- * naming that character over and over.
+ * naming that character over and over. The fourth is the atlas of levels: maps
+ * gathered into the dungeons their stairs join them into, top floor first.
  */
 const LIST_GROUPINGS = [
     { id: 'scene', icon: 'fa-solid fa-map-location-dot', textKey: 'mapping.groupBySceneShort', labelKey: 'mapping.groupByScene' },
     { id: 'actor', icon: 'fa-solid fa-user', textKey: 'mapping.groupByActorShort', labelKey: 'mapping.groupByActor' },
-    { id: 'mine', icon: 'fa-solid fa-user-check', textKey: 'mapping.justMine', labelKey: 'mapping.justMineHint' }
+    { id: 'mine', icon: 'fa-solid fa-user-check', textKey: 'mapping.justMine', labelKey: 'mapping.justMineHint' },
+    { id: 'levels', icon: 'fa-solid fa-stairs', textKey: 'mapping.groupByLevelsShort', labelKey: 'mapping.groupByLevels' }
 ];
 
 /**
@@ -102,6 +162,32 @@ const MAPPING_GRID_WEIGHTS = [
     { id: 'dark', weight: 1.8, labelKey: 'mapping.gridDark', icon: 'fa-solid fa-border-all' }
 ];
 
+/** What a boundary can be drawn as, in menu order. Null defers to the scene. */
+const MAPPING_BOUNDARY_OPTIONS = [
+    { feature: null, labelKey: 'mapping.boundaryScene', icon: 'fa-solid fa-rotate-left' },
+    { feature: 'wall', labelKey: 'mapping.featureWall', icon: 'fa-solid fa-minus' },
+    { feature: 'door', labelKey: 'mapping.featureDoor', icon: 'fa-solid fa-door-closed' },
+    { feature: 'locked-door', labelKey: 'mapping.featureLockedDoor', icon: 'fa-solid fa-lock' },
+    { feature: 'secret-door', labelKey: 'mapping.featureSecretDoor', icon: 'fa-solid fa-user-secret' },
+    { feature: 'window', labelKey: 'mapping.featureWindow', icon: 'fa-solid fa-border-all' },
+    { feature: 'open', labelKey: 'mapping.boundaryOpen', icon: 'fa-solid fa-border-none' }
+];
+
+/**
+ * The key's boundary variants, in menu order. Written onto a boundary the map
+ * already shows, by anyone who may annotate it.
+ */
+const MAPPING_VARIANT_OPTIONS = [
+    { type: 'false-door', labelKey: 'mapping.variantFalseDoor', icon: 'fa-solid fa-masks-theater' },
+    { type: 'trapped-door', labelKey: 'mapping.variantTrappedDoor', icon: 'fa-solid fa-skull-crossbones' },
+    { type: 'revolving-door', labelKey: 'mapping.variantRevolvingDoor', icon: 'fa-solid fa-rotate' },
+    { type: 'portcullis', labelKey: 'mapping.variantPortcullis', icon: 'fa-solid fa-bars' },
+    { type: 'gate', labelKey: 'mapping.variantGate', icon: 'fa-solid fa-archway' },
+    { type: 'arrow-slit', labelKey: 'mapping.variantArrowSlit', icon: 'fa-solid fa-crosshairs' },
+    { type: 'illusory-wall', labelKey: 'mapping.variantIllusoryWall', icon: 'fa-solid fa-ghost' }
+];
+const MAPPING_VARIANT_TYPES = new Set(MAPPING_VARIANT_OPTIONS.map(option => option.type));
+
 /** Where each kind sits within a group. Lower comes first. */
 const MAP_KIND_ORDER = Object.freeze({ official: 0, party: 1, player: 2 });
 
@@ -157,6 +243,28 @@ export class MappingWindow extends ToolWindowBase {
         },
         'set-grouping': (_event, target, app) => void app.setListGrouping(target.dataset.grouping),
         'select-map': (_event, target, app) => void app.selectMap(target.dataset.mapId),
+        'clear-list-filter': (_event, _target, app) => void app.setListFilter(null),
+        'open-note-match': (event, target, app) => {
+            event.stopPropagation();
+            const { mapId, band, column, row } = target.dataset;
+            void app.openMapAt({ mapId, band: band ?? '', column: Number(column), row: Number(row) });
+        },
+        'refresh-architecture': (event, target, app) => {
+            event.stopPropagation();
+            void app.manager.refreshArchitecture(target.dataset.mapId);
+        },
+        'bind-map-item': (event, target, app) => {
+            event.stopPropagation();
+            void app.manager.bindMapItem(target.dataset.mapId);
+        },
+        'generate-layout': (event, target, app) => {
+            event.stopPropagation();
+            void app.manager.generateLayout(target.dataset.mapId);
+        },
+        'generate-walls': (event, target, app) => {
+            event.stopPropagation();
+            void app.manager.generateWalls(target.dataset.mapId);
+        },
         'rename-map': (event, target, app) => {
             event.stopPropagation();
             void app.manager.renameMap(target.dataset.mapId);
@@ -165,10 +273,18 @@ export class MappingWindow extends ToolWindowBase {
             event.stopPropagation();
             void app.manager.deleteMap(target.dataset.mapId);
         },
+        'toggle-history': (_event, _target, app) => app.toggleHistory(),
+        'select-revision': (_event, target, app) => app.selectRevision(target.dataset.revisionId),
+        'set-band': (_event, target, app) => app.setBand(target.dataset.band ?? ''),
+        'restore-revision': (event, target, app) => {
+            event.stopPropagation();
+            void app.manager.restoreRevision(target.dataset.mapId, target.dataset.revisionId);
+        },
         'zoom-in': (_event, _target, app) => app.setZoom((app._targetZoom ?? app.zoom) + 0.15),
         'zoom-out': (_event, _target, app) => app.setZoom((app._targetZoom ?? app.zoom) - 0.15),
         'center-view': (_event, _target, app) => app.centerView(),
-        'fit-map': (_event, _target, app) => app.fitMap()
+        'fit-map': (_event, _target, app) => app.fitMap(),
+        'export-map': (event, target, app) => app.showExportMenu(event, target)
     };
 
     constructor(manager, options = {}) {
@@ -189,10 +305,26 @@ export class MappingWindow extends ToolWindowBase {
         this._hasPaintedMap = false;
         this._cellSize = MAP_CELL_SIZE;
         this._thumbnailCache = new Map();
+        // The history panel, and the revision in it whose squares are lit. Both
+        // belong to one map, and are put away when another is shown.
+        this.historyOpen = false;
+        this.historyRevisionId = null;
+        this._historyMapId = null;
+        // A stair waiting to be told where it goes: the map and square it
+        // leaves from, while the user finds the square it arrives at.
+        this._pendingLink = null;
+        // What the list is searched and narrowed by. Not kept between
+        // sessions: a search is for finding one map now, and a list opened
+        // tomorrow still filtered by it would look like maps had gone missing.
+        this._listFilter = normalizeListFilter();
+        // The note a search opened a map at, lit until another map is shown.
+        this._foundNote = null;
         this._handlePanStart = this._handlePanStart.bind(this);
         this._handlePanMove = this._handlePanMove.bind(this);
         this._handlePanEnd = this._handlePanEnd.bind(this);
         this._handleMapContextMenu = this._handleMapContextMenu.bind(this);
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+        this._handleListInput = this._handleListInput.bind(this);
     }
 
     static async open(manager, { viewMode = 'map' } = {}) {
@@ -346,9 +478,35 @@ export class MappingWindow extends ToolWindowBase {
                 icon: 'fa-solid fa-crosshairs',
                 label: model.centerPartyLabel
             })] : []),
-            this._chromeButton({ action: 'zoom-in', icon: 'fa-solid fa-plus', label: model.zoomInLabel })
+            this._chromeButton({ action: 'zoom-in', icon: 'fa-solid fa-plus', label: model.zoomInLabel }),
+            // Only once there is something to export. A blank canvas has a grid
+            // but no squares, and a file of nothing is not worth offering.
+            ...(model.cells?.length ? [this._chromeButton({
+                action: 'export-map',
+                icon: 'fa-solid fa-file-export',
+                label: game.i18n.localize(`${MODULE.ID}.mapping.exportMap`)
+            })] : []),
+            // Only for someone who may change the map, and only once there is
+            // something in its log to look back over.
+            ...(model.canBrowseHistory ? [this._chromeButton({
+                action: 'toggle-history',
+                icon: 'fa-solid fa-clock-rotate-left',
+                label: model.historyLabel,
+                className: `cartographer-mapping-toggle${model.history ? ' is-current' : ''}`
+            })] : [])
         ];
-        return `<span class="cartographer-mapping-zoom-readout">${Math.round(this.zoom * 100)}%</span>`
+        // One floor is shown at a time, so the floors read as a segmented
+        // choice, the way the modes do.
+        const bands = (model.bands ?? []).map(band => this._chromeButton({
+            action: 'set-band',
+            icon: 'fa-solid fa-layer-group',
+            label: band.label,
+            text: band.text,
+            dataset: { band: band.id },
+            className: `cartographer-mapping-toggle${band.isCurrent ? ' is-current' : ''}`
+        }));
+        return (bands.length ? `<span class="cartographer-mapping-chrome-actions is-modes is-levels">${bands.join('')}</span>` : '')
+            + `<span class="cartographer-mapping-zoom-readout">${Math.round(this.zoom * 100)}%</span>`
             + `<span class="cartographer-mapping-chrome-actions is-navigation">${buttons.join('')}</span>`;
     }
 
@@ -482,29 +640,42 @@ export class MappingWindow extends ToolWindowBase {
                 kindLabel: localize(`mapping.kind${kind === 'party' ? 'Party' : kind === 'official' ? 'Official' : 'Player'}`),
                 actorId: record.actorId,
                 actorName: record.actorName,
+                sceneId: record.sceneId,
                 sceneName: record.sceneName,
+                links: record.links ?? [],
+                notes: record.notes ?? [],
+                contributors: record.contributors ?? [],
                 updated: record.updatedAt ? new Date(record.updatedAt).toLocaleString() : '',
                 updatedAt: record.updatedAt ?? 0,
                 feetMapped: record.explored.length * (record.gridDistance || 5),
                 isCurrent: record.id === this.manager.currentMapId,
                 canManage: this.manager.canManageRecord(record),
                 canDelete: this.manager.canDeleteRecord(record),
-                // The party's map has nobody to hide it from. The other two do:
-                // a player map from the rest of the party, an artifact from the
-                // players until the GM reveals it.
-                canShare: kind !== 'party' && this.manager.canManageRecord(record),
+                // Only a player map is hidden or shown with a switch. The
+                // party's has nobody to hide it from, and an artifact goes to
+                // whoever holds the Item carrying it.
+                canShare: isPlayerMap && this.manager.canManageRecord(record),
                 isShared: record.shared === true,
-                // Sharing your own map and revealing the GM's are the same
-                // switch and not the same act, so they are not the same words.
-                shareLabel: localize(kind === 'official'
-                    ? (record.shared === true ? 'mapping.hideOfficial' : 'mapping.revealOfficial')
-                    : (record.shared === true ? 'mapping.unshareMap' : 'mapping.shareMap')),
+                shareLabel: localize(record.shared === true ? 'mapping.unshareMap' : 'mapping.shareMap'),
+                canBindItem: kind === 'official' && Boolean(game.user?.isGM),
+                // An artifact keeps the walls it was drawn from; this is the GM
+                // choosing to take the scene's again.
+                canRefreshArchitecture: kind === 'official' && Boolean(game.user?.isGM),
+                // Whose Item it is, since that is who has the map -- and for the
+                // GM, that nobody has it yet.
+                carriedLabel: kind === 'official' ? this._carriedLabel(record) : '',
                 // Offered only where there is a party map of this scene to give
                 // it to, and only to the person whose map it is.
                 canDonate: isPlayerMap
                     && this.manager.canManageRecord(record)
                     && this.manager._isPartyMember()
                     && Boolean(this.manager.getRecord(this.manager.partyMapId(record.sceneId))),
+                // A map of the place itself can be built into a scene; a
+                // player's is one person's account of it.
+                canGenerateWalls: this.manager.canBuildScene(record),
+                // An artifact can be a generated dungeon; any other map is a
+                // record of somewhere real. Dungeons are laid out in squares.
+                canGenerateLayout: kind === 'official' && Boolean(game.user?.isGM) && !isHexGrid(record.gridType),
                 // Recording is bound to a token, so only a player map is ever
                 // a thing to record into.
                 canRecord: isPlayerMap
@@ -520,21 +691,27 @@ export class MappingWindow extends ToolWindowBase {
             // "Just mine" means the maps this reader has a stake in: their own
             // characters', and the one the party holds together. An artifact
             // belongs to nobody, so it is not theirs to be shown among them.
-            const visible = mine
+            const readable = mine
                 ? maps.filter(map => (map.kind === 'player' && own.has(map.actorId))
                     || (map.kind === 'party' && this.manager._isPartyMember()))
                 : maps;
+            const filter = this._listFilter;
+            const filtering = isFiltering(filter);
+            const visible = filtering ? searchMaps(readable, filter) : readable;
             // An empty list has to say why, since the reader has just pressed
             // the thing that emptied it. A GM's own maps are whichever token is
             // selected, so for them it is usually that nothing is.
-            const emptyKey = !mine ? 'mapping.noMaps'
+            const emptyKey = filtering && readable.length ? 'mapping.noMapsFound'
+                : !mine ? 'mapping.noMaps'
                 : (game.user?.isGM && !own.size) ? 'mapping.noMapsMineToken'
                 : 'mapping.noMapsMine';
             return {
                 isListView: true,
                 gridClass,
                 maps: visible,
-                groups: this._groupMaps(visible, mine ? 'scene' : grouping),
+                search: this._searchModel(readable, filter),
+                filtering,
+                groups: grouping === 'levels' ? this._levelGroups(visible) : this._groupMaps(visible, mine ? 'scene' : grouping),
                 groupings: LIST_GROUPINGS.map(option => ({
                     id: option.id,
                     icon: option.icon,
@@ -559,11 +736,13 @@ export class MappingWindow extends ToolWindowBase {
                 // existed they were told they had one and could never start
                 // another.
                 createSectionLabel: localize('mapping.createSection'),
-                showAnyCreateCard: !this.manager.hasMapForSelectedToken()
+                // Put away while searching, which is looking for a map that
+                // exists rather than making one.
+                showAnyCreateCard: !filtering && (!this.manager.hasMapForSelectedToken()
                     || (Boolean(canvas?.scene) && this.manager._isPartyMember()
                         && !this.manager.hasMapOfKind('party'))
                     || (Boolean(canvas?.scene) && Boolean(game.user?.isGM)
-                        && !this.manager.hasMapOfKind('official')),
+                        && !this.manager.hasMapOfKind('official'))),
                 showCreateCard: !this.manager.hasMapForSelectedToken(),
                 createTitle: game.i18n.localize(`${MODULE.ID}.mapping.createForScene`),
                 createHint: game.i18n.format(`${MODULE.ID}.mapping.createForSceneHint`, {
@@ -585,6 +764,10 @@ export class MappingWindow extends ToolWindowBase {
                 renameLabel: game.i18n.localize(`${MODULE.ID}.mapping.rename`),
                 deleteLabel: game.i18n.localize(`${MODULE.ID}.mapping.deleteMap`),
                 donateLabel: localize('mapping.donateMap'),
+                generateWallsLabel: localize('mapping.generateWalls'),
+                generateLayoutLabel: localize('mapping.generateLayout'),
+                bindItemLabel: localize('mapping.mapItemBind'),
+                refreshArchitectureLabel: localize('mapping.refreshArchitecture'),
                 feetMappedLabel: game.i18n.localize(`${MODULE.ID}.mapping.feetMapped`),
                 feetMapped: this.manager.state.explored.length * (this.manager.state.gridDistance || 5)
             };
@@ -592,6 +775,100 @@ export class MappingWindow extends ToolWindowBase {
         return { ...this._buildMapModel(), isListView: false, gridClass, maps };
     }
 
+    /**
+     * The search box and the choices beside it. Whose walking a map holds is
+     * offered only for the characters on some map in the list, since choosing
+     * anyone else could only empty it.
+     */
+    _searchModel(maps, filter) {
+        const localize = key => game.i18n.localize(`${MODULE.ID}.mapping.${key}`);
+        const capitalised = value => value.charAt(0).toUpperCase() + value.slice(1);
+        const names = new Map();
+        for (const map of maps) {
+            for (const actorId of mapContributors(map)) {
+                if (!names.has(actorId)) {
+                    names.set(actorId, game.actors?.get(actorId)?.name ?? (map.actorId === actorId ? map.actorName : actorId));
+                }
+            }
+        }
+        const choices = (name, values, labelOf) => ({
+            name,
+            label: localize(`filter${capitalised(name)}`),
+            options: values.map(value => ({ value, label: labelOf(value), selected: filter[name] === value }))
+        });
+        return {
+            text: filter.text,
+            placeholder: localize('searchMaps'),
+            clearLabel: localize('searchClear'),
+            fields: [
+                choices('kind', LIST_FILTER_KINDS, value => localize(`filterKind${capitalised(value)}`)),
+                choices('sharing', LIST_FILTER_SHARING, value => localize(`filterSharing${capitalised(value)}`)),
+                choices('contributor', ['', ...[...names.keys()].sort((left, right) => names.get(left).localeCompare(names.get(right)))],
+                    value => (value ? names.get(value) : localize('filterContributorAny'))),
+                choices('updated', Object.keys(LIST_FILTER_SPANS), value => localize(`filterUpdated${capitalised(value)}`))
+            ]
+        };
+    }
+
+    /**
+     * Narrow the list, or with nothing, stop narrowing it. Only what is given
+     * changes, so typing leaves the choices beside the box alone.
+     */
+    async setListFilter(changes) {
+        this._listFilter = changes ? normalizeListFilter({ ...this._listFilter, ...changes }) : normalizeListFilter();
+        await this.manager.renderWindow();
+    }
+
+    /**
+     * Typing in the search box and choosing beside it. Typing waits for a pause
+     * rather than redrawing the list on every key.
+     */
+    _handleListInput(event) {
+        const field = event.target?.closest?.('.cartographer-mapping-search [name]');
+        if (!field || this.viewMode !== 'list') return;
+        if (field.name === 'text') {
+            if (event.type !== 'input') return;
+            clearTimeout(this._searchTimer);
+            this._searchTimer = setTimeout(() => {
+                this._searchTimer = null;
+                void this.setListFilter({ text: field.value });
+            }, 250);
+            return;
+        }
+        if (event.type === 'change') void this.setListFilter({ [field.name]: field.value });
+    }
+
+    /**
+     * Open a map at a spot on it -- a note the search found, or the square a
+     * journal's map link names: its floor, with the square in the middle of the
+     * view and the note on it, if there is one, lit.
+     */
+    async openMapAt({ mapId, band, column, row }) {
+        if (!this.manager.linkTarget({ mapId })) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.linkMissing`), { type: 'warn' });
+            return;
+        }
+        if (mapId !== this.manager.currentMapId || this.viewMode !== 'map') await this.selectMap(mapId);
+        if (this.manager.currentMapId !== mapId) return;
+        if (band !== this.manager.viewBand) await this.setBand(band);
+        this._foundNote = { mapId, band, column, row };
+        await this.manager.renderWindow();
+        this._followArmed = false;
+        const { x, y } = this._cellCenter({ column, row });
+        this._setCamera(x, y, { animate: true });
+    }
+
+    /** Which characters carry an artifact, as the row says it. */
+    _carriedLabel(record) {
+        const names = this.manager.mapCarriers(record).map(actor => actor.name);
+        if (names.length) return game.i18n.format(`${MODULE.ID}.mapping.carriedBy`, { names: names.join(', ') });
+        // Revealed before artifacts were carried, and on no Item yet.
+        if (record?.shared === true && !mapItems(record.id).length) {
+            return game.user?.isGM ? game.i18n.localize(`${MODULE.ID}.mapping.carriedRevealed`) : '';
+        }
+        return game.user?.isGM ? game.i18n.localize(`${MODULE.ID}.mapping.carriedByNobody`) : '';
+    }
+
     /**
      * How heavily the reader last chose to rule the squares. Kept per user for
      * the same reason the list grouping is: it is how they like to read a map,
@@ -727,6 +1004,52 @@ export class MappingWindow extends ToolWindowBase {
         }));
     }
 
+    /**
+     * The atlas of levels: a heading per dungeon, named for the map its levels
+     * are counted from, and in it every map its stairs join, top floor first.
+     * Each row says which level it is and where its ways up and down go, which
+     * is the part of a dungeon no single map can show.
+     *
+     * Maps joined to nothing follow under a heading of their own rather than
+     * as dungeons of one: the atlas is about how places connect.
+     */
+    _levelGroups(maps) {
+        const byId = new Map(maps.map(map => [map.id, map]));
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        const { dungeons, unlinked } = levelGroups(maps);
+        const groups = dungeons.map(dungeon => ({
+            key: dungeon.root,
+            name: byId.get(dungeon.root).name,
+            icon: 'fa-dungeon',
+            isHere: dungeon.maps.some(({ id }) => byId.get(id).sceneId === canvas?.scene?.id),
+            maps: dungeon.maps.map(({ id, level, joins }) => ({
+                ...byId.get(id),
+                subtitle: [
+                    game.i18n.format(`${MODULE.ID}.mapping.levelNumber`, { level: level > 0 ? `+${level}` : String(level) }),
+                    byId.get(id).sceneName
+                ].join(' · '),
+                // Where its ways lead, marked with which way they go.
+                levelJoins: joins
+                    .map(join => `${join.step > 0 ? '↑' : join.step < 0 ? '↓' : '↔'} ${byId.get(join.id).name}`)
+                    .join(', ')
+            })),
+            count: dungeon.maps.length
+        }))
+            // Stable, so dungeons otherwise keep the order of the list.
+            .sort((left, right) => Number(right.isHere) - Number(left.isHere));
+        if (unlinked.length) {
+            groups.push({
+                key: 'unlinked',
+                name: localize('mapping.levelsUnlinked'),
+                icon: 'fa-folder',
+                isHere: false,
+                maps: unlinked.map(id => ({ ...byId.get(id), subtitle: byId.get(id).sceneName })),
+                count: unlinked.length
+            });
+        }
+        return groups;
+    }
+
     /**
      * Whether an empty map should offer blank ground to draw on rather than a
      * message saying there is nothing here.
@@ -751,18 +1074,39 @@ export class MappingWindow extends ToolWindowBase {
         const placedSymbols = new Map(
             (this.manager.state.symbols ?? []).map(symbol => [`${symbol.column},${symbol.row}`, symbol])
         );
+        // The squares whose symbol leads somewhere, each with what its tooltip
+        // says about where. A link to a map this user cannot see is still a
+        // link, and says so rather than naming the map.
+        const linked = new Map();
+        for (const [key, symbol] of placedSymbols) {
+            const link = isLinkSymbol(symbol.type) ? normalizeLink(symbol.link) : null;
+            const definition = link ? getMappingSymbol(symbol.type) : null;
+            if (!definition) continue;
+            const target = this.manager.linkTarget(link);
+            const name = game.i18n.localize(`${MODULE.ID}.${definition.labelKey}`);
+            linked.set(key, target
+                ? game.i18n.format(`${MODULE.ID}.mapping.linkTooltip`, { symbol: name, map: target.name, scene: target.sceneName })
+                : game.i18n.format(`${MODULE.ID}.mapping.linkTooltipLost`, { symbol: name }));
+        }
         const animateNewTiles = this._hasBuiltMap;
         const newTiles = animateNewTiles
             ? new Set([...explored].filter(key => !this._renderedExplored.has(key)))
             : new Set();
         const trackedPosition = this.manager.getTrackedPositionForCurrentMap();
-        const mappedGeometry = this._getMappedTileGeometry(
-            explored,
-            // The map's own scene, which is not always the one in play.
-            this.manager.atlasFor(this.manager.state.sceneId),
-            this.manager.state.secrets,
-            this.manager.state.sides
-        );
+        const gridType = this.manager.state.gridType;
+        const isHex = isHexGrid(gridType);
+        // The map's own scene, which is not always the one in play, with
+        // whatever its author drew by hand laid over it.
+        const atlas = this.manager.atlasForRecord(this.manager.state);
+        const mappedGeometry = isHex
+            ? this._getHexTileGeometry(explored, atlas, this.manager.state.secrets, gridType)
+            : this._getMappedTileGeometry(
+                explored,
+                atlas,
+                this.manager.state.secrets,
+                this.manager.state.sides,
+                this.manager.state.variants
+            );
         // What the drawing made of the record. A square showing as bare rock is
         // either not in `floor` at all -- nothing revealed it -- or it is, and
         // was clipped away to nothing, and `thinnest` says which.
@@ -773,7 +1117,13 @@ export class MappingWindow extends ToolWindowBase {
             `thinnest=${this._thinnestFloor(mappedGeometry.floorClipByCell)}%`
         ].join('  '));
         const canRecord = this.manager.canRecordCurrentMap();
+        const history = this._historyModel();
         const common = {
+            history,
+            bands: this._bandModel(),
+            linkingHint: this._pendingLink ? game.i18n.localize(`${MODULE.ID}.mapping.linkingHint`) : null,
+            canBrowseHistory: history !== null || this._canBrowseHistory(),
+            historyLabel: game.i18n.localize(`${MODULE.ID}.mapping.historyLabel`),
             canRecord,
             isRecording: this.manager.active,
             isPaused: this.manager.paused,
@@ -829,8 +1179,14 @@ export class MappingWindow extends ToolWindowBase {
             // instead: no cells, no hatching, nothing but ruled ground waiting
             // to be told what it is.
             if (this._canAuthorBlank()) {
+                const columns = Math.max(1, Number(this.manager.state.columns) || 1);
+                const rows = Math.max(1, Number(this.manager.state.rows) || 1);
+                // Hexes interlock, so the same count of them takes up a
+                // different amount of room than squares would.
+                const extent = isHex ? hexGridSize(gridType, columns, rows) : { width: columns, height: rows };
                 return {
                     ...common,
+                    ...this._hexGridModel(gridType),
                     empty: false,
                     cells: [],
                     hatchCells: [],
@@ -838,10 +1194,12 @@ export class MappingWindow extends ToolWindowBase {
                     // The scene's own extent, since there is no explored square
                     // to take bounds from, and origin zero so a square's grid
                     // position is its scene position.
-                    columnCount: Math.max(1, Number(this.manager.state.columns) || 1),
-                    rowCount: Math.max(1, Number(this.manager.state.rows) || 1),
+                    columnCount: Math.ceil(extent.width),
+                    rowCount: Math.ceil(extent.height),
                     originColumn: 0,
                     originRow: 0,
+                    originX: 0,
+                    originY: 0,
                     showParty: false,
                     isBlankCanvas: true,
                     blankCanvasHint: game.i18n.localize(`${MODULE.ID}.mapping.blankCanvasHint`),
@@ -878,8 +1236,22 @@ export class MappingWindow extends ToolWindowBase {
         }), { minColumn: Infinity, minRow: Infinity, maxColumn: -Infinity, maxRow: -Infinity });
         const originColumn = bounds.minColumn - MAP_MARGIN_CELLS;
         const originRow = bounds.minRow - MAP_MARGIN_CELLS;
-        const columnCount = (bounds.maxColumn + MAP_MARGIN_CELLS) - originColumn + 1;
-        const rowCount = (bounds.maxRow + MAP_MARGIN_CELLS) - originRow + 1;
+        let columnCount = (bounds.maxColumn + MAP_MARGIN_CELLS) - originColumn + 1;
+        let rowCount = (bounds.maxRow + MAP_MARGIN_CELLS) - originRow + 1;
+        // Squares are placed by grid track. Hexes do not fall on tracks, so
+        // the grid is a plain box measured in cells and each hex is placed in
+        // it by its own corner: the extent is taken from the hexes' boxes, and
+        // the origin is wherever the margin puts it, fractions and all.
+        let originX = originColumn;
+        let originY = originRow;
+        if (isHex) {
+            const extent = this._cellExtent(explored);
+            originX = Math.round((extent.left - MAP_MARGIN_CELLS) * 1000) / 1000;
+            originY = Math.round((extent.top - MAP_MARGIN_CELLS) * 1000) / 1000;
+            columnCount = Math.ceil(extent.right + MAP_MARGIN_CELLS - originX);
+            rowCount = Math.ceil(extent.bottom + MAP_MARGIN_CELLS - originY);
+        }
+        const hexGrid = this._hexGridModel(gridType);
         const cells = coordinates.map(([column, row]) => {
             const key = `${column},${row}`;
             const isParty = trackedPosition?.column === column && trackedPosition?.row === row;
@@ -887,28 +1259,46 @@ export class MappingWindow extends ToolWindowBase {
             const symbol = placedSymbols.get(key);
             const symbolDefinition = symbol ? getMappingSymbol(symbol.type) : null;
             const clip = mappedGeometry.floorClipByCell.get(key) ?? null;
+            // Every hex is cut to its shape the way a square a wall crosses is
+            // cut to its floor, by the same layer; the shape itself is set once
+            // on the grid and inherited.
+            const clipped = Boolean(clip) || isHex;
             return {
                 key,
                 gridColumn: column - originColumn + 1,
                 gridRow: row - originRow + 1,
+                hex: isHex ? this._hexPlacement(gridType, { column, row }, originX, originY) : null,
                 // The square's own share of the paper, for the layer that draws
                 // it. The surface that sits on top of the paper is not cut here:
                 // it is one layer for the whole map and carries its own clip.
                 floorClip: clip ? this._clipCss(clip) : null,
-                className: `is-explored${isNew ? ' is-new' : ''}${isParty ? ' is-party' : ''}${clip ? ' is-clipped' : ''}`,
+                className: `is-explored${isNew ? ' is-new' : ''}${isParty ? ' is-party' : ''}${clipped ? ' is-clipped' : ''}${this._historyClass(history, key)}`,
                 segments: mappedGeometry.segmentsByCell.get(key) ?? [],
                 doorSymbols: mappedGeometry.doorSymbolsByCell.get(key) ?? [],
                 secretDoorSymbols: mappedGeometry.secretDoorSymbolsByCell.get(key) ?? [],
                 windowSymbols: mappedGeometry.windowSymbolsByCell.get(key) ?? [],
-                hasLinework: mappedGeometry.segmentsByCell.has(key)
+                variantSymbols: mappedGeometry.variantSymbolsByCell.get(key) ?? [],
+                // A hex is ruled by its own outline rather than by the grid
+                // behind it, so it always has something to draw.
+                hexRule: hexGrid.hexRule,
+                viewBox: hexGrid.hexViewBox,
+                hasLinework: isHex
+                    || mappedGeometry.segmentsByCell.has(key)
                     || mappedGeometry.doorSymbolsByCell.has(key)
                     || mappedGeometry.secretDoorSymbolsByCell.has(key)
-                    || mappedGeometry.windowSymbolsByCell.has(key),
+                    || mappedGeometry.windowSymbolsByCell.has(key)
+                    || mappedGeometry.variantSymbolsByCell.has(key),
                 symbol: symbolDefinition ? {
-                    className: `is-${symbol.type}`,
+                    className: `is-${symbol.type}${linked.has(key) ? ' is-linked' : ''}${this._isFoundNote(symbol) ? ' is-found' : ''}`,
                     markup: symbolDefinition.markup,
-                    // A note's own text is more use than its type name.
-                    label: symbol.text || game.i18n.localize(`${MODULE.ID}.${symbolDefinition.labelKey}`),
+                    // A note's own text is more use than its type name, and a
+                    // stair that goes somewhere says where.
+                    label: linked.get(key)
+                        ?? (plainNoteText(symbol.text) || game.i18n.localize(`${MODULE.ID}.${symbolDefinition.labelKey}`)),
+                    link: linked.has(key) ? normalizeLink(symbol.link) : null,
+                    // A note that links to anything opens on a click, where its
+                    // links can be clicked in turn; hovering only reads it.
+                    hasNoteLinks: symbol.type === 'note' && noteLinks(symbol.text).length > 0,
                     // A note can run to a few sentences and carries the author's
                     // own line breaks, which a tooltip collapses to nothing
                     // unless told otherwise. Foundry puts the tooltip in its own
@@ -924,23 +1314,131 @@ export class MappingWindow extends ToolWindowBase {
         this._renderedExplored = explored;
         return {
             ...common,
+            ...hexGrid,
             empty: false,
             cells,
             columnCount,
             rowCount,
             originColumn,
             originRow,
-            hatchCells: this._buildHatchCells(
-                explored, originColumn, originRow, mappedGeometry.floorClipByCell
-            ),
+            originX,
+            originY,
+            hatchCells: isHex
+                ? this._buildHexHatchCells(explored, gridType, originX, originY)
+                : this._buildHatchCells(explored, originColumn, originRow, mappedGeometry.floorClipByCell),
             floorLayers: this._buildFloorLayers(explored, {
-                originColumn, originRow, columnCount, rowCount
+                originColumn: originX, originRow: originY, columnCount, rowCount, gridType
             }, mappedGeometry.floorClipByCell),
+            // Squares the chosen revision took away are not on the map to be
+            // lit, so they are marked where they were instead -- those inside
+            // the grid, which is all of them unless the map has shrunk since.
+            historyMarks: [...(history?.cells?.removed ?? [])].filter(key => !explored.has(key)).map(key => {
+                const [column, row] = key.split(',').map(Number);
+                return {
+                    key,
+                    gridColumn: column - originColumn + 1,
+                    gridRow: row - originRow + 1,
+                    hex: isHex ? this._hexPlacement(gridType, { column, row }, originX, originY) : null
+                };
+            }).filter(mark => isHex || (mark.gridColumn >= 1 && mark.gridColumn <= columnCount
+                && mark.gridRow >= 1 && mark.gridRow <= rowCount)),
             showParty: Boolean(trackedPosition),
             feetMapped: explored.size * (this.manager.state.gridDistance || 5)
         };
     }
 
+    /** Whether the current map has a log its viewer may look back over. */
+    _canBrowseHistory() {
+        const record = this.manager.state;
+        return Boolean(record?.id && this.manager.canManageRecord(record)
+            && this.manager.mapRevisions(record.id).length);
+    }
+
+    /**
+     * The history panel: the current map's revisions, newest first, and the
+     * squares the chosen one touched. Null while the panel is put away, or when
+     * the map it was opened on is no longer the one shown.
+     *
+     * Only for whoever may change the map. The log names who did what, which is
+     * for the people keeping the map rather than everyone who can read it.
+     */
+    _historyModel() {
+        const record = this.manager.state;
+        if (this._historyMapId !== record?.id) {
+            this.historyOpen = false;
+            this.historyRevisionId = null;
+            this._historyMapId = record?.id ?? null;
+        }
+        if (!this.historyOpen || !record?.id || !this.manager.canManageRecord(record)) return null;
+        const revisions = this.manager.mapRevisions(record.id);
+        const selected = revisions.find(revision => revision.id === this.historyRevisionId) ?? null;
+        const canRestore = this.manager.canDeleteRecord(record);
+        const localize = (key, data) => (data
+            ? game.i18n.format(`${MODULE.ID}.mapping.${key}`, data)
+            : game.i18n.localize(`${MODULE.ID}.mapping.${key}`));
+        const entries = revisions.slice().reverse().map(revision => {
+            const counts = diffSummary(revision.diff);
+            const summary = [
+                counts.added ? localize('historyAdded', { count: counts.added }) : null,
+                counts.removed ? localize('historyRemoved', { count: counts.removed }) : null,
+                counts.symbols ? localize('historySymbols', { count: counts.symbols }) : null,
+                counts.floors ? localize('historyFloors', { count: counts.floors }) : null,
+                counts.walls ? localize('historyWalls', { count: counts.walls }) : null
+            ].filter(Boolean).join(' · ');
+            return {
+                id: revision.id,
+                label: localize(HISTORY_ACTION_LABELS[revision.action] ?? 'historyChange'),
+                who: game.users?.get(revision.userId)?.name ?? localize('historyUnknownUser'),
+                when: revision.at ? new Date(revision.at).toLocaleString() : '',
+                summary,
+                isSelected: revision === selected,
+                canRestore
+            };
+        });
+        return {
+            mapId: record.id,
+            title: localize('historyLabel'),
+            entries,
+            emptyLabel: localize('historyEmpty'),
+            restoreLabel: localize('historyRestore'),
+            cells: selected ? diffCells(selected.diff) : null
+        };
+    }
+
+    /**
+     * The floors of a stacked scene, top first, to switch between. None for a
+     * scene of one floor, which is nearly every scene, so nothing is shown.
+     */
+    _bandModel() {
+        const localize = (key, data) => (data
+            ? game.i18n.format(`${MODULE.ID}.mapping.${key}`, data)
+            : game.i18n.localize(`${MODULE.ID}.mapping.${key}`));
+        return this.manager.mapBands(this.manager.state).map(band => {
+            const name = band.name || (band.id ? localize('bandNumber', { elevation: band.bottom }) : localize('bandGround'));
+            return {
+                id: band.id,
+                text: name,
+                label: localize('bandShow', { name }),
+                isCurrent: band.id === this.manager.viewBand
+            };
+        });
+    }
+
+    /** Whether a symbol is the note a search opened this map at. */
+    _isFoundNote(symbol) {
+        const found = this._foundNote;
+        return Boolean(found) && found.mapId === this.manager.currentMapId && found.band === this.manager.viewBand
+            && symbol.type === 'note' && symbol.column === found.column && symbol.row === found.row;
+    }
+
+    /** How a square shows in the history, by what the chosen revision did to it. */
+    _historyClass(history, key) {
+        if (!history?.cells) return '';
+        if (history.cells.added.has(key)) return ' is-history-added';
+        if (history.cells.changed.has(key)) return ' is-history-changed';
+        return '';
+    }
+
     /**
      * The surfaces, as one layer each rather than one layer per square.
      *
@@ -965,9 +1463,10 @@ export class MappingWindow extends ToolWindowBase {
      * Coordinates are fractions of the grid rather than pixels, so nothing here
      * needs to know the cell size and a theme stays free to change it.
      */
-    _buildFloorLayers(explored, { originColumn, originRow, columnCount, rowCount }, clips) {
+    _buildFloorLayers(explored, { originColumn, originRow, columnCount, rowCount, gridType }, clips) {
         const floors = this.manager.state.floors;
         if (!floors || !columnCount || !rowCount) return [];
+        const isHex = isHexGrid(gridType);
 
         // Grouped by surface, with the squares a wall cuts through kept apart:
         // those contribute a polygon rather than a rectangle, so they cannot
@@ -979,7 +1478,8 @@ export class MappingWindow extends ToolWindowBase {
             if (!type) continue;
             const [column, row] = key.split(',').map(Number);
             if (!Number.isInteger(column) || !Number.isInteger(row)) continue;
-            const target = clips.has(key) ? cut : whole;
+            // A hex never joins a run: it is its own polygon, always.
+            const target = clips.has(key) || isHex ? cut : whole;
             if (!target.has(type)) target.set(type, []);
             target.get(type).push({ column, row, key });
         }
@@ -1013,8 +1513,10 @@ export class MappingWindow extends ToolWindowBase {
             }
 
             const polygons = cutSquares
-                .map(square => (clips.get(square.key) ?? [])
-                    .map(point => `${across(square.column + (point.x / 100))},${down(square.row + (point.y / 100))}`)
+                .map(square => (isHex
+                    ? hexCorners(gridType, square).map(point => `${across(point.x)},${down(point.y)}`)
+                    : (clips.get(square.key) ?? [])
+                        .map(point => `${across(square.column + (point.x / 100))},${down(square.row + (point.y / 100))}`))
                     .join(' '))
                 .filter(points => points);
 
@@ -1036,6 +1538,103 @@ export class MappingWindow extends ToolWindowBase {
         return layers;
     }
 
+    /**
+     * What a hex map adds to the grid's model: the hex's outline once, as the
+     * clip every cell inherits and as the ruling each one draws, since the
+     * lattice behind a hex grid is not one a background can repeat. Nothing
+     * for a square map.
+     */
+    _hexGridModel(gridType) {
+        if (!isHexGrid(gridType)) return { isHex: false };
+        const box = hexBox(gridType, { column: 0, row: 0 });
+        const corners = hexCorners(gridType, { column: 0, row: 0 });
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            isHex: true,
+            hexWidth: round(box.width),
+            hexHeight: round(box.height),
+            hexClip: this._clipCss(corners.map(point => ({
+                x: ((point.x - box.left) / box.width) * 100,
+                y: ((point.y - box.top) / box.height) * 100
+            }))),
+            hexRule: corners
+                .map(point => `${round((point.x - box.left) * HEX_DRAWING_SCALE)},${round((point.y - box.top) * HEX_DRAWING_SCALE)}`)
+                .join(' '),
+            hexViewBox: `0 0 ${round(box.width * HEX_DRAWING_SCALE)} ${round(box.height * HEX_DRAWING_SCALE)}`
+        };
+    }
+
+    /** Where a hex sits in the grid's box, in cells from its corner. */
+    _hexPlacement(gridType, cell, originX, originY) {
+        const box = hexBox(gridType, cell);
+        const round = value => Math.round(value * 1000) / 1000;
+        return { x: round(box.left - originX), y: round(box.top - originY) };
+    }
+
+    /** The box a cell of the current map fills, in cells: a unit square, or its hex. */
+    _cellBox({ column, row }) {
+        const gridType = this.manager.state.gridType;
+        if (isHexGrid(gridType)) return hexBox(gridType, { column, row });
+        return { left: column, top: row, width: 1, height: 1 };
+    }
+
+    /** The box round every explored cell, in cells, or null when there are none. */
+    _cellExtent(explored) {
+        let extent = null;
+        for (const key of explored) {
+            const [column, row] = key.split(',').map(Number);
+            if (!Number.isInteger(column) || !Number.isInteger(row)) continue;
+            const box = this._cellBox({ column, row });
+            const right = box.left + box.width;
+            const bottom = box.top + box.height;
+            if (!extent) {
+                extent = { left: box.left, top: box.top, right, bottom };
+                continue;
+            }
+            extent.left = Math.min(extent.left, box.left);
+            extent.top = Math.min(extent.top, box.top);
+            extent.right = Math.max(extent.right, right);
+            extent.bottom = Math.max(extent.bottom, bottom);
+        }
+        return extent;
+    }
+
+    /**
+     * The band of rock round a hex map: _buildHatchCells, grown across the
+     * hexes' six sides instead of a square's eight neighbours. There is no cut
+     * floor to back, as a hex map does not draw walls through its cells.
+     */
+    _buildHexHatchCells(explored, gridType, originX, originY) {
+        const cells = [];
+        const seen = new Set(explored);
+        let frontier = explored;
+        for (let ring = 1; ring <= HATCH_RINGS; ring++) {
+            const next = new Set();
+            for (const key of frontier) {
+                const [column, row] = key.split(',').map(Number);
+                for (const neighbour of hexNeighbours(gridType, { column, row })) {
+                    const neighbourKey = `${neighbour.column},${neighbour.row}`;
+                    if (seen.has(neighbourKey)) continue;
+                    seen.add(neighbourKey);
+                    next.add(neighbourKey);
+                }
+            }
+            for (const key of next) {
+                const [column, row] = key.split(',').map(Number);
+                const box = hexBox(gridType, { column, row });
+                cells.push({
+                    ring,
+                    key,
+                    hex: this._hexPlacement(gridType, { column, row }, originX, originY),
+                    patternX: box.left,
+                    patternY: box.top
+                });
+            }
+            frontier = next;
+        }
+        return cells;
+    }
+
     /** A clip polygon as CSS, in the square's own percentages. */
     _clipCss(points) {
         const round = value => Math.round(value * 100) / 100;
@@ -1111,9 +1710,12 @@ export class MappingWindow extends ToolWindowBase {
      */
     /** Human-readable name for a mapped opening, used for its tooltip. */
     _featureLabel(feature) {
+        const variant = MAPPING_VARIANT_OPTIONS.find(option => option.type === feature);
+        if (variant) return game.i18n.localize(`${MODULE.ID}.${variant.labelKey}`);
         const key = {
             door: 'featureDoor',
             'locked-door': 'featureLockedDoor',
+            'one-way-door': 'featureOneWayDoor',
             window: 'featureWindow',
             'secret-door': 'featureSecretDoor'
         }[feature];
@@ -1139,8 +1741,15 @@ export class MappingWindow extends ToolWindowBase {
      * explored, which is why a room you have stood in comes out with its
      * complete outline rather than the fragments your sightlines happened to
      * touch.
+     *
+     * Boundaries drawn by hand arrive already in the atlas, having replaced
+     * whatever the scene had on the same line, so they are drawn exactly as a
+     * scene wall or doorway would be. Variants come from the record instead,
+     * and are drawn in place of whatever the line has -- including nothing,
+     * since the walls under one may since have changed and what the party
+     * wrote down stays written.
      */
-    _getMappedTileGeometry(explored, atlas, discoveredSecrets, sides) {
+    _getMappedTileGeometry(explored, atlas, discoveredSecrets, sides, variants = {}) {
         const segmentsByCell = new Map();
         const features = atlas?.features ?? {};
         // A secret door reads as ordinary wall until this party has walked it.
@@ -1158,15 +1767,7 @@ export class MappingWindow extends ToolWindowBase {
         const doorSymbolsByCell = new Map();
         const secretDoorSymbolsByCell = new Map();
         const windowSymbolsByCell = new Map();
-        // A doorway outranks the wall it sits in, and a discovered secret
-        // outranks every ordinary opening on the same edge.
-        const priorities = {
-            wall: 1,
-            window: 2,
-            door: 3,
-            'locked-door': 4,
-            'secret-door': 5
-        };
+        const variantSymbolsByCell = new Map();
         // Collapse to lattice edges first. A boundary is one line regardless of
         // which square it was written against, so the winner is decided per
         // line rather than per square -- and the explored check waits until the
@@ -1184,7 +1785,7 @@ export class MappingWindow extends ToolWindowBase {
                     west: `v:${column}:${row}`,
                     east: `v:${column + 1}:${row}`
                 }[direction];
-                if (!edgeKey || !priorities[feature]) continue;
+                if (!edgeKey || !FEATURE_PRIORITIES[feature]) continue;
                 // Finding a secret door promotes the wall the atlas drew in its
                 // place. Permanent knowledge: it is the party's record that
                 // says so, not the scene.
@@ -1192,12 +1793,18 @@ export class MappingWindow extends ToolWindowBase {
                     ? 'secret-door'
                     : feature;
                 const existing = latticeEdges.get(edgeKey);
-                if (!existing || priorities[shown] > priorities[existing.feature]) {
-                    latticeEdges.set(edgeKey, { feature: shown });
+                if (!existing || FEATURE_PRIORITIES[shown] > FEATURE_PRIORITIES[existing.feature]) {
+                    // A one-way door is written against the square it opens
+                    // from, so its side there is the way through.
+                    latticeEdges.set(edgeKey, { feature: shown, travel: shown === 'one-way-door' ? direction : null });
                 }
             }
         }
 
+        for (const [edgeKey, variant] of Object.entries(variants ?? {})) {
+            if (MAPPING_VARIANT_TYPES.has(variant?.type)) latticeEdges.set(edgeKey, { feature: variant.type, travel: null });
+        }
+
         // A boundary is drawn as soon as either square it separates has been
         // explored. That is the whole reveal rule, and it is why standing in a
         // room gives you the room rather than the parts you looked hardest at.
@@ -1208,7 +1815,8 @@ export class MappingWindow extends ToolWindowBase {
             edges.set(edgeKey, {
                 key: `${side.column},${side.row}`,
                 feature: edge.feature,
-                direction: side.direction
+                direction: side.direction,
+                outward: edge.travel === side.direction
             });
         }
 
@@ -1232,7 +1840,7 @@ export class MappingWindow extends ToolWindowBase {
                 ? doorSymbolsByCell
                 : windowSymbolsByCell;
             const symbol = DOOR_GLYPH_FEATURES.includes(run.feature)
-                ? this._doorSymbol(run.direction, run.feature, run.span)
+                ? this._doorSymbol(run.direction, run.feature, run.span, run.outward)
                 : this._windowSymbol(run.direction, run.span);
             symbol.label = this._featureLabel(run.feature);
             target.set(run.key, [...(target.get(run.key) ?? []), symbol]);
@@ -1240,6 +1848,13 @@ export class MappingWindow extends ToolWindowBase {
 
         for (const edge of edges.values()) {
             if (SPANNING_GLYPH_FEATURES.includes(edge.feature)) continue;
+            if (MAPPING_VARIANT_TYPES.has(edge.feature)) {
+                variantSymbolsByCell.set(edge.key, [
+                    ...(variantSymbolsByCell.get(edge.key) ?? []),
+                    { ...this._variantSymbol(edge.direction, edge.feature), label: this._featureLabel(edge.feature) }
+                ]);
+                continue;
+            }
             if (edge.feature === 'secret-door') {
                 secretDoorSymbolsByCell.set(edge.key, [
                     ...(secretDoorSymbolsByCell.get(edge.key) ?? []),
@@ -1247,7 +1862,7 @@ export class MappingWindow extends ToolWindowBase {
                 ]);
                 continue;
             }
-            const segment = this._tileSegment(edge.feature, edge.direction, priorities[edge.feature]);
+            const segment = this._tileSegment(edge.feature, edge.direction, FEATURE_PRIORITIES[edge.feature]);
             if (segment) {
                 segmentsByCell.set(edge.key, [...(segmentsByCell.get(edge.key) ?? []), segment]);
             }
@@ -1260,7 +1875,113 @@ export class MappingWindow extends ToolWindowBase {
         }
         return {
             segmentsByCell, doorSymbolsByCell, secretDoorSymbolsByCell, windowSymbolsByCell,
-            floorClipByCell
+            variantSymbolsByCell, floorClipByCell
+        };
+    }
+
+    /**
+     * _getMappedTileGeometry for a hex map. The reveal rule is the same -- a
+     * side is drawn once either hex it separates is explored -- but a hex map
+     * has only what the scene's walls give it: no true wall lines, no authored
+     * boundaries and no variants, so none of the floor cutting either. Glyphs
+     * are the square's, authored facing north, and laid along the side instead
+     * of rotated to one of four edges.
+     */
+    _getHexTileGeometry(explored, atlas, discoveredSecrets, gridType) {
+        const segmentsByCell = new Map();
+        const doorSymbolsByCell = new Map();
+        const secretDoorSymbolsByCell = new Map();
+        const windowSymbolsByCell = new Map();
+        const found = discoveredSecrets instanceof Set
+            ? discoveredSecrets
+            : new Set(discoveredSecrets ?? []);
+        const revealedSecretSides = new Set();
+        for (const secret of atlas?.secrets ?? []) {
+            if (!found.has(secret.id)) continue;
+            for (const edge of secret.edges) revealedSecretSides.add(`${edge.key}:${edge.direction}`);
+        }
+
+        // One entry per side, by its canonical name, for the same reason the
+        // square map collapses to lattice edges.
+        const sides = new Map();
+        for (const [key, codes] of Object.entries(atlas?.features ?? {})) {
+            const [column, row] = key.split(',').map(Number);
+            if (!Number.isInteger(column) || !Number.isInteger(row)) continue;
+            for (const code of codes) {
+                const [feature, direction] = code.split(':');
+                const side = FEATURE_PRIORITIES[feature] ? canonicalHexSide(gridType, { column, row }, direction) : null;
+                if (!side) continue;
+                const sideKey = `${side.column},${side.row}:${side.direction}`;
+                const shown = revealedSecretSides.has(sideKey) && feature === 'wall' ? 'secret-door' : feature;
+                const existing = sides.get(sideKey);
+                if (!existing || FEATURE_PRIORITIES[shown] > FEATURE_PRIORITIES[existing.feature]) {
+                    sides.set(sideKey, { side, feature: shown, from: shown === 'one-way-door' ? key : null });
+                }
+            }
+        }
+
+        const add = (target, key, entry) => target.set(key, [...(target.get(key) ?? []), entry]);
+        for (const { side, feature, from } of sides.values()) {
+            let cell = side;
+            let direction = side.direction;
+            if (!explored.has(`${side.column},${side.row}`)) {
+                const beyond = hexNeighbours(gridType, side).find(neighbour => neighbour.direction === side.direction);
+                if (!explored.has(`${beyond.column},${beyond.row}`)) continue;
+                cell = beyond;
+                direction = hexNeighbours(gridType, beyond)
+                    .find(neighbour => neighbour.column === side.column && neighbour.row === side.row).direction;
+            }
+            const key = `${cell.column},${cell.row}`;
+            const transform = this._hexSideTransform(gridType, cell, direction);
+            const label = this._featureLabel(feature);
+            if (DOOR_GLYPH_FEATURES.includes(feature)) {
+                add(doorSymbolsByCell, key, { ...this._doorSymbol('north', feature, 1, from === key), transform, label });
+            } else if (feature === 'window') {
+                add(windowSymbolsByCell, key, { ...this._windowSymbol('north'), transform, label });
+            } else if (feature === 'secret-door') {
+                add(secretDoorSymbolsByCell, key, { ...this._secretDoorSymbol('north'), transform, label });
+            } else {
+                add(segmentsByCell, key, this._hexTileSegment(gridType, cell, direction, feature));
+            }
+        }
+        return {
+            segmentsByCell, doorSymbolsByCell, secretDoorSymbolsByCell, windowSymbolsByCell,
+            variantSymbolsByCell: new Map(), floorClipByCell: new Map()
+        };
+    }
+
+    /** One side of a hex in the hex's own drawing units, from its box corner. */
+    _hexSidePoints(gridType, cell, direction) {
+        const box = hexBox(gridType, cell);
+        const round = value => Math.round(value * 1000) / 1000;
+        return hexSide(gridType, cell, direction).map(point => ({
+            x: round((point.x - box.left) * HEX_DRAWING_SCALE),
+            y: round((point.y - box.top) * HEX_DRAWING_SCALE)
+        }));
+    }
+
+    /**
+     * What GLYPH_TRANSFORMS is for a square's edge, for any side of a hex: the
+     * glyph's +x runs along the side clockwise, which leaves its +y inside.
+     */
+    _hexSideTransform(gridType, cell, direction) {
+        const [start, end] = this._hexSidePoints(gridType, cell, direction);
+        const angle = Math.round(Math.atan2(end.y - start.y, end.x - start.x) * (180 / Math.PI) * 1000) / 1000;
+        return `translate(${start.x} ${start.y}) rotate(${angle})`;
+    }
+
+    /** _tileSegment along a hex side, bowed outward the same way. */
+    _hexTileSegment(gridType, cell, direction, feature) {
+        const [start, end] = this._hexSidePoints(gridType, cell, direction);
+        const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        const outward = { x: (end.y - start.y) / length, y: -(end.x - start.x) / length };
+        const round = value => Math.round(value * 1000) / 1000;
+        const bowed = bend => `${round(((start.x + end.x) / 2) + (outward.x * bend))},${round(((start.y + end.y) / 2) + (outward.y * bend))}`;
+        return {
+            className: `is-${feature}`,
+            priority: FEATURE_PRIORITIES[feature],
+            points: `${start.x},${start.y} ${bowed(1.8)} ${end.x},${end.y}`,
+            echoPoints: `${start.x},${start.y} ${bowed(-1.8 * 0.7)} ${end.x},${end.y}`
         };
     }
 
@@ -1536,7 +2257,8 @@ export class MappingWindow extends ToolWindowBase {
             if (!SPANNING_GLYPH_FEATURES.includes(edge.feature)) continue;
             const [column, row] = edge.key.split(',').map(Number);
             const horizontal = edge.direction === 'north' || edge.direction === 'south';
-            const groupKey = `${edge.feature}:${edge.direction}:${horizontal ? row : column}`;
+            // Two one-way doors side by side that open opposite ways are two doors.
+            const groupKey = `${edge.feature}:${edge.direction}:${horizontal ? row : column}:${edge.outward}`;
             if (!groups.has(groupKey)) groups.set(groupKey, { edge, horizontal, column, row, values: [] });
             groups.get(groupKey).values.push(horizontal ? column : row);
         }
@@ -1554,7 +2276,8 @@ export class MappingWindow extends ToolWindowBase {
                     key: horizontal ? `${anchor},${row}` : `${column},${anchor}`,
                     feature: edge.feature,
                     direction: edge.direction,
-                    span: end - start + 1
+                    span: end - start + 1,
+                    outward: edge.outward
                 });
             };
             let start = values[0];
@@ -1618,9 +2341,25 @@ export class MappingWindow extends ToolWindowBase {
      * The extra marking that distinguishes a door variant, authored facing
      * north and rotated into place like the secret-door glyph.
      */
-    _doorMark(feature, width) {
-        if (feature !== 'locked-door') return null;
+    _doorMark(feature, width, outward = false) {
         const centre = width / 2;
+        if (feature === 'one-way-door') {
+            // An arrow through the doorway the way it may be walked: out of
+            // the square drawing it (up, before rotation) or into it.
+            const tip = outward ? -7 : 9;
+            const tail = outward ? 9 : -7;
+            const barb = outward ? -2 : 4;
+            return {
+                lines: [
+                    { points: `${centre},${tail} ${centre},${tip}`, echoPoints: `${centre - 0.6},${tail} ${centre + 0.5},${tip}` },
+                    {
+                        points: `${centre - 5},${barb} ${centre},${tip} ${centre + 5},${barb}`,
+                        echoPoints: `${centre - 4.6},${barb + 0.6} ${centre},${tip} ${centre + 5.2},${barb - 0.4}`
+                    }
+                ]
+            };
+        }
+        if (feature !== 'locked-door') return null;
         // A short bolt across the doorway, per the official locked-door glyph.
         // Deliberately well clear of the box edges: a bar that reaches them
         // reads as a wall dividing the opening, which makes one wide locked
@@ -1640,7 +2379,7 @@ export class MappingWindow extends ToolWindowBase {
      * all four edges at any width; the four hardcoded direction variants this
      * replaced could only ever be one square wide.
      */
-    _doorSymbol(direction, feature = 'door', span = 1) {
+    _doorSymbol(direction, feature = 'door', span = 1, outward = false) {
         const width = 100 * span;
         const inner = width - GLYPH_STUB;
         return {
@@ -1651,10 +2390,64 @@ export class MappingWindow extends ToolWindowBase {
             ],
             boxPoints: `${GLYPH_STUB},-12 ${inner},-10.5 ${inner - 1},14 ${GLYPH_STUB + 1},13 ${GLYPH_STUB},-12`,
             echoBoxPoints: `${GLYPH_STUB + 1},-11 ${inner - 1},-11.5 ${inner},13 ${GLYPH_STUB},14 ${GLYPH_STUB + 1},-11`,
-            mark: this._doorMark(feature, width)
+            mark: this._doorMark(feature, width, outward)
         };
     }
 
+    /**
+     * The key's boundary variants, each a square wide and authored facing north
+     * like the doorway. Built from the same pieces -- wall stubs, the doorway
+     * box, a thin pen mark, a letter inside the room as the secret door has --
+     * so they read as one family with the symbols the scene gives.
+     */
+    _variantSymbol(direction, type) {
+        // The faint second pass every stroke on the map has, nudged off the
+        // first so the pair reads as pen rather than as a rule.
+        const stroke = points => ({
+            points,
+            echoPoints: points.split(' ').map((point, index) => {
+                const [x, y] = point.split(',').map(Number);
+                return `${x},${y + (index % 2 ? 0.9 : -1.1)}`;
+            }).join(' ')
+        });
+        const inner = 100 - GLYPH_STUB;
+        const stubs = [stroke(`0,0 ${GLYPH_STUB},0`), stroke(`${inner},0 100,0`)];
+        const box = {
+            boxPoints: `${GLYPH_STUB},-12 ${inner},-10.5 ${inner - 1},14 ${GLYPH_STUB + 1},13 ${GLYPH_STUB},-12`,
+            echoBoxPoints: `${GLYPH_STUB + 1},-11 ${inner - 1},-11.5 ${inner},13 ${GLYPH_STUB},14 ${GLYPH_STUB + 1},-11`
+        };
+        const mark = (...points) => ({ lines: points.map(stroke) });
+        const glyph = {
+            // A door that is only painted on: the doorway, with the wall still
+            // running through it.
+            'false-door': { lines: stubs, ...box, mark: mark(`${GLYPH_STUB},0 ${inner},0`) },
+            'trapped-door': { lines: stubs, ...box, letter: 'T' },
+            // The leaf stands across the opening on its pivot.
+            'revolving-door': {
+                lines: [...stubs, stroke(`${GLYPH_STUB + 4},-14 ${inner - 4},14`)],
+                mark: mark('50,-4 54,0 50,4 46,0 50,-4')
+            },
+            // Bars across the opening rather than a leaf in it.
+            portcullis: {
+                lines: stubs,
+                mark: mark(`${GLYPH_STUB},0 ${inner},0`, '42,-6 42,6', '48,-6 48,6', '54,-6 54,6', '60,-6 60,6')
+            },
+            // Two leaves, swung open into the square.
+            gate: { lines: [...stubs, stroke(`${GLYPH_STUB},0 44,16`), stroke(`${inner},0 56,16`)] },
+            // A narrow gap in the wall, splayed on the inside.
+            'arrow-slit': {
+                lines: [stroke('0,0 46,0'), stroke('54,0 100,0')],
+                mark: mark('46,0 40,12', '54,0 60,12')
+            },
+            // A wall that is not there: broken, and lettered.
+            'illusory-wall': {
+                lines: ['0,0 12,0', '22,0 34,0', '44,0 56,0', '66,0 78,0', '88,0 100,0'].map(stroke),
+                letter: 'I'
+            }
+        }[type] ?? { lines: [stroke('0,0 100,0')] };
+        return { transform: GLYPH_TRANSFORMS[direction] ?? GLYPH_TRANSFORMS.north, ...glyph };
+    }
+
     _tileSegment(feature, direction, priority) {
         const endpoints = {
             north: { x1: 0, y1: 0, x2: 100, y2: 0 },
@@ -1687,6 +2480,26 @@ export class MappingWindow extends ToolWindowBase {
         await this.manager.renderWindow();
     }
 
+    /** Open or put away the map's history. Nothing is lit until a revision is chosen. */
+    async toggleHistory() {
+        this.historyOpen = !this.historyOpen;
+        this.historyRevisionId = null;
+        await this.manager.renderWindow();
+    }
+
+    /** Light the squares one revision touched; choosing it again puts them out. */
+    async selectRevision(revisionId) {
+        this.historyRevisionId = this.historyRevisionId === revisionId ? null : (revisionId ?? null);
+        // A revision is shown on the floor it was made on.
+        const revision = this.manager.mapRevisions(this.manager.currentMapId)
+            .find(entry => entry.id === this.historyRevisionId);
+        if (revision && revision.band !== this.manager.viewBand) {
+            this.manager.viewBand = revision.band;
+            this.redrawMap();
+        }
+        await this.manager.renderWindow();
+    }
+
     async showMap() {
         if (this.viewMode === 'map') return;
         this.viewMode = 'map';
@@ -1696,13 +2509,35 @@ export class MappingWindow extends ToolWindowBase {
     async selectMap(mapId) {
         if (!this.manager.selectMap(mapId, { render: false })) return;
         this.viewMode = 'map';
-        this._hasBuiltMap = false;
+        this._foundNote = null;
+        this.redrawMap();
         this._hasPaintedMap = false;
-        this._renderedExplored = new Set();
         await this.manager.renderWindow();
         this.centerOnMap();
     }
 
+    /**
+     * Show another floor of a stacked scene. The view stays where it is: the
+     * floors lie over each other, so the square in the middle of it is the
+     * square above or below the one that was.
+     */
+    async setBand(band) {
+        if (band === this.manager.viewBand) return;
+        this.manager.viewBand = band;
+        this.redrawMap();
+        await this.manager.renderWindow();
+    }
+
+    /**
+     * Draw the map afresh at the next render rather than as a change to the
+     * last: another map or another floor has not been revealed, it has been
+     * turned to.
+     */
+    redrawMap() {
+        this._hasBuiltMap = false;
+        this._renderedExplored = new Set();
+    }
+
     /**
      * Zoom about the viewport centre. The camera is the centre point, so
      * changing only the scale cannot move the map -- zoom never recentres.
@@ -1718,8 +2553,34 @@ export class MappingWindow extends ToolWindowBase {
         return this._zoomQueue.then(() => this);
     }
 
+    /**
+     * Where the cursor was in the search box, since the box is rebuilt with the
+     * rest of the list and would otherwise drop it after every word.
+     */
+    async _preRender(context, options) {
+        await super._preRender?.(context, options);
+        const input = this.element?.querySelector?.('.cartographer-mapping-search input[name="text"]');
+        this._searchFocus = input && input === document.activeElement
+            ? { start: input.selectionStart, end: input.selectionEnd, value: input.value }
+            : null;
+    }
+
     _onRender(context, options) {
         super._onRender?.(context, options);
+        // On the window, as the key handler below is, and for the same reason.
+        this.element?.addEventListener('input', this._handleListInput);
+        this.element?.addEventListener('change', this._handleListInput);
+        const search = this._searchFocus ? this.element?.querySelector('.cartographer-mapping-search input[name="text"]') : null;
+        if (search) {
+            // Whatever was typed while the list was being redrawn is typed still.
+            if (search.value !== this._searchFocus.value) {
+                search.value = this._searchFocus.value;
+                search.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            search.focus();
+            search.setSelectionRange(this._searchFocus.start, this._searchFocus.end);
+        }
+        this._searchFocus = null;
         const viewport = this.element?.querySelector('.cartographer-mapping-viewport');
         if (!viewport) return;
         viewport.addEventListener('pointerdown', this._handlePanStart);
@@ -1727,6 +2588,9 @@ export class MappingWindow extends ToolWindowBase {
         viewport.addEventListener('pointerup', this._handlePanEnd);
         viewport.addEventListener('pointercancel', this._handlePanEnd);
         viewport.addEventListener('contextmenu', this._handleMapContextMenu);
+        // On the window rather than the viewport, which is rebuilt on every
+        // render; the same listener added again is not added twice.
+        this.element.addEventListener('keydown', this._handleKeyDown);
 
         // The camera offset is measured from the viewport's own size, so a
         // resize has to re-apply it or the map drifts off centre. While
@@ -1786,10 +2650,20 @@ export class MappingWindow extends ToolWindowBase {
     }
 
     _handlePanStart(event) {
+        // The history panel sits over the map but is not part of it.
+        if (event.target?.closest?.('.cartographer-mapping-history')) return;
+        // Shift and a left drag marks out an area to keep as a template.
+        if (event.button === 0 && event.shiftKey && this._startSelection(event)) return;
         // A left press opens the menu on release, so long as it was a click
         // rather than the start of a drag.
         if (event.button === 0) {
-            this._press = { pointerId: event.pointerId, x: event.clientX, y: event.clientY };
+            this._press = {
+                pointerId: event.pointerId,
+                x: event.clientX,
+                y: event.clientY,
+                link: event.target?.closest?.('[data-link-map]') ?? null,
+                note: event.target?.closest?.('[data-note-links]') ?? null
+            };
             return;
         }
         if (event.button !== 2) return;
@@ -1812,6 +2686,11 @@ export class MappingWindow extends ToolWindowBase {
     }
 
     _handlePanMove(event) {
+        if (this._selection && event.pointerId === this._selection.pointerId) {
+            const spot = this._squareAt(event);
+            if (spot) this._drawSelection({ ...this._selection, to: spot });
+            return;
+        }
         if (this._press && event.pointerId === this._press.pointerId) {
             const moved = Math.hypot(event.clientX - this._press.x, event.clientY - this._press.y);
             if (moved > PRESS_SLOP) this._press = null;
@@ -1829,11 +2708,25 @@ export class MappingWindow extends ToolWindowBase {
     }
 
     _handlePanEnd(event) {
+        if (this._selection && event.pointerId === this._selection.pointerId) {
+            this._endSelection(event);
+            return;
+        }
         if (this._press && event.pointerId === this._press.pointerId) {
             const press = this._press;
             this._press = null;
             if (Math.hypot(event.clientX - press.x, event.clientY - press.y) <= PRESS_SLOP) {
-                this._openCellMenu(event);
+                // A stair that goes somewhere takes you there, and a note that
+                // links to something opens; Alt reaches the square's menu
+                // instead, to change or undo either.
+                if (press.link && !event.altKey && !this._pendingLink) {
+                    const { linkMap, linkColumn, linkRow, linkBand } = press.link.dataset;
+                    void this.followLink({ mapId: linkMap, column: Number(linkColumn), row: Number(linkRow), band: linkBand ?? '' });
+                } else if (press.note && !event.altKey && !this._pendingLink) {
+                    void this.openNote(event, press.note);
+                } else {
+                    this._openCellMenu(event);
+                }
             }
         }
         if (!this._pan || event.pointerId !== this._pan.pointerId) return;
@@ -1843,6 +2736,125 @@ export class MappingWindow extends ToolWindowBase {
         this._pan = null;
     }
 
+    /**
+     * Begin marking out an area. Only for the GM, who keeps the template
+     * library, and only on a map. Drawn as one element laid on the grid's own
+     * tracks, so it lines up with the squares at any zoom without measuring.
+     *
+     * @returns {boolean} Whether a selection began
+     */
+    _startSelection(event) {
+        // Templates are stamped in squares, so there is nothing to select on a hex map.
+        if (this.viewMode !== 'map' || !game.user?.isGM || !this.manager.canManageRecord()) return false;
+        if (isHexGrid(this.manager.state.gridType)) return false;
+        const spot = this._squareAt(event);
+        const grid = this.element?.querySelector('.cartographer-mapping-grid');
+        if (!spot || !grid) return false;
+        event.preventDefault();
+        event.currentTarget.setPointerCapture?.(event.pointerId);
+        const box = document.createElement('div');
+        box.className = 'cartographer-mapping-selection';
+        grid.append(box);
+        this._selection = {
+            pointerId: event.pointerId,
+            from: spot,
+            to: spot,
+            box,
+            originColumn: Number(grid.dataset.originColumn),
+            originRow: Number(grid.dataset.originRow)
+        };
+        this._drawSelection(this._selection);
+        return true;
+    }
+
+    _drawSelection(selection) {
+        this._selection = selection;
+        const rect = this._selectionRect(selection);
+        selection.box.style.gridColumn = `${rect.left - selection.originColumn + 1} / span ${rect.right - rect.left + 1}`;
+        selection.box.style.gridRow = `${rect.top - selection.originRow + 1} / span ${rect.bottom - rect.top + 1}`;
+    }
+
+    _selectionRect({ from, to }) {
+        return {
+            left: Math.min(from.column, to.column),
+            top: Math.min(from.row, to.row),
+            right: Math.max(from.column, to.column),
+            bottom: Math.max(from.row, to.row)
+        };
+    }
+
+    _endSelection(event) {
+        const selection = this._selection;
+        this._selection = null;
+        event.currentTarget.releasePointerCapture?.(event.pointerId);
+        selection.box.remove();
+        const rect = this._selectionRect(selection);
+        const contextMenu = game.modules.get('coffee-pub-blacksmith')?.api?.uiContextMenu;
+        if (typeof contextMenu?.show !== 'function') return;
+        contextMenu.show({
+            id: `${MODULE.ID}-mapping-selection`,
+            x: event.clientX,
+            y: event.clientY,
+            root: this.element?.ownerDocument?.body ?? document.body,
+            zones: {
+                module: [{
+                    name: game.i18n.format(`${MODULE.ID}.mapping.saveTemplateArea`, {
+                        columns: rect.right - rect.left + 1,
+                        rows: rect.bottom - rect.top + 1
+                    }),
+                    icon: 'fa-solid fa-clone',
+                    callback: () => void this.manager.saveTemplate(rect)
+                }]
+            },
+            className: 'cartographer-mapping-cell-context'
+        });
+    }
+
+    /**
+     * Stamping a template, with its top-left corner on this square, and taking
+     * one out of the library. Offered on rock as well as floor: a chamber is as
+     * often stamped into empty space as over a corner of the map.
+     */
+    _templateMenu(column, row) {
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        const templates = this.manager.templates;
+        const items = [];
+        if (templates.length) {
+            items.push({
+                name: localize('mapping.stampTemplate'),
+                icon: 'fa-solid fa-stamp',
+                callback: () => this.manager.stampTemplate(column, row)
+            });
+            items.push({
+                name: localize('mapping.deleteTemplate'),
+                icon: 'fa-solid fa-trash-can',
+                submenu: templates.map(template => ({
+                    name: template.name,
+                    callback: () => this.manager.deleteTemplate(template.id)
+                }))
+            });
+        }
+        // How one is made is not a menu action, so it is said here instead.
+        items.push({ name: localize('mapping.templateCaptureHint'), icon: 'fa-solid fa-circle-info', callback: () => {} });
+        return { name: localize('mapping.templates'), icon: 'fa-solid fa-clone', submenu: items };
+    }
+
+    /**
+     * Ctrl+Z and Ctrl+Shift+Z, while the window has focus. Kept from reaching
+     * Foundry, whose own Ctrl+Z would otherwise undo something on the canvas
+     * behind the window at the same time.
+     */
+    _handleKeyDown(event) {
+        if (this.viewMode !== 'map' || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+        if (event.key?.toLowerCase() !== 'z') return;
+        // A field keeps its own undo.
+        if (event.target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.shiftKey) void this.manager.redoMapEdit();
+        else void this.manager.undoMapEdit();
+    }
+
     /**
      * The map's own menu opens on a left click, not a right one.
      *
@@ -1860,17 +2872,34 @@ export class MappingWindow extends ToolWindowBase {
 
     _openCellMenu(event) {
         if (this.viewMode !== 'map') return;
-        if (!this.manager.canAnnotateRecord()) return;
         const spot = this._squareAt(event);
         if (!spot) return;
         const { column, row, at } = spot;
+        // While a link is waiting for its far end, every square -- rock
+        // included, and on maps this user may only read -- answers with where
+        // it could arrive, since arriving asks nothing of the map arrived at.
+        if (this._pendingLink) {
+            this._showCellMenu(event, this._pendingLinkMenu(column, row));
+            return;
+        }
+        // A map this user may only read can still be pointed at from a journal.
+        if (!this.manager.canAnnotateRecord()) {
+            if (this.manager.isFloor(column, row)) this._showCellMenu(event, [this._spotLinkMenu(column, row)]);
+            return;
+        }
+        // Boundaries, variants and templates are all drawn on the square
+        // lattice, so a hex map offers none of them.
+        const isHex = isHexGrid(this.manager.state.gridType);
 
         // Rock carries none of the annotations, which all belong to floor -- but
         // it still has to answer, because telling the map that somewhere is
         // floor is only ever useful where it currently is not.
         if (!this.manager.isFloor(column, row)) {
             if (!this.manager.canManageRecord()) return;
-            this._showCellMenu(event, [this._fixMenu(column, row, at)]);
+            this._showCellMenu(event, [
+                this._fixMenu(column, row, at),
+                ...(game.user?.isGM && !isHex ? [this._templateMenu(column, row)] : [])
+            ]);
             return;
         }
 
@@ -1898,6 +2927,8 @@ export class MappingWindow extends ToolWindowBase {
                 icon: 'fa-solid fa-trash-can',
                 callback: () => this.manager.removeMapSymbol(column, row)
             });
+            const linkMenu = this._linkMenu(column, row);
+            if (linkMenu.length) items.push(...linkMenu);
             items.push({ separator: true });
         }
         // A note is its own action rather than one placeable among many,
@@ -1907,6 +2938,7 @@ export class MappingWindow extends ToolWindowBase {
             icon: 'fa-solid fa-pen-to-square',
             callback: place('note')
         });
+        items.push(this._spotLinkMenu(column, row));
         items.push({ separator: true });
         // Markers annotate rather than describe anything built, so they sit
         // alongside the placeables rather than inside them.
@@ -1923,6 +2955,9 @@ export class MappingWindow extends ToolWindowBase {
             submenu: categories
         });
 
+        const variantMenu = isHex ? null : this._variantMenu(column, row);
+        if (variantMenu) items.push(variantMenu);
+
         // Floor surfaces restyle a whole area, so unlike the markings above
         // they stay with the Actor's owner.
         if (!this.manager.canManageRecord()) {
@@ -1940,11 +2975,242 @@ export class MappingWindow extends ToolWindowBase {
                 callback: () => this.manager.setFloorType(floor.type, column, row)
             }))
         });
+        if (!isHex) items.push(this._boundaryMenu(column, row));
+        if (game.user?.isGM && !isHex) items.push(this._templateMenu(column, row));
         items.push({ separator: true });
         items.push(this._fixMenu(column, row, at));
         this._showCellMenu(event, items);
     }
 
+    /**
+     * Where the stair on a square goes: there, if it goes anywhere, and
+     * choosing or forgetting where. Choosing is only for a symbol this user may
+     * change, the same rule that lets them take it away. Empty for anything
+     * that cannot lead anywhere.
+     */
+    _linkMenu(column, row) {
+        const symbol = this.manager.state.symbols
+            ?.find(entry => entry.column === column && entry.row === row);
+        if (!symbol || !isLinkSymbol(symbol.type)) return [];
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        const link = this.manager.getSymbolLink(column, row);
+        const items = [];
+        if (link) {
+            items.push({
+                name: localize('mapping.linkGoTo'),
+                icon: 'fa-solid fa-person-walking-arrow-right',
+                callback: () => this.followLink(link)
+            });
+        }
+        if (this.manager.canRemoveEntry(this.manager.state, symbol)) {
+            items.push({
+                name: localize('mapping.linkSymbol'),
+                icon: 'fa-solid fa-link',
+                callback: () => this.startLink(column, row)
+            });
+            if (link) {
+                items.push({
+                    name: localize('mapping.linkRemove'),
+                    icon: 'fa-solid fa-link-slash',
+                    callback: () => this.manager.linkMapSymbol(column, row, null)
+                });
+            }
+        }
+        return items;
+    }
+
+    /** Copying a journal link to a square. */
+    _spotLinkMenu(column, row) {
+        return {
+            name: game.i18n.localize(`${MODULE.ID}.mapping.spotLinkCopy`),
+            icon: 'fa-solid fa-map-location-dot',
+            callback: () => this.copySpotLink(column, row)
+        };
+    }
+
+    /** The menu every square shows while a link waits for its far end. */
+    _pendingLinkMenu(column, row) {
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        return [
+            {
+                name: localize('mapping.linkHere'),
+                icon: 'fa-solid fa-location-crosshairs',
+                callback: () => this.finishLink(column, row)
+            },
+            {
+                name: localize('mapping.linkCancel'),
+                icon: 'fa-solid fa-xmark',
+                callback: () => this.cancelLink()
+            }
+        ];
+    }
+
+    /**
+     * Begin linking the stair on a square of the current map. The far end is
+     * chosen by opening whichever map it is on, from the list, and clicking
+     * the square it arrives at.
+     */
+    async startLink(column, row) {
+        this._pendingLink = { mapId: this.manager.currentMapId, band: this.manager.viewBand, column, row };
+        await this.manager.renderWindow();
+    }
+
+    /**
+     * Arrive the waiting link at a square of the map and floor now shown, and
+     * go back to where it leaves from.
+     */
+    async finishLink(column, row) {
+        const pending = this._pendingLink;
+        this._pendingLink = null;
+        if (!pending) return;
+        const link = { mapId: this.manager.currentMapId, band: this.manager.viewBand, column, row };
+        if (pending.mapId !== link.mapId) await this.selectMap(pending.mapId);
+        if (pending.band !== this.manager.viewBand) await this.setBand(pending.band);
+        await this.manager.linkMapSymbol(pending.column, pending.row, link);
+        await this.manager.renderWindow();
+    }
+
+    async cancelLink() {
+        this._pendingLink = null;
+        await this.manager.renderWindow();
+    }
+
+    /**
+     * Go where a link leads: its map and floor, if those are not the ones
+     * shown, with the square it arrives at in the middle of the view.
+     */
+    async followLink(link) {
+        if (!this.manager.linkTarget(link)) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.linkMissing`), { type: 'warn' });
+            return;
+        }
+        if (link.mapId !== this.manager.currentMapId) await this.selectMap(link.mapId);
+        if ((link.band ?? '') !== this.manager.viewBand) await this.setBand(link.band ?? '');
+        this._followArmed = false;
+        const { x, y } = this._cellCenter(link);
+        this._setCamera(x, y, { animate: true });
+    }
+
+    /**
+     * Open a note that links to something, pinned beside it, with its links
+     * made into ones that can be clicked -- a tooltip that follows the pointer
+     * can never be reached to click in.
+     *
+     * Enriched as Foundry enriches any text, so a link to something this user
+     * cannot see shows as broken rather than as what it is.
+     */
+    async openNote(event, element) {
+        const spot = this._squareAt(event);
+        const note = spot ? this.manager.getMapNote(spot.column, spot.row) : null;
+        if (!note?.text) return;
+        const html = await foundry.applications.ux.TextEditor.implementation.enrichHTML(
+            foundry.utils.escapeHTML(note.text),
+            { secrets: false }
+        );
+        const bounds = element.getBoundingClientRect();
+        game.tooltip.deactivate();
+        game.tooltip.createLockedTooltip(
+            { left: `${Math.round(bounds.right + 8)}px`, top: `${Math.round(bounds.top)}px` },
+            html,
+            { cssClass: 'cartographer-mapping-note-tip' }
+        );
+    }
+
+    /**
+     * Copy a link to a square of the map shown, to paste into a journal. It is
+     * labelled with the note on the square, if there is one, so a page of
+     * session notes reads as what was found rather than as coordinates.
+     */
+    async copySpotLink(column, row) {
+        const record = this.manager.currentRecord;
+        if (!record?.id) return;
+        const note = plainNoteText(this.manager.getMapNote(column, row)?.text).split('\n')[0].trim().slice(0, 60);
+        const name = this.manager.linkTarget({ mapId: record.id })?.name || record.name || '';
+        const label = note && name ? game.i18n.format(`${MODULE.ID}.mapping.spotLinkLabel`, { map: name, note }) : name || note;
+        const markup = mapSpotMarkup({ mapId: record.id, band: this.manager.viewBand, column, row }, label);
+        try {
+            await game.clipboard.copyPlainText(markup);
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.spotLinkCopied`), { type: 'info' });
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Failed to copy a map link`, error);
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.spotLinkFailed`), { type: 'error' });
+        }
+    }
+
+    /**
+     * Drawing a square's walls and openings by hand, one side at a time.
+     *
+     * Each side names the lattice line it sits on, so the square on the other
+     * side of it offers the same boundary from its own menu -- two ways to reach
+     * one line, never two lines. "As the scene has it" rubs out what was drawn
+     * and lets the scene's walls show again.
+     */
+    _boundaryMenu(column, row) {
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        const sides = [
+            { labelKey: 'mapping.sideNorth', icon: 'fa-solid fa-arrow-up', edge: `h:${column}:${row}` },
+            { labelKey: 'mapping.sideEast', icon: 'fa-solid fa-arrow-right', edge: `v:${column + 1}:${row}` },
+            { labelKey: 'mapping.sideSouth', icon: 'fa-solid fa-arrow-down', edge: `h:${column}:${row + 1}` },
+            { labelKey: 'mapping.sideWest', icon: 'fa-solid fa-arrow-left', edge: `v:${column}:${row}` }
+        ];
+        return {
+            name: localize('mapping.boundaries'),
+            icon: 'fa-solid fa-draw-polygon',
+            submenu: sides.map(side => {
+                const current = this.manager.getBoundary(side.edge);
+                return {
+                    name: localize(side.labelKey),
+                    icon: side.icon,
+                    submenu: MAPPING_BOUNDARY_OPTIONS.map(option => ({
+                        name: `${localize(option.labelKey)}${option.feature === current ? ' ✓' : ''}`,
+                        icon: option.icon,
+                        callback: () => this.manager.setBoundary(side.edge, option.feature)
+                    }))
+                };
+            })
+        };
+    }
+
+    /**
+     * Writing the key's boundary variants onto a square's sides.
+     *
+     * Only sides the map shows something on are offered, and only where
+     * whatever is already written there is this user's to replace -- the same
+     * rule a symbol answers to. Null when no side qualifies.
+     */
+    _variantMenu(column, row) {
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        const sides = [
+            { labelKey: 'mapping.sideNorth', icon: 'fa-solid fa-arrow-up', edge: `h:${column}:${row}` },
+            { labelKey: 'mapping.sideEast', icon: 'fa-solid fa-arrow-right', edge: `v:${column + 1}:${row}` },
+            { labelKey: 'mapping.sideSouth', icon: 'fa-solid fa-arrow-down', edge: `h:${column}:${row + 1}` },
+            { labelKey: 'mapping.sideWest', icon: 'fa-solid fa-arrow-left', edge: `v:${column}:${row}` }
+        ];
+        const submenu = [];
+        for (const side of sides) {
+            const current = this.manager.getVariant(side.edge);
+            if (current ? !this.manager.canRemoveEntry(this.manager.state, current) : !this.manager.hasBoundaryOn(side.edge)) continue;
+            submenu.push({
+                name: localize(side.labelKey),
+                icon: side.icon,
+                submenu: [
+                    ...MAPPING_VARIANT_OPTIONS.map(option => ({
+                        name: `${localize(option.labelKey)}${option.type === current?.type ? ' ✓' : ''}`,
+                        icon: option.icon,
+                        callback: () => this.manager.setBoundaryVariant(side.edge, option.type)
+                    })),
+                    ...(current ? [{
+                        name: localize('mapping.variantRemove'),
+                        icon: 'fa-solid fa-trash-can',
+                        callback: () => this.manager.setBoundaryVariant(side.edge, null)
+                    }] : [])
+                ]
+            });
+        }
+        if (!submenu.length) return null;
+        return { name: localize('mapping.variants'), icon: 'fa-solid fa-dungeon', submenu };
+    }
+
     /**
      * Which square a click landed in, and whereabouts in it.
      *
@@ -1970,6 +3236,23 @@ export class MappingWindow extends ToolWindowBase {
         const across = (event.clientX - box.left) / (box.width / columns);
         const down = (event.clientY - box.top) / (box.height / rows);
         if (across < 0 || down < 0 || across >= columns || down >= rows) return null;
+        // A hex grid is not in tracks, so the hex is found from the point, and
+        // whereabouts in it from its own box.
+        const gridType = this.manager.state.gridType;
+        if (isHexGrid(gridType)) {
+            const point = { x: Number(grid.dataset.originX) + across, y: Number(grid.dataset.originY) + down };
+            if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) return null;
+            const { column, row } = hexAt(gridType, point);
+            const cell = hexBox(gridType, { column, row });
+            return {
+                column,
+                row,
+                at: [
+                    Math.round(((point.x - cell.left) / cell.width) * 100),
+                    Math.round(((point.y - cell.top) / cell.height) * 100)
+                ]
+            };
+        }
         const originColumn = Number(grid.dataset.originColumn);
         const originRow = Number(grid.dataset.originRow);
         if (!Number.isInteger(originColumn) || !Number.isInteger(originRow)) return null;
@@ -2049,6 +3332,131 @@ export class MappingWindow extends ToolWindowBase {
         });
     }
 
+    /**
+     * The export choices, dropped from the button that asked for them. Copying
+     * is left out rather than disabled where the browser would refuse it: a
+     * player reaching the game over plain http has no clipboard to write an
+     * image to, and a menu entry that can only fail is worse than none.
+     */
+    showExportMenu(event, target) {
+        const contextMenu = game.modules.get('coffee-pub-blacksmith')?.api?.uiContextMenu;
+        if (typeof contextMenu?.show !== 'function') return;
+        const localize = key => game.i18n.localize(`${MODULE.ID}.${key}`);
+        const bounds = target?.getBoundingClientRect?.();
+        contextMenu.show({
+            id: `${MODULE.ID}-mapping-export`,
+            x: bounds ? bounds.left : event.clientX,
+            y: bounds ? bounds.bottom : event.clientY,
+            root: this.element?.ownerDocument?.body ?? document.body,
+            zones: {
+                module: [
+                    { name: localize('mapping.exportSvg'), icon: 'fa-solid fa-bezier-curve', callback: () => void this.exportMap('svg') },
+                    { name: localize('mapping.exportPng'), icon: 'fa-solid fa-image', callback: () => void this.exportMap('png') },
+                    ...(canCopyImage()
+                        ? [{ name: localize('mapping.exportCopy'), icon: 'fa-solid fa-copy', callback: () => void this.exportMap('copy') }]
+                        : []),
+                    ...(this.manager.canBuildScene(this.manager.currentRecord)
+                        ? [{
+                            name: localize('mapping.createScene'),
+                            icon: 'fa-solid fa-map',
+                            callback: () => void this.manager.createSceneFromMap(
+                                this.manager.currentMapId,
+                                dimensions => this.renderSceneBackground(dimensions)
+                            )
+                        }]
+                        : [])
+                ]
+            },
+            className: 'cartographer-mapping-cell-context'
+        });
+    }
+
+    /**
+     * Export the map on screen as a file, or as an image on the clipboard.
+     *
+     * Built from a fresh model rather than the DOM, so the whole map comes out
+     * and not just what the viewport happens to show.
+     *
+     * A copy asks for the clipboard before anything is awaited, handing over
+     * the image still to come. A browser lets a page write to the clipboard
+     * only straight out of the click that asked, and drawing the image first
+     * takes long enough for that click to have run out.
+     *
+     * @param {'svg'|'png'|'copy'} format
+     */
+    async exportMap(format) {
+        const name = this.manager.currentRecord?.name || canvas?.scene?.name || 'map';
+        const exported = buildMapSvg(this._exportModel(), { gridWeight: this._exportGridWeight(), title: name });
+        if (!exported) {
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.exportEmpty`), { type: 'warn' });
+            return;
+        }
+        const filename = name.slugify({ strict: true }) || 'map';
+        try {
+            if (format === 'svg') {
+                foundry.utils.saveDataToFile(exported.svg, 'image/svg+xml', `${filename}.svg`);
+                return;
+            }
+            if (format === 'copy') {
+                const image = rasteriseMapSvg(exported);
+                // Both waited on, so an image that fails after the write was
+                // refused is not left unhandled.
+                await Promise.all([navigator.clipboard.write([new ClipboardItem({ 'image/png': image })]), image]);
+                notify(game.i18n.localize(`${MODULE.ID}.mapping.exportCopied`), { type: 'info' });
+                return;
+            }
+            const png = await rasteriseMapSvg(exported);
+            foundry.utils.saveDataToFile(png, 'image/png', `${filename}.png`);
+        } catch (error) {
+            console.error(`${MODULE.NAME}: Failed to export the map`, error);
+            if (format === 'copy') {
+                notify(game.i18n.localize(`${MODULE.ID}.mapping.exportCopyFailed`), {
+                    subtitle: game.i18n.localize(`${MODULE.ID}.mapping.exportCopyFailedDetail`),
+                    type: 'error'
+                });
+                return;
+            }
+            notify(game.i18n.localize(`${MODULE.ID}.mapping.exportFailed`), { type: 'error' });
+        }
+    }
+
+    /**
+     * The map on screen as a scene background: the same drawing as an export,
+     * at the scene's square size and covering the whole scene from square zero,
+     * so it lines up with the grid and walls built beside it.
+     *
+     * @param {{size: number, columns: number, rows: number}} dimensions - The scene's grid
+     * @returns {Promise<Blob|null>} A PNG, or null when there is nothing to draw
+     */
+    async renderSceneBackground({ size, columns, rows }) {
+        const exported = buildMapSvg(this._exportModel(), {
+            cellSize: size,
+            gridWeight: this._exportGridWeight(),
+            frame: { column: 0, row: 0, columns, rows }
+        });
+        return exported ? rasteriseMapSvg(exported, { scale: 1 }) : null;
+    }
+
+    /**
+     * A fresh model of the whole map, for drawing off screen. Building one marks
+     * the map as rendered, which would make the next real render skip the reveal
+     * of squares it has not actually drawn yet, so that is put back after.
+     */
+    _exportModel() {
+        const hasBuiltMap = this._hasBuiltMap;
+        const renderedExplored = this._renderedExplored;
+        try {
+            return this._buildMapModel();
+        } finally {
+            this._hasBuiltMap = hasBuiltMap;
+            this._renderedExplored = renderedExplored;
+        }
+    }
+
+    _exportGridWeight() {
+        return MAPPING_GRID_WEIGHTS.find(option => option.id === this.gridWeight)?.weight ?? 1;
+    }
+
     // ==============================================================
     // ===== CAMERA =================================================
     // ==============================================================
@@ -2077,9 +3485,10 @@ export class MappingWindow extends ToolWindowBase {
 
     /** Map-space centre of a grid cell, in unzoomed pixels. */
     _cellCenter(position) {
+        const box = this._cellBox(position);
         return {
-            x: (position.column + 0.5) * this._cellSize,
-            y: (position.row + 0.5) * this._cellSize
+            x: (box.left + (box.width / 2)) * this._cellSize,
+            y: (box.top + (box.height / 2)) * this._cellSize
         };
     }
 
@@ -2094,8 +3503,8 @@ export class MappingWindow extends ToolWindowBase {
         if (!viewport || !grid) return false;
         // The camera is in absolute map space, but the endless-canvas grid
         // starts at its own origin, so convert into the grid's local space.
-        const originX = (Number(grid.dataset.originColumn) || 0) * this._cellSize;
-        const originY = (Number(grid.dataset.originRow) || 0) * this._cellSize;
+        const originX = (Number(grid.dataset.originX) || 0) * this._cellSize;
+        const originY = (Number(grid.dataset.originY) || 0) * this._cellSize;
         const offsetX = (viewport.clientWidth / 2) - ((this.camera.x - originX) * this.zoom);
         const offsetY = (viewport.clientHeight / 2) - ((this.camera.y - originY) * this.zoom);
         grid.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${this.zoom})`;
@@ -2182,21 +3591,10 @@ export class MappingWindow extends ToolWindowBase {
         if (!explored.length) return false;
         const viewport = this.element?.querySelector('.cartographer-mapping-viewport');
         if (!viewport?.clientWidth) return false;
-        let minColumn = Infinity;
-        let minRow = Infinity;
-        let maxColumn = -Infinity;
-        let maxRow = -Infinity;
-        for (const key of explored) {
-            const [column, row] = key.split(',').map(Number);
-            if (!Number.isInteger(column) || !Number.isInteger(row)) continue;
-            minColumn = Math.min(minColumn, column);
-            minRow = Math.min(minRow, row);
-            maxColumn = Math.max(maxColumn, column);
-            maxRow = Math.max(maxRow, row);
-        }
-        if (!Number.isFinite(minColumn)) return false;
-        const width = (maxColumn - minColumn + 1) * this._cellSize;
-        const height = (maxRow - minRow + 1) * this._cellSize;
+        const extent = this._cellExtent(explored);
+        if (!extent) return false;
+        const width = (extent.right - extent.left) * this._cellSize;
+        const height = (extent.bottom - extent.top) * this._cellSize;
         const margin = MAP_MARGIN_CELLS * this._cellSize;
         this.zoom = Math.max(0.4, Math.min(2.5, Math.min(
             viewport.clientWidth / (width + margin),
@@ -2219,23 +3617,12 @@ export class MappingWindow extends ToolWindowBase {
     centerOnMap() {
         const explored = this.manager.state.explored ?? [];
         if (!explored.length) return false;
-        let minColumn = Infinity;
-        let minRow = Infinity;
-        let maxColumn = -Infinity;
-        let maxRow = -Infinity;
-        for (const key of explored) {
-            const [column, row] = key.split(',').map(Number);
-            if (!Number.isInteger(column) || !Number.isInteger(row)) continue;
-            minColumn = Math.min(minColumn, column);
-            minRow = Math.min(minRow, row);
-            maxColumn = Math.max(maxColumn, column);
-            maxRow = Math.max(maxRow, row);
-        }
-        if (!Number.isFinite(minColumn)) return false;
+        const extent = this._cellExtent(explored);
+        if (!extent) return false;
         this._followArmed = false;
         this._setCamera(
-            ((minColumn + maxColumn + 1) / 2) * this._cellSize,
-            ((minRow + maxRow + 1) / 2) * this._cellSize
+            ((extent.left + extent.right) / 2) * this._cellSize,
+            ((extent.top + extent.bottom) / 2) * this._cellSize
         );
         return true;
     }
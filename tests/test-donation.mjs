@@ -86,6 +86,23 @@ console.log('\nsymbols land only where the party has left the square free');
     check('no symbol on a struck-off square', merged.symbols.length, 0);
 }
 
+console.log('\nwalls drawn by hand and the key symbols on them come over too');
+{
+    const gate = { type: 'gate', createdAt: 1, createdBy: 'u-a' };
+    const portcullis = { type: 'portcullis', createdAt: 2, createdBy: 'u-b' };
+    const slit = { type: 'arrow-slit', createdAt: 3, createdBy: 'u-b' };
+    const merged = mergeMapInto(
+        party({ boundaries: { 'h:1:1': 'wall' }, variants: { 'h:1:1': gate } }),
+        donor({ boundaries: { 'h:1:1': 'door', 'v:3:1': 'wall' }, variants: { 'h:1:1': portcullis, 'v:3:1': slit } })
+    );
+    check('a wall the party had not drawn is taken', merged.boundaries['v:3:1'], 'wall');
+    check('and the symbol on it, credited to whoever wrote it', merged.variants['v:3:1'], slit);
+    check('a line the party had drawn stays as the party drew it', merged.boundaries['h:1:1'], 'wall');
+    check('and keeps the party\'s symbol', merged.variants['h:1:1'], gate);
+    const bare = mergeMapInto(party(), donor({ boundaries: { 'v:3:1': 'open' } }));
+    check('onto a map that had none', [bare.boundaries, bare.variants], [{ 'v:3:1': 'open' }, {}]);
+}
+
 console.log('\ndonating twice changes nothing the second time');
 {
     const first = mergeMapInto(party(), donor());
@@ -107,6 +124,8 @@ console.log('\nnothing is ever taken away');
     check('every surface kept', merged.floors, before.floors);
     check('every secret kept', merged.secrets, before.secrets);
     check('every symbol kept', merged.symbols.length, before.symbols.length);
+    const drawn = mergeMapInto(party({ boundaries: { 'h:2:2': 'wall' }, variants: { 'h:2:2': { type: 'gate' } } }), donor());
+    check('every wall drawn by hand kept, and its symbol', [drawn.boundaries, drawn.variants], [{ 'h:2:2': 'wall' }, { 'h:2:2': { type: 'gate' } }]);
 }
 
 console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
@@ -0,0 +1,138 @@
+// Keeping a temporary drawing: what Drawing document each kind of sketch
+// becomes, and that the sketch goes only once the GM has made the Drawing --
+// a keep that was refused, or that failed, must leave the sketch where it was.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. Written because a keep used to rub the sketch out the moment
+// it was asked for, whether or not anything was ever saved in its place.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    'async keepDrawing', 'async handleKeepRequest', 'async _createKeptDocuments', 'handleKeepResult', '_finishKeep',
+    'serializeDrawing', 'toDrawingDocumentData', 'cssToPixiColor', 'extractAlphaFromRgba'
+].map(name => slice(name)).join('\n');
+const statics = src.match(/^ {4}static str\w+ = .*$/gm).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+let sent = [];
+let toasts = [];
+const socketManager = { broadcast: async (_tool, type, data) => { sent.push({ type, data }); } };
+const notify = (title, options) => toasts.push([title, options?.type ?? 'info']);
+const BlacksmithUtils = { getSettingSafely: (_module, _key, fallback) => fallback };
+const gm = { id: 'u-gm', isGM: true, active: true };
+const alice = { id: 'u-alice', isGM: false, active: true };
+const users = { 'u-gm': gm, 'u-alice': alice };
+let created = [];
+let failing = false;
+const scene = {
+    id: 'dungeon',
+    async createEmbeddedDocuments(type, data) {
+        if (failing) throw new Error('refused');
+        created.push({ type, data });
+        return data.map((entry, i) => ({ id: `${type}-${created.length}-${i}`, ...entry }));
+    }
+};
+const act = user => {
+    globalThis.game = {
+        user,
+        users: { get: id => users[id], activeGM: { ...gm, isSelf: user === gm } },
+        scenes: { get: id => (id === scene.id ? scene : undefined) }
+    };
+};
+globalThis.canvas = { scene: { id: 'dungeon' } };
+globalThis.CONST = { DRAWING_FILL_TYPES: { NONE: 0 } };
+console.error = () => {};
+
+const Tool = eval(`(() => class DrawingTool {\n${statics}\n${methods}\n})()`);
+function makeTool() {
+    const tool = new Tool();
+    tool._pendingKeeps = new Map();
+    tool._pixiDrawings = [{ id: 'box-1', graphics: {}, userId: 'u-alice', sceneId: 'dungeon', type: 'box', startX: 100, startY: 100, width: 50, height: 40, strokeColor: 'rgba(0, 0, 255, 1)' }];
+    tool.deleted = [];
+    tool.deleteDrawingById = id => { tool.deleted.push(id); tool._pixiDrawings = tool._pixiDrawings.filter(d => d.id !== id); };
+    tool.broadcastDrawingDeletion = (clearAll, userId, drawingId) => sent.push({ type: 'deleted', data: { userId, drawingId } });
+    return tool;
+}
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('what each sketch is kept as');
+{
+    act(gm);
+    const tool = makeTool();
+    const box = tool.toDrawingDocumentData({ type: 'box', startX: 300, startY: 200, width: -100, height: 50, strokeWidth: 6, strokeColor: 'rgba(186, 60, 49, 0.7)', lineStyle: 'dashed' }, 'u-alice');
+    check('a box drawn backwards, from its top-left', [box.x, box.y, box.shape], [200, 200, { type: 'r', width: 100, height: 50 }]);
+    check('in its color and transparency, unfilled', [box.strokeColor, box.strokeAlpha, box.fillType, box.author], ['#ba3c31', 0.7, 0, 'u-alice']);
+    check('its line style kept for repainting', box.flags[MODULE.ID].kept, { kind: 'box', lineStyle: 'dashed' });
+    const ellipse = tool.toDrawingDocumentData({ type: 'ellipse', startX: 0, startY: 0, width: 0, height: 30, strokeColor: '#00ff00' }, 'u-gm');
+    check('an ellipse, never thinner than a pixel', [ellipse.shape, ellipse.strokeWidth], [{ type: 'e', width: 1, height: 30 }, 6]);
+    const line = tool.toDrawingDocumentData({ startX: 100, startY: 100, points: [[0, 0], [-20, 10], [30, 40]], strokeWidth: 4, strokeColor: 'red' }, 'u-gm');
+    check('a line, rebased on its bounds', [line.x, line.y, line.shape], [80, 100, { type: 'p', width: 50, height: 40, points: [20, 0, 0, 10, 50, 40] }]);
+    check('with no curve put in it', line.bezierFactor, 0);
+    const stamp = tool.toDrawingDocumentData({ symbolType: 'x', symbolSize: 'small', x: 100, y: 100, strokeColor: 'red' }, 'u-gm');
+    const size = Tool.strSmallSymbolSize;
+    check('a stamp, as its square', [stamp.x, stamp.y, stamp.shape, stamp.flags[MODULE.ID].kept.symbolType], [100 - size / 2, 100 - size / 2, { type: 'r', width: size, height: size }, 'x']);
+    check('and a dot of a line, as nothing', tool.toDrawingDocumentData({ startX: 0, startY: 0, points: [[0, 0]] }, 'u-gm'), null);
+}
+
+console.log('\na GM keeping a drawing');
+{
+    act(gm);
+    sent = []; toasts = []; created = []; failing = false;
+    const tool = makeTool();
+    check('is kept', await tool.keepDrawing('box-1', { noteText: 'Ambush' }), true);
+    check('as a Drawing and its pin', created.map(entry => entry.type), ['Drawing', 'Note']);
+    check('and then the sketch goes, for everybody', [tool.deleted, sent.map(message => [message.type, message.data.userId])], [['box-1'], [['deleted', 'u-gm']]]);
+
+    sent = []; toasts = []; created = []; failing = true;
+    const again = makeTool();
+    check('a Drawing that could not be made is not kept', await again.keepDrawing('box-1'), false);
+    check('and the sketch stays, with word of it', [again.deleted, sent, toasts], [[], [], [['Drawing not kept', 'error']]]);
+    failing = false;
+}
+
+console.log('\na player keeping a drawing, through the GM');
+{
+    sent = []; toasts = []; created = [];
+    act(alice);
+    const player = makeTool();
+    await player.keepDrawing('box-1');
+    const request = sent.find(message => message.type === 'keep-request').data;
+    check('asked of the GM, and the sketch kept meanwhile', [Boolean(request), player.deleted], [true, []]);
+
+    act(gm);
+    sent = [];
+    await makeTool().handleKeepRequest(request);
+    const answer = sent.find(message => message.type === 'keep-result').data;
+    check('the GM makes it and says so', [created.length, answer.requesterId, answer.drawingId, answer.kept], [1, 'u-alice', 'box-1', true]);
+
+    act(alice);
+    player.handleKeepResult({ ...answer, userId: 'u-alice' });
+    check('an answer not from a GM is not taken', player.deleted, []);
+    player.handleKeepResult(answer);
+    check('the GM\'s is, and the sketch goes', [player.deleted, toasts.at(-1)], [['box-1'], ['Drawing kept', 'info']]);
+    player.handleKeepResult(answer);
+    check('once', player.deleted, ['box-1']);
+
+    const refused = makeTool();
+    await refused.keepDrawing('box-1');
+    act(gm);
+    sent = [];
+    await makeTool().handleKeepRequest({ ...request, drawing: { ...request.drawing, userId: 'u-bob' } });
+    act(alice);
+    refused.handleKeepResult(sent.find(message => message.type === 'keep-result').data);
+    check('somebody else\'s drawing is refused, and the sketch stays', [refused.deleted, toasts.at(-1)], [[], ['Drawing not kept', 'error']]);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,164 @@
+// Routes among the temporary drawings: waypoints clicked onto the centres of
+// grid squares, each leg and the whole measured the way the scene's ruler
+// measures them, the rounds it takes the selected token to walk, sent to
+// everyone else to be measured there, and kept as a Drawing with its total.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. The grid stood in for is 100px squares of 5 ft, counting
+// diagonals 5/10/5 along the whole path as Foundry does.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    'addRouteWaypoint', 'updateRoutePreview', 'finishRouteDrawing', '_routeData', '_snapToGridCenter', '_routeSpeed',
+    '_measureRoute', '_formatDistance', '_drawRoute', '_labelStyle', 'createRemoteRoute', 'createRemoteDrawing',
+    'parkDrawing', 'serializeDrawing', '_transformDrawing', 'toDrawingDocumentData', 'cancelDrawing'
+].map(name => slice(name)).join('\n');
+const statics = src.match(/^ {4}static str\w+ = .*$/gm).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+let sent = [];
+globalThis.game = { user: { id: 'u-alice', name: 'Alice', isGM: false } };
+const grid = {
+    units: 'ft',
+    isGridless: false,
+    getCenterPoint: ({ x, y }) => ({ x: Math.floor(x / 100) * 100 + 50, y: Math.floor(y / 100) * 100 + 50 }),
+    measurePath(waypoints) {
+        let diagonals = 0;
+        const segments = waypoints.slice(1).map((to, i) => {
+            const from = waypoints[i];
+            const dx = Math.abs(to.x - from.x) / 100;
+            const dy = Math.abs(to.y - from.y) / 100;
+            let distance = (Math.max(dx, dy) - Math.min(dx, dy)) * 5;
+            for (let d = 0; d < Math.min(dx, dy); d++) distance += diagonals++ % 2 ? 10 : 5;
+            return { distance };
+        });
+        return { distance: segments.reduce((sum, segment) => sum + segment.distance, 0), segments };
+    }
+};
+globalThis.canvas = { scene: { id: 'dungeon' }, grid, tokens: { controlled: [] } };
+globalThis.CONFIG = { defaultFontFamily: 'Signika' };
+globalThis.CONST = { DRAWING_FILL_TYPES: { NONE: 0 } };
+globalThis.PIXI = {
+    Graphics: class {
+        constructor() { this.children = []; this.parent = null; this.destroyed = false; this.listeners = {}; }
+        lineStyle() {} beginFill() {} drawCircle() {} endFill() {}
+        addChild(child) { this.children.push(child); child.parent = this; }
+        once(event, callback) { this.listeners[event] = callback; }
+        destroy() { this.destroyed = true; this.listeners.destroyed?.(); }
+    },
+    Text: class {
+        constructor(text, style) {
+            this.text = text;
+            this.style = style;
+            this.destroyed = false;
+            this.anchor = { set: (x, y) => { this.anchorAt = [x, y]; } };
+            this.position = { set: (x, y) => { this.x = x; this.y = y; } };
+        }
+        destroy() { this.destroyed = true; }
+    }
+};
+
+const Tool = eval(`(() => class DrawingTool {\n${statics}\n${methods}\n})()`);
+const layer = { children: [], addChild(child) { this.children.push(child); child.parent = this; }, removeChild(child) { this.children = this.children.filter(c => c !== child); child.parent = null; } };
+function makeTool() {
+    const tool = new Tool();
+    tool.services = { canvasLayer: layer };
+    tool.state = { isDrawing: false, routePoints: [], brushSettings: { size: 6, color: 'rgba(186, 60, 49, 0.7)' }, lineStyle: 'solid' };
+    tool._pixiDrawings = [];
+    tool._lastDrawing = null;
+    tool._previewGraphics = null;
+    tool.getWorldCoordinates = event => ({ x: event.x, y: event.y });
+    tool.getExpirationTime = () => 5000;
+    tool.scheduleCleanup = () => {};
+    tool.cssToPixiColor = () => 0xba3c31;
+    tool.extractAlphaFromRgba = () => 0.7;
+    tool._drawLineWithStyle = () => {};
+    tool._endStroke = () => {};
+    tool.broadcastDrawingCreation = data => sent.push(data);
+    return tool;
+}
+const labels = drawing => drawing.graphics.children.map(label => label.text);
+const click = (tool, x, y) => tool.addRouteWaypoint({ x, y });
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('clicking out a route');
+{
+    sent = [];
+    const tool = makeTool();
+    click(tool, 10, 20);
+    click(tool, 340, 290);
+    tool.updateRoutePreview({ x: 480, y: 320 });
+    check('previewed to the square under the pointer', labels({ graphics: tool._previewGraphics }), ['20 ft', '5 ft', '25 ft']);
+    click(tool, 410, 399);
+    click(tool, 499, 301);
+    const [route] = tool._pixiDrawings;
+    check('finished by clicking the last waypoint again', [tool.state.isDrawing, tool._previewGraphics, tool._lastDrawing === route], [false, null, true]);
+    check('each waypoint on the centre of its square', [route.startX, route.startY, route.points], [50, 50, [[0, 0], [300, 200], [400, 300]]]);
+    check('each leg and the total measured as the ruler would, diagonals 5/10/5', labels(route), ['20 ft', '5 ft', '25 ft']);
+    check('legs labelled halfway along, the total below the end', route.graphics.children.map(label => [label.x, label.y]), [[200, 150], [400, 300], [450, 360]]);
+    check('sent, expiring, without what was measured', [sent[0].type, sent[0].expiresAt, 'measure' in sent[0]], ['route', 5000, false]);
+}
+
+console.log('\nwith a token selected');
+{
+    const tool = makeTool();
+    canvas.tokens.controlled = [{ name: 'Bruenor', actor: { system: { attributes: { movement: { walk: 10 } } } } }];
+    click(tool, 50, 50);
+    click(tool, 350, 250);
+    tool.finishRouteDrawing();
+    const [route] = tool._pixiDrawings;
+    check('the rounds it takes at its speed', [route.speed, route.speedName, labels(route)], [10, 'Bruenor', ['20 ft · 2 rounds']]);
+    canvas.tokens.controlled = [{ name: 'Cart', actor: { system: { attributes: {} } } }];
+    check('and none for one with no speed', makeTool()._routeSpeed(), null);
+    canvas.tokens.controlled = [];
+}
+
+console.log('\na route that never went anywhere');
+{
+    sent = [];
+    const tool = makeTool();
+    click(tool, 50, 50);
+    tool.finishRouteDrawing();
+    check('is dropped, not drawn', [tool._pixiDrawings.length, tool.state.isDrawing, sent.length], [0, false, 0]);
+}
+
+console.log('\na route arriving from another client');
+{
+    const tool = makeTool();
+    const route = { drawingId: 'r1', userId: 'u-bob', sceneId: 'dungeon', type: 'route', startX: 50, startY: 50, points: [[0, 0], [0, 300]], strokeColor: 'blue', speed: 30, speedName: 'Sable' };
+    tool.createRemoteDrawing(route);
+    check('measured here', [tool._pixiDrawings[0].measure, labels(tool._pixiDrawings[0])], [{ legs: [15], total: 15, units: 'ft' }, ['15 ft · 1 round']]);
+    tool.createRemoteDrawing({ ...route, drawingId: 'r2', sceneId: 'overland' });
+    check('held for its own scene, like any drawing', [tool._pixiDrawings[1].id, tool._pixiDrawings[1].graphics], ['r2', null]);
+    const moved = tool._transformDrawing(tool._pixiDrawings[0], { anchor: { x: 50, y: 50 }, sx: 1, sy: 2 });
+    tool._pixiDrawings = [];
+    tool.createRemoteDrawing({ ...route, ...moved });
+    check('and measured again when the Select tool stretches it', labels(tool._pixiDrawings[0]), ['30 ft · 1 round']);
+    const { graphics } = tool._pixiDrawings[0];
+    graphics.destroy();
+    check('its labels going with it', graphics.children.every(label => label.destroyed), true);
+}
+
+console.log('\nkept as a Drawing');
+{
+    const tool = makeTool();
+    click(tool, 50, 50);
+    click(tool, 350, 250);
+    tool.finishRouteDrawing();
+    const kept = tool.toDrawingDocumentData(tool._pixiDrawings[0], 'u-alice');
+    check('the path, with its total written on it', [kept.shape.type, kept.shape.points, kept.text, kept.textColor], ['p', [0, 0, 300, 200], '20 ft', '#ba3c31']);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
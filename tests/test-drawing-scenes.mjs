@@ -0,0 +1,141 @@
+// Temporary drawings kept to the scene they were drawn on: drawn only there,
+// held while the canvas shows somewhere else, handed on to a late joiner with
+// everything else, and drawn again on the way back.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. Written because every drawing used to be wiped on any
+// change to any scene, and a stroke sent from one scene was drawn on whatever
+// scene the receiver happened to be looking at.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    'createRemoteDrawing', '_isOnScene', 'parkDrawing', 'parkSceneDrawings', 'restoreSceneDrawings',
+    'serializeDrawing', 'clearAllDrawings', 'clearUserDrawings', 'async handleSyncRequest',
+    'handleRemoteDrawingDeletion', 'deleteDrawingById', 'clearSelection'
+].map(name => slice(name)).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+const sent = [];
+const socketManager = { broadcast: async (_tool, type, data) => sent.push({ type, data }) };
+const gm = { id: 'u-gm', isGM: true };
+const alice = { id: 'u-alice', isGM: false };
+globalThis.game = {
+    user: alice,
+    users: { get: id => ({ 'u-gm': gm, 'u-alice': alice })[id] }
+};
+globalThis.canvas = { scene: { id: 'overland' } };
+const show = id => { globalThis.canvas = { scene: { id } }; };
+
+const Tool = eval(`(() => class T {\n${methods}\n})()`);
+
+// A graphic stands in for the PIXI one: on the layer until it is destroyed.
+const layer = { children: new Set(), removeChild(child) { this.children.delete(child); child.parent = null; } };
+const graphic = () => {
+    const g = { parent: layer, destroyed: false, destroy() { this.destroyed = true; } };
+    layer.children.add(g);
+    return g;
+};
+function makeTool() {
+    const tool = new Tool();
+    tool.services = { canvasLayer: layer };
+    tool._pixiDrawings = [];
+    tool._lastDrawing = null;
+    tool._remoteStrokes = new Map();
+    tool._selection = null;
+    tool.scheduleCleanup = () => {};
+    tool._fadeOutAndRemove = g => layer.removeChild(g);
+    tool.isSyncResponder = () => true;
+    tool.broadcastDrawingDeletion = (clearAll, userId, drawingId, sceneId) => sent.push({ type: 'deleted', data: { clearAll, userId, drawingId, sceneId } });
+    // The shape renderers draw PIXI; here they only file the drawing, as they do.
+    tool.createRemoteLine = data => {
+        const { drawingId, ...rest } = data;
+        tool._pixiDrawings.push({ ...rest, id: drawingId, graphics: graphic() });
+    };
+    return tool;
+}
+const stroke = (drawingId, sceneId, over = {}) => ({
+    drawingId, sceneId, userId: 'u-alice', userName: 'Alice', startX: 0, startY: 0, points: [[0, 0], [5, 5]],
+    createdAt: Number(drawingId.slice(1)), expiresAt: null, ...over
+});
+const shown = tool => tool._pixiDrawings.filter(drawing => drawing.graphics).map(drawing => drawing.id);
+const held = tool => tool._pixiDrawings.filter(drawing => !drawing.graphics).map(drawing => drawing.id);
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('a stroke arriving from another client');
+{
+    show('overland');
+    const tool = makeTool();
+    tool.createRemoteDrawing(stroke('d1', 'overland'));
+    tool.createRemoteDrawing(stroke('d2', 'dungeon'));
+    check('drawn when it is this scene\'s', shown(tool), ['d1']);
+    check('held, not drawn, when it is another\'s', held(tool), ['d2']);
+    tool.createRemoteDrawing({ ...stroke('d3', undefined), sceneId: undefined });
+    check('and from an older client, which names no scene, drawn here', [shown(tool), tool._pixiDrawings.at(-1).sceneId], [['d1', 'd3'], 'overland']);
+}
+
+console.log('\nleaving a scene and coming back');
+{
+    show('overland');
+    const tool = makeTool();
+    tool.createRemoteDrawing(stroke('d1', 'overland'));
+    tool.createRemoteDrawing(stroke('d4', 'overland'));
+    tool.createRemoteDrawing(stroke('d2', 'dungeon'));
+    const before = tool._pixiDrawings[0].graphics;
+    tool.parkSceneDrawings();
+    check('everything put away with the canvas', [shown(tool), held(tool).length, before.destroyed, layer.children.has(before)], [[], 3, true, false]);
+    check('and nothing left to undo', tool._lastDrawing, null);
+    show('dungeon');
+    tool.restoreSceneDrawings();
+    check('the dungeon\'s drawn on arriving there', shown(tool), ['d2']);
+    tool.parkSceneDrawings();
+    show('overland');
+    tool.restoreSceneDrawings();
+    check('and the overland\'s, back again', shown(tool).sort(), ['d1', 'd4']);
+    check('with the newest of one\'s own there to undo', tool._lastDrawing?.id, 'd4');
+    check('the other scene still held', held(tool), ['d2']);
+}
+
+console.log('\na late joiner gets every scene\'s');
+{
+    show('overland');
+    sent.length = 0;
+    const tool = makeTool();
+    tool.createRemoteDrawing(stroke('d1', 'overland'));
+    tool.createRemoteDrawing(stroke('d2', 'dungeon'));
+    tool.createRemoteDrawing(stroke('d5', 'dungeon', { expiresAt: 1 }));
+    await tool.handleSyncRequest({ userId: 'u-bob' });
+    const reply = sent.find(message => message.type === 'sync-state')?.data.drawings ?? [];
+    check('held ones included, expired ones not', reply.map(drawing => [drawing.drawingId, drawing.sceneId]), [['d1', 'overland'], ['d2', 'dungeon']]);
+    check('sent without graphics', reply.some(drawing => 'graphics' in drawing), false);
+}
+
+console.log('\nclearing is for the scene shown');
+{
+    show('overland');
+    sent.length = 0;
+    const tool = makeTool();
+    tool.createRemoteDrawing(stroke('d1', 'overland'));
+    tool.createRemoteDrawing(stroke('d2', 'dungeon'));
+    tool.createRemoteDrawing(stroke('d3', 'overland', { userId: 'u-gm' }));
+    check('one\'s own here', [tool.clearUserDrawings('u-alice'), tool._pixiDrawings.map(drawing => drawing.id)], [1, ['d2', 'd3']]);
+    check('then everyone\'s here', [tool.clearAllDrawings(), tool._pixiDrawings.map(drawing => drawing.id)], [1, ['d2']]);
+    check('and the clear says which scene', sent.map(message => message.data.sceneId), ['overland', 'overland']);
+    tool.handleRemoteDrawingDeletion({ userId: 'u-gm', clearAll: true, sceneId: 'overland' });
+    check('a GM\'s clear elsewhere leaves this one', tool._pixiDrawings.map(drawing => drawing.id), ['d2']);
+    tool.handleRemoteDrawingDeletion({ userId: 'u-gm', clearAll: true });
+    check('one from an older client clears them all, as it did', tool._pixiDrawings, []);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,199 @@
+// Picking out one temporary drawing and changing it: which drawing a press
+// lands on, what a drag or a corner handle makes of it, and an edit or a
+// delete reaching every other client -- from its author or a GM, and nobody
+// else.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. An edit applied to the wrong drawing, or taken from
+// somebody with no right to make it, is one table's plan quietly redrawn.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    'canEditDrawing', '_drawingBounds', '_hitTestDrawing', 'findDrawingAt', '_transformDrawing', '_redrawDrawing',
+    '_selectedDrawing', 'selectDrawing', 'clearSelection', '_boundsCorners', '_drawSelectionHandles', '_handleAt',
+    '_scaleFromHandle', 'startSelectionDrag', 'updateSelectionDrag', 'finishSelectionDrag', 'recolorSelectedDrawing',
+    'deleteSelectedDrawing', 'async broadcastDrawingEdit', 'handleRemoteDrawingEdit', 'handleRemoteDrawingDeletion',
+    'deleteDrawingById', 'serializeDrawing', '_isOnScene', 'createRemoteDrawing', 'parkDrawing'
+].map(name => slice(name)).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+let sent = [];
+const socketManager = { broadcast: async (_tool, type, data) => { sent.push({ type, data }); } };
+const notices = [];
+const notify = title => notices.push(title);
+const gm = { id: 'u-gm', isGM: true };
+const alice = { id: 'u-alice', isGM: false };
+const bob = { id: 'u-bob', isGM: false };
+globalThis.game = { user: alice, users: { get: id => ({ 'u-gm': gm, 'u-alice': alice, 'u-bob': bob })[id] } };
+globalThis.canvas = { scene: { id: 'dungeon' } };
+
+// A container that keeps its children in order, as the layer and every
+// drawing's graphics do.
+class Graphic {
+    constructor() { this.children = []; this.parent = null; this.destroyed = false; this.position = { set() {} }; }
+    addChild(child) { this.children.push(child); child.parent = this; }
+    removeChild(child) { this.children = this.children.filter(c => c !== child); child.parent = null; }
+    getChildIndex(child) { return this.children.indexOf(child); }
+    setChildIndex(child, index) { this.removeChild(child); this.children.splice(index, 0, child); child.parent = this; }
+    destroy() { [...this.children].forEach(child => this.removeChild(child)); this.destroyed = true; }
+    lineStyle() {} drawRect() {} beginFill() {} endFill() {}
+}
+globalThis.PIXI = { Graphics: Graphic };
+
+const Tool = eval(`(() => class DrawingTool {
+static strSmallSymbolSize = 40;
+static strMediumSymbolSize = 80;
+static strLargeSymbolSize = 140;
+static strHandleSize = 10;
+static strHitTolerance = 8;
+static strEditableKeys = ${JSON.stringify(eval(src.match(/static strEditableKeys = (\[[^\]]*\])/)[1]))};
+${methods}
+})()`);
+
+let layer;
+function makeTool() {
+    layer = new Graphic();
+    const tool = new Tool();
+    tool.services = { canvasLayer: layer };
+    tool._pixiDrawings = [];
+    tool._lastDrawing = null;
+    tool._selection = null;
+    tool.getWorldCoordinates = point => point;
+    tool._fadeOutAndRemove = graphics => graphics.parent?.removeChild(graphics);
+    tool.broadcastDrawingDeletion = (clearAll, userId, drawingId) => sent.push({ type: 'deleted', data: { userId, drawingId } });
+    // The shape renderers draw PIXI; here they only file the drawing, as they do.
+    const file = data => {
+        const { drawingId, ...rest } = data;
+        const graphics = new Graphic();
+        layer.addChild(graphics);
+        tool._pixiDrawings.push({ ...rest, id: drawingId, graphics });
+    };
+    tool.createRemoteLine = tool.createRemoteBox = tool.createRemoteEllipse = tool.createRemoteSymbol = file;
+    return tool;
+}
+const base = { userId: 'u-alice', userName: 'Alice', sceneId: 'dungeon', strokeWidth: 4, strokeColor: 'black', createdAt: 1, expiresAt: 99 };
+const line = (id, over = {}) => ({ ...base, drawingId: id, startX: 100, startY: 100, points: [[0, 0], [100, 0]], ...over });
+const box = (id, over = {}) => ({ ...base, drawingId: id, type: 'box', startX: 300, startY: 300, width: -100, height: 50, ...over });
+const ellipse = (id, over = {}) => ({ ...base, drawingId: id, type: 'ellipse', startX: 500, startY: 500, width: 200, height: 100, ...over });
+const stamp = (id, over = {}) => ({ ...base, drawingId: id, symbolType: 'x', x: 700, y: 700, symbolSize: 'small', strokeWidth: 12, ...over });
+const at = (tool, x, y) => tool.findDrawingAt({ x, y })?.id ?? null;
+const ids = tool => tool._pixiDrawings.map(drawing => drawing.id);
+const edits = () => sent.filter(message => message.type === 'edited').map(message => message.data);
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('what a press lands on');
+{
+    const tool = makeTool();
+    [line('l1'), box('b1'), ellipse('e1'), stamp('s1')].forEach(data => tool.createRemoteDrawing(data));
+    check('a line, on it or just off it', [at(tool, 150, 104), at(tool, 150, 120), at(tool, 215, 100)], ['l1', null, null]);
+    check('a box by its outline, even drawn up and left', [at(tool, 201, 320), at(tool, 250, 350), at(tool, 250, 325)], ['b1', 'b1', null]);
+    check('an ellipse by its outline', [at(tool, 501, 550), at(tool, 600, 600), at(tool, 600, 550)], ['e1', 'e1', null]);
+    check('a stamp anywhere in its square', [at(tool, 690, 715), at(tool, 730, 700)], ['s1', null]);
+    tool.createRemoteDrawing(line('l2', { startY: 102 }));
+    check('the newest, of two on top of each other', at(tool, 150, 101), 'l2');
+    tool.createRemoteDrawing(line('l3', { sceneId: 'overland', startY: 300 }));
+    check('never one held for another scene', at(tool, 150, 300), null);
+}
+
+console.log('\nwhat a drag makes of it');
+{
+    const tool = makeTool();
+    check('a line moved, its points as they were', tool._transformDrawing(line('l'), { dx: 10, dy: -5 }), { startX: 110, startY: 95, points: [[0, 0], [100, 0]] });
+    const bounds = tool._drawingBounds(box('b'));
+    check('a box\'s bounds the right way round', bounds, { x: 200, y: 300, width: 100, height: 50 });
+    const pulled = tool._scaleFromHandle(bounds, 2, { x: 400, y: 400 });
+    check('its far corner pulled, about the near one', pulled, { anchor: { x: 200, y: 300 }, sx: 2, sy: 2 });
+    check('so it doubles where it stands', tool._transformDrawing(box('b'), pulled), { startX: 400, startY: 300, width: -200, height: 100 });
+    check('and no side scales to nothing', tool._scaleFromHandle(bounds, 2, { x: 200, y: 300 }), { anchor: { x: 200, y: 300 }, sx: 0.05, sy: 0.05 });
+    const grown = tool._transformDrawing(stamp('s'), { anchor: { x: 680, y: 680 }, sx: 2, sy: 1.5 });
+    check('a stamp keeps its shape, its pen growing with it', grown, { x: 720, y: 720, symbolScale: 2, strokeWidth: 24 });
+    check('and is as big as it was made', tool._drawingBounds({ ...stamp('s'), ...grown }), { x: 680, y: 680, width: 80, height: 80 });
+}
+
+console.log('\npicking out, dragging and letting go');
+{
+    sent = [];
+    const tool = makeTool();
+    [line('l1'), box('b1', { userId: 'u-bob', userName: 'Bob' })].forEach(data => tool.createRemoteDrawing(data));
+    tool._lastDrawing = tool._pixiDrawings[0];
+    tool.startSelectionDrag({ x: 250, y: 300 });
+    check('somebody else\'s is not picked out', [tool._selection, notices], [null, ['Not your drawing']]);
+    tool.startSelectionDrag({ x: 150, y: 100 });
+    check('one\'s own is, with its handles on it', [tool._selection?.id, tool._pixiDrawings[0].graphics.children.length], ['l1', 1]);
+    tool.updateSelectionDrag({ x: 170, y: 130 });
+    tool.updateSelectionDrag({ x: 160, y: 120 });
+    check('it follows the pointer, from where it started', [tool._pixiDrawings[0].startX, tool._pixiDrawings[0].startY], [110, 120]);
+    check('keeping its place and its id', [ids(tool), layer.children.length, tool._lastDrawing === tool._pixiDrawings[0]], [['l1', 'b1'], 2, true]);
+    check('and its expiry', tool._pixiDrawings[0].expiresAt, 99);
+    check('nothing sent while it moves', edits(), []);
+    tool.finishSelectionDrag();
+    check('where it ended up, sent when let go', edits(), [{ userId: 'u-alice', drawingId: 'l1', sceneId: 'dungeon', changes: { startX: 110, startY: 120, points: [[0, 0], [100, 0]] } }]);
+    tool.startSelectionDrag({ x: 110, y: 120 });
+    tool.finishSelectionDrag();
+    check('a press that never moved sends nothing', edits().length, 1);
+
+    tool.startSelectionDrag({ x: 210, y: 120 });
+    check('a corner handle takes hold to resize', tool._selection.drag.mode, 'scale');
+    tool.updateSelectionDrag({ x: 310, y: 120 });
+    tool.finishSelectionDrag();
+    check('stretched from the other end', [tool._pixiDrawings[0].startX, tool._pixiDrawings[0].points], [110, [[0, 0], [200, 0]]]);
+
+    tool.recolorSelectedDrawing('red');
+    check('recolored, for everyone', [tool._pixiDrawings[0].strokeColor, edits().at(-1).changes], ['red', { strokeColor: 'red' }]);
+    tool.startSelectionDrag({ x: 900, y: 900 });
+    check('a press on nothing lets go', tool._selection, null);
+}
+
+console.log('\nas a GM');
+{
+    sent = [];
+    game.user = gm;
+    const tool = makeTool();
+    tool.createRemoteDrawing(box('b1', { userId: 'u-bob' }));
+    tool.startSelectionDrag({ x: 250, y: 300 });
+    check('anybody\'s can be picked out', tool._selection?.id, 'b1');
+    check('and deleted', [tool.deleteSelectedDrawing(), ids(tool), sent.at(-1)], [true, [], { type: 'deleted', data: { userId: 'u-gm', drawingId: 'b1' } }]);
+    check('after which there is nothing to delete', tool.deleteSelectedDrawing(), false);
+    game.user = alice;
+}
+
+console.log('\nan edit from another client');
+{
+    const tool = makeTool();
+    [line('l1', { userId: 'u-bob' }), line('l2', { userId: 'u-bob', sceneId: 'overland' })].forEach(data => tool.createRemoteDrawing(data));
+    const moved = { startX: 0, startY: 0, points: [[0, 0], [5, 5]] };
+    tool.handleRemoteDrawingEdit({ userId: 'u-alice', drawingId: 'l1', changes: moved });
+    check('one\'s own echo is ignored', tool._pixiDrawings[0].startX, 100);
+    game.user = gm;
+    tool.handleRemoteDrawingEdit({ userId: 'u-alice', drawingId: 'l1', changes: moved });
+    check('nor taken from somebody who did not draw it', tool._pixiDrawings[0].startX, 100);
+    tool.handleRemoteDrawingEdit({ userId: 'u-bob', drawingId: 'l1', changes: { ...moved, userId: 'u-gm', expiresAt: null } });
+    check('but from its author, and only what an edit may change', [tool._pixiDrawings[0].startX, tool._pixiDrawings[0].userId, tool._pixiDrawings[0].expiresAt], [0, 'u-bob', 99]);
+    game.user = alice;
+    tool.handleRemoteDrawingEdit({ userId: 'u-gm', drawingId: 'l1', changes: { strokeColor: 'blue' } });
+    check('or from a GM', tool._pixiDrawings[0].strokeColor, 'blue');
+    tool.handleRemoteDrawingEdit({ userId: 'u-bob', drawingId: 'l2', changes: moved });
+    check('one held for another scene changed, and still held', [tool._pixiDrawings[1].startX, tool._pixiDrawings[1].graphics], [0, null]);
+
+    tool.handleRemoteDrawingDeletion({ userId: 'u-alice', drawingId: 'l1' });
+    game.user = bob;
+    tool.handleRemoteDrawingDeletion({ userId: 'u-alice', drawingId: 'l1' });
+    check('a delete from somebody who did not draw it is ignored', ids(tool), ['l1', 'l2']);
+    tool.handleRemoteDrawingDeletion({ userId: 'u-gm', drawingId: 'l1' });
+    check('one from a GM is not', ids(tool), ['l2']);
+    game.user = alice;
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,149 @@
+// Strokes streamed while they are drawn: what the drawer sends, batch by
+// batch, and how everybody else's preview of it grows, moves on and gives way
+// to the finished drawing -- or goes, when the stroke is abandoned.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. A preview that never went away would be a stroke nobody
+// drew, left on everybody else's canvas and on nobody's to rub out.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    '_beginStroke', '_streamStroke', '_flushStroke', '_endStroke', 'handleRemoteStroke',
+    '_drawRemoteStroke', '_dropRemoteStroke', 'handleRemoteDrawingCreation', 'cancelDrawing', 'async broadcastDrawingCreation'
+].map(name => slice(name)).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+let sent = [];
+const socketManager = { broadcast: async (_tool, type, data) => { sent.push({ type, data }); } };
+globalThis.game = { user: { id: 'u-alice', isGM: false } };
+globalThis.canvas = { scene: { id: 'dungeon' } };
+// Timers are run by hand, so a batch goes exactly when the test says.
+const timers = [];
+globalThis.setTimeout = callback => { timers.push(callback); return timers.length; };
+globalThis.clearTimeout = id => { timers[id - 1] = null; };
+const tick = () => { const due = timers.splice(0); due.forEach(callback => callback?.()); };
+globalThis.PIXI = {
+    Graphics: class {
+        constructor() { this.parent = null; this.destroyed = false; }
+        clear() {} lineStyle() {} moveTo() {} lineTo() {}
+        destroy() { this.destroyed = true; }
+    }
+};
+
+const Tool = eval(`(() => class DrawingTool {\nstatic strStrokeInterval = 50;\n${methods}\n})()`);
+const layer = { children: [], addChild(child) { this.children.push(child); child.parent = this; }, removeChild(child) { this.children = this.children.filter(c => c !== child); child.parent = null; } };
+function makeTool() {
+    const tool = new Tool();
+    tool.services = { canvasLayer: layer };
+    tool.state = { drawingPoints: [], brushSettings: { size: 6, color: 'rgba(0, 0, 0, 1)' }, lineStyle: 'dashed' };
+    tool._stroke = null;
+    tool._remoteStrokes = new Map();
+    tool._pixiDrawings = [];
+    tool.drawn = [];
+    tool.cssToPixiColor = () => 0;
+    tool._drawLineWithStyle = (_g, points) => tool.drawn.push(points.map(point => [...point]));
+    tool._drawBoxWithStyle = () => {};
+    tool._drawEllipseWithStyle = () => {};
+    tool.createRemoteDrawing = data => tool._pixiDrawings.push({ id: data.drawingId });
+    return tool;
+}
+const strokes = () => sent.filter(message => message.type === 'stroke').map(message => message.data);
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('what the drawer sends');
+{
+    sent = [];
+    const tool = makeTool();
+    tool.state.drawingPoints = [[0, 0]];
+    tool._beginStroke('sketch', { x: 100, y: 200 });
+    tool.state.drawingPoints.push([1, 1]);
+    tool._streamStroke();
+    tool.state.drawingPoints.push([2, 3]);
+    tool._streamStroke();
+    check('nothing until the interval is up', strokes().length, 0);
+    tick();
+    tool.state.drawingPoints.push([4, 4]);
+    tool._streamStroke();
+    tick();
+    check('then the points so far, batched', strokes().map(batch => [batch.from, batch.points]), [[0, [[0, 0], [1, 1], [2, 3]]], [3, [[4, 4]]]]);
+    check('each with its style and where it starts', [strokes()[0].startX, strokes()[0].startY, strokes()[0].lineStyle, strokes()[0].sceneId], [100, 200, 'dashed', 'dungeon']);
+    tool._streamStroke();
+    tick();
+    check('and nothing when nothing was added', strokes().length, 2);
+
+    tool._endStroke();
+    sent = [];
+    tool._beginStroke('box', { x: 0, y: 0 });
+    tool._streamStroke({ x: 10, y: 10 });
+    tool._streamStroke({ x: 30, y: 40 });
+    tick();
+    check('a shape sends only where its corner is now', strokes().map(batch => [batch.shape, batch.end, batch.points]), [['box', [30, 40], []]]);
+}
+
+console.log('\nhow the stroke ends, from the drawer\'s side');
+{
+    sent = [];
+    const tool = makeTool();
+    tool._beginStroke('line', { x: 0, y: 0 });
+    tool._streamStroke({ x: 5, y: 5 });
+    tick();
+    const { strokeId } = strokes()[0];
+    await tool.broadcastDrawingCreation({ drawingId: 'line-1', userId: 'u-alice' });
+    const created = sent.find(message => message.type === 'created').data;
+    check('the finished drawing names the stroke it ends', [created.drawingId, created.strokeId], ['line-1', strokeId]);
+    check('and the stroke is over', tool._stroke, null);
+
+    sent = [];
+    tool._beginStroke('ellipse', { x: 0, y: 0 });
+    tool._streamStroke({ x: 5, y: 5 });
+    tick();
+    tool.cancelDrawing();
+    check('cancelled once seen, it is withdrawn', strokes().at(-1).done, true);
+
+    sent = [];
+    tool._beginStroke('ellipse', { x: 0, y: 0 });
+    tool._streamStroke({ x: 5, y: 5 });
+    tool.cancelDrawing();
+    tick();
+    check('cancelled before anybody saw it, nothing is said', sent, []);
+}
+
+console.log('\nsomebody else\'s stroke, as it arrives');
+{
+    const tool = makeTool();
+    const batch = (over = {}) => ({ userId: 'u-bob', sceneId: 'dungeon', strokeId: 's1', shape: 'sketch', startX: 0, startY: 0, strokeWidth: 4, strokeColor: 'red', lineStyle: 'solid', from: 0, points: [], ...over });
+    tool.handleRemoteStroke(batch({ points: [[0, 0], [1, 1]] }));
+    tool.handleRemoteStroke(batch({ from: 2, points: [[2, 2]] }));
+    check('grows batch by batch', tool.drawn.at(-1), [[0, 0], [1, 1], [2, 2]]);
+    tool.handleRemoteStroke(batch({ from: 1, points: [[1, 2], [3, 3]] }));
+    check('a batch resending some points is not drawn twice', tool.drawn.at(-1), [[0, 0], [1, 2], [3, 3]]);
+    const preview = tool._remoteStrokes.get('u-bob').graphics;
+    check('drawn on the canvas while it lasts', layer.children.includes(preview), true);
+    tool.handleRemoteStroke(batch({ strokeId: 's2', points: [[0, 0], [9, 9]] }));
+    check('a new stroke replaces the last', [preview.destroyed, tool._remoteStrokes.get('u-bob').strokeId], [true, 's2']);
+    tool.handleRemoteDrawingCreation({ drawingId: 'drawing-1', userId: 'u-bob', strokeId: 's2' });
+    check('and gives way to its finished drawing', [tool._remoteStrokes.has('u-bob'), tool._pixiDrawings.map(drawing => drawing.id)], [false, ['drawing-1']]);
+
+    tool.handleRemoteStroke(batch({ strokeId: 's3', points: [[0, 0], [1, 0]] }));
+    tool.handleRemoteStroke({ userId: 'u-bob', strokeId: 's2', done: true });
+    check('an old stroke\'s withdrawal leaves the new one', tool._remoteStrokes.get('u-bob')?.strokeId, 's3');
+    tool.handleRemoteStroke({ userId: 'u-bob', strokeId: 's3', done: true });
+    check('its own takes it away', tool._remoteStrokes.has('u-bob'), false);
+
+    tool.handleRemoteStroke(batch({ sceneId: 'overland', strokeId: 's4', points: [[0, 0], [1, 0]] }));
+    check('a stroke on another scene is not drawn here', tool._remoteStrokes.has('u-bob'), false);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,104 @@
+// Temporary drawings handed to a client that arrives late or reloads: exactly
+// one connected client answers, whoever is asking -- the GM included -- and
+// the answer restores what is still on the canvas and nothing twice.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. Drawings live only in memory, so a client nobody answers
+// starts blank; one answered by everybody draws each drawing many times over.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    'async requestDrawingSync', 'isSyncResponder', 'async handleSyncRequest', 'handleSyncState', 'serializeDrawing'
+].map(name => slice(name)).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+let sent = [];
+const socketManager = { broadcast: async (_tool, type, data) => { sent.push({ type, data }); } };
+const gm = { id: 'u-gm', name: 'GM', isGM: true, active: true };
+const alice = { id: 'u-alice', name: 'Alice', isGM: false, active: true };
+const bob = { id: 'u-bob', name: 'Bob', isGM: false, active: true };
+const everyone = [gm, alice, bob];
+const connect = (user, connected = everyone) => {
+    const users = connected.filter(u => u.active);
+    globalThis.game = {
+        user,
+        users: Object.assign(users, {
+            get: id => everyone.find(u => u.id === id),
+            activeGM: users.find(u => u.isGM) ?? null
+        })
+    };
+};
+
+const Tool = eval(`(() => class DrawingTool {\n${methods}\n})()`);
+function makeTool(drawings = []) {
+    const tool = new Tool();
+    tool._pixiDrawings = drawings.map(drawing => ({ ...drawing }));
+    tool.createRemoteDrawing = data => tool._pixiDrawings.push({ ...data, id: data.drawingId });
+    return tool;
+}
+const responders = requesterId => everyone.filter(user => {
+    connect(user);
+    return user.id !== requesterId && makeTool().isSyncResponder(requesterId);
+}).map(user => user.id);
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('who answers');
+{
+    check('a player reloading is answered by the GM alone', responders('u-alice'), ['u-gm']);
+    check('the GM reloading is answered by the first other user', responders('u-gm'), ['u-alice']);
+    gm.active = false;
+    check('with no GM, the first other user answers', responders('u-bob'), ['u-alice']);
+    gm.active = true;
+}
+
+console.log('\nwhat the answer holds');
+{
+    sent = [];
+    connect(gm);
+    const later = Date.now() + 60000;
+    const tool = makeTool([
+        { id: 'd1', graphics: {}, userId: 'u-alice', expiresAt: null },
+        { id: 'd2', graphics: {}, userId: 'u-bob', expiresAt: 1 },
+        { id: 'd3', graphics: null, userId: 'u-bob', expiresAt: later }
+    ]);
+    await tool.handleSyncRequest({ userId: 'u-alice' });
+    const reply = sent[0]?.data;
+    check('addressed to the one who asked', [sent.length, reply?.targetUserId], [1, 'u-alice']);
+    check('every unexpired drawing, without its graphics', reply?.drawings.map(drawing => [drawing.drawingId, 'graphics' in drawing]), [['d1', false], ['d3', false]]);
+    sent = [];
+    await makeTool().handleSyncRequest({ userId: 'u-alice' });
+    check('and nothing sent when there is nothing to send', sent, []);
+
+    connect(alice);
+    const arriving = makeTool([{ id: 'd1', userId: 'u-alice' }]);
+    arriving.handleSyncState({ ...reply, drawings: [...reply.drawings, { drawingId: 'd4', expiresAt: 1 }] });
+    check('restored once each, and not when expired', arriving._pixiDrawings.map(drawing => drawing.id), ['d1', 'd3']);
+    connect(bob);
+    const other = makeTool();
+    other.handleSyncState(reply);
+    check('an answer to somebody else is left alone', other._pixiDrawings, []);
+}
+
+console.log('\nasking');
+{
+    sent = [];
+    connect(alice);
+    await makeTool().requestDrawingSync();
+    check('says who is asking', sent, [{ type: 'sync-request', data: { userId: 'u-alice' } }]);
+    const init = src.slice(src.indexOf('    async initialize('), src.indexOf('\n    }\n', src.indexOf('    async initialize(')));
+    check('and a failed request on start-up is caught, not left unhandled', /requestDrawingSync\(\)\.catch\(/.test(init), true);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
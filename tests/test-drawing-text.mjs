@@ -0,0 +1,112 @@
+// Text labels among the temporary drawings: the words placed where they were
+// clicked at the stamp size chosen, sent to everyone else to be measured and
+// drawn there, resized and moved with the Select tool, and kept as a Drawing
+// that still says them.
+//
+// Sliced out of manager-drawing.js and run against stubs, so these are the
+// shipped methods. PIXI's text is stood in for by one that measures every
+// letter half as wide as it is tall.
+import fs from 'node:fs';
+
+const src = fs.readFileSync('scripts/manager-drawing.js', 'utf8');
+const slice = (name, start = src.indexOf(`    ${name}(`)) => {
+    if (start < 0) throw new Error(`missing ${name}`);
+    return src.slice(start, src.indexOf('\n    }\n', start) + 6);
+};
+const methods = [
+    '_createTextAt', '_textFontSize', '_drawTextLabel', '_labelStyle', 'createRemoteText', 'createRemoteDrawing', 'parkDrawing',
+    'serializeDrawing', '_drawingBounds', '_hitTestDrawing', '_transformDrawing', 'toDrawingDocumentData'
+].map(name => slice(name)).join('\n');
+const statics = src.match(/^ {4}static str\w+ = .*$/gm).join('\n');
+
+const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+let sent = [];
+globalThis.game = { user: { id: 'u-alice', name: 'Alice', isGM: false } };
+globalThis.canvas = { scene: { id: 'dungeon' } };
+globalThis.CONFIG = { defaultFontFamily: 'Signika' };
+globalThis.CONST = { DRAWING_FILL_TYPES: { NONE: 0 } };
+globalThis.PIXI = {
+    Text: class {
+        constructor(text, style) {
+            this.text = text;
+            this.style = style;
+            this.anchor = { set: (x, y) => { this.anchorAt = [x, y]; } };
+            this.position = { set: (x, y) => { this.x = x; this.y = y; } };
+        }
+        get width() { return this.text.length * this.style.fontSize / 2; }
+        get height() { return this.style.fontSize; }
+    }
+};
+
+const Tool = eval(`(() => class DrawingTool {\n${statics}\n${methods}\n})()`);
+const layer = { children: [], addChild(child) { this.children.push(child); child.parent = this; } };
+function makeTool() {
+    const tool = new Tool();
+    tool.services = { canvasLayer: layer };
+    tool.state = { symbolSize: 'small', brushSettings: { size: 6, color: 'rgba(186, 60, 49, 0.7)' } };
+    tool._pixiDrawings = [];
+    tool._lastDrawing = null;
+    tool.getExpirationTime = () => 5000;
+    tool.scheduleCleanup = () => {};
+    tool.cssToPixiColor = () => 0xba3c31;
+    tool.extractAlphaFromRgba = () => 0.7;
+    tool.broadcastDrawingCreation = data => sent.push(data);
+    return tool;
+}
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+console.log('placing a label');
+{
+    sent = [];
+    const tool = makeTool();
+    tool._createTextAt('Bard here', 300, 200);
+    const [label] = tool._pixiDrawings;
+    check('centred where it was clicked', [label.graphics.x, label.graphics.y, label.graphics.anchorAt], [300, 200, [0.5, 0.5]]);
+    check('at the small size', label.graphics.style.fontSize, 24);
+    check('with the shadow every drawing has', [label.graphics.style.dropShadowAlpha, Math.round(label.graphics.style.dropShadowDistance * Math.cos(label.graphics.style.dropShadowAngle))], [0.3, 2]);
+    check('measured, expiring, and the one undo takes back', [label.width, label.height, label.expiresAt, tool._lastDrawing === label], [108, 24, 5000, true]);
+    check('sent without its measurements', Object.keys(sent[0]).sort(), ['createdAt', 'drawingId', 'expiresAt', 'sceneId', 'strokeColor', 'symbolSize', 'text', 'type', 'userId', 'userName', 'x', 'y']);
+}
+
+console.log('\na label arriving from another client');
+{
+    const tool = makeTool();
+    tool.createRemoteDrawing({ drawingId: 't1', userId: 'u-bob', sceneId: 'dungeon', type: 'text', text: 'DO NOT OPEN', x: 10, y: 10, symbolSize: 'large', strokeColor: 'blue' });
+    const [label] = tool._pixiDrawings;
+    check('drawn at the size it was placed at', [label.graphics.text, label.graphics.style.fontSize], ['DO NOT OPEN', 64]);
+    check('and measured here', [label.width, label.height], [352, 64]);
+    tool.createRemoteDrawing({ drawingId: 't2', userId: 'u-bob', sceneId: 'dungeon', type: 'text', text: 'x'.repeat(500), x: 0, y: 0 });
+    check('never longer than a label may be', tool._pixiDrawings[1].text.length, 60);
+    tool.createRemoteDrawing({ drawingId: 't3', userId: 'u-bob', sceneId: 'overland', type: 'text', text: '2nd wave', x: 0, y: 0 });
+    check('held for its own scene, like any drawing', [tool._pixiDrawings[2].id, tool._pixiDrawings[2].graphics], ['t3', null]);
+}
+
+console.log('\nwith the Select tool');
+{
+    const tool = makeTool();
+    tool.createRemoteDrawing({ drawingId: 't1', userId: 'u-alice', sceneId: 'dungeon', type: 'text', text: 'Bard', x: 100, y: 100, symbolSize: 'medium' });
+    const [label] = tool._pixiDrawings;
+    check('picked anywhere in its words', [tool._hitTestDrawing(label, { x: 61, y: 81 }, 0), tool._hitTestDrawing(label, { x: 100, y: 125 }, 0)], [true, false]);
+    const grown = tool._transformDrawing(label, { anchor: { x: 60, y: 80 }, sx: 1.5, sy: 1 });
+    check('resized whole, about its corner', grown, { x: 120, y: 110, symbolScale: 1.5 });
+    tool._pixiDrawings = [];
+    tool.createRemoteDrawing({ ...tool.serializeDrawing(label), ...grown });
+    check('and drawn at the size it was made', tool._pixiDrawings[0].graphics.style.fontSize, 60);
+}
+
+console.log('\nkept as a Drawing');
+{
+    const tool = makeTool();
+    const kept = tool.toDrawingDocumentData({ type: 'text', text: 'Bard here', x: 300, y: 200, symbolSize: 'medium', strokeColor: 'red', width: 180, height: 40 }, 'u-alice');
+    check('says the same words, the same size, in the same place', [kept.text, kept.fontSize, kept.x, kept.y, kept.shape], ['Bard here', 40, 210, 180, { type: 'r', width: 180, height: 40 }]);
+    check('in its color, with no frame', [kept.textColor, kept.strokeWidth], ['#ba3c31', 0]);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,112 @@
+// Scenes stacked into floors by elevation: which floor a token stands on,
+// which walls stand on each floor, and that turning a map from one floor to
+// another and back loses nothing.
+//
+// Every map of a stacked scene is one record with its floors rotated in and
+// out of its fields, so a rotation that dropped a square would drop it from
+// whichever floor happened not to be showing, where nobody would look.
+import { buildSceneAtlas, withAuthoredBoundaries } from '../scripts/atlas-mapping.js';
+import { atBand, bandAt, bandBottom, bandIds, isBandId, normalizeBandId, sceneBands, wallInBand } from '../scripts/elevation-mapping.js';
+import { buildMapWalls } from '../scripts/walls-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+globalThis.CONST = {
+    WALL_DOOR_TYPES: { NONE: 0, DOOR: 1, SECRET: 2 },
+    WALL_DOOR_STATES: { CLOSED: 0, OPEN: 1, LOCKED: 2 },
+    WALL_SENSE_TYPES: { NONE: 0, LIMITED: 10, NORMAL: 20, PROXIMITY: 30, DISTANCE: 40 },
+    WALL_MOVEMENT_TYPES: { NONE: 0, NORMAL: 20 }
+};
+globalThis.canvas = { ready: true, scene: null };
+const SIZE = 100;
+// A tower: a cellar below the ground, the ground, and an upper floor.
+const levels = [[-10, -1, 'Cellar'], [0, 9, 'Hall'], [10, 19, 'Loft']];
+const tower = { flags: { levels: { sceneLevels: levels } } };
+const empty = { features: {}, lines: [], secrets: [], barriers: new Set(), split: new Set() };
+const ranged = (bottom, top) => ({ flags: { 'wall-height': { bottom, top } } });
+
+console.log('the floors a scene is stacked into');
+{
+    const bands = sceneBands(tower);
+    check('lowest first, the one holding nought is the ground', bands.map(band => band.id), ['-10', '', '10']);
+    check('named as the GM named them', bands.map(band => band.name), ['Cellar', 'Hall', 'Loft']);
+    const older = sceneBands({ flags: { levels: { sceneLevels: [{ bottom: 10, top: 19, name: 'Loft' }, { bottom: 0, top: 9 }] } } });
+    check('written as objects, as older versions did', older.map(band => [band.id, band.bottom]), [['', 0], ['10', 10]]);
+    check('a floor listed twice is one floor', sceneBands({ flags: { levels: { sceneLevels: [[0, 9], [0, 5]] } } }).length, 1);
+    check('and a floor upside down is none', sceneBands({ flags: { levels: { sceneLevels: [[9, 0]] } } }), []);
+    check('a scene of one floor has none', [sceneBands({}), sceneBands({ flags: { levels: { sceneLevels: 'x' } } })], [[], []]);
+    const raised = sceneBands({ flags: { levels: { sceneLevels: [[5, 9], [10, 19]] } } });
+    check('nothing holding nought, the lowest is the ground', raised.map(band => band.id), ['', '10']);
+    // A floor's id is a key Foundry would split at a dot when writing it.
+    const halves = sceneBands({ flags: { levels: { sceneLevels: [[-2.5, -1], [0, 7], [7.5, 12]] } } });
+    check('a floor part way up has no dot in its id', halves.map(band => band.id), ['-2_5', '', '7_5']);
+    check('and is read back at the elevation it starts at', halves.map(band => bandBottom(band.id)), [-2.5, 0, 7.5]);
+}
+
+console.log('\nwhich floor an elevation stands on');
+{
+    const bands = sceneBands(tower);
+    check('each by the band it is in', [-5, 0, 9, 10, 15].map(elevation => bandAt(bands, elevation)), ['-10', '', '', '10', '10']);
+    check('above the top is the top', bandAt(bands, 50), '10');
+    check('below the bottom is the bottom', bandAt(bands, -50), '-10');
+    check('no elevation is the ground', bandAt(bands, undefined), '');
+    check('no floors is the ground', bandAt([], 30), '');
+    check('a floor\'s id as sent', ['', '10', '-2_5', '-2.5', 'attic', 10, null].map(isBandId), [true, true, true, false, false, false, false]);
+    check('and what is not one is the ground', normalizeBandId('attic'), '');
+    check('one written with a dot, as before, is read without it', normalizeBandId('-2.5'), '-2_5');
+}
+
+console.log('\nwhich walls stand on which floor');
+{
+    const [cellar, hall, loft] = sceneBands(tower);
+    check('a wall with no range stands on every floor', [cellar, hall, loft].map(band => wallInBand({}, band)), [true, true, true]);
+    check('one from the hall floor to the loft floor, only in the hall', [cellar, hall, loft].map(band => wallInBand(ranged(0, 10), band)), [false, true, false]);
+    check('one in the loft only there', [cellar, hall, loft].map(band => wallInBand(ranged(10, 19), band)), [false, false, true]);
+    check('an open end is open, down to the cellar', [cellar, hall, loft].map(band => wallInBand(ranged(null, 5), band)), [true, true, false]);
+    check('touching a floor at its bottom is not reaching it', wallInBand(ranged(null, 0), hall), false);
+    check('no floor at all is every wall', wallInBand(ranged(10, 19), null), true);
+
+    // The hall walled along the top of one square, the loft along its left.
+    const wallsOf = boundaries => buildMapWalls({ explored: ['2,2'] }, withAuthoredBoundaries(empty, boundaries), { size: SIZE }).walls;
+    const hallWalls = wallsOf({ 'h:2:2': 'wall' });
+    const loftWalls = wallsOf({ 'v:2:2': 'wall' });
+    const scene = {
+        id: 'tower',
+        grid: { size: SIZE },
+        ...tower,
+        walls: [...hallWalls.map(wall => ({ ...wall, ...ranged(0, 10) })), ...loftWalls.map(wall => ({ ...wall, ...ranged(10, 19) }))]
+    };
+    check('the whole scene has both', Object.values(buildSceneAtlas(scene).features).flat().sort(), ['wall:north', 'wall:west']);
+    check('the hall, only its own', Object.values(buildSceneAtlas(scene, { band: hall }).features).flat(), ['wall:north']);
+    check('the loft, only its own', Object.values(buildSceneAtlas(scene, { band: loft }).features).flat(), ['wall:west']);
+}
+
+console.log('\nturning a map from floor to floor');
+{
+    const ground = {
+        id: 'm1', name: 'Tower', explored: ['1,1'], hidden: [], symbols: [{ id: 's1', type: 'stairs-up', column: 1, row: 1 }],
+        floors: { '1,1': 'wood' }, boundaries: {}, variants: {}, secrets: [], sides: {}, bands: {}
+    };
+    const up = atBand(ground, '10');
+    check('another floor starts empty', [up.explored, up.symbols, up.band], [[], [], '10']);
+    check('with the ground put away', up.bands[''].explored, ['1,1']);
+    check('and the map\'s own things left alone', [up.id, up.name], ['m1', 'Tower']);
+    const drawn = { ...up, explored: ['1,1', '1,2'], symbols: [{ id: 's2', type: 'stairs-down', column: 1, row: 1 }] };
+    const back = atBand(drawn, '');
+    check('turned back, the ground is as it was', [back.explored, back.symbols.map(symbol => symbol.id), back.floors], [['1,1'], ['s1'], { '1,1': 'wood' }]);
+    check('with no floor named', 'band' in back, false);
+    check('and what was drawn above kept above', back.bands['10'].explored, ['1,1', '1,2']);
+    check('every floor with anything on it', bandIds(back), ['', '10']);
+    check('straight from one floor to another', atBand(atBand(back, '10'), '-10').bands['10'].symbols.map(symbol => symbol.id), ['s2']);
+    check('and round again to where it began', atBand(atBand(atBand(back, '10'), '-10'), ''), back);
+    check('a floor visited and left empty is not kept', Object.keys(atBand(atBand(back, '-10'), '').bands), ['10']);
+    check('turned to the floor it is on, it is itself', atBand(back, ''), back);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,151 @@
+// The exported file restates, as SVG, everything the stylesheet paints: the
+// palette, the floor tiles, the rock hatching. Nothing ties the two together at
+// runtime, so this holds them to each other -- a surface restyled in the CSS
+// and not in the export would otherwise ship looking different on a wiki than
+// in the window. Then it exports a small map and checks the document is whole.
+import fs from 'node:fs';
+import {
+    EXPORT_FLOOR_PATTERNS,
+    EXPORT_HATCH_RINGS,
+    EXPORT_PALETTE,
+    buildMapSvg,
+    unexportableFloorTypes
+} from '../scripts/export-mapping.js';
+
+let failures = 0;
+const fail = message => { failures++; console.log(`  FAIL  ${message}`); };
+const ok = message => console.log(`  ok    ${message}`);
+
+const css = fs.readFileSync('styles/tool-mapping.css', 'utf8');
+
+console.log('every surface can be exported');
+const missing = unexportableFloorTypes();
+if (missing.length) fail(`no export for: ${missing.join(', ')}`);
+else ok('every floor type in the catalogue has a pattern or a tint');
+
+console.log('\nfloor tiles match the stylesheet masks');
+const rules = [...css.matchAll(/\.cartographer-mapping-floor\.is-floor-([a-z-]+)\s*\{([^}]*)\}/g)]
+    .map(match => ({ type: match[1], text: match[2] }));
+for (const rule of rules) {
+    if (rule.type.startsWith('shade-')) continue;
+    const pattern = EXPORT_FLOOR_PATTERNS[rule.type];
+    if (!pattern) { fail(`${rule.type}: no export pattern`); continue; }
+    const url = rule.text.match(/(?<!-)\bmask-image:\s*url\("data:image\/svg\+xml,([^"]+)"\)/);
+    if (!url) {
+        // Tile is gradients; compare the tile and the rule weight instead.
+        const size = rule.text.match(/(?<!-)\bmask-size:\s*([\d.]+)px\s+([\d.]+)px/);
+        const line = rule.text.match(/#000\s+0,\s*#000\s+([\d.]+)px/);
+        if (!size || !line) { fail(`${rule.type}: could not read the gradient`); continue; }
+        if (Number(size[1]) !== pattern.width || Number(size[2]) !== pattern.height) {
+            fail(`${rule.type}: CSS tile ${size[1]}x${size[2]}, export ${pattern.width}x${pattern.height}`);
+        } else if (!pattern.markup.includes(`width='${line[1]}'`)) {
+            fail(`${rule.type}: CSS rules are ${line[1]}px, the export's are not`);
+        } else ok(`${rule.type}: gradient tile ${pattern.width}x${pattern.height}, ${line[1]}px rules`);
+        continue;
+    }
+    const svg = decodeURIComponent(url[1]);
+    const inner = svg.replace(/^<svg[^>]*>/, '').replace(/<\/svg>$/, '');
+    const width = Number(svg.match(/width='([\d.]+)'/)?.[1]);
+    const height = Number(svg.match(/height='([\d.]+)'/)?.[1]);
+    if (inner !== pattern.markup) fail(`${rule.type}: export markup differs from the CSS mask`);
+    else if (width !== pattern.width || height !== pattern.height) {
+        fail(`${rule.type}: CSS tile ${width}x${height}, export ${pattern.width}x${pattern.height}`);
+    } else ok(`${rule.type}: identical to the CSS mask, tile ${width}x${height}`);
+}
+
+console.log('\npalette matches the default theme');
+const defaults = css.match(/\.cartographer-mapping-window\s*\{([\s\S]*?)\n\}/)?.[1] ?? '';
+const variable = name => defaults.match(new RegExp(`--cartographer-map-${name}:\\s*([^;]+);`))?.[1].trim();
+const normalise = value => String(value ?? '').replace(/\s+/g, '').toLowerCase();
+const pairs = [
+    ['paper', 'paper'], ['ink', 'ink'], ['hatch', 'hatch'], ['floor-fill', 'floorFill'],
+    ['floor-tint-light', 'floorTintLight'], ['floor-tint-medium', 'floorTintMedium'],
+    ['floor-tint-dark', 'floorTintDark'], ['floor-grid-ink', 'floorGridInk']
+];
+for (const [name, key] of pairs) {
+    const value = variable(name);
+    if (value === undefined) fail(`--cartographer-map-${name} not found in the default theme`);
+    else if (normalise(value) !== normalise(EXPORT_PALETTE[key])) {
+        fail(`${name}: stylesheet ${value}, export ${EXPORT_PALETTE[key]}`);
+    } else ok(`${name} = ${value}`);
+}
+
+console.log('\nhatch rings match the stylesheet');
+for (const [ring, hatch] of Object.entries(EXPORT_HATCH_RINGS)) {
+    const rule = css.match(new RegExp(`\\.cartographer-mapping-hatch\\.is-ring-${ring}\\s*\\{([^}]*)\\}`))?.[1] ?? '';
+    const stripe = rule.match(/var\(--cartographer-map-hatch\)\s+([\d.]+)px,\s*transparent\s+[\d.]+px,\s*transparent\s+([\d.]+)px/);
+    const opacity = Number(rule.match(/opacity:\s*([\d.]+)/)?.[1]);
+    if (!stripe) fail(`ring ${ring}: could not read the gradient`);
+    else if (Number(stripe[1]) !== hatch.stroke || Number(stripe[2]) !== hatch.period || opacity !== hatch.opacity) {
+        fail(`ring ${ring}: stylesheet ${stripe[1]}/${stripe[2]}/${opacity}, export ${hatch.stroke}/${hatch.period}/${hatch.opacity}`);
+    } else ok(`ring ${ring}: ${hatch.stroke}px every ${hatch.period}px at ${hatch.opacity}`);
+}
+
+console.log('\nan exported map');
+const model = {
+    empty: false,
+    originColumn: 7,
+    originRow: -3,
+    columnCount: 8,
+    rowCount: 7,
+    cells: [
+        {
+            key: '10,0', gridColumn: 4, gridRow: 4, floorClip: null, hasLinework: true,
+            segments: [{ className: 'is-wall', points: '0,0 100,0', echoPoints: '0,1 100,1' }],
+            doorSymbols: [{
+                transform: 'rotate(90 50 50)',
+                lines: [{ points: '0,50 30,50', echoPoints: '0,51 30,51' }],
+                boxPoints: '30,40 70,40 70,60 30,60', echoBoxPoints: '30,41 70,41 70,61 30,61',
+                mark: null
+            }],
+            windowSymbols: [],
+            secretDoorSymbols: [],
+            symbol: { className: 'is-note', markup: '<circle cx="50" cy="50" r="30"/>', label: 'Ogre & "friend" <here>' }
+        },
+        {
+            key: '11,0', gridColumn: 5, gridRow: 4, floorClip: '0% 0%, 50% 0%, 50% 100%, 0% 100%', hasLinework: false,
+            segments: [], doorSymbols: [], windowSymbols: [], secretDoorSymbols: [], symbol: null
+        }
+    ],
+    hatchCells: [{ ring: 1, key: '9,0', gridColumn: 3, gridRow: 4, patternX: 9, patternY: 0 }],
+    floorLayers: [{ type: 'brick', clipId: 'x', rects: [{ x: 0.375, y: 0.4286, width: 0.25, height: 0.1429 }], polygons: [] }]
+};
+const exported = buildMapSvg(model, { cellSize: 36, title: 'The <Crypt>' });
+if (!exported) fail('nothing exported');
+else {
+    const { svg, width, height } = exported;
+    if (width !== 288 || height !== 252) fail(`size ${width}x${height}, expected 288x252`);
+    else ok('sized to the grid');
+    if (!svg.includes('viewBox="252 -108 288 252"')) fail('viewBox is not in world coordinates');
+    else ok('viewBox is in world coordinates, so patterns phase as in the window');
+    if (!svg.includes('translate(360 0)')) fail('linework not placed at its square');
+    else ok('linework placed at its square');
+    if (svg.includes('Ogre & "') || svg.includes('<Crypt>') || !svg.includes('Ogre &amp; &quot;friend&quot; &lt;here&gt;')) fail('note label not escaped');
+    else ok('text is escaped');
+    if (!svg.includes('id="floor-brick"') || svg.includes('id="floor-wood"')) fail('patterns should be defined only for the surfaces used');
+    else ok('only the surfaces in use are defined');
+    if (!svg.includes('<polygon points="396,0 414,0 414,36 396,36"/>')) fail('clipped paper not placed in world space');
+    else ok('clipped paper placed in world space');
+
+    const tags = [...svg.matchAll(/<(\/?)([a-zA-Z]+)([^>]*)>/g)];
+    const stack = [];
+    let broken = false;
+    for (const [, closing, name, attributes] of tags) {
+        if (closing) {
+            if (stack.pop() !== name) { fail(`<${name}> closes out of order`); broken = true; break; }
+        } else if (!attributes.trim().endsWith('/')) stack.push(name);
+    }
+    if (stack.length) fail(`unclosed <${stack.join('><')}>`);
+    else if (!broken) ok('every element closes');
+}
+const framed = buildMapSvg(model, { cellSize: 100, frame: { column: 0, row: 0, columns: 20, rows: 12 } });
+if (!framed || framed.width !== 2000 || framed.height !== 1200 || !framed.svg.includes('viewBox="0 0 2000 1200"')) {
+    fail('a framed export should cover the frame, not the map');
+} else if (!framed.svg.includes('<rect x="700" y="-300" width="800" height="700" fill="url(#floor-brick)"')) {
+    fail("a framed export should keep the surfaces on the map's own extent");
+} else ok('a framed export covers the frame and keeps the surfaces where they were');
+if (buildMapSvg({ empty: true, cells: [] }) !== null) fail('an empty map should export nothing');
+else ok('an empty map exports nothing');
+
+console.log(failures ? `\n${failures} FAILED` : '\nall passed');
+process.exit(failures ? 1 : 0);
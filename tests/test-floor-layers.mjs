@@ -9,6 +9,10 @@ const end = src.indexOf('    /** A clip polygon as CSS', start);
 if (start < 0 || end < 0) throw new Error('could not locate _buildFloorLayers');
 const body = src.slice(start, end);
 
+// The hex geometry the hex branch draws with is pure, so it is the real one.
+const { hexCorners, isHexGrid } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/hex-mapping.js`
+);
 const MODULE = { ID: 'coffee-pub-cartographer' };
 const MAPPING_FLOOR_TYPES = [
     { type: 'default' }, { type: 'shade-light' }, { type: 'shade-medium' },
@@ -89,6 +93,16 @@ const staleLayers = stale._buildFloorLayers(
 );
 check('only the explored square', staleLayers[0].rects.length, 1);
 
+console.log('a hex is always its own polygon, in grid units');
+const hexes = new Harness();
+hexes.manager = { state: { floors: { '0,0': 'wood', '1,0': 'wood' } } };
+const hexLayers = hexes._buildFloorLayers(
+    new Set(['0,0', '1,0']), { originColumn: 0, originRow: 0, columnCount: 2, rowCount: 2, gridType: 'hexoddr' }, new Map()
+);
+check('no runs across hexes', hexLayers[0].rects, []);
+check('one polygon per hex', hexLayers[0].polygons.length, 2);
+check('pointy-top hex corners', hexLayers[0].polygons[0], '0.5,0.144338 0.5,0.433013 0.25,0.57735 0,0.433013 0,0.144338 0.25,0');
+
 console.log('no surfaces at all means no layers');
 const bare = new Harness();
 bare.manager = { state: { floors: {} } };
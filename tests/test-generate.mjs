@@ -0,0 +1,76 @@
+// Generated dungeons: the same seed has to give the same dungeon, and every
+// dungeon has to be one a party could actually walk -- closed to the rock all
+// round, and every square reachable from the way in through a door or an
+// opening rather than through a wall.
+import { MAPPING_SYMBOL_TYPES } from '../scripts/symbols-mapping.js';
+import { generateDungeon, normalizeGeneration } from '../scripts/generate-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+const area = { columns: 48, rows: 32 };
+const neighbours = key => {
+    const [column, row] = key.split(',').map(Number);
+    return [
+        [`${column},${row - 1}`, `h:${column}:${row}`],
+        [`${column + 1},${row}`, `v:${column + 1}:${row}`],
+        [`${column},${row + 1}`, `h:${column}:${row + 1}`],
+        [`${column - 1},${row}`, `v:${column}:${row}`]
+    ];
+};
+
+console.log('a seed is a dungeon');
+{
+    const settings = { seed: 'sunless citadel', rooms: 9, density: 0.4, minSize: 3, maxSize: 7 };
+    check('the same seed gives the same dungeon', generateDungeon(settings, area), generateDungeon({ ...settings }, area));
+    check('a different seed gives a different one',
+        JSON.stringify(generateDungeon(settings, area)) === JSON.stringify(generateDungeon({ ...settings, seed: 'tomb of horrors' }, area)),
+        false);
+}
+
+console.log('\nevery dungeon is walkable and closed');
+for (const seed of ['a', 'b', 'crypt', 'lost mine', '12345', 'deep']) {
+    for (const density of [0, 0.5, 1]) {
+        const layout = generateDungeon({ seed, rooms: 10, density, minSize: 2, maxSize: 8 }, area);
+        const explored = new Set(layout.explored);
+        const problems = [];
+        for (const key of explored) {
+            const [column, row] = key.split(',').map(Number);
+            if (column < 1 || row < 1 || column >= area.columns - 1 || row >= area.rows - 1) problems.push(`${key} on the edge`);
+            for (const [neighbour, line] of neighbours(key)) {
+                if (!explored.has(neighbour) && layout.boundaries[line] !== 'wall') problems.push(`${line} open to the rock`);
+            }
+        }
+        const entrance = layout.symbols.find(symbol => symbol.type === 'stairs-up');
+        const reached = new Set([`${entrance.column},${entrance.row}`]);
+        const queue = [...reached];
+        while (queue.length) {
+            for (const [neighbour, line] of neighbours(queue.shift())) {
+                if (!explored.has(neighbour) || reached.has(neighbour) || layout.boundaries[line] === 'wall') continue;
+                reached.add(neighbour);
+                queue.push(neighbour);
+            }
+        }
+        if (reached.size !== explored.size) problems.push(`${explored.size - reached.size} square(s) cut off`);
+        for (const symbol of layout.symbols) {
+            if (!MAPPING_SYMBOL_TYPES.has(symbol.type)) problems.push(`unknown symbol ${symbol.type}`);
+            if (!explored.has(`${symbol.column},${symbol.row}`)) problems.push(`${symbol.type} in the rock`);
+        }
+        check(`"${seed}" at density ${density}: ${layout.rooms} rooms, ${explored.size} squares`, problems.slice(0, 3), []);
+    }
+}
+
+console.log('\nsettings are held to what makes sense');
+{
+    check('sizes in order, counts in range',
+        normalizeGeneration({ seed: ' x ', rooms: 500, density: 3, minSize: 9, maxSize: 4 }),
+        { seed: 'x', rooms: 50, density: 1, minSize: 9, maxSize: 9 });
+    check('rooms too big for the area give nothing rather than spilling over',
+        generateDungeon({ seed: 'x', rooms: 3, minSize: 20, maxSize: 20 }, { columns: 10, rows: 10 }).rooms, 0);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,142 @@
+// Hex grids: where each hex is, which hexes touch and across which side, and a
+// scene's walls read onto those sides by the real buildSceneAtlas.
+//
+// Positions are checked against where Foundry's own HexagonalGrid puts a cell,
+// worked by hand for a grid of size 100; nothing here asks the code under test
+// which hex is which.
+import { atlasFromSnapshot, atlasSnapshot, buildSceneAtlas } from '../scripts/atlas-mapping.js';
+import {
+    canonicalHexSide, gridTypeOf, hexAt, hexCentre, hexDistance, hexNeighbours, hexTravelPath, hexesWithin
+} from '../scripts/hex-mapping.js';
+import { contiguousFloorRegion } from '../scripts/utils-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+const rounded = ({ x, y }) => ({ x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 });
+
+// Foundry's v13 values.
+globalThis.CONST = {
+    GRID_TYPES: { GRIDLESS: 0, SQUARE: 1, HEXODDR: 2, HEXEVENR: 3, HEXODDQ: 4, HEXEVENQ: 5 },
+    WALL_DOOR_TYPES: { NONE: 0, DOOR: 1, SECRET: 2 },
+    WALL_DOOR_STATES: { CLOSED: 0, OPEN: 1, LOCKED: 2 },
+    WALL_DIRECTIONS: { BOTH: 0, LEFT: 1, RIGHT: 2 },
+    WALL_SENSE_TYPES: { NONE: 0, LIMITED: 10, NORMAL: 20, PROXIMITY: 30, DISTANCE: 40 },
+    WALL_MOVEMENT_TYPES: { NONE: 0, NORMAL: 20 }
+};
+globalThis.canvas = { ready: true, scene: null };
+const LAYOUTS = ['hexoddr', 'hexevenr', 'hexoddq', 'hexevenq'];
+
+console.log('which grid a scene is');
+{
+    check('square', gridTypeOf({ grid: { type: 1 } }), 'square');
+    check('odd rows', gridTypeOf({ grid: { type: 2 } }), 'hexoddr');
+    check('even columns', gridTypeOf({ grid: { type: 5 } }), 'hexevenq');
+    check('gridless has no cells', gridTypeOf({ grid: { type: 0 } }), null);
+}
+
+console.log('\nwhere a hex is, as Foundry has it');
+{
+    // Pointy-top, odd rows pushed half a hex east: row 1 starts at x 100, and
+    // rows come 86.6 apart below the first centre at 57.7.
+    check('odd-r 0,0', rounded(hexCentre('hexoddr', { column: 0, row: 0 })), { x: 0.5, y: 0.58 });
+    check('odd-r 0,1 is pushed east', rounded(hexCentre('hexoddr', { column: 0, row: 1 })), { x: 1, y: 1.44 });
+    check('even-r 0,0 is the one pushed', rounded(hexCentre('hexevenr', { column: 0, row: 0 })), { x: 1, y: 0.58 });
+    // Flat-top, odd columns pushed half a hex south.
+    check('odd-q 1,0 is pushed south', rounded(hexCentre('hexoddq', { column: 1, row: 0 })), { x: 1.44, y: 1 });
+    check('even-q 0,0 is the one pushed', rounded(hexCentre('hexevenq', { column: 0, row: 0 })), { x: 0.58, y: 1 });
+}
+
+console.log('\nevery hex is found again from its centre');
+for (const gridType of LAYOUTS) {
+    let lost = 0;
+    for (let column = -3; column <= 6; column++) {
+        for (let row = -3; row <= 6; row++) {
+            const centre = hexCentre(gridType, { column, row });
+            const found = hexAt(gridType, { x: centre.x + 0.2, y: centre.y - 0.2 });
+            if (found.column !== column || found.row !== row) lost++;
+        }
+    }
+    check(`${gridType}: a point near the centre`, lost, 0);
+}
+
+console.log('\nneighbours and sides');
+{
+    // Row 2 is not pushed, so its north and south neighbours sit half a hex
+    // west of the ones on an odd row.
+    check('odd-r 2,2 round the clock', hexNeighbours('hexoddr', { column: 2, row: 2 }), [
+        { column: 3, row: 2, direction: 'east' },
+        { column: 2, row: 3, direction: 'southeast' },
+        { column: 1, row: 3, direction: 'southwest' },
+        { column: 1, row: 2, direction: 'west' },
+        { column: 1, row: 1, direction: 'northwest' },
+        { column: 2, row: 1, direction: 'northeast' }
+    ]);
+    for (const gridType of LAYOUTS) {
+        const cell = { column: 3, row: 3 };
+        const mutual = hexNeighbours(gridType, cell).every(neighbour => hexNeighbours(gridType, neighbour)
+            .some(back => back.column === cell.column && back.row === cell.row));
+        check(`${gridType}: each neighbour has it back`, mutual, true);
+    }
+    check('a west side is its neighbour\'s east', canonicalHexSide('hexoddr', { column: 2, row: 2 }, 'west'), { column: 1, row: 2, direction: 'east' });
+    check('a northwest side is its neighbour\'s southeast', canonicalHexSide('hexoddr', { column: 2, row: 2 }, 'northwest'), { column: 1, row: 1, direction: 'southeast' });
+    check('an east side is its own', canonicalHexSide('hexoddr', { column: 2, row: 2 }, 'east'), { column: 2, row: 2, direction: 'east' });
+}
+
+console.log('\nreach and travel');
+{
+    check('radius 0, 1, 2', [0, 1, 2].map(radius => hexesWithin('hexoddq', { column: 4, row: 4 }, radius).length), [1, 7, 19]);
+    check('three hexes east', hexDistance('hexoddr', { column: 0, row: 0 }, { column: 3, row: 0 }), 3);
+    check('a straight move crosses each hex once', hexTravelPath('hexoddr', { column: 0, row: 0 }, { column: 3, row: 0 }),
+        [{ column: 0, row: 0 }, { column: 1, row: 0 }, { column: 2, row: 0 }, { column: 3, row: 0 }]);
+}
+
+// The side between odd-r 2,2 and 3,2 is the vertical line x = 300, from y 202
+// to 260 at size 100. Walls are drawn a little short of its corners.
+console.log('\nwalls onto sides');
+const SIZE = 100;
+const sceneOf = walls => ({ id: 'hex', grid: { size: SIZE, type: CONST.GRID_TYPES.HEXODDR }, walls });
+const wall = (c, extra = {}) => ({ c, door: 0, ds: 0, dir: 0, move: 20, sight: 20, light: 20, ...extra });
+const { LEFT, RIGHT } = CONST.WALL_DIRECTIONS;
+{
+    const atlas = buildSceneAtlas(sceneOf([wall([300, 205, 300, 255])]));
+    check('the atlas knows its grid', atlas.gridType, 'hexoddr');
+    check('a wall lands on the side it runs along', atlas.features, { '2,2': ['wall:east'] });
+    check('a door is a door', buildSceneAtlas(sceneOf([wall([300, 205, 300, 255], { door: 1 })])).features, { '2,2': ['door:east'] });
+    // Drawn south, left is east: as on a square, the door is written against
+    // the hex it opens from.
+    check('one-way, drawn south, left', buildSceneAtlas(sceneOf([wall([300, 205, 300, 255], { door: 1, dir: LEFT })])).features,
+        { '2,2': ['one-way-door:east'] });
+    check('one-way, drawn south, right', buildSceneAtlas(sceneOf([wall([300, 205, 300, 255], { door: 1, dir: RIGHT })])).features,
+        { '3,2': ['one-way-door:west'] });
+    const secret = buildSceneAtlas(sceneOf([wall([300, 205, 300, 255], { door: 2 })]));
+    check('a secret door is drawn as the wall it looks like', secret.features, { '2,2': ['wall:east'] });
+    check('and remembered as a door', secret.secrets.map(entry => entry.edges), [[{ key: '2,2', direction: 'east' }]]);
+}
+
+console.log('\na room stops at its walls');
+{
+    const atlas = buildSceneAtlas(sceneOf([wall([300, 205, 300, 255])]));
+    check('not through the wall', contiguousFloorRegion(['2,2', '3,2'], atlas, { column: 2, row: 2 }), ['2,2']);
+    // 2,1 touches both, which no square above two side by side would.
+    check('round it through the hex both touch',
+        contiguousFloorRegion(['2,2', '3,2', '2,1'], atlas, { column: 2, row: 2 }), ['2,2', '2,1', '3,2']);
+}
+
+console.log('\nan artifact keeps its hex walls');
+{
+    const atlas = buildSceneAtlas(sceneOf([wall([300, 205, 300, 255], { door: 2 })]));
+    // Through JSON, as a document flag would store it.
+    const kept = JSON.parse(JSON.stringify(atlasSnapshot(atlas)));
+    const again = atlasFromSnapshot(kept, { sceneId: 'hex', gridType: 'hexoddr' });
+    check('the same sides', again.features, atlas.features);
+    check('the same secret', again.secrets, atlas.secrets);
+    check('still a hex atlas', again.gridType, 'hexoddr');
+    check('and still stops a room', contiguousFloorRegion(['2,2', '3,2'], again, { column: 2, row: 2 }), ['2,2']);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,97 @@
+// Maps joined into dungeons by their stairs: which links a map's symbols
+// carry, which maps belong together, and what level each one is on.
+//
+// The atlas of levels works all of this out afresh from the symbols every
+// time, so a level that came out wrong would be wrong everywhere at once, and
+// look entirely plausible doing it.
+import { isLinkSymbol, levelGroups, mapLinks, normalizeLink } from '../scripts/levels-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+// A map with a stair of each given kind, each leading to the named map.
+const map = (id, ...stairs) => ({
+    id,
+    links: mapLinks(stairs.map(([type, to], index) => ({ type, column: index, row: 0, link: { mapId: to, column: 0, row: 0 } })))
+});
+const levels = dungeon => Object.fromEntries(dungeon.maps.map(entry => [entry.id, entry.level]));
+
+console.log('what can lead anywhere');
+{
+    check('stairs, ladders, trap doors and teleports', ['stairs-up', 'ladder-down', 'trap-door-floor', 'teleport'].map(isLinkSymbol), [true, true, true, true]);
+    check('a note or a trap cannot', ['note', 'trap'].map(isLinkSymbol), [false, false]);
+    check('a link is a map and a square', normalizeLink({ mapId: 'm1', column: '3', row: 4, extra: true }), { mapId: 'm1', column: 3, row: 4 });
+    check('and a floor, in a stacked scene', normalizeLink({ mapId: 'm1', column: 3, row: 4, band: '10' }), { mapId: 'm1', column: 3, row: 4, band: '10' });
+    check('but not one that is no floor', normalizeLink({ mapId: 'm1', column: 3, row: 4, band: 'attic' }), { mapId: 'm1', column: 3, row: 4 });
+    check('without a map it is nothing', normalizeLink({ column: 1, row: 1 }), null);
+    check('nor with half a square', normalizeLink({ mapId: 'm1', column: 1.5, row: 1 }), null);
+    check('nor at all', normalizeLink('m1'), null);
+}
+
+console.log('\nlinks read off a map\'s symbols');
+{
+    const links = mapLinks([
+        { type: 'stairs-down', column: 1, row: 2, link: { mapId: 'cellar', column: 5, row: 5 } },
+        { type: 'stairs-up', column: 3, row: 3 },
+        { type: 'note', column: 4, row: 4, link: { mapId: 'cellar', column: 0, row: 0 } }
+    ]);
+    check('only a linked stair', links.map(link => [link.type, link.to.mapId]), [['stairs-down', 'cellar']]);
+    check('going the way it says', links[0].step, -1);
+    check('from where it is drawn', [links[0].column, links[0].row], [1, 2]);
+}
+
+console.log('\nmaps gathered into dungeons');
+{
+    const { dungeons, unlinked } = levelGroups([
+        map('hall', ['stairs-down', 'cellar'], ['stairs-up', 'tower']),
+        map('cellar', ['ladder-down', 'cistern']),
+        map('tower'),
+        map('cistern'),
+        map('inn')
+    ]);
+    check('one dungeon', dungeons.length, 1);
+    check('counted from its hub', dungeons[0].root, 'hall');
+    check('top floor first', dungeons[0].maps.map(entry => entry.id), ['tower', 'hall', 'cellar', 'cistern']);
+    check('each a level from the hub', levels(dungeons[0]), { tower: 1, hall: 0, cellar: -1, cistern: -2 });
+    check('a map with no stairs is apart', unlinked, ['inn']);
+    check('the way back up is known from below', dungeons[0].maps.find(entry => entry.id === 'cellar').joins,
+        [{ id: 'hall', step: 1 }, { id: 'cistern', step: -1 }]);
+}
+
+console.log('\nwhat does not join maps');
+{
+    const { dungeons, unlinked } = levelGroups([
+        map('keep', ['teleport', 'keep'], ['stairs-down', 'lost'])
+    ]);
+    check('a way within one map, or to a map not listed', [dungeons.length, unlinked], [0, ['keep']]);
+    const sideways = levelGroups([map('north', ['teleport', 'south']), map('south')]);
+    check('a teleport joins maps on one level', levels(sideways.dungeons[0]), { north: 0, south: 0 });
+}
+
+console.log('\na dungeon drawn impossibly');
+{
+    // The hall's stair puts the pit a floor below it, but the loft's ladder
+    // down arrives there too, which would make the pit level with the hall.
+    // The shorter way round decides.
+    const { dungeons } = levelGroups([
+        map('hall', ['stairs-up', 'loft'], ['stairs-down', 'pit']),
+        map('loft', ['ladder-down', 'pit']),
+        map('pit')
+    ]);
+    check('still one dungeon, with a level each', levels(dungeons[0]), { loft: 1, hall: 0, pit: -1 });
+}
+
+console.log('\nwhich map is level nought');
+{
+    const tied = levelGroups([map('a', ['stairs-down', 'b']), map('b')]);
+    check('a tie goes to the first listed', tied.dungeons[0].root, 'a');
+    const hub = levelGroups([map('a', ['stairs-down', 'b']), map('b', ['stairs-down', 'c']), map('c')]);
+    check('otherwise the map with the most ways out', hub.dungeons[0].root, 'b');
+    check('and the rest counted from it', levels(hub.dungeons[0]), { a: 1, b: 0, c: -1 });
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
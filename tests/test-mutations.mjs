@@ -16,7 +16,9 @@ const slice = (name, start = src.indexOf(`    ${name}(`)) => {
 const methods = [
     'async _processMutationRequest', '_normalizeSymbols', 'exploredSet', '_canManageActor',
     'canViewRecord', 'canManageRecord', 'canDeleteRecord', 'canAnnotateRecord', 'canRemoveEntry',
-    '_isPartyMember', '_partyActorIds'
+    '_isPartyMember', '_partyActorIds', 'atlasForRecord', 'sceneDimensionsFor', 'sceneBuildDimensions',
+    '_canTakeBack', '_takeBackRevisions', 'async _requestMutation', '_editStack', 'undoMapEdit', 'redoMapEdit',
+    'async _takeBackEdit', '_handleMutationResult', '_handleMutationRequest', 'async _answerMutation'
 ].map(name => slice(name)).join('\n');
 
 // Imports the handler reaches for, stubbed rather than loaded: const.js and
@@ -24,19 +26,70 @@ const methods = [
 // The real merge, loaded rather than stubbed, so the handler is exercised
 // against the function it actually calls. Resolved from the working directory
 // so this file can live outside the project.
-const { mergeMapInto, contiguousFloorRegion } = await import(
+const { mergeMapInto, contiguousFloorRegion, normalizeBoundaries, normalizeVariants } = await import(
     `file:///${process.cwd().replace(/\\/g, '/')}/scripts/utils-mapping.js`
 );
+const { EMPTY_ATLAS, atlasFromSnapshot, atlasSnapshot, featureOnLine, withAuthoredBoundaries } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/atlas-mapping.js`
+);
+const { TEMPLATE_ROTATIONS, placeTemplate } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/templates-mapping.js`
+);
+const { EXPORT_MAX_EDGE } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/export-mapping.js`
+);
+const { generateDungeon, normalizeGeneration } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/generate-mapping.js`
+);
+const { isHexGrid } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/hex-mapping.js`
+);
+const { makeRevision, REVISION_LIMIT, revertDiff } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/revisions-mapping.js`
+);
+const { isLinkSymbol, normalizeLink } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/levels-mapping.js`
+);
+const { atBand, normalizeBandId } = await import(
+    `file:///${process.cwd().replace(/\\/g, '/')}/scripts/elevation-mapping.js`
+);
 const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
+// Who holds an Item carrying each artifact, by map id. item-mapping.js reads
+// the world's Items through const.js, so this stands in for it.
+const carried = {};
+const mapHolders = (mapId) => carried[mapId] ?? [];
+// And the Items lying in the sidebar, carrying a map for nobody.
+const loose = {};
+const mapItems = (mapId) => [...(loose[mapId] ?? []), ...mapHolders(mapId).map(actor => ({ parent: actor }))];
 const notified = [];
 const notify = (message, options) => notified.push({ message, options });
-const ANNOTATION_ACTIONS = ['place-symbol', 'remove-symbol'];
+const ANNOTATION_ACTIONS = ['place-symbol', 'remove-symbol', 'set-variant', 'link-symbol'];
+const SQUARE_ONLY_ACTIONS = ['set-boundary', 'set-variant', 'stamp-template', 'generate-layout'];
+const ANNOTATION_FIELDS = ['symbols', 'variants'];
+const UNDOABLE_ACTIONS = [
+    'place-symbol', 'remove-symbol', 'set-floor', 'mark-floor', 'mark-rock', 'rename',
+    'set-boundary', 'set-variant', 'stamp-template', 'link-symbol'
+];
+// The relay to the GM: what a player sends arrives at the GM's handler, run as
+// the GM, which is where every permission is asked; the GM's answer arrives
+// back at the player's.
+let relayTo = null;
+const socketManager = {
+    broadcast: async (_channel, type, data) => {
+        const sender = acting;
+        acting = type === 'mutation-result' ? users[data.requesterId] : gm;
+        try {
+            if (type === 'mutation-result') relayTo._handleMutationResult(data);
+            else await relayTo._handleMutationRequest(data, { allowLocalGM: true });
+        } finally { acting = sender; }
+    }
+};
 const MAPPING_SYMBOL_TYPES = new Set(['note', 'trap', 'stairs-up']);
 const MAPPING_SYMBOL_TEXT_LIMIT = 1000;
 const MAPPING_FLOOR_TYPE_IDS = new Set(['default', 'wood']);
 let ids = 0;
-globalThis.CONST = { DOCUMENT_OWNERSHIP_LEVELS: { OWNER: 3, NONE: 0 } };
-globalThis.foundry = { utils: { randomID: () => `id-${++ids}`, deepClone: (v) => structuredClone(v) } };
+globalThis.CONST = { DOCUMENT_OWNERSHIP_LEVELS: { OWNER: 3, NONE: 0 }, GRID_MIN_SIZE: 20 };
+globalThis.foundry = { utils: { randomID: () => `id${++ids}`, deepClone: (v) => structuredClone(v) } };
 
 const alice = { id: 'u-alice', isGM: false, active: true };
 const bob = { id: 'u-bob', isGM: false, active: true };
@@ -45,6 +98,8 @@ const users = { 'u-alice': alice, 'u-bob': bob, 'u-gm': gm };
 const actorFor = (id, owners) => ({ id, testUserPermission: (u, l) => l === 3 && owners.includes(u.id) });
 const actors = [actorFor('a-alice', ['u-alice']), actorFor('a-bob', ['u-bob'])];
 actors.get = (id) => actors.find(a => a.id === id);
+// Every artifact the party is shown in these tests is in Alice's pack.
+for (const id of ['official:x1::s1', 'official:x3::s1', 'official:x4::s1']) carried[id] = [actors.get('a-alice')];
 
 let acting = gm;
 globalThis.game = {
@@ -67,7 +122,15 @@ function makeManager(record) {
     m.getRecord = (id) => (id === record.id ? m._current : null);
     m._cacheRecord = (next) => { m._current = next; m.saved = next; return next; };
     m.renderWindow = async () => {};
-    m._persistMapRecord = async () => {};
+    // The page's log, as far as the manager can see it: whatever it was last
+    // handed to write.
+    m.revisions = [];
+    m._persistMapRecord = async (_record, { revision = null } = {}) => { if (revision) m.revisions.push(revision); };
+    m.mapRevisions = () => m.revisions;
+    m._editStacks = new Map();
+    m._pendingEdits = new Map();
+    m._deletedMapIds = new Map();
+    m._revealProcessingQueue = Promise.resolve();
     m.atlasFor = () => ({ features: {}, barriers: new Set(), split: new Set() });
     m._normalizeFloors = (f) => ({ ...(f ?? {}) });
     m._normalizeSides = (s) => ({ ...(s ?? {}) });
@@ -142,7 +205,7 @@ console.log('\nan unexplored square refuses a symbol');
 console.log('\nofficial map: a player may add, but not overwrite or remove what is there');
 {
     const official = baseRecord({
-        id: 'official:x1::s1', kind: 'official', officialId: 'x1', actorId: null, shared: true,
+        id: 'official:x1::s1', kind: 'official', officialId: 'x1', actorId: null,
         symbols: [{ id: 's-orig', type: 'trap', column: 1, row: 1, text: '', createdAt: 1, createdBy: 'u-gm' }]
     });
     const m = makeManager(official);
@@ -314,14 +377,197 @@ console.log('\nan area strike stops at a wall, as surfacing does');
     check('the far side of the wall survives', m.saved.explored, ['2,1']);
 }
 
+console.log('\ndrawing a boundary by hand');
+{
+    const room = baseRecord({ explored: ['1,1', '2,1'] });
+    const m = makeManager(room);
+    const draw = (edge, feature, userId = 'u-gm') => m._processMutationRequest(
+        { action: 'set-boundary', mapId: room.id, edge, feature, userId },
+        { allowLocalGM: true }
+    );
+    await draw('v:2:1', 'door');
+    check('the door is stored on its lattice line', m.saved.boundaries, { 'v:2:1': 'door' });
+    await draw('h:1:1', 'wall');
+    check('a second boundary keeps the first', m.saved.boundaries, { 'v:2:1': 'door', 'h:1:1': 'wall' });
+    await draw('v:2:1', null);
+    check('rubbing one out defers to the scene again', m.saved.boundaries, { 'h:1:1': 'wall' });
+
+    const before = m.saved;
+    await draw('h:9:9', 'wall');
+    check('a line out in the rock is refused', m.saved, before);
+    await draw('h:1:1', 'portcullis');
+    check('an unknown feature is refused', m.saved, before);
+    await draw('1,1', 'wall');
+    check('a square key is not a line', m.saved, before);
+    await draw('h:2:1', 'wall', 'u-bob');
+    check('another player cannot draw on it', m.saved, before);
+}
+
+console.log('\na hex map has no lattice to draw on');
+{
+    const hexRoom = baseRecord({ gridType: 'hexoddr', explored: ['1,1', '2,1'] });
+    const m = makeManager(hexRoom);
+    await m._processMutationRequest(
+        { action: 'set-boundary', mapId: hexRoom.id, edge: 'v:2:1', feature: 'door', userId: 'u-gm' },
+        { allowLocalGM: true }
+    );
+    check('a boundary is refused', m.saved, null);
+    await m._processMutationRequest(
+        { action: 'place-symbol', mapId: hexRoom.id, type: 'trap', column: 1, row: 1, userId: 'u-gm' },
+        { allowLocalGM: true }
+    );
+    check('a symbol is still placed', at(m.saved, 1, 1).map(symbol => symbol.type), ['trap']);
+}
+
+console.log('\nkey symbols on an artifact\'s boundaries');
+{
+    // A carried artifact with a wall drawn along the top of one square.
+    const artifact = baseRecord({
+        id: 'official:x4::s1', kind: 'official', officialId: 'x4', actorId: null,
+        explored: ['1,1'], boundaries: { 'h:1:1': 'wall', 'v:2:1': 'door' }
+    });
+    const m = makeManager(artifact);
+    const mark = (edge, type, userId) => m._processMutationRequest(
+        { action: 'set-variant', mapId: artifact.id, edge, type, userId },
+        { allowLocalGM: true }
+    );
+    await mark('h:1:1', 'illusory-wall', 'u-alice');
+    check('a player may write one on a boundary', m.saved?.variants?.['h:1:1']?.type, 'illusory-wall');
+    check('and it is recorded as theirs', m.saved.variants['h:1:1'].createdBy, 'u-alice');
+
+    const before = m.saved;
+    await mark('v:1:1', 'gate', 'u-alice');
+    check('not on a side with nothing on it', m.saved, before);
+    await mark('v:2:1', 'drawbridge', 'u-alice');
+    check('nor a symbol the key does not have', m.saved, before);
+
+    await mark('v:2:1', 'trapped-door', 'u-gm');
+    await mark('v:2:1', 'false-door', 'u-alice');
+    check('a player cannot overwrite the GM\'s', m._current.variants['v:2:1'].type, 'trapped-door');
+    await mark('v:2:1', null, 'u-alice');
+    check('nor remove it', Boolean(m._current.variants['v:2:1']), true);
+    await mark('h:1:1', null, 'u-alice');
+    check('but may take their own back', Object.keys(m._current.variants), ['v:2:1']);
+}
+
+console.log('\nan authored wall bounds an area strike, and an authored opening frees it');
+{
+    const run = baseRecord({ explored: ['1,1', '2,1', '3,1'], boundaries: { 'v:2:1': 'wall' } });
+    const walled = makeManager(run);
+    await walled._processMutationRequest({ action: 'mark-rock', mapId: run.id, column: 1, row: 1, area: true, userId: 'u-gm' }, { allowLocalGM: true });
+    check('the wall only the map has still stops it', walled.saved.explored, ['2,1', '3,1']);
+
+    // The scene has a wall between 2,1 and 3,1; the author says it is open.
+    const opened = makeManager({ ...run, boundaries: { 'v:3:1': 'open' } });
+    opened.atlasFor = () => ({ features: { '2,1': ['wall:east'] }, barriers: new Set(), split: new Set() });
+    await opened._processMutationRequest({ action: 'mark-rock', mapId: run.id, column: 1, row: 1, area: true, userId: 'u-gm' }, { allowLocalGM: true });
+    check('a scene wall drawn open no longer stops it', opened.saved.explored, []);
+}
+
+console.log('\nthe overlay replaces the scene, and leaves the atlas alone');
+{
+    const atlas = Object.freeze({ features: Object.freeze({ '2,1': Object.freeze(['wall:west', 'wall:north']) }), barriers: new Set(), split: new Set() });
+    const boundaries = { 'v:2:1': 'door', 'h:5:5': 'window' };
+    const authored = withAuthoredBoundaries(atlas, boundaries);
+    check('a door replaces the wall on its line', authored.features['2,1'], ['wall:north', 'door:west']);
+    check('a line the scene left empty takes the feature as drawn', authored.features['5,5'], ['window:north']);
+    check('the scene\'s atlas is untouched', atlas.features['2,1'], ['wall:west', 'wall:north']);
+    check('the same boundaries give back the same overlay', withAuthoredBoundaries(atlas, boundaries) === authored, true);
+    check('no boundaries give back the atlas itself', withAuthoredBoundaries(atlas, {}) === atlas, true);
+}
+
+console.log('\nstamping a template writes it as the map\'s own, turned as asked');
+{
+    const template = {
+        id: 't1', name: 'Cell', columns: 2, rows: 1,
+        explored: ['0,0', '1,0'], floors: { '0,0': 'wood' }, sides: {},
+        symbols: [{ type: 'trap', column: 1, row: 0, text: '' }],
+        boundaries: { 'h:0:0': 'wall', 'v:2:0': 'door' }
+    };
+    const room = baseRecord({
+        explored: ['5,5'], hidden: ['5,6'], floors: { '5,6': 'wood' },
+        symbols: [{ id: 'old', type: 'note', column: 5, row: 6, text: 'gone' }]
+    });
+    const m = makeManager(room);
+    m.getTemplate = id => (id === template.id ? template : null);
+    const stamp = (extra, userId = 'u-gm') => m._processMutationRequest(
+        { action: 'stamp-template', mapId: room.id, templateId: 't1', column: 5, row: 5, ...extra, userId },
+        { allowLocalGM: true }
+    );
+    // A quarter turn stands the cell on end: 5,5 over 5,6.
+    await stamp({ rotation: 90 });
+    check('its squares are on the map, the struck-off one restored', [...m.saved.explored].sort(), ['5,5', '5,6']);
+    check('and no longer struck off', m.saved.hidden, []);
+    check('its floor replaced what was under it', m.saved.floors, { '5,5': 'wood' });
+    check('its symbol replaced the one on that square', m.saved.symbols.map(symbol => [symbol.type, symbol.column, symbol.row]), [['trap', 5, 6]]);
+    check('its walls turned with it and became the map\'s own', Object.entries(m.saved.boundaries).sort(), [['h:5:7', 'door'], ['v:6:5', 'wall']]);
+
+    const before = m.saved;
+    await stamp({ templateId: 'missing' });
+    check('an unknown template is refused', m.saved, before);
+    await stamp({}, 'u-bob');
+    check('someone who cannot manage the map cannot stamp on it', m.saved, before);
+}
+
+console.log('\ngenerating a dungeon replaces an artifact, and only an artifact');
+{
+    const artifact = baseRecord({
+        id: 'official:g1::s1', kind: 'official', officialId: 'g1', actorId: null,
+        columns: 40, rows: 30, explored: ['1,1'], hidden: ['2,2'], boundaries: { 'h:1:1': 'window' }
+    });
+    const settings = { seed: 'barrow', rooms: 5, density: 0.3, minSize: 3, maxSize: 6 };
+    const m = makeManager(artifact);
+    await m._processMutationRequest({ action: 'generate-layout', mapId: artifact.id, settings, userId: 'u-gm' }, { allowLocalGM: true });
+    const expected = generateDungeon(settings, { columns: 40, rows: 30 });
+    check('the map is the generated dungeon', m.saved.explored, expected.explored);
+    check('its walls are the dungeon\'s, not what was drawn before', m.saved.boundaries, expected.boundaries);
+    check('nothing is left struck off', m.saved.hidden, []);
+    check('the settings are kept, so it can be made again', m.saved.generation, normalizeGeneration(settings));
+    check('and it keeps no walls of the scene\'s', m.saved.architecture, { features: {}, lines: [], secrets: [] });
+    m.atlasFor = () => ({ features: { 'h:90:90': 'wall' }, barriers: new Set(['h:90:90']), split: new Set() });
+    check('and it is drawn with them, not the scene\'s', m.atlasForRecord(m.saved).barriers.has('h:90:90'), false);
+
+    const before = m.saved;
+    await m._processMutationRequest({ action: 'generate-layout', mapId: artifact.id, settings, userId: 'u-alice' }, { allowLocalGM: true });
+    check('a player cannot generate over it', m.saved, before);
+
+    const party = makeManager(baseRecord({ columns: 40, rows: 30 }));
+    await party._processMutationRequest({ action: 'generate-layout', mapId: 'a-alice::s1', settings, userId: 'u-gm' }, { allowLocalGM: true });
+    check('a record of somewhere real is never replaced', party.saved, null);
+}
+
+console.log('\nan artifact keeps the walls it was drawn from');
+{
+    const scene = { features: { '1,1': ['wall:north'] }, barriers: new Set(), split: new Set() };
+    const artifact = baseRecord({
+        id: 'official:w1::s1', kind: 'official', officialId: 'w1', actorId: null,
+        architecture: atlasSnapshot(scene)
+    });
+    const m = makeManager(artifact);
+    // The GM moves the wall after the map was drawn.
+    m.atlasFor = () => ({ features: { '1,1': ['door:west'] }, barriers: new Set(), split: new Set() });
+    check('drawn from what it kept', m.atlasForRecord(artifact).features, { '1,1': ['wall:north'] });
+    check('a map without any follows its scene', m.atlasForRecord(baseRecord()).features, { '1,1': ['door:west'] });
+    check('a hand-drawn door still lies over what it kept',
+        m.atlasForRecord({ ...artifact, boundaries: { 'h:1:1': 'door' } }).features, { '1,1': ['door:north'] });
+
+    await m._processMutationRequest({ action: 'refresh-architecture', mapId: artifact.id, userId: 'u-alice' }, { allowLocalGM: true });
+    check('a player cannot retake its walls', m.saved, null);
+    await m._processMutationRequest({ action: 'refresh-architecture', mapId: artifact.id, userId: 'u-gm' }, { allowLocalGM: true });
+    check('the GM can, as the scene now stands', m.atlasForRecord(m.saved).features, { '1,1': ['door:west'] });
+
+    const mine = makeManager(baseRecord());
+    await mine._processMutationRequest({ action: 'refresh-architecture', mapId: 'a-alice::s1', userId: 'u-gm' }, { allowLocalGM: true });
+    check('a player map has no walls of its own to retake', mine.saved, null);
+}
 
 console.log('\na hidden artifact cannot be written on by the players at all');
 {
-    // Default for an official map: unseen until the GM reveals it. Enforced
+    // Default for an official map: unseen until somebody holds its Item. Enforced
     // GM-side, not merely hidden from the list -- annotating is open to the
     // party, and "the party" cannot include somebody the map is hidden from.
     const hidden = baseRecord({
-        id: 'official:x2::s1', kind: 'official', officialId: 'x2', actorId: null, shared: false
+        id: 'official:x2::s1', kind: 'official', officialId: 'x2', actorId: null
     });
     const m = makeManager(hidden);
     await m._processMutationRequest({ action: 'place-symbol', mapId: hidden.id, type: 'note', column: 1, row: 1, userId: 'u-alice' }, { allowLocalGM: true });
@@ -330,13 +576,297 @@ console.log('\na hidden artifact cannot be written on by the players at all');
     await m._processMutationRequest({ action: 'place-symbol', mapId: hidden.id, type: 'note', column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true });
     check('the GM still can', at(m.saved, 1, 1).length, 1);
 
-    // Revealed, and the party may mark it up as any other map they can see.
+    // Carried, and the party may mark it up as any other map they can see.
     const shown = baseRecord({
-        id: 'official:x3::s1', kind: 'official', officialId: 'x3', actorId: null, shared: true
+        id: 'official:x3::s1', kind: 'official', officialId: 'x3', actorId: null
     });
     const m2 = makeManager(shown);
     await m2._processMutationRequest({ action: 'place-symbol', mapId: shown.id, type: 'note', column: 2, row: 2, userId: 'u-alice' }, { allowLocalGM: true });
-    check('once revealed a player may annotate', at(m2.saved, 2, 2).length, 1);
+    check('once carried a player may annotate', at(m2.saved, 2, 2).length, 1);
+}
+
+console.log('\nan artifact is seen by whoever holds its Item, and by nobody else');
+{
+    const artifact = baseRecord({ id: 'official:i1::s1', kind: 'official', officialId: 'i1', actorId: null });
+    const m = makeManager(artifact);
+    check('lying in the sidebar, nobody', [alice, bob].map(user => m.canViewRecord(artifact, user)), [false, false]);
+    carried[artifact.id] = [actors.get('a-bob')];
+    check('in Bob\'s pack, Bob', [alice, bob].map(user => m.canViewRecord(artifact, user)), [false, true]);
+    carried[artifact.id] = [actors.get('a-bob'), actors.get('a-alice')];
+    check('a copy in each, both', [alice, bob].map(user => m.canViewRecord(artifact, user)), [true, true]);
+    carried[artifact.id] = [];
+    check('sold, nobody again', m.canViewRecord(artifact, bob), false);
+    check('the GM always', m.canViewRecord(artifact, gm), true);
+
+    // An artifact revealed before there were Items keeps its reveal until the
+    // GM puts it on one; from then on, the Item is the only way in.
+    const revealed = { ...artifact, shared: true };
+    check('an old reveal still shows it', [alice, bob].map(user => m.canViewRecord(revealed, user)), [true, true]);
+    loose[artifact.id] = [{ parent: null }];
+    check('until it is on an Item', m.canViewRecord(revealed, alice), false);
+    carried[artifact.id] = [actors.get('a-bob')];
+    check('and then only to its holder', [alice, bob].map(user => m.canViewRecord(revealed, user)), [false, true]);
+    delete loose[artifact.id];
+    carried[artifact.id] = [];
+    await m._processMutationRequest({ action: 'set-shared', mapId: artifact.id, shared: true, userId: 'u-gm' }, { allowLocalGM: true });
+    check('and cannot be set', m.saved, null);
+}
+
+console.log('\neach change is logged, and can be wound back');
+{
+    const m = makeManager(baseRecord({ id: 'party::s1', kind: 'party', actorId: null, name: 'Party Map' }));
+    const run = (data, userId = 'u-gm') => m._processMutationRequest(
+        { mapId: 'party::s1', userId, ...data }, { allowLocalGM: true }
+    );
+    await run({ action: 'place-symbol', type: 'note', column: 1, row: 1 });
+    await run({ action: 'rename', name: 'Our Map' });
+    await run({ action: 'place-symbol', type: 'trap', column: 2, row: 2 }, 'u-alice');
+    check('one revision a change', m.revisions.map(revision => revision.action), ['place-symbol', 'rename', 'place-symbol']);
+    check('saying who made it', m.revisions.map(revision => revision.userId), ['u-gm', 'u-gm', 'u-alice']);
+    check('holding only what changed', Object.keys(m.revisions[1].diff), ['values']);
+
+    await run({ action: 'rename', name: 'Our Map' });
+    check('a change that changes nothing is not logged', m.revisions.length, 3);
+
+    const [, renamed] = m.revisions;
+    const kept = m.saved;
+    await run({ action: 'restore-revision', revisionId: renamed.id }, 'u-alice');
+    check('a player cannot wind back the party map', m.saved, kept);
+
+    await run({ action: 'restore-revision', revisionId: renamed.id });
+    check('the GM can: the name is as it was', m.saved.name, 'Party Map');
+    check('the change after it goes too', at(m.saved, 2, 2).length, 0);
+    check('the one before it stays', at(m.saved, 1, 1).map(symbol => symbol.type), ['note']);
+    check('the winding back is logged in turn', m.revisions.at(-1).action, 'restore-revision');
+
+    await run({ action: 'restore-revision', revisionId: m.revisions.at(-1).id });
+    check('and can itself be taken back', [m.saved.name, at(m.saved, 2, 2).length], ['Our Map', 1]);
+
+    const unchanged = m.saved;
+    await run({ action: 'restore-revision', revisionId: 'nope' });
+    check('a revision the log does not have does nothing', m.saved, unchanged);
+}
+
+console.log('\nundo and redo take back your own edits, through the GM');
+{
+    const m = makeManager(baseRecord({ id: 'party::s1', kind: 'party', actorId: null, name: 'Party Map' }));
+    relayTo = m;
+    const send = async (user, mutation) => {
+        acting = user;
+        try { await m._requestMutation({ mapId: 'party::s1', ...mutation }); } finally { acting = gm; }
+    };
+    const as = async (user, step) => {
+        acting = user;
+        try { await step(); } finally { acting = gm; }
+    };
+    await send(alice, { action: 'place-symbol', type: 'note', column: 1, row: 1 });
+    // The GM, from a client of their own.
+    await m._processMutationRequest(
+        { action: 'place-symbol', mapId: 'party::s1', type: 'trap', column: 2, row: 2, userId: 'u-gm' }, { allowLocalGM: true }
+    );
+    await send(alice, { action: 'rename', name: 'Our Map' });
+    check('logged under the ids her client chose',
+        m.revisions.filter(revision => revision.userId === 'u-alice').map(revision => revision.id), m._editStacks.get('party::s1').undo);
+
+    await as(alice, () => m.undoMapEdit('party::s1'));
+    check('undo takes back the last of hers', m.saved.name, 'Party Map');
+    await as(alice, () => m.undoMapEdit('party::s1'));
+    check('and then the one before, leaving the GM\'s trap', [at(m.saved, 1, 1).length, at(m.saved, 2, 2).length], [0, 1]);
+    await as(alice, () => m.redoMapEdit('party::s1'));
+    check('redo puts her note back', at(m.saved, 1, 1).map(symbol => symbol.type), ['note']);
+    await as(alice, () => m.redoMapEdit('party::s1'));
+    check('and her name', m.saved.name, 'Our Map');
+
+    notified.length = 0;
+    await as(alice, () => m.redoMapEdit('party::s1'));
+    check('with nothing left to redo, she is told so', notified.map(entry => entry.message), ['coffee-pub-cartographer.mapping.redoNothing']);
+
+    await send(alice, { action: 'place-symbol', type: 'note', column: 2, row: 1 });
+    await as(alice, () => m.undoMapEdit('party::s1'));
+    await send(alice, { action: 'rename', name: 'Again' });
+    check('a new edit forgets what was undone', m._editStacks.get('party::s1').redo, []);
+
+    const trap = m.revisions.find(revision => revision.userId === 'u-gm');
+    const kept = m.saved;
+    await send(alice, { action: 'undo-revision', revisionId: trap.id, changeId: 'mine' });
+    check('nobody undoes another\'s edit', m.saved, kept);
+}
+
+console.log('\nonly what the GM logged can be undone');
+{
+    const m = makeManager(baseRecord({ name: 'Mine' }));
+    relayTo = m;
+    const as = async (user, step) => {
+        acting = user;
+        try { await step(); } finally { acting = gm; }
+    };
+    const stack = () => m._editStack('a-alice::s1');
+    await as(bob, () => m._requestMutation({ action: 'rename', mapId: 'a-alice::s1', name: 'Theirs' }));
+    check('an edit the GM refuses is not on the stack', [m.saved, m._editStacks.get('a-alice::s1')?.undo ?? []], [null, []]);
+    await as(alice, () => m._requestMutation({ action: 'rename', mapId: 'a-alice::s1', name: 'Mine' }));
+    check('nor is one that changed nothing', [m.revisions.length, stack().undo], [0, []]);
+    await as(alice, () => m._requestMutation({ action: 'rename', mapId: 'a-alice::s1', name: 'Ours' }));
+    check('one that was logged is', stack().undo, [m.revisions[0].id]);
+    check('and nothing is left waiting on the GM', m._pendingEdits.size, 0);
+
+    await as(alice, () => m.undoMapEdit('a-alice::s1'));
+    check('a logged undo moves it to the redo stack', [stack().undo, stack().redo], [[], [m.revisions.at(-1).id]]);
+    await as(alice, () => m._requestMutation({ action: 'rename', mapId: 'a-alice::s1', name: 'Ours' }));
+    check('and a new edit, logged, clears that', [stack().undo, stack().redo], [[m.revisions.at(-1).id], []]);
+
+    // The log is shared and short: enough of the GM's own work pushes hers out.
+    for (let i = 0; i < REVISION_LIMIT; i++) {
+        await m._processMutationRequest({ action: 'rename', mapId: 'a-alice::s1', name: `GM ${i}`, userId: 'u-gm' }, { allowLocalGM: true });
+    }
+    m.revisions = m.revisions.slice(-REVISION_LIMIT);
+    const before = m.saved;
+    notified.length = 0;
+    await as(alice, () => m.undoMapEdit('a-alice::s1'));
+    check('an edit gone from the log is not sent', m.saved, before);
+    check('and she is told it is gone', notified.map(entry => entry.message), ['coffee-pub-cartographer.mapping.undoGone']);
+    check('with it, every other edit of hers the log has lost', [stack().undo, stack().redo], [[], []]);
+
+    const artifact = baseRecord({ id: 'official:x4::s1', kind: 'official', officialId: 'x4', actorId: null });
+    const other = makeManager(artifact);
+    relayTo = other;
+    await as(alice, () => other._requestMutation({ action: 'place-symbol', mapId: artifact.id, type: 'note', column: 1, row: 1 }));
+    await other._processMutationRequest({ action: 'remove-symbol', mapId: artifact.id, column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true });
+    await other._processMutationRequest({ action: 'place-symbol', mapId: artifact.id, type: 'trap', column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true });
+    notified.length = 0;
+    const placed = other._editStack(artifact.id).undo;
+    await as(alice, () => other.undoMapEdit(artifact.id));
+    check('an undo the GM refuses says so', notified.map(entry => entry.message), ['coffee-pub-cartographer.mapping.undoRefused']);
+    check('and leaves the edit where it was', [other._editStack(artifact.id).undo, other._editStack(artifact.id).redo], [placed, []]);
+    relayTo = null;
+}
+
+console.log('\nundo asks what the edit asked');
+{
+    const artifact = baseRecord({ id: 'official:x4::s1', kind: 'official', officialId: 'x4', actorId: null });
+    const m = makeManager(artifact);
+    relayTo = m;
+    acting = alice;
+    await m._requestMutation({ action: 'place-symbol', mapId: artifact.id, type: 'note', column: 1, row: 1 });
+    await m._requestMutation({ action: 'remove-symbol', mapId: artifact.id, column: 1, row: 1 });
+    acting = gm;
+    check('a player may mark an artifact she carries, and clear her own mark', at(m.saved, 1, 1).length, 0);
+    // The GM writes on the square she cleared. Her note coming back would
+    // clear the GM's trap, which she may not do on an official map.
+    await m._processMutationRequest({ action: 'place-symbol', mapId: artifact.id, type: 'trap', column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true });
+    const before = m.saved;
+    acting = alice;
+    await m.undoMapEdit(artifact.id);
+    acting = gm;
+    check('so undoing the clearing does nothing', m.saved, before);
+    m._current = { ...m._current, symbols: [] };
+    acting = alice;
+    await m._requestMutation({
+        action: 'undo-revision', mapId: artifact.id, revisionId: m.revisions[1].id, changeId: 'again'
+    });
+    acting = gm;
+    check('with the square clear again, it does', at(m.saved, 1, 1).map(symbol => symbol.type), ['note']);
+
+    const mine = makeManager(baseRecord());
+    relayTo = mine;
+    acting = alice;
+    await mine._requestMutation({ action: 'rename', mapId: 'a-alice::s1', name: 'Mine' });
+    acting = gm;
+    const renamed = mine.revisions.at(-1);
+    // Her Actor changes hands; the edit was hers, but the map no longer is.
+    mine._current = { ...mine._current, actorId: 'a-bob' };
+    await mine._processMutationRequest({ action: 'undo-revision', mapId: 'a-alice::s1', revisionId: renamed.id, userId: 'u-alice' }, { allowLocalGM: true });
+    check('an edit to a map she may no longer manage stays', mine._current.name, 'Mine');
+    relayTo = null;
+}
+
+console.log('\na stair leads where its own marker says, to a map its marker can see');
+{
+    const artifact = baseRecord({
+        id: 'official:x1::s1', kind: 'official', officialId: 'x1', actorId: null,
+        explored: ['1,1', '2,2', '3,3'],
+        symbols: [
+            { id: 's-gm', type: 'stairs-up', column: 1, row: 1, text: '', createdAt: 1, createdBy: 'u-gm' },
+            { id: 's-hers', type: 'stairs-up', column: 2, row: 2, text: '', createdAt: 1, createdBy: 'u-alice' },
+            { id: 's-note', type: 'note', column: 3, row: 3, text: 'cold', createdAt: 1, createdBy: 'u-alice' }
+        ]
+    });
+    const m = makeManager(artifact);
+    const others = {
+        'a-alice::s2': baseRecord({ id: 'a-alice::s2', sceneId: 's2' }),
+        'a-bob::s2': baseRecord({ id: 'a-bob::s2', actorId: 'a-bob', sceneId: 's2' })
+    };
+    m.getRecord = (id) => (id === artifact.id ? m._current : others[id] ?? null);
+    const link = (column, row, to) => m._processMutationRequest(
+        { action: 'link-symbol', mapId: artifact.id, column, row, link: to, userId: 'u-alice' },
+        { allowLocalGM: true }
+    );
+    const below = { mapId: 'a-alice::s2', column: 4, row: 5 };
+
+    await link(2, 2, below);
+    check('her own stair, to her own map', at(m.saved, 2, 2)[0].link, below);
+    m.saved = null;
+    await link(1, 1, below);
+    check('not the GM\'s stair on an official map', m.saved, null);
+    await link(2, 2, { mapId: 'a-bob::s2', column: 0, row: 0 });
+    check('not to a map she cannot see', m.saved, null);
+    await link(2, 2, { mapId: 'a-gone::s9', column: 0, row: 0 });
+    check('not to a map that is not there', m.saved, null);
+    await link(3, 3, below);
+    check('not from a note', m.saved, null);
+    await link(2, 2, { mapId: 'a-alice::s2', column: 'up', row: 1 });
+    check('not to a square that is no square', m.saved, null);
+    await link(2, 2, { mapId: artifact.id, column: 3, row: 3 });
+    check('but to elsewhere on the same map', at(m.saved, 2, 2)[0].link, { mapId: artifact.id, column: 3, row: 3 });
+
+    await m._processMutationRequest({ action: 'place-symbol', mapId: artifact.id, type: 'trap', column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true });
+    check('the link outlasts other edits', at(m.saved, 2, 2)[0].link?.column, 3);
+    await link(2, 2, null);
+    check('and is taken off again', 'link' in at(m.saved, 2, 2)[0], false);
+    check('each a change in the log', m.revisions.filter(revision => revision.action === 'link-symbol').length, 3);
+}
+
+console.log('\nan edit on one floor of a stacked scene stays on that floor');
+{
+    const m = makeManager(baseRecord({
+        bands: { 10: { explored: ['5,5'], symbols: [], floors: {}, sides: {}, hidden: [] } }
+    }));
+    const stored = () => atBand(m.saved, '');
+    await m._processMutationRequest(
+        { action: 'place-symbol', mapId: 'a-alice::s1', band: '10', type: 'note', column: 5, row: 5, userId: 'u-gm' }, { allowLocalGM: true }
+    );
+    check('placed on the floor above', stored().bands['10'].symbols.map(symbol => symbol.type), ['note']);
+    check('and not on the ground', stored().symbols, []);
+    check('logged as made there', m.revisions.at(-1).band, '10');
+    m.saved = null;
+    await m._processMutationRequest(
+        { action: 'place-symbol', mapId: 'a-alice::s1', type: 'note', column: 5, row: 5, userId: 'u-gm' }, { allowLocalGM: true }
+    );
+    check('a square explored above is not explored below', m.saved, null);
+    await m._processMutationRequest(
+        { action: 'set-floor', mapId: 'a-alice::s1', type: 'wood', column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true }
+    );
+    check('the ground keeps its own surfaces', [stored().floors['1,1'], stored().bands['10'].floors['1,1']], ['wood', undefined]);
+    await m._processMutationRequest(
+        { action: 'undo-revision', mapId: 'a-alice::s1', revisionId: m.revisions[0].id, userId: 'u-gm' }, { allowLocalGM: true }
+    );
+    check('undone on its own floor, from the ground', stored().bands['10'].symbols, []);
+    check('leaving the ground as it was', stored().floors['1,1'], 'wood');
+    check('and logged there too', m.revisions.at(-1).band, '10');
+    await m._processMutationRequest(
+        { action: 'place-symbol', mapId: 'a-alice::s1', band: 'attic', type: 'note', column: 1, row: 1, userId: 'u-gm' }, { allowLocalGM: true }
+    );
+    check('a floor that is no floor is the ground', stored().symbols.map(symbol => symbol.type), ['note']);
+}
+
+console.log('\na scene built from a map fits its background without shrinking it');
+{
+    const m = makeManager(baseRecord());
+    const built = (columns, rows) => m.sceneBuildDimensions(baseRecord({ columns, rows, explored: [] }));
+    check('a map that fits keeps the scene\'s squares', [built(40, 30).size, built(40, 30).shrunk], [100, undefined]);
+    const wide = built(120, 30);
+    check('one too wide is built on smaller squares', [wide.size, wide.shrunk], [68, true]);
+    check('whose background fits one image', wide.columns * wide.size <= EXPORT_MAX_EDGE, true);
+    check('one needing squares smaller than Foundry allows is not built', built(500, 10), null);
 }
 
 console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
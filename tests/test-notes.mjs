@@ -0,0 +1,66 @@
+// Notes that link to journals, characters and items, and journal links that
+// point back at a spot on a map.
+//
+// Both are written into plain text, so the text has to come out of a round
+// trip as it went in: a label that ended a link early would leave the rest of
+// the note as stray brackets, and a map link read back wrong opens the wrong
+// room -- or the right room on the wrong floor.
+import { MAP_SPOT_PATTERN, mapSpotMarkup, noteLinkMarkup, noteLinks, parseMapSpot, plainNoteText } from '../scripts/notes-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+const spots = text => [...text.matchAll(MAP_SPOT_PATTERN)].map(parseMapSpot);
+
+console.log('links written into a note');
+{
+    check('as Foundry writes them', noteLinkMarkup('Actor.abc123', 'Bruenor'), '@UUID[Actor.abc123]{Bruenor}');
+    check('a name that would end the link early, defused', noteLinkMarkup('Item.x', 'Sword [of] {Doom}'), '@UUID[Item.x]{Sword of Doom}');
+    check('no name, no label', noteLinkMarkup('JournalEntry.j1', '  '), '@UUID[JournalEntry.j1]');
+    const text = 'Met @UUID[Actor.abc]{Bruenor} here.\nSee @UUID[JournalEntry.j1.JournalEntryPage.p2]{The Deal} and @UUID[Item.x]';
+    check('read back in order', noteLinks(text), [
+        { uuid: 'Actor.abc', label: 'Bruenor' },
+        { uuid: 'JournalEntry.j1.JournalEntryPage.p2', label: 'The Deal' },
+        { uuid: 'Item.x', label: '' }
+    ]);
+    check('none in plain words', noteLinks('A cold altar.'), []);
+    check('and none in nothing', noteLinks(undefined), []);
+}
+
+console.log('\na note read as words');
+{
+    check('each link as its label', plainNoteText('Met @UUID[Actor.abc]{Bruenor} here.'), 'Met Bruenor here.');
+    check('or its uuid, given none', plainNoteText('See @UUID[Item.x]'), 'See Item.x');
+    check('line breaks kept', plainNoteText('One\nTwo'), 'One\nTwo');
+    check('nothing is empty', plainNoteText(null), '');
+}
+
+console.log('\na link to a spot on a map');
+{
+    const ground = mapSpotMarkup({ mapId: 'a-bruenor::s1', column: 3, row: 4 }, 'Barrow Hill: the altar');
+    check('on the ground, no floor named', ground, '@CartographerMap[a-bruenor::s1#3,4]{Barrow Hill: the altar}');
+    const upstairs = mapSpotMarkup({ mapId: 'official:k9', band: '10', column: 0, row: 12 }, 'Loft');
+    check('on another floor, named', upstairs, '@CartographerMap[official:k9#0,12@10]{Loft}');
+    check('read back where it was written', spots(`${ground} and later ${upstairs}`), [
+        { mapId: 'a-bruenor::s1', band: '', column: 3, row: 4, label: 'Barrow Hill: the altar' },
+        { mapId: 'official:k9', band: '10', column: 0, row: 12, label: 'Loft' }
+    ]);
+    check('below the ground, and off the edge', spots('@CartographerMap[m#-2,-1@-10]'), [
+        { mapId: 'm', band: '-10', column: -2, row: -1, label: '' }
+    ]);
+    const mezzanine = mapSpotMarkup({ mapId: 'official:k9', band: '7_5', column: 1, row: 2 }, 'Mezz');
+    check('a floor part way up, read back', spots(mezzanine), [
+        { mapId: 'official:k9', band: '7_5', column: 1, row: 2, label: 'Mezz' }
+    ]);
+    check('as is one pasted while its id had a dot', spots('@CartographerMap[official:k9#1,2@7.5]{Mezz}'), [
+        { mapId: 'official:k9', band: '7_5', column: 1, row: 2, label: 'Mezz' }
+    ]);
+    check('a label defused like a note\'s', mapSpotMarkup({ mapId: 'm', column: 1, row: 1 }, 'The [secret] door'), '@CartographerMap[m#1,1]{The secret door}');
+    check('a square that is not one is no link', spots('@CartographerMap[m#a,1] @CartographerMap[m]'), []);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
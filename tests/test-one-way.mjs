@@ -0,0 +1,98 @@
+// One-way doors: Foundry says which side of a wall is passable as left or right
+// of the wall's own vector, so the same door reads differently depending on
+// which end it was drawn from. The map has to turn that into a compass way
+// through the door, and building walls from the map has to turn it back.
+//
+// The cases below are worked by hand for a wall drawn each of the four ways
+// along a square's side, once each way round: nothing here asks the code under
+// test which side is which.
+import { buildSceneAtlas, classifyWall, withAuthoredBoundaries } from '../scripts/atlas-mapping.js';
+import { captureTemplate } from '../scripts/templates-mapping.js';
+import { normalizeBoundaries } from '../scripts/utils-mapping.js';
+import { buildMapWalls } from '../scripts/walls-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+// Foundry's v13 values.
+globalThis.CONST = {
+    WALL_DOOR_TYPES: { NONE: 0, DOOR: 1, SECRET: 2 },
+    WALL_DOOR_STATES: { CLOSED: 0, OPEN: 1, LOCKED: 2 },
+    WALL_DIRECTIONS: { BOTH: 0, LEFT: 1, RIGHT: 2 },
+    WALL_SENSE_TYPES: { NONE: 0, LIMITED: 10, NORMAL: 20, PROXIMITY: 30, DISTANCE: 40 },
+    WALL_MOVEMENT_TYPES: { NONE: 0, NORMAL: 20 }
+};
+globalThis.canvas = { ready: true, scene: null };
+const SIZE = 100;
+const { LEFT, RIGHT } = CONST.WALL_DIRECTIONS;
+const sceneOf = walls => ({ id: 'one-way', grid: { size: SIZE }, walls });
+const door = (c, dir, extra = {}) => ({ c, door: CONST.WALL_DOOR_TYPES.DOOR, ds: 0, dir, move: 20, sight: 20, light: 20, ...extra });
+const empty = { features: {}, lines: [], secrets: [], barriers: new Set(), split: new Set() };
+
+console.log('classified');
+{
+    check('a door with a direction is a one-way door', classifyWall(door([0, 0, 100, 0], LEFT)), 'one-way-door');
+    check('without one it is a door', classifyWall(door([0, 0, 100, 0], 0)), 'door');
+    check('locked is locked, whichever way it would open', classifyWall(door([0, 0, 100, 0], RIGHT, { ds: 2 })), 'locked-door');
+}
+
+// The side between squares 2,2 (north) and 2,3 (south), and the side between
+// 2,2 (west) and 3,2 (east). Written against the square the door opens from,
+// on the side that leads out of it.
+console.log('\nthe way through, for a wall drawn each way');
+const cases = [
+    ['drawn east', [200, 300, 300, 300], RIGHT, { '2,2': ['one-way-door:south'] }],
+    ['drawn east', [200, 300, 300, 300], LEFT, { '2,3': ['one-way-door:north'] }],
+    ['drawn west', [300, 300, 200, 300], RIGHT, { '2,3': ['one-way-door:north'] }],
+    ['drawn west', [300, 300, 200, 300], LEFT, { '2,2': ['one-way-door:south'] }],
+    ['drawn south', [300, 200, 300, 300], RIGHT, { '3,2': ['one-way-door:west'] }],
+    ['drawn south', [300, 200, 300, 300], LEFT, { '2,2': ['one-way-door:east'] }],
+    ['drawn north', [300, 300, 300, 200], RIGHT, { '2,2': ['one-way-door:east'] }],
+    ['drawn north', [300, 300, 300, 200], LEFT, { '3,2': ['one-way-door:west'] }]
+];
+for (const [label, c, dir, expected] of cases) {
+    check(`${label}, ${dir === LEFT ? 'left' : 'right'}`, buildSceneAtlas(sceneOf([door(c, dir)])).features, expected);
+}
+
+console.log('\ndoorways built from pieces');
+{
+    // Two halves of one door drawn towards each other: opposite vectors,
+    // opposite dirs, the same door.
+    const halves = [door([200, 300, 250, 300], RIGHT), door([300, 300, 250, 300], LEFT)];
+    check('halves that agree are one door', buildSceneAtlas(sceneOf(halves)).features, { '2,2': ['one-way-door:south'] });
+    const quarrel = [door([200, 300, 250, 300], RIGHT), door([300, 300, 250, 300], RIGHT)];
+    check('halves that disagree are an ordinary door', buildSceneAtlas(sceneOf(quarrel)).features, { '2,3': ['door:north'] });
+    check('a double door opens the same way across its width',
+        buildSceneAtlas(sceneOf([door([200, 300, 400, 300], LEFT)])).features,
+        { '2,3': ['one-way-door:north'], '3,3': ['one-way-door:north'] });
+}
+
+console.log('\nbuilt into walls and read back');
+for (const features of [
+    { '2,2': ['one-way-door:south'] },
+    { '2,3': ['one-way-door:north'] },
+    { '2,2': ['one-way-door:east'] },
+    { '3,2': ['one-way-door:west'] }
+]) {
+    const [[key, [code]]] = Object.entries(features);
+    const { walls, counts } = buildMapWalls({ explored: ['2,2', '2,3', '3,2'] }, { ...empty, features }, { size: SIZE });
+    check(`${code} on ${key}: counted as one`, counts['one-way-door'], 1);
+    check(`${code} on ${key}: comes back as itself`, buildSceneAtlas(sceneOf(walls)).features, features);
+}
+
+console.log('\nwhere a line has no side');
+{
+    const atlas = { ...empty, features: { '2,2': ['one-way-door:south'] } };
+    check('a hand-drawn boundary replaces it like any other',
+        withAuthoredBoundaries(atlas, { 'h:2:3': 'wall' }).features, { '2,3': ['wall:north'] });
+    check('but cannot be one', normalizeBoundaries({ 'h:2:3': 'one-way-door' }), {});
+    check('and a template keeps it as a door',
+        captureTemplate({ explored: ['2,2'] }, atlas, { left: 2, top: 2, right: 2, bottom: 2 }).boundaries, { 'h:0:1': 'door' });
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
@@ -1,10 +1,19 @@
-// Where each kind of map is written, and that it is written at all.
+// Where each kind of map is written, that it is written at all, and who may
+// read what is written.
 //
 // The party map and every official map were once created, cached, rendered --
 // and never saved, because the write path asked for an Actor id and they have
 // none. Nothing failed; the record simply stopped existing at the next reload.
 // A write that silently does nothing is the failure this suite exists to catch.
+//
+// Each map is its own journal page now, readable only by the users who may see
+// it, so a hidden artifact that turned up on a player's page would be the same
+// kind of silent failure: nothing would look wrong. The store's own functions
+// are stubbed; what is tested is what the manager hands them.
 import fs from 'node:fs';
+import { atBand } from '../scripts/elevation-mapping.js';
+import { mapLinks } from '../scripts/levels-mapping.js';
+import { mapNotes } from '../scripts/search-mapping.js';
 
 const src = fs.readFileSync('scripts/manager-mapping.js', 'utf8');
 const helpers = src.slice(src.indexOf('const MAP_KINDS'), src.indexOf('/** Compact "column,row"'));
@@ -13,23 +22,58 @@ const pick = (name) => {
     if (start < 0) throw new Error(`missing ${name}`);
     return src.slice(start, src.indexOf('\n    }\n', start) + 6);
 };
-const methods = ['async _persistMapRecord', '_sceneMaps'].map(pick).join('\n');
+const methods = [
+    'async _persistMapRecord', '_mapPageData', '_pageOwnership', 'canViewRecord', '_canManageActor',
+    '_indexEntry', '_recordId', 'async _migrateSceneFlags', '_indexScene', '_sceneMaps', 'async _persistMapDeletion',
+    '_handleActorMaps'
+].map(pick).join('\n');
 
 const MODULE = { ID: 'coffee-pub-cartographer', NAME: 'Cartographer' };
 const FLAG_KEY = 'mapping';
 const STATE_VERSION = 4;
-const broadcasts = [];
-const socketManager = { broadcast: async (...args) => { broadcasts.push(args); } };
+globalThis.CONST = { DOCUMENT_OWNERSHIP_LEVELS: { NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 } };
 globalThis.foundry = { utils: { deepClone: (v) => structuredClone(v) } };
 
-let writes = [];
-let stored = null;
-const scene = {
-    id: 's1',
-    getFlag: () => stored,
-    update: async (data) => { writes.push(data); }
+// The store, as far as the manager can see it: a list of pages.
+let pages = [];
+const store = { id: 'j1' };
+const ensureMapStore = async () => store;
+const mapPage = (id) => pages.find(page => page.id === id) ?? null;
+const pageMap = (page) => page?.record ?? null;
+const storedMaps = () => pages.map(page => ({ page, raw: page.record }));
+const writeMapPage = async (_store, data) => {
+    pages = pages.filter(page => page.id !== data.id);
+    pages.push(data);
+};
+const deleteMapPage = async (id) => { pages = pages.filter(page => page.id !== id); };
+// Who holds an Item carrying each artifact, by map id.
+const carried = {};
+const mapHolders = (mapId) => carried[mapId] ?? [];
+// And the Items lying in the sidebar, carrying a map for nobody.
+const loose = {};
+const mapItems = (mapId) => [...(loose[mapId] ?? []), ...mapHolders(mapId).map(actor => ({ parent: actor }))];
+
+const gm = { id: 'u-gm', isGM: true };
+const alice = { id: 'u-alice', isGM: false };
+const bob = { id: 'u-bob', isGM: false };
+// Whoever plays Bruenor, changed below to hand him over.
+let bruenorPlayer = 'u-alice';
+const actors = new Map([['a-bruenor', { id: 'a-bruenor', name: 'Bruenor', testUserPermission: (user) => user.id === bruenorPlayer }]]);
+let sceneFlags = {};
+const scene = (id) => ({
+    id,
+    name: `Scene ${id}`,
+    getFlag: () => sceneFlags[id] ?? null,
+    unsetFlag: async () => { delete sceneFlags[id]; }
+});
+const scenes = [scene('s1'), scene('s2')];
+globalThis.game = {
+    scenes: { get: (id) => scenes.find(entry => entry.id === id) ?? null, contents: scenes },
+    user: gm,
+    users: Object.assign([gm, alice, bob], { activeGM: { isSelf: true } }),
+    actors: { get: (id) => actors.get(id) },
+    i18n: { localize: (key) => key }
 };
-globalThis.game = { scenes: { get: (id) => (id === 's1' ? scene : null) }, user: { isGM: true, id: 'u-gm' } };
 
 const { Mgr } = eval(`(() => { ${helpers}\nreturn { Mgr: class M {\n${methods}\n} }; })()`);
 
@@ -45,69 +89,132 @@ function manager() {
     m._saveQueue = Promise.resolve();
     m._index = new Map();
     m.records = new Map();
-    m.containers = [];
-    m._writeSceneContainer = async (_scene, container) => { m.containers.push(container); };
+    m._deletedMapIds = new Map();
+    m.currentMapId = null;
+    m.partyName = () => 'The Party';
+    m.renderWindow = async () => {};
     return m;
 }
 const record = (over) => ({ sceneId: 's1', explored: [], symbols: [], ...over });
-const pathOf = (write) => Object.keys(write ?? {})[0] ?? null;
-
-console.log('into an existing container, each kind lands under its own key');
-stored = { version: STATE_VERSION, maps: {} };
-for (const [label, rec, key] of [
-    ['a player map', record({ kind: 'player', actorId: 'a-bruenor' }), 'a-bruenor'],
-    ['the party map', record({ kind: 'party', actorId: null }), 'party'],
-    ['an official map', record({ kind: 'official', officialId: 'o7', actorId: null }), 'official:o7']
+const readers = (page) => Object.entries(page.ownership).filter(([id, level]) => id !== 'default' && level === 2).map(([id]) => id);
+
+console.log('each kind of map is written, to a page of its own');
+for (const [label, rec, id] of [
+    ['a player map', record({ id: 'a-bruenor::s1', kind: 'player', actorId: 'a-bruenor' }), 'a-bruenor::s1'],
+    ['the party map', record({ id: 'party::s1', kind: 'party', actorId: null }), 'party::s1'],
+    ['an official map', record({ id: 'official:o7::s1', kind: 'official', officialId: 'o7', actorId: null }), 'official:o7::s1']
 ]) {
-    writes = [];
+    pages = [];
+    await manager()._persistMapRecord(rec);
+    check(`${label} is written`, pages.length, 1);
+    check(`  ...as ${id}`, pages[0]?.id, id);
+}
+
+console.log('\nwriting again replaces the page rather than adding one');
+{
+    pages = [];
     const m = manager();
-    await m._persistMapRecord(rec);
-    check(`${label} is written`, writes.length, 1);
-    check(`  ...under ${key}`, pathOf(writes[0]), `flags.coffee-pub-cartographer.mapping.maps.${key}`);
+    await m._persistMapRecord(record({ id: 'party::s1', kind: 'party', explored: ['1,1'] }));
+    await m._persistMapRecord(record({ id: 'party::s1', kind: 'party', explored: [] }));
+    check('one page', pages.length, 1);
+    check('holding the latest', pages[0].record.explored, []);
 }
 
-console.log('\nreplacing an existing entry forces the whole value');
-stored = { version: STATE_VERSION, maps: { party: { kind: 'party' } } };
+console.log('\na record naming no owner is not written anywhere');
 {
-    writes = [];
+    pages = [];
     const m = manager();
-    await m._persistMapRecord(record({ kind: 'party', actorId: null }));
-    check('"==" prefix so a merge cannot resurrect what was removed',
-        pathOf(writes[0]), 'flags.coffee-pub-cartographer.mapping.maps.==party');
+    await m._persistMapRecord(record({ kind: 'player', actorId: null }));
+    check('nothing written', pages.length, 0);
+    await m._persistMapRecord(record({ kind: 'official', officialId: null, actorId: null }));
+    check('an artifact with no id of its own is not written either', pages.length, 0);
 }
 
-console.log('\nwith no container yet, a whole one is laid down');
-stored = null;
+console.log('\nwho may read each page');
 {
     const m = manager();
-    await m._persistMapRecord(record({ kind: 'official', officialId: 'o7', actorId: null }));
-    check('a container was written', m.containers.length, 1);
-    check('holding the artifact under its key', Object.keys(m.containers[0].maps), ['official:o7']);
+    const pageFor = (rec) => m._mapPageData(record(rec));
+    check('a hidden artifact: nobody but the GM',
+        readers(pageFor({ id: 'official:o7::s1', kind: 'official', officialId: 'o7' })), []);
+    carried['official:o8::s1'] = [actors.get('a-bruenor')];
+    check('a carried artifact: whoever plays its holder',
+        readers(pageFor({ id: 'official:o8::s1', kind: 'official', officialId: 'o8' })), ['u-alice']);
+    check('an artifact revealed before Items, and on none yet: everyone',
+        readers(pageFor({ id: 'official:o9::s1', kind: 'official', officialId: 'o9', shared: true })), ['u-alice', 'u-bob']);
+    check('a private player map: its Actor\'s owner',
+        readers(pageFor({ id: 'a-bruenor::s1', kind: 'player', actorId: 'a-bruenor' })), ['u-alice']);
+    check('a shared player map: everyone',
+        readers(pageFor({ id: 'a-bruenor::s1', kind: 'player', actorId: 'a-bruenor', shared: true })), ['u-alice', 'u-bob']);
+    check('the party map: everyone', readers(pageFor({ id: 'party::s1', kind: 'party' })), ['u-alice', 'u-bob']);
+    const hidden = pageFor({ id: 'official:o7::s1', kind: 'official', officialId: 'o7' });
+    check('a user without access is named as such, so a merge takes access away',
+        hidden.ownership, { default: 0, 'u-alice': 0, 'u-bob': 0 });
+    // A player who joins later is somebody nobody named.
+    check('a map everybody may see is read by default, by whoever joins later',
+        ['party::s1', 'a-bruenor::s1'].map(id => pageFor({ id, kind: id === 'party::s1' ? 'party' : 'player', actorId: 'a-bruenor', shared: true }).ownership.default), [2, 2]);
+    check('and one only some may see is not',
+        [pageFor({ id: 'a-bruenor::s1', kind: 'player', actorId: 'a-bruenor' }), pageFor({ id: 'official:o8::s1', kind: 'official', officialId: 'o8' })]
+            .map(page => page.ownership.default), [0, 0]);
+    delete carried['official:o8::s1'];
 }
 
-console.log('\na record naming no owner is not written anywhere');
-stored = { version: STATE_VERSION, maps: {} };
+console.log('\nan Actor changing hands changes who reads its maps');
 {
-    writes = [];
+    pages = [];
     const m = manager();
-    await m._persistMapRecord(record({ kind: 'player', actorId: null }));
-    check('nothing written', writes.length, 0);
-    await m._persistMapRecord(record({ kind: 'official', officialId: null, actorId: null }));
-    check('an artifact with no id of its own is not written either', writes.length, 0);
+    const mine = record({ id: 'a-bruenor::s1', kind: 'player', actorId: 'a-bruenor' });
+    const party = record({ id: 'party::s1', kind: 'party' });
+    m._index.set(mine.id, { id: mine.id, actorId: 'a-bruenor' });
+    m._index.set(party.id, { id: party.id, actorId: null });
+    m.getRecord = id => [mine, party].find(entry => entry.id === id) ?? null;
+    await m._persistMapRecord(mine);
+    check('Alice plays him, so reads his map', readers(mapPage(mine.id)), ['u-alice']);
+    bruenorPlayer = 'u-bob';
+    m._handleActorMaps(actors.get('a-bruenor'));
+    await m._saveQueue;
+    check('handed to Bob, Bob does, and Alice no longer', readers(mapPage(mine.id)), ['u-bob']);
+    check('with no other map written', pages.map(page => page.id), [mine.id]);
+    bruenorPlayer = 'u-alice';
 }
 
-console.log('\nrebuilding the container keeps every kind');
+console.log('\nmaps in scene flags move onto pages');
 {
+    pages = [];
+    sceneFlags = {
+        s1: { version: STATE_VERSION, maps: {
+            'a-bruenor': { kind: 'player', actorId: 'a-bruenor', explored: ['1,1'] },
+            party: { kind: 'party', explored: ['2,2'] }
+        } },
+        // Already moved once, as though a previous run stopped before clearing.
+        s2: { version: STATE_VERSION, maps: { party: { kind: 'party', explored: ['9,9'] } } }
+    };
+    pages.push({ id: 'party::s2', record: { kind: 'party', sceneId: 's2', explored: ['3,3'] }, ownership: {} });
     const m = manager();
-    const entries = [
-        { id: 'a-bruenor::s1', sceneId: 's1', kind: 'player', actorId: 'a-bruenor', raw: { n: 1 } },
-        { id: 'party::s1', sceneId: 's1', kind: 'party', actorId: null, raw: { n: 2 } },
-        { id: 'official:o7::s1', sceneId: 's1', kind: 'official', officialId: 'o7', actorId: null, raw: { n: 3 } },
-        { id: 'a-other::s2', sceneId: 's2', kind: 'player', actorId: 'a-other', raw: { n: 4 } }
-    ];
-    for (const entry of entries) m._index.set(entry.id, entry);
-    const maps = m._sceneMaps('s1');
-    check('this scene only, keyed by owner', Object.keys(maps).sort(), ['a-bruenor', 'official:o7', 'party']);
+    const moved = await m._migrateSceneFlags();
+    check('every map not already on a page is moved', moved, 2);
+    check('each onto its own page', pages.map(page => page.id).sort(), ['a-bruenor::s1', 'party::s1', 'party::s2']);
+    check('a map says which scene it is of', pages.find(page => page.id === 'party::s1').record.sceneId, 's1');
+    check('a page already there is left alone', pages.find(page => page.id === 'party::s2').record.explored, ['3,3']);
+    check('and the flags are cleared', sceneFlags, {});
+    check('the moved maps are indexed', [...m._index.keys()].sort(), ['a-bruenor::s1', 'party::s1', 'party::s2']);
+    check('running again moves nothing', await m._migrateSceneFlags(), 0);
+}
+
+console.log('\na container too old to read is left where it is');
+{
+    pages = [];
+    sceneFlags = { s1: { version: 2, maps: { party: { kind: 'party' } } } };
+    await manager()._migrateSceneFlags();
+    check('nothing moved', pages.length, 0);
+    check('nothing cleared', Object.keys(sceneFlags), ['s1']);
+    sceneFlags = {};
+}
+
+console.log('\ndeleting a map deletes its page');
+{
+    pages = [{ id: 'party::s1', record: { kind: 'party', sceneId: 's1' } }, { id: 'party::s2', record: { kind: 'party', sceneId: 's2' } }];
+    await manager()._persistMapDeletion('party::s1');
+    check('only that page', pages.map(page => page.id), ['party::s2']);
 }
 
 console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
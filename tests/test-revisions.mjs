@@ -0,0 +1,107 @@
+// A map's revision log: that each revision holds the change and only the
+// change, that taking one back gives the map as it was, and that taking back an
+// old change leaves every later one to other squares where it is.
+//
+// A revision that lost part of what it changed would restore a map that looked
+// right and was not -- a wall gone, a floor reverted on one square of a room --
+// which is nothing anybody would notice until it mattered.
+import { diffCells, diffSummary, makeRevision, mapDiff, normalizeRevisions, REVISION_LIMIT, revertDiff } from '../scripts/revisions-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+const map = (over = {}) => ({
+    name: 'Crypt', explored: ['1,1', '2,1'], hidden: [], symbols: [], floors: {}, boundaries: {}, variants: {}, sides: {}, ...over
+});
+// Through JSON, as a document flag would store it.
+const stored = value => JSON.parse(JSON.stringify(value));
+const undo = (record, diff) => ({ ...record, ...revertDiff(record, stored(diff)) });
+const sorted = record => ({ ...record, explored: [...record.explored].sort(), hidden: [...record.hidden].sort() });
+
+console.log('a revision holds what changed');
+{
+    check('nothing changed is nothing', mapDiff(map(), map()), null);
+    check('and is not worth a revision', makeRevision(map(), map(), { id: 'r1', action: 'rename', userId: 'u', at: 1 }), null);
+    const diff = mapDiff(map(), map({ explored: ['1,1', '3,1'], floors: { '1,1': 'wood' } }));
+    check('squares come and go', diff.explored, { added: ['3,1'], removed: ['2,1'] });
+    check('a floor is what it was and what it is', diff.floors, { '1,1': [null, 'wood'] });
+    check('and nothing else is there', Object.keys(diff), ['explored', 'floors']);
+    const moved = mapDiff(
+        map({ symbols: [{ id: 's1', type: 'note', column: 1, row: 1 }] }),
+        map({ symbols: [{ id: 's1', type: 'trap', column: 1, row: 1 }] })
+    );
+    check('a symbol written over is one out and one in', [moved.symbols.removed[0].type, moved.symbols.added[0].type], ['note', 'trap']);
+}
+
+console.log('\ntaking a revision back gives the map as it was');
+for (const [label, before, after] of [
+    ['squares drawn', map(), map({ explored: ['1,1', '2,1', '3,1', '3,2'] })],
+    ['squares struck off', map(), map({ explored: ['1,1'], hidden: ['2,1'] })],
+    ['a symbol placed', map(), map({ symbols: [{ id: 's1', type: 'note', column: 1, row: 1, text: 'bones' }] })],
+    ['a floor surfaced and cleared', map({ floors: { '1,1': 'stone' } }), map({ floors: { '2,1': 'wood' } })],
+    ['a wall drawn and a door marked', map(), map({ boundaries: { 'v:2:1': 'wall' }, variants: { 'h:1:1': 'portcullis' } })],
+    ['renamed', map(), map({ name: 'Deeper Crypt' })],
+    ['emptied', map({ symbols: [{ id: 's1', type: 'trap', column: 2, row: 1 }], floors: { '1,1': 'wood' } }),
+        map({ explored: [], symbols: [], floors: {} })]
+]) {
+    check(label, sorted(undo(after, mapDiff(before, after))), sorted(before));
+}
+
+console.log('\nan old change taken back leaves later ones alone');
+{
+    const first = map();
+    const second = map({ explored: ['1,1', '2,1', '3,1'] });
+    // A later change to a different square, and one to the same square.
+    const third = { ...second, floors: { '1,1': 'wood' }, symbols: [{ id: 's1', type: 'note', column: 3, row: 1 }] };
+    const taken = undo(third, mapDiff(first, second));
+    check('the square it drew is gone', taken.explored.includes('3,1'), false);
+    check('the floor laid since is still down', taken.floors, { '1,1': 'wood' });
+    check('the note placed since is still there', taken.symbols.map(symbol => symbol.id), ['s1']);
+}
+
+console.log('\nwinding back several, newest first');
+{
+    const versions = [
+        map(),
+        map({ explored: ['1,1', '2,1', '3,1'] }),
+        map({ explored: ['1,1', '2,1', '3,1'], name: 'Ossuary' }),
+        map({ explored: ['1,1', '3,1'], name: 'Ossuary', boundaries: { 'v:1:1': 'door' } })
+    ];
+    const log = versions.slice(1).map((version, index) => mapDiff(versions[index], version));
+    for (let back = 1; back <= log.length; back++) {
+        const restored = log.slice(-back).reverse().reduce(undo, versions.at(-1));
+        check(`back ${back}`, sorted(restored), sorted(versions.at(-1 - back)));
+    }
+}
+
+console.log('\nwhat a revision shows');
+{
+    const diff = mapDiff(
+        map({ hidden: ['5,5'] }),
+        map({
+            explored: ['1,1', '4,4'],
+            symbols: [{ id: 's1', type: 'note', column: 1, row: 1 }],
+            boundaries: { 'h:7:2': 'wall' }
+        })
+    );
+    const cells = diffCells(diff);
+    check('drawn', [...cells.added], ['4,4']);
+    check('struck off', [...cells.removed], ['2,1']);
+    check('changed, wherever it was changed', [...cells.changed].sort(), ['1,1', '5,5', '7,2']);
+    check('counted', diffSummary(diff), { added: 1, removed: 1, symbols: 1, floors: 0, walls: 1 });
+}
+
+console.log('\na stored log');
+{
+    const entry = id => ({ id, action: 'rename', userId: 'u', at: 1, diff: { values: { name: ['a', 'b'] } } });
+    check('keeps what it can read', normalizeRevisions([entry('r1'), { id: 'r2' }, null, entry('')]).map(revision => revision.id), ['r1']);
+    const long = Array.from({ length: REVISION_LIMIT + 5 }, (_, index) => entry(`r${index}`));
+    check('and no more than its limit, newest kept', normalizeRevisions(long).map(revision => revision.id).slice(0, 1), ['r5']);
+    check('anything else is an empty log', normalizeRevisions('nope'), []);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
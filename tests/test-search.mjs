@@ -0,0 +1,91 @@
+// Searching the Recorded Maps list: which maps a search keeps, which of their
+// notes it found, and what each choice beside the box narrows the list to.
+//
+// A search that quietly missed a map is indistinguishable from the map not
+// existing, which is the one thing a search must never suggest.
+import { isFiltering, mapNotes, normalizeListFilter, searchMaps, searchTerms } from '../scripts/search-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+const NOW = 100 * 24 * 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const note = (column, row, text, band = '') => ({ column, row, band, text });
+// Rows as the list builds them.
+const maps = [
+    { id: 'crypt', kind: 'player', name: 'The Crypt', sceneName: 'Barrow Hill', ownerLabel: 'Bruenor', actorId: 'a-bruenor', isShared: false, updatedAt: NOW - DAY / 2, notes: [note(3, 4, 'A cold altar, stained dark.')] },
+    { id: 'party', kind: 'party', name: 'Party Map', sceneName: 'Barrow Hill', ownerLabel: 'The Party', contributors: ['a-bruenor', 'a-sable'], updatedAt: NOW - 3 * DAY, notes: [] },
+    { id: 'inn', kind: 'player', name: 'Sable\'s Map', sceneName: 'The Prancing Pony', ownerLabel: 'Sable', actorId: 'a-sable', isShared: true, updatedAt: NOW - 20 * DAY, notes: [note(1, 1, 'The innkeeper owes us'), note(2, 2, 'Cellar door', '10')] },
+    { id: 'deed', kind: 'official', name: 'Old Survey', sceneName: 'Barrow Hill', ownerLabel: 'Official', updatedAt: NOW - 60 * DAY, notes: [] }
+];
+const find = over => searchMaps(maps, normalizeListFilter(over), NOW).map(map => map.id);
+
+console.log('a filter as the window holds it');
+{
+    check('everything open', normalizeListFilter(), { text: '', kind: 'all', sharing: 'all', contributor: '', updated: 'any' });
+    check('what is not a choice is left open', normalizeListFilter({ kind: 'dragon', updated: 'year', text: 7 }), normalizeListFilter());
+    check('an empty filter leaves nothing out', isFiltering(normalizeListFilter({ text: '   ' })), false);
+    check('a word does', isFiltering(normalizeListFilter({ text: 'crypt' })), true);
+    check('as does any choice', isFiltering(normalizeListFilter({ sharing: 'private' })), true);
+    check('words, folded and split', searchTerms('  Cold   ALTAR '), ['cold', 'altar']);
+}
+
+console.log('\nwhat a search reads');
+{
+    check('a map\'s name', find({ text: 'crypt' }), ['crypt']);
+    check('its scene\'s', find({ text: 'prancing' }), ['inn']);
+    check('its owner\'s', find({ text: 'the party' }), ['party']);
+    check('its notes', find({ text: 'innkeeper' }), ['inn']);
+    check('every word, each anywhere', find({ text: 'barrow altar' }), ['crypt']);
+    check('but every one of them', find({ text: 'barrow innkeeper' }), []);
+    check('in any case', find({ text: 'OLD survey' }), ['deed']);
+}
+
+console.log('\nthe notes it found');
+{
+    const [inn] = searchMaps(maps, normalizeListFilter({ text: 'cellar' }), NOW);
+    check('only the ones that match', inn.noteMatches.map(match => [match.column, match.row, match.band]), [[2, 2, '10']]);
+    const [named] = searchMaps(maps, normalizeListFilter({ text: 'sable' }), NOW);
+    check('none, for a map found by its name', named.noteMatches, []);
+    const long = `${'Dust and bones. '.repeat(8)}Here the altar stands, cold. ${'More dust. '.repeat(8)}`;
+    const [found] = searchMaps([{ ...maps[0], notes: [note(0, 0, long)] }], normalizeListFilter({ text: 'altar' }), NOW);
+    const excerpt = found.noteMatches[0].excerpt;
+    check('a long note cut down around the match', [excerpt.includes('altar'), excerpt.startsWith('…'), excerpt.endsWith('…')], [true, true, true]);
+}
+
+console.log('\nthe choices beside the box');
+{
+    check('by kind', [find({ kind: 'player' }), find({ kind: 'party' }), find({ kind: 'official' })], [['crypt', 'inn'], ['party'], ['deed']]);
+    check('shared: the party map, an artifact, and a map shown to others', find({ sharing: 'shared' }), ['party', 'inn', 'deed']);
+    check('private: a map kept to oneself', find({ sharing: 'private' }), ['crypt']);
+    check('whose walking is on it, own map and party map', find({ contributor: 'a-bruenor' }), ['crypt', 'party']);
+    check('nobody walks an artifact', find({ contributor: 'a-gm' }), []);
+    check('changed in the last day', find({ updated: 'day' }), ['crypt']);
+    check('in the last week', find({ updated: 'week' }), ['crypt', 'party']);
+    check('in the last month', find({ updated: 'month' }), ['crypt', 'party', 'inn']);
+    check('with a search, both', find({ text: 'barrow', kind: 'player' }), ['crypt']);
+}
+
+console.log('\nnotes read off a stored map');
+{
+    const raw = {
+        symbols: [
+            { type: 'note', column: 1, row: 2, text: 'Bones' },
+            { type: 'note', column: 2, row: 2, text: '   ' },
+            { type: 'trap', column: 3, row: 2, text: 'Pit' }
+        ],
+        bands: { 10: { symbols: [{ type: 'note', column: 4, row: 4, text: 'Loft' }] } }
+    };
+    check('only notes with something in them, from every floor', mapNotes(raw).map(entry => [entry.text, entry.band]), [['Bones', ''], ['Loft', '10']]);
+    check('and none from nothing', mapNotes(null), []);
+    const linked = mapNotes({ symbols: [{ type: 'note', column: 0, row: 0, text: 'Paid @UUID[Actor.x1]{Old Tam} in full' }] });
+    check('a link read as what it is called', linked[0].text, 'Paid Old Tam in full');
+    const [found] = searchMaps([{ ...maps[0], notes: linked }], normalizeListFilter({ text: 'tam' }), NOW);
+    check('and found by it, never by its uuid', [found?.id, searchMaps([{ ...maps[0], notes: linked }], normalizeListFilter({ text: 'x1' }), NOW).length], ['crypt', 0]);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
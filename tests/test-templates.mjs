@@ -0,0 +1,124 @@
+// Map templates: cutting a piece out of a map, and turning and mirroring it on
+// the way back in.
+//
+// Orientation is where a mistake would hide -- a door that ends up on the wrong
+// side of a rotated room still draws, it is just wrong -- so the checks here are
+// the ones that do not depend on anybody's arithmetic: four quarter turns are no
+// turn, a mirror twice is no mirror, and both mirrors are half a turn. Then one
+// small room worked by hand, to pin down which way "clockwise" is.
+import { withAuthoredBoundaries } from '../scripts/atlas-mapping.js';
+import { captureTemplate, normalizeTemplate, orientTemplate, placeTemplate } from '../scripts/templates-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+// Key order is not meaning; compare as sorted entries.
+const canonical = template => ({
+    columns: template.columns,
+    rows: template.rows,
+    explored: [...template.explored].sort(),
+    floors: Object.entries(template.floors).sort(),
+    sides: Object.entries(template.sides).sort(),
+    symbols: template.symbols.map(symbol => `${symbol.type}@${symbol.column},${symbol.row}`).sort(),
+    boundaries: Object.entries(template.boundaries).sort()
+});
+
+// A 3x2 L: a row of three with one square hanging below its west end. A wall
+// along the top of the corner, a door into the hanging square from the west, a
+// window at the far east end; wood in the hanging square, whose floor lies low
+// and to the left; a trap at the east end.
+const room = {
+    columns: 3,
+    rows: 2,
+    explored: ['0,0', '1,0', '2,0', '0,1'],
+    floors: { '0,1': 'wood' },
+    sides: { '0,1': [10, 80] },
+    symbols: [{ type: 'trap', column: 2, row: 0, text: '' }],
+    boundaries: { 'h:0:0': 'wall', 'v:0:1': 'door', 'v:3:0': 'window' }
+};
+
+console.log('turning and mirroring undo themselves');
+{
+    let turned = room;
+    for (let turn = 0; turn < 4; turn++) turned = orientTemplate(turned, { rotation: 90 });
+    check('four quarter turns are no turn', canonical(turned), canonical(room));
+    check('a mirror twice is no mirror', canonical(orientTemplate(orientTemplate(room, { mirrorX: true }), { mirrorX: true })), canonical(room));
+    check('both mirrors are half a turn',
+        canonical(orientTemplate(room, { mirrorX: true, mirrorY: true })),
+        canonical(orientTemplate(room, { rotation: 180 })));
+    check('270 is three quarter turns',
+        canonical(orientTemplate(room, { rotation: 270 })),
+        canonical(orientTemplate(orientTemplate(orientTemplate(room, { rotation: 90 }), { rotation: 90 }), { rotation: 90 })));
+}
+
+console.log('\na quarter turn, worked by hand');
+{
+    const turned = orientTemplate(room, { rotation: 90 });
+    check('the room is now two wide and three tall', [turned.columns, turned.rows], [2, 3]);
+    // The row of three now runs down the east column; the hanging square is
+    // top-left, having been bottom-left.
+    check('squares', [...turned.explored].sort(), ['0,0', '1,0', '1,1', '1,2']);
+    check('the floor went with its square', turned.floors, { '0,0': 'wood' });
+    check('the floor side turned with it: low-left is now top-left', turned.sides, { '0,0': [20, 10] });
+    check('the trap went to the far end, now the bottom', turned.symbols.map(symbol => [symbol.column, symbol.row]), [[1, 2]]);
+    check('the top wall is now an east wall, the west door a north door, the east window a south one',
+        Object.entries(turned.boundaries).sort(),
+        [['h:0:0', 'door'], ['h:1:3', 'window'], ['v:2:0', 'wall']]);
+}
+
+console.log('\nmirrored left to right');
+{
+    const mirrored = orientTemplate(room, { mirrorX: true });
+    check('the door is on the east now', mirrored.boundaries['v:3:1'], 'door');
+    check('and the window on the west', mirrored.boundaries['v:0:0'], 'window');
+    check('the floor side mirrored', mirrored.sides, { '2,1': [90, 80] });
+}
+
+console.log('\nplaced at a square');
+{
+    const placed = placeTemplate(room, { column: 10, row: 5 });
+    check('squares moved', placed.explored, ['10,5', '11,5', '12,5', '10,6']);
+    check('lines moved', Object.keys(placed.boundaries).sort(), ['h:10:5', 'v:10:6', 'v:13:5']);
+    check('symbols moved', placed.symbols.map(symbol => [symbol.column, symbol.row]), [[12, 5]]);
+}
+
+console.log('\ncapturing a rectangle of a map');
+{
+    const empty = { features: {}, lines: [], secrets: [], barriers: new Set(), split: new Set() };
+    const record = {
+        explored: ['4,4', '5,4', '9,9'],
+        floors: { '4,4': 'tile', '9,9': 'wood' },
+        sides: {},
+        symbols: [{ type: 'trap', column: 5, row: 4, text: 'pit' }, { type: 'trap', column: 9, row: 9, text: '' }]
+    };
+    const atlas = withAuthoredBoundaries(empty, { 'h:4:4': 'wall', 'v:6:4': 'door', 'h:9:9': 'wall' });
+    const captured = captureTemplate(record, atlas, { left: 4, top: 4, right: 6, bottom: 5 });
+    check('sized to the rectangle', [captured.columns, captured.rows], [3, 2]);
+    check('only the squares inside, relative to its corner', captured.explored, ['0,0', '1,0']);
+    check('their floors', captured.floors, { '0,0': 'tile' });
+    check('their symbols, text and all', captured.symbols, [{ type: 'trap', column: 1, row: 0, text: 'pit' }]);
+    check('the walls around them, including on the rectangle edge',
+        Object.entries(captured.boundaries).sort(), [['h:0:0', 'wall'], ['v:2:0', 'door']]);
+    check('an area with no floor is nothing to keep', captureTemplate(record, atlas, { left: 0, top: 0, right: 2, bottom: 2 }), null);
+}
+
+console.log('\nstored templates are checked before they are trusted');
+{
+    check('no id, no template', normalizeTemplate({ ...room }), null);
+    const normalized = normalizeTemplate({
+        ...room,
+        id: 't1',
+        name: '',
+        explored: [...room.explored, 'nonsense'],
+        boundaries: { ...room.boundaries, 'h:1:1': 'open', 'x:1:1': 'wall' }
+    });
+    check('named by its id when it has no name', normalized.name, 't1');
+    check('malformed squares dropped', normalized.explored, room.explored);
+    check('malformed and open boundaries dropped', normalized.boundaries, room.boundaries);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
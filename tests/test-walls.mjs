@@ -0,0 +1,148 @@
+// Generating Foundry walls from a map.
+//
+// The generator is the atlas run backwards, so the check is to run it forwards
+// again: build walls from a map, hand them to the real buildSceneAtlas as a
+// scene, and the boundaries that come back must be the ones that went in. Each
+// kind of opening also has to come back as itself through classifyWall, which
+// is what decides what a wall is.
+import { buildSceneAtlas, classifyWall, withAuthoredBoundaries } from '../scripts/atlas-mapping.js';
+import { buildMapWalls, mapRegion, wallConfiguration, wallInRegion } from '../scripts/walls-mapping.js';
+
+let bad = 0;
+const check = (label, actual, expected) => {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a === e) { console.log('  ok    ' + label); return; }
+    bad++; console.log(`  FAIL  ${label}\n        expected ${e}\n        got      ${a}`);
+};
+
+// Foundry's v13 values, which both directions read.
+globalThis.CONST = {
+    WALL_DOOR_TYPES: { NONE: 0, DOOR: 1, SECRET: 2 },
+    WALL_DOOR_STATES: { CLOSED: 0, OPEN: 1, LOCKED: 2 },
+    WALL_SENSE_TYPES: { NONE: 0, LIMITED: 10, NORMAL: 20, PROXIMITY: 30, DISTANCE: 40 },
+    WALL_MOVEMENT_TYPES: { NONE: 0, NORMAL: 20 }
+};
+// An off-screen scene: the atlas reads its grid as a plain division.
+globalThis.canvas = { ready: true, scene: null };
+const SIZE = 100;
+const sceneOf = walls => ({ id: 'generated', grid: { size: SIZE }, walls });
+const empty = { features: {}, lines: [], secrets: [], barriers: new Set(), split: new Set() };
+
+// Every lattice line a set of features draws, as "line=feature".
+const linesOf = features => Object.entries(features).flatMap(([key, codes]) => codes.map(code => {
+    const [column, row] = key.split(',').map(Number);
+    const [feature, direction] = code.split(':');
+    const line = {
+        north: `h:${column}:${row}`, south: `h:${column}:${row + 1}`,
+        west: `v:${column}:${row}`, east: `v:${column + 1}:${row}`
+    }[direction];
+    return `${line}=${feature}`;
+})).sort();
+
+console.log('each kind of boundary reads back as itself');
+for (const feature of ['wall', 'door', 'locked-door', 'window', 'secret-door']) {
+    const record = { explored: ['2,2'] };
+    const { walls } = buildMapWalls(record, withAuthoredBoundaries(empty, { 'h:2:2': feature }), { size: SIZE });
+    check(`${feature}: one wall, along the top of the square`, walls.map(wall => wall.c), [[200, 200, 300, 200]]);
+    // A secret door is a wall to classifyWall -- the atlas tracks it apart.
+    check(`${feature}: classified back`, classifyWall(walls[0]), feature === 'secret-door' ? 'wall' : feature);
+}
+
+console.log('\na room with a door round-trips through the atlas');
+{
+    // A 2x2 room at columns 2-3, rows 2-3, walled all round, a door in the
+    // middle of its south side and a window on its east.
+    const boundaries = {
+        'h:2:2': 'wall', 'h:3:2': 'wall',
+        'h:2:4': 'door', 'h:3:4': 'wall',
+        'v:2:2': 'wall', 'v:2:3': 'wall',
+        'v:4:2': 'window', 'v:4:3': 'wall'
+    };
+    const record = { explored: ['2,2', '3,2', '2,3', '3,3'] };
+    const { walls, counts } = buildMapWalls(record, withAuthoredBoundaries(empty, boundaries), { size: SIZE });
+    check('neighbouring walls are joined into runs', counts, { wall: 4, door: 1, 'locked-door': 0, 'one-way-door': 0, 'secret-door': 0, window: 1, curve: 0 });
+    const atlas = buildSceneAtlas(sceneOf(walls));
+    check('the atlas reads back exactly the boundaries drawn',
+        linesOf(atlas.features),
+        Object.entries(boundaries).map(([line, feature]) => `${line}=${feature}`).sort());
+}
+
+console.log('\nonly what the map shows becomes a wall');
+{
+    const boundaries = { 'h:2:2': 'wall', 'h:8:8': 'wall' };
+    const { walls } = buildMapWalls({ explored: ['2,2'] }, withAuthoredBoundaries(empty, boundaries), { size: SIZE });
+    check('the boundary out in unexplored rock is left out', walls.map(wall => wall.c), [[200, 200, 300, 200]]);
+}
+
+console.log('\na secret door is a secret door, found or not');
+{
+    const atlas = {
+        ...empty,
+        features: { '2,2': ['wall:north'] },
+        secrets: [{ id: 's1', edges: [{ key: '2,2', direction: 'north' }], segments: [] }]
+    };
+    const { walls, counts } = buildMapWalls({ explored: ['2,2'] }, atlas, { size: SIZE });
+    check('counted as a secret door', counts['secret-door'], 1);
+    check('configured as one', walls[0].door, CONST.WALL_DOOR_TYPES.SECRET);
+    check('and the atlas finds the secret again', buildSceneAtlas(sceneOf(walls)).secrets.length, 1);
+}
+
+console.log('\ncurves keep their own line');
+{
+    const atlas = { ...empty, lines: [[[2.2, 2.1], [2.8, 2.6]], [[9.2, 9.1], [9.8, 9.6]]] };
+    const { walls, counts } = buildMapWalls({ explored: ['2,2'] }, atlas, { size: SIZE });
+    check('the one beside the map, scaled to the scene', walls.map(wall => wall.c), [[220, 210, 280, 260]]);
+    check('counted as a curve', counts.curve, 1);
+}
+
+console.log('\nwalls beyond the target scene are skipped');
+{
+    const boundaries = { 'h:2:2': 'wall', 'h:30:30': 'wall' };
+    const record = { explored: ['2,2', '30,30'] };
+    const { walls, skipped } = buildMapWalls(record, withAuthoredBoundaries(empty, boundaries), {
+        size: SIZE, bounds: { width: 1000, height: 1000 }
+    });
+    check('the one inside is kept', walls.length, 1);
+    check('the one outside is reported', skipped, 1);
+}
+
+console.log('\nadding to a scene that already has the walls');
+{
+    // The map's own scene: the room above, walled in three long walls and a door.
+    const standing = [
+        { c: [200, 200, 400, 200], ...wallConfiguration('wall') },
+        { c: [200, 200, 200, 400], ...wallConfiguration('wall') },
+        { c: [400, 200, 400, 400], ...wallConfiguration('wall') },
+        { c: [200, 400, 300, 400], ...wallConfiguration('door') },
+        { c: [300, 400, 400, 400], ...wallConfiguration('wall') }
+    ];
+    const record = { explored: ['2,2', '3,2', '2,3', '3,3'] };
+    const scene = buildSceneAtlas(sceneOf(standing));
+    const again = buildMapWalls(record, scene, { size: SIZE, standing: standing.map(wall => wall.c) });
+    check('built from its own scene, nothing is laid twice', [again.walls, again.covered], [[], 8]);
+
+    // What was drawn by hand on the map is all that is new.
+    const drawn = withAuthoredBoundaries(scene, { 'h:2:3': 'wall', 'v:4:2': 'window' });
+    const added = buildMapWalls(record, drawn, { size: SIZE, standing: standing.map(wall => wall.c) });
+    check('only the wall drawn across the room is added', added.walls.map(wall => wall.c), [[200, 300, 300, 300]]);
+    check('a line a standing wall covers is left, whatever the map calls it', added.counts.window, 0);
+    check('and the scene then reads as the map', linesOf(buildSceneAtlas(sceneOf([...standing, ...added.walls])).features),
+        linesOf(withAuthoredBoundaries(scene, { 'h:2:3': 'wall' }).features));
+
+    const curve = buildMapWalls({ explored: ['2,2'] }, { ...empty, lines: [[[2.2, 2.1], [2.8, 2.6]]] }, { size: SIZE, standing: [[280, 260, 220, 210]] });
+    check('a curve already standing, either way round, is left too', [curve.walls.length, curve.covered], [0, 1]);
+    const partly = buildMapWalls({ explored: ['2,2', '3,2'] }, withAuthoredBoundaries(empty, { 'h:2:2': 'wall', 'h:3:2': 'wall' }), { size: SIZE, standing: [[200, 200, 250, 200]] });
+    check('a wall part of the way along a line does not cover it', partly.walls.map(wall => wall.c), [[200, 200, 400, 200]]);
+}
+
+console.log('\nthe region replacing clears');
+{
+    const region = mapRegion({ explored: ['2,2', '4,3'] }, SIZE);
+    check('explored bounds plus a square', region, { left: 100, top: 100, right: 600, bottom: 500 });
+    check('a wall inside it is in it', wallInRegion({ c: [200, 200, 300, 200] }, region), true);
+    check('a wall crossing out of it is not', wallInRegion({ c: [200, 200, 900, 200] }, region), false);
+    check('an empty map has no region', mapRegion({ explored: [] }, SIZE), null);
+}
+
+console.log(bad ? `\n${bad} FAILURE(S)` : '\nall checks passed');
+process.exit(bad ? 1 : 0);
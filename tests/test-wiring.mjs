@@ -31,7 +31,8 @@ for (const key of keys) if (!(key in lang)) { fail(`missing string ${key}`); mis
 if (!missing) ok(`${keys.size} keys, all present`);
 
 console.log('\nevery mutation the client sends is handled GM-side');
-const sent = new Set([...managerJs.matchAll(/action: '([a-z-]+)'/g)].map(m => m[1]));
+// A dialog button has an action too; it has a label beside it, and a mutation never does.
+const sent = new Set([...managerJs.matchAll(/action: '([a-z-]+)'(?![^}\n]*\blabel:)/g)].map(m => m[1]));
 for (const action of sent) {
     const handled = managerJs.includes(`data.action === '${action}'`)
         || managerJs.includes(`ANNOTATION_ACTIONS`) && ['place-symbol', 'remove-symbol'].includes(action);